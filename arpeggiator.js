@@ -0,0 +1,486 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Arpeggiator that plays held keys one at a time.
+ */
+goog.provide('doodle.moog.Arpeggiator');
+goog.provide('doodle.moog.Arpeggiator.Order');
+
+goog.require('doodle.moog.NoteDivision');
+goog.require('goog.Disposable');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.events.EventHandler');
+
+
+
+/**
+ * An arpeggiator, sitting between the keyboard and a synthesizer.  Send it
+ * the keyboard's key presses and releases instead of the synthesizer.  While
+ * it is off they go straight through; while it is on, the held keys are
+ * played one after the other, in time with a tempo, which suits a monophonic
+ * synthesizer.
+ *
+ * Like doodle.moog.StepSequencer, the arpeggiator schedules key events on the
+ * synthesizer a little ahead of the audio context's clock.
+ * @param {!AudioContext} audioContext Audio context whose clock times the
+ *     notes.
+ * @param {!doodle.moog.SynthesizerInterface} synthesizer The synthesizer to
+ *     play.
+ * @constructor
+ * @extends {goog.Disposable}
+ */
+doodle.moog.Arpeggiator = function(audioContext, synthesizer) {
+  goog.base(this);
+
+  /**
+   * Audio context whose clock times the notes.
+   * @type {!AudioContext}
+   * @private
+   */
+  this.audioContext_ = audioContext;
+
+  /**
+   * The synthesizer played by this arpeggiator.
+   * @type {!doodle.moog.SynthesizerInterface}
+   * @private
+   */
+  this.synthesizer_ = synthesizer;
+
+  /**
+   * Whether the arpeggiator is on.
+   * @type {boolean}
+   * @private
+   */
+  this.isOn_ = false;
+
+  /**
+   * The order in which notes are played.
+   * @type {doodle.moog.Arpeggiator.Order}
+   * @private
+   */
+  this.order_ = doodle.moog.Arpeggiator.Order.UP;
+
+  /**
+   * How many octaves the notes are repeated over, going up.
+   * @type {number}
+   * @private
+   */
+  this.octaveRange_ = 1;
+
+  /**
+   * Tempo in beats (quarter notes) per minute.
+   * @type {number}
+   * @private
+   */
+  this.tempo_ = 120;
+
+  /**
+   * How long each note lasts, keys down and up.
+   * @type {doodle.moog.NoteDivision}
+   * @private
+   */
+  this.division_ = doodle.moog.NoteDivision.SIXTEENTH;
+
+  /**
+   * How long each key is held, as a fraction of the note length, in the range
+   * (0, 1].
+   * @type {number}
+   * @private
+   */
+  this.gate_ = 0.5;
+
+  /**
+   * Whether the notes keep playing after their keys are released.
+   * @type {boolean}
+   * @private
+   */
+  this.isLatchOn_ = false;
+
+  /**
+   * Keys held down on the keyboard, in the order they were pressed.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.heldNotes_ = [];
+
+  /**
+   * Notes being arpeggiated, in the order they were pressed.  The held keys,
+   * or with the latch on, the keys pressed since all were last released.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.notes_ = [];
+
+  /**
+   * Whether notes are being scheduled.
+   * @type {boolean}
+   * @private
+   */
+  this.isRunning_ = false;
+
+  /**
+   * How many notes have been scheduled since the arpeggio started.
+   * @type {number}
+   * @private
+   */
+  this.position_ = 0;
+
+  /**
+   * Audio context time at which the next note starts.
+   * @type {number}
+   * @private
+   */
+  this.nextNoteTime_ = 0;
+
+  /**
+   * The note held over into the next one when playing legato, or null if none
+   * is.
+   * @type {?number}
+   * @private
+   */
+  this.tiedNote_ = null;
+
+  /**
+   * Timer that drives scheduling.
+   * @type {!goog.Timer}
+   * @private
+   */
+  this.timer_ = new goog.Timer(doodle.moog.Arpeggiator.TICK_INTERVAL_);
+
+  /**
+   * @type {!goog.events.EventHandler}
+   * @private
+   */
+  this.eventHandler_ = new goog.events.EventHandler(this);
+  this.eventHandler_.listen(this.timer_, goog.Timer.TICK, this.handleTick_);
+};
+goog.inherits(doodle.moog.Arpeggiator, goog.Disposable);
+
+
+/**
+ * The order in which notes are played.  Every order but AS_PLAYED goes by
+ * pitch.
+ * @enum {number}
+ */
+doodle.moog.Arpeggiator.Order = {
+  UP: 0,
+  DOWN: 1,
+  // Up then down, without repeating the highest and lowest notes.
+  UP_DOWN: 2,
+  // In the order the keys were pressed.
+  AS_PLAYED: 3,
+  RANDOM: 4
+};
+
+
+/**
+ * The most octaves notes can be repeated over.
+ * @type {number}
+ * @const
+ */
+doodle.moog.Arpeggiator.MAX_OCTAVE_RANGE = 4;
+
+
+/**
+ * Milliseconds between scheduling passes.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.Arpeggiator.TICK_INTERVAL_ = 25;
+
+
+/**
+ * How far ahead of the audio context's clock notes are scheduled, in seconds.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.Arpeggiator.LOOK_AHEAD_ = 0.1;
+
+
+/** @inheritDoc */
+doodle.moog.Arpeggiator.prototype.disposeInternal = function() {
+  this.stop_();
+  this.eventHandler_.dispose();
+  this.timer_.dispose();
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * Turns the arpeggiator on.  Keys already held start arpeggiating.
+ */
+doodle.moog.Arpeggiator.prototype.turnOn = function() {
+  if (this.isOn_) {
+    return;
+  }
+  this.isOn_ = true;
+  goog.array.forEach(this.heldNotes_, function(note) {
+    this.synthesizer_.setKeyUp(note);
+  }, this);
+  this.notes_ = goog.array.clone(this.heldNotes_);
+  this.update_();
+};
+
+
+/**
+ * Turns the arpeggiator off.  Keys still held go back to sounding directly.
+ */
+doodle.moog.Arpeggiator.prototype.turnOff = function() {
+  if (!this.isOn_) {
+    return;
+  }
+  this.isOn_ = false;
+  this.stop_();
+  goog.array.clear(this.notes_);
+  goog.array.forEach(this.heldNotes_, function(note) {
+    this.synthesizer_.setKeyDown(note);
+  }, this);
+};
+
+
+/**
+ * @return {boolean} Whether the arpeggiator is on.
+ */
+doodle.moog.Arpeggiator.prototype.isOn = function() {
+  return this.isOn_;
+};
+
+
+/**
+ * Sets the order in which notes are played.  Takes effect from the next note.
+ * @param {doodle.moog.Arpeggiator.Order} order The order.
+ */
+doodle.moog.Arpeggiator.prototype.setOrder = function(order) {
+  this.order_ = order;
+};
+
+
+/**
+ * Sets how many octaves the notes are repeated over.  Takes effect from the
+ * next note.
+ * @param {number} range The number of octaves, from 1 to MAX_OCTAVE_RANGE.  1
+ *     plays only the keys' own notes.
+ */
+doodle.moog.Arpeggiator.prototype.setOctaveRange = function(range) {
+  this.octaveRange_ = Math.min(Math.max(Math.floor(range), 1),
+      doodle.moog.Arpeggiator.MAX_OCTAVE_RANGE);
+};
+
+
+/**
+ * Syncs the rate at which notes are played to a tempo.  Takes effect from the
+ * next note.
+ * @param {number} tempo Tempo in beats (quarter notes) per minute.
+ * @param {doodle.moog.NoteDivision} division How long each note lasts.
+ */
+doodle.moog.Arpeggiator.prototype.setTempoSync = function(tempo, division) {
+  if (!(tempo > 0) || !isFinite(tempo)) {
+    throw Error('Tempo must be a positive number of beats per minute: ' +
+        tempo);
+  }
+  this.tempo_ = tempo;
+  this.division_ = division;
+};
+
+
+/**
+ * Sets how long each key is held.  Takes effect from the next note.
+ * @param {number} gate The fraction of the note length the key is held for,
+ *     in the range (0, 1].  1 plays the notes legato.
+ */
+doodle.moog.Arpeggiator.prototype.setGate = function(gate) {
+  if (!(gate > 0 && gate <= 1)) {
+    throw Error('Gate must be in the range (0, 1]: ' + gate);
+  }
+  this.gate_ = gate;
+};
+
+
+/**
+ * Turns the latch on, so that notes keep playing after their keys are
+ * released, until a key is pressed with none held.
+ */
+doodle.moog.Arpeggiator.prototype.turnOnLatch = function() {
+  this.isLatchOn_ = true;
+};
+
+
+/**
+ * Turns the latch off, dropping the notes whose keys aren't held anymore.
+ */
+doodle.moog.Arpeggiator.prototype.turnOffLatch = function() {
+  this.isLatchOn_ = false;
+  if (this.isOn_) {
+    this.notes_ = goog.array.clone(this.heldNotes_);
+    this.update_();
+  }
+};
+
+
+/**
+ * Signals that a key on the keyboard has been pressed.
+ * @param {number} note Chromatic index of the note relative to the beginning
+ *     of the keyboard.
+ */
+doodle.moog.Arpeggiator.prototype.setKeyDown = function(note) {
+  if (this.isOn_ && this.isLatchOn_ && !this.heldNotes_.length) {
+    // A new chord replaces the latched one.
+    goog.array.clear(this.notes_);
+  }
+  goog.array.remove(this.heldNotes_, note);
+  this.heldNotes_.push(note);
+  if (!this.isOn_) {
+    this.synthesizer_.setKeyDown(note);
+    return;
+  }
+  goog.array.remove(this.notes_, note);
+  this.notes_.push(note);
+  this.update_();
+};
+
+
+/**
+ * Signals that a key on the keyboard has been released.
+ * @param {number=} opt_note Chromatic index of the note relative to the
+ *     beginning of the keyboard.  If omitted, every key is released.
+ */
+doodle.moog.Arpeggiator.prototype.setKeyUp = function(opt_note) {
+  if (goog.isDef(opt_note)) {
+    goog.array.remove(this.heldNotes_, opt_note);
+  } else {
+    goog.array.clear(this.heldNotes_);
+  }
+  if (!this.isOn_) {
+    this.synthesizer_.setKeyUp(opt_note);
+    return;
+  }
+  if (!this.isLatchOn_) {
+    this.notes_ = goog.array.clone(this.heldNotes_);
+    this.update_();
+  }
+};
+
+
+/**
+ * Starts the arpeggio if there are notes to play, or stops it if there are
+ * none left.
+ * @private
+ */
+doodle.moog.Arpeggiator.prototype.update_ = function() {
+  if (!this.notes_.length) {
+    this.stop_();
+  } else if (!this.isRunning_) {
+    this.isRunning_ = true;
+    this.position_ = 0;
+    this.nextNoteTime_ = this.audioContext_.currentTime;
+    this.timer_.start();
+    this.handleTick_();
+  }
+};
+
+
+/**
+ * Stops the arpeggio, cutting off the note playing.
+ * @private
+ */
+doodle.moog.Arpeggiator.prototype.stop_ = function() {
+  if (!this.isRunning_) {
+    return;
+  }
+  this.isRunning_ = false;
+  this.timer_.stop();
+  this.synthesizer_.cancelScheduledKeys();
+  this.tiedNote_ = null;
+};
+
+
+/**
+ * Schedules the notes falling within the look ahead.  Notes that should
+ * already have started, because the timer ran late, are skipped rather than
+ * played all at once.
+ * @private
+ */
+doodle.moog.Arpeggiator.prototype.handleTick_ = function() {
+  var now = this.audioContext_.currentTime;
+  var duration = 60 * this.division_ / this.tempo_;
+  // Browsers throttle timers in background tabs to about once a second.
+  // Catch up on the same beat, at the first note not yet due.
+  if (this.nextNoteTime_ < now) {
+    this.nextNoteTime_ +=
+        Math.ceil((now - this.nextNoteTime_) / duration) * duration;
+  }
+
+  var deadline = now + doodle.moog.Arpeggiator.LOOK_AHEAD_;
+  while (this.nextNoteTime_ < deadline) {
+    var sequence = this.getSequence_();
+    var note = this.order_ == doodle.moog.Arpeggiator.Order.RANDOM ?
+        sequence[Math.floor(Math.random() * sequence.length)] :
+        sequence[this.position_ % sequence.length];
+    this.position_++;
+
+    var time = this.nextNoteTime_;
+    this.nextNoteTime_ += duration;
+
+    // As with tied steps of doodle.moog.StepSequencer, a legato note is
+    // released only after the next one is pressed, so a monophonic
+    // synthesizer slides between them rather than retriggering.
+    var tiedNote = this.tiedNote_;
+    if (note !== tiedNote) {
+      this.synthesizer_.setKeyDown(note, time);
+      if (!goog.isNull(tiedNote)) {
+        this.synthesizer_.setKeyUp(tiedNote, time);
+      }
+    }
+    if (this.gate_ == 1) {
+      this.tiedNote_ = note;
+    } else {
+      this.synthesizer_.setKeyUp(note, time + this.gate_ * duration);
+      this.tiedNote_ = null;
+    }
+  }
+};
+
+
+/**
+ * Gets the notes of one cycle of the arpeggio.
+ * @return {!Array.<number>} The notes, in the order to play them.
+ * @private
+ */
+doodle.moog.Arpeggiator.prototype.getSequence_ = function() {
+  var notes = goog.array.clone(this.notes_);
+  if (this.order_ != doodle.moog.Arpeggiator.Order.AS_PLAYED) {
+    goog.array.sort(notes);
+  }
+  var sequence = [];
+  for (var octave = 0; octave < this.octaveRange_; octave++) {
+    for (var i = 0; i < notes.length; i++) {
+      sequence.push(notes[i] + 12 * octave);
+    }
+  }
+
+  switch (this.order_) {
+    case doodle.moog.Arpeggiator.Order.DOWN:
+      sequence.reverse();
+      break;
+    case doodle.moog.Arpeggiator.Order.UP_DOWN:
+      sequence = goog.array.concat(
+          sequence, sequence.slice(1, -1).reverse());
+      break;
+  }
+  return sequence;
+};
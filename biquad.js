@@ -0,0 +1,183 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Biquad filter sections computed in JavaScript.
+ */
+goog.provide('doodle.moog.Biquad');
+goog.provide('doodle.moog.Biquad.Type');
+
+
+
+/**
+ * A second order filter section that computes what a Web Audio
+ * BiquadFilterNode of the same type would: the same coefficients, with Q given
+ * in decibels as the node takes it, and the same handling of frequencies at
+ * and beyond the Nyquist frequency.  It keeps separate state for the right and
+ * left channels.
+ * @param {{sampleRate: number}} audioContext Audio context to which this
+ *     filter will be bound.  Only its sample rate is used.
+ * @param {doodle.moog.Biquad.Type} type The kind of filter.
+ * @param {number} frequency Initial cutoff frequency in hertz.
+ * @param {number} q Initial Q, in decibels.
+ * @constructor
+ */
+doodle.moog.Biquad = function(audioContext, type, frequency, q) {
+  /**
+   * The Nyquist frequency of the audio context.
+   * @type {number}
+   * @private
+   * @const
+   */
+  this.NYQUIST_FREQUENCY_ = audioContext.sampleRate / 2;
+
+  /**
+   * The kind of filter.
+   * @type {doodle.moog.Biquad.Type}
+   * @private
+   * @const
+   */
+  this.TYPE_ = type;
+
+  /**
+   * The cutoff frequency the coefficients were computed for.
+   * @type {number}
+   * @private
+   */
+  this.frequency_ = frequency;
+
+  /**
+   * Q as a linear gain rather than in decibels.
+   * @type {number}
+   * @private
+   */
+  this.linearQ_ = 1;
+
+  /**
+   * The coefficients b0, b1, b2, a1 and a2, normalized by a0.
+   * @type {!Float64Array}
+   * @private
+   */
+  this.coefficients_ = new Float64Array(5);
+
+  /**
+   * The last two inputs and outputs (x1, x2, y1, y2) of the right channel,
+   * then the left.
+   * @type {!Float64Array}
+   * @private
+   */
+  this.history_ = new Float64Array(8);
+
+  this.setQ(q);
+};
+
+
+/**
+ * Kinds of biquad filter.
+ * @enum {number}
+ */
+doodle.moog.Biquad.Type = {
+  LOWPASS: 0,
+  HIGHPASS: 1
+};
+
+
+/**
+ * Sets the cutoff frequency.  Frequencies are clamped to the range from 0 to
+ * the Nyquist frequency.
+ * @param {number} frequency The cutoff frequency in hertz.
+ */
+doodle.moog.Biquad.prototype.setFrequency = function(frequency) {
+  if (frequency != this.frequency_) {
+    this.frequency_ = frequency;
+    this.updateCoefficients_();
+  }
+};
+
+
+/**
+ * Sets how strongly frequencies around the cutoff frequency are boosted.
+ * @param {number} q The Q, in decibels.
+ */
+doodle.moog.Biquad.prototype.setQ = function(q) {
+  this.linearQ_ = Math.pow(10, q / 20);
+  this.updateCoefficients_();
+};
+
+
+/**
+ * Filters a block of samples in place with the current coefficients.
+ * @param {!Float32Array} right The right (or only) channel to filter.
+ * @param {Float32Array} left The left channel to filter, or null if the output
+ *     is monaural.
+ */
+doodle.moog.Biquad.prototype.process = function(right, left) {
+  for (var i = 0; i < right.length; i++) {
+    right[i] = this.filterSample(right[i], 0);
+    if (left) {
+      left[i] = this.filterSample(left[i], 1);
+    }
+  }
+};
+
+
+/**
+ * Runs one sample through the filter.
+ * @param {number} input The input sample.
+ * @param {number} channel 0 for the right channel, 1 for the left.
+ * @return {number} The output sample.
+ */
+doodle.moog.Biquad.prototype.filterSample = function(input, channel) {
+  var c = this.coefficients_;
+  var h = this.history_;
+  var offset = 4 * channel;
+  var output = c[0] * input + c[1] * h[offset] + c[2] * h[offset + 1] -
+      c[3] * h[offset + 2] - c[4] * h[offset + 3];
+  h[offset + 1] = h[offset];
+  h[offset] = input;
+  h[offset + 3] = h[offset + 2];
+  h[offset + 2] = output;
+  return output;
+};
+
+
+/**
+ * Recomputes the coefficients from the cutoff frequency and Q, following the
+ * Audio EQ Cookbook formulas the Web Audio specification uses.
+ * @private
+ */
+doodle.moog.Biquad.prototype.updateCoefficients_ = function() {
+  var c = this.coefficients_;
+  var isLowPass = this.TYPE_ == doodle.moog.Biquad.Type.LOWPASS;
+  var normalizedFrequency =
+      Math.max(0, Math.min(1, this.frequency_ / this.NYQUIST_FREQUENCY_));
+
+  // At the edges the formulas degenerate into passing everything or nothing.
+  if (normalizedFrequency == 1 || normalizedFrequency == 0) {
+    var isPassing = isLowPass == (normalizedFrequency == 1);
+    c[0] = isPassing ? 1 : 0;
+    c[1] = c[2] = c[3] = c[4] = 0;
+    return;
+  }
+
+  var angularFrequency = Math.PI * normalizedFrequency;
+  var cos = Math.cos(angularFrequency);
+  var alpha = Math.sin(angularFrequency) / (2 * this.linearQ_);
+  var a0 = 1 + alpha;
+  var b1 = isLowPass ? 1 - cos : -1 - cos;
+  c[0] = c[2] = Math.abs(b1) / 2 / a0;
+  c[1] = b1 / a0;
+  c[3] = -2 * cos / a0;
+  c[4] = (1 - alpha) / a0;
+};
@@ -0,0 +1,169 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Bounces patches playing a list of key events to audio files,
+ * for sample packs and for comparing renders across changes.
+ *
+ * Bounces render faster than real time through an offline audio context, with
+ * the same synthesizer and wide band pass filter the doodle plays through.
+ * Offline contexts don't drive JavaScript audio nodes dependably, so unless
+ * the synthesizer can render through an AudioWorklet (see
+ * doodle.moog.Moog.AUDIO_WORKLET_MODULE_URL), doodle.moog.HeadlessSynthesizer
+ * renders the bounce instead.
+ */
+goog.provide('doodle.moog.bounce');
+
+goog.require('doodle.moog.HeadlessSynthesizer');
+goog.require('doodle.moog.Moog');
+goog.require('doodle.moog.midiFile');
+goog.require('doodle.moog.wav');
+goog.require('doodle.moog.webAudioCompat');
+
+
+/**
+ * How many channels bounces have.  Unison voices can be spread across the
+ * stereo field.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.bounce.CHANNEL_COUNT_ = 2;
+
+
+/**
+ * Renders a patch playing a list of key events.
+ * @param {*} patch The patch, as returned by
+ *     doodle.moog.SynthesizerInterface#getPatch or parsed from JSON.
+ * @param {!Array.<!doodle.moog.midiFile.KeyEvent>} events The key events, in
+ *     time order, timed from the start of the render.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @param {number} length How long to render, in seconds.  Keys still held at
+ *     the end are cut off.
+ * @param {boolean=} opt_useLadderFilter Whether to filter through the ladder
+ *     filter.  Defaults to doodle.moog.Moog.USE_LADDER_FILTER.
+ * @return {!Promise.<!AudioBuffer>} The rendered audio.  Rejected if the patch
+ *     is invalid or the browser can't render offline at the sample rate.
+ */
+doodle.moog.bounce.render = function(
+    patch, events, sampleRate, length, opt_useLadderFilter) {
+  var useLadderFilter = goog.isDef(opt_useLadderFilter) ?
+      opt_useLadderFilter : doodle.moog.Moog.USE_LADDER_FILTER;
+  var audioContext;
+  try {
+    audioContext = doodle.moog.webAudioCompat.createOfflineAudioContext(
+        doodle.moog.bounce.CHANNEL_COUNT_, Math.ceil(length * sampleRate),
+        sampleRate);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  var moduleUrl = doodle.moog.Moog.AUDIO_WORKLET_MODULE_URL;
+  var isWorkletReady = moduleUrl && audioContext.audioWorklet ?
+      audioContext.audioWorklet.addModule(moduleUrl).then(
+          function() { return true; }, function() { return false; }) :
+      Promise.resolve(false);
+  return isWorkletReady.then(function(useAudioWorklet) {
+    if (!useAudioWorklet) {
+      return doodle.moog.bounce.renderHeadless_(
+          audioContext, patch, events, length, useLadderFilter);
+    }
+    var synthesizer = doodle.moog.Moog.createSynthesizer(
+        audioContext, true, useLadderFilter);
+    synthesizer.applyPatch(patch);
+    var wideBandPassFilter =
+        doodle.moog.Moog.createWideBandPassFilter(audioContext);
+    synthesizer.connect(wideBandPassFilter.getSourceNode());
+    wideBandPassFilter.connect(audioContext.destination);
+
+    doodle.moog.midiFile.play(synthesizer, events, 0);
+    return doodle.moog.webAudioCompat.startRendering(audioContext);
+  });
+};
+
+
+/**
+ * Renders a patch playing a list of key events through
+ * doodle.moog.HeadlessSynthesizer, into a buffer of an offline audio context.
+ * @param {!OfflineAudioContext} audioContext The offline audio context, which
+ *     is never started.
+ * @param {*} patch The patch.
+ * @param {!Array.<!doodle.moog.midiFile.KeyEvent>} events The key events.
+ * @param {number} length How long to render, in seconds.
+ * @param {boolean} useLadderFilter Whether to filter through the ladder
+ *     model.
+ * @return {!AudioBuffer} The rendered audio.  An error is thrown if the patch
+ *     is invalid.
+ * @private
+ */
+doodle.moog.bounce.renderHeadless_ = function(
+    audioContext, patch, events, length, useLadderFilter) {
+  var channels = doodle.moog.HeadlessSynthesizer.renderKeyEvents(
+      patch, events, audioContext.sampleRate, length, useLadderFilter);
+  var audioBuffer = audioContext.createBuffer(
+      channels.length, channels[0].length, audioContext.sampleRate);
+  for (var i = 0; i < channels.length; i++) {
+    audioBuffer.getChannelData(i).set(channels[i]);
+  }
+  return audioBuffer;
+};
+
+
+/**
+ * Renders a patch playing a list of key events to a WAV file.
+ * @param {*} patch The patch, as returned by
+ *     doodle.moog.SynthesizerInterface#getPatch or parsed from JSON.
+ * @param {!Array.<!doodle.moog.midiFile.KeyEvent>} events The key events, in
+ *     time order, timed from the start of the render.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @param {number} length How long to render, in seconds.
+ * @param {doodle.moog.wav.SampleFormat} sampleFormat How to store the samples.
+ * @param {boolean=} opt_useLadderFilter Whether to filter through the ladder
+ *     filter.  Defaults to doodle.moog.Moog.USE_LADDER_FILTER.
+ * @return {!Promise.<!ArrayBuffer>} The file.
+ */
+doodle.moog.bounce.renderWav = function(
+    patch, events, sampleRate, length, sampleFormat, opt_useLadderFilter) {
+  return doodle.moog.bounce.render(
+      patch, events, sampleRate, length, opt_useLadderFilter).then(
+      function(audioBuffer) {
+        var channels = [];
+        for (var i = 0; i < audioBuffer.numberOfChannels; i++) {
+          channels.push(audioBuffer.getChannelData(i));
+        }
+        return doodle.moog.wav.encode(
+            channels, audioBuffer.sampleRate, sampleFormat);
+      });
+};
+
+
+/**
+ * Like renderWav, but gives the file as a Blob, ready to download or upload.
+ * @param {*} patch The patch.
+ * @param {!Array.<!doodle.moog.midiFile.KeyEvent>} events The key events.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @param {number} length How long to render, in seconds.
+ * @param {doodle.moog.wav.SampleFormat} sampleFormat How to store the samples.
+ * @param {boolean=} opt_useLadderFilter Whether to filter through the ladder
+ *     filter.
+ * @return {!Promise.<!Blob>} The file.
+ */
+doodle.moog.bounce.renderWavBlob = function(
+    patch, events, sampleRate, length, sampleFormat, opt_useLadderFilter) {
+  return doodle.moog.bounce.renderWav(
+      patch, events, sampleRate, length, sampleFormat,
+      opt_useLadderFilter).then(function(wav) {
+        return new Blob([wav], {type: 'audio/wav'});
+      });
+};
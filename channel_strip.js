@@ -0,0 +1,323 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A mixer channel strip: gain, pan, mute and a send.
+ */
+goog.provide('doodle.moog.ChannelStrip');
+
+goog.require('doodle.moog.CompoundAudioNode');
+goog.require('doodle.moog.MasterMixerInterface.SendMode');
+goog.require('doodle.moog.webAudioCompat');
+goog.require('goog.math');
+
+
+
+/**
+ * One channel of doodle.moog.MasterMixer.  Sound entering the strip passes a
+ * gate that mute and solo close, then the fader and the panner.  The send is
+ * tapped either right after the gate or after the panner, and goes to a send
+ * bus shared by every strip of the mixer.
+ * @param {!AudioContext} audioContext Audio context in which this strip will
+ *     operate.
+ * @param {!AudioNode} sendBus The node every strip's send feeds.
+ * @constructor
+ * @implements {doodle.moog.CompoundAudioNode}
+ */
+doodle.moog.ChannelStrip = function(audioContext, sendBus) {
+  /**
+   * Audio context in which this strip operates.
+   * @type {!AudioContext}
+   * @private
+   */
+  this.audioContext_ = audioContext;
+
+  /**
+   * Silences the strip while it is muted or another strip is soloed.  Mixes
+   * monaural input up to stereo, so both sides can be panned.
+   * @type {!GainNode}
+   * @private
+   */
+  this.gateNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+  this.gateNode_.channelCount = 2;
+  this.gateNode_.channelCountMode = 'explicit';
+
+  /**
+   * Sets the level of the strip.
+   * @type {!GainNode}
+   * @private
+   */
+  this.faderNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * Splits the strip into its left and right channels for panning.
+   * @type {!ChannelSplitterNode}
+   * @private
+   */
+  this.splitterNode_ = audioContext.createChannelSplitter(2);
+
+  /**
+   * Sets the level of the left channel for the pan.
+   * @type {!GainNode}
+   * @private
+   */
+  this.leftPanNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * Sets the level of the right channel for the pan.
+   * @type {!GainNode}
+   * @private
+   */
+  this.rightPanNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * Joins the panned channels back together.
+   * @type {!ChannelMergerNode}
+   * @private
+   */
+  this.mergerNode_ = audioContext.createChannelMerger(2);
+
+  /**
+   * The strip's output.  Kept apart from the merger so that disconnecting the
+   * strip leaves the send connected.
+   * @type {!GainNode}
+   * @private
+   */
+  this.outputNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * Sets the level of the send taken before the fader.  Closed unless the
+   * send mode is PRE_FADER.
+   * @type {!GainNode}
+   * @private
+   */
+  this.preFaderSendNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * Sets the level of the send taken after the panner.  Closed unless the send
+   * mode is POST_FADER.
+   * @type {!GainNode}
+   * @private
+   */
+  this.postFaderSendNode_ =
+      doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * Gain coefficient of the fader.
+   * @type {number}
+   * @private
+   */
+  this.gain_ = 1;
+
+  /**
+   * The pan, in the range [-1, 1].
+   * @type {number}
+   * @private
+   */
+  this.pan_ = 0;
+
+  /**
+   * Whether the strip is muted.
+   * @type {boolean}
+   * @private
+   */
+  this.isMuted_ = false;
+
+  /**
+   * Whether the strip is soloed.
+   * @type {boolean}
+   * @private
+   */
+  this.isSoloed_ = false;
+
+  /**
+   * Gain coefficient of the send.
+   * @type {number}
+   * @private
+   */
+  this.sendLevel_ = 0;
+
+  /**
+   * Where the send is taken from.
+   * @type {!doodle.moog.MasterMixerInterface.SendMode}
+   * @private
+   */
+  this.sendMode_ = doodle.moog.MasterMixerInterface.SendMode.POST_FADER;
+
+  this.gateNode_.connect(this.faderNode_);
+  this.faderNode_.connect(this.splitterNode_);
+  this.splitterNode_.connect(this.leftPanNode_, 0);
+  this.splitterNode_.connect(this.rightPanNode_, 1);
+  this.leftPanNode_.connect(this.mergerNode_, 0, 0);
+  this.rightPanNode_.connect(this.mergerNode_, 0, 1);
+  this.mergerNode_.connect(this.outputNode_);
+  this.gateNode_.connect(this.preFaderSendNode_);
+  this.mergerNode_.connect(this.postFaderSendNode_);
+  this.preFaderSendNode_.connect(sendBus);
+  this.postFaderSendNode_.connect(sendBus);
+
+  this.setPan(this.pan_);
+  this.updateSend_();
+};
+
+
+/**
+ * Time constant, in seconds, of the approach of the strip's levels to new
+ * values.  Short enough to feel immediate, but long enough that changes to
+ * them don't click.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.ChannelStrip.LEVEL_TIME_CONSTANT_ = 0.01;
+
+
+/**
+ * Gets a snapshot of this strip's settings.
+ * @return {!doodle.moog.MasterMixerInterface.ChannelSettings} The settings.
+ */
+doodle.moog.ChannelStrip.prototype.getSettings = function() {
+  return {
+    gain: this.gain_,
+    pan: this.pan_,
+    isMuted: this.isMuted_,
+    isSoloed: this.isSoloed_,
+    sendLevel: this.sendLevel_,
+    sendMode: this.sendMode_
+  };
+};
+
+
+/**
+ * Sets the fader.
+ * @param {number} gain Gain coefficient.
+ */
+doodle.moog.ChannelStrip.prototype.setGain = function(gain) {
+  this.gain_ = gain;
+  this.setLevel_(this.faderNode_.gain, gain);
+};
+
+
+/**
+ * Sets the pan.  The side the strip is panned towards passes through
+ * unchanged, and the other side fades out linearly, so a centered strip and a
+ * strip panned hard to one side both play at unity gain.
+ * @param {number} pan The pan, in the range [-1, 1].  Values outside it are
+ *     clamped.
+ */
+doodle.moog.ChannelStrip.prototype.setPan = function(pan) {
+  this.pan_ = goog.math.clamp(pan, -1, 1);
+  this.setLevel_(this.leftPanNode_.gain, Math.min(1, 1 - this.pan_));
+  this.setLevel_(this.rightPanNode_.gain, Math.min(1, 1 + this.pan_));
+};
+
+
+/**
+ * @param {boolean} isMuted Whether the strip is muted.  Takes effect on the
+ *     next call to updateGate.
+ */
+doodle.moog.ChannelStrip.prototype.setMuted = function(isMuted) {
+  this.isMuted_ = isMuted;
+};
+
+
+/**
+ * @param {boolean} isSoloed Whether the strip is soloed.  Takes effect on the
+ *     next call to updateGate.
+ */
+doodle.moog.ChannelStrip.prototype.setSoloed = function(isSoloed) {
+  this.isSoloed_ = isSoloed;
+};
+
+
+/**
+ * @return {boolean} Whether the strip is soloed.
+ */
+doodle.moog.ChannelStrip.prototype.isSoloed = function() {
+  return this.isSoloed_;
+};
+
+
+/**
+ * Opens or closes the gate according to mute and solo.
+ * @param {boolean} isAnyStripSoloed Whether any strip of the mixer, this one
+ *     included, is soloed.
+ */
+doodle.moog.ChannelStrip.prototype.updateGate = function(isAnyStripSoloed) {
+  var isAudible = !this.isMuted_ && (!isAnyStripSoloed || this.isSoloed_);
+  this.setLevel_(this.gateNode_.gain, isAudible ? 1 : 0);
+};
+
+
+/**
+ * @param {number} level Gain coefficient of the send.
+ */
+doodle.moog.ChannelStrip.prototype.setSendLevel = function(level) {
+  this.sendLevel_ = level;
+  this.updateSend_();
+};
+
+
+/**
+ * @param {!doodle.moog.MasterMixerInterface.SendMode} mode Where the send is
+ *     taken from.
+ */
+doodle.moog.ChannelStrip.prototype.setSendMode = function(mode) {
+  this.sendMode_ = mode;
+  this.updateSend_();
+};
+
+
+/**
+ * Opens the send node the send mode picks to the send level, and closes the
+ * other.
+ * @private
+ */
+doodle.moog.ChannelStrip.prototype.updateSend_ = function() {
+  var isPreFader =
+      this.sendMode_ == doodle.moog.MasterMixerInterface.SendMode.PRE_FADER;
+  this.setLevel_(this.preFaderSendNode_.gain, isPreFader ? this.sendLevel_ : 0);
+  this.setLevel_(
+      this.postFaderSendNode_.gain, isPreFader ? 0 : this.sendLevel_);
+};
+
+
+/**
+ * Moves a level of the strip smoothly to a new value, starting now.
+ * @param {!AudioParam} level The gain parameter holding the level.
+ * @param {number} value The new value.
+ * @private
+ */
+doodle.moog.ChannelStrip.prototype.setLevel_ = function(level, value) {
+  level.setTargetAtTime(value, this.audioContext_.currentTime,
+      doodle.moog.ChannelStrip.LEVEL_TIME_CONSTANT_);
+};
+
+
+/** @inheritDoc */
+doodle.moog.ChannelStrip.prototype.getSourceNode = function() {
+  return this.gateNode_;
+};
+
+
+/** @inheritDoc */
+doodle.moog.ChannelStrip.prototype.connect = function(destination) {
+  this.outputNode_.connect(destination);
+};
+
+
+/** @inheritDoc */
+doodle.moog.ChannelStrip.prototype.disconnect = function() {
+  this.outputNode_.disconnect();
+};
@@ -0,0 +1,51 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Loads Closure Library from node_modules and this project's
+ * deps.js into the global scope, so tests and command line tools run with Node
+ * can goog.require the project's code.
+ */
+
+var path = require('path');
+
+var closureDirectory = path.dirname(
+    require.resolve('google-closure-library/closure/goog/base.js'));
+var projectDirectory = __dirname;
+
+require(path.join(closureDirectory, 'bootstrap', 'nodejs.js'));
+
+
+/**
+ * Prefix of the project's paths in deps.js, which expects Closure Library in
+ * closure/closure/goog/ under the project as demo.html does.
+ * @type {string}
+ * @const
+ */
+var PROJECT_PATH_PREFIX = '../../../';
+
+
+global.CLOSURE_IMPORT_SCRIPT = function(src, opt_sourceText) {
+  if (opt_sourceText !== undefined) {
+    eval(opt_sourceText);
+  } else if (src.indexOf(PROJECT_PATH_PREFIX) == 0) {
+    require(path.join(
+        projectDirectory, src.substr(PROJECT_PATH_PREFIX.length)));
+  } else {
+    require(path.join(closureDirectory, src));
+  }
+  return true;
+};
+
+require(path.join(projectDirectory, 'deps.js'));
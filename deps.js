@@ -12,14 +12,44 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+goog.addDependency('../../../arpeggiator.js', ['doodle.moog.Arpeggiator', 'doodle.moog.Arpeggiator.Order'], ['doodle.moog.NoteDivision', 'goog.Disposable', 'goog.Timer', 'goog.array', 'goog.events.EventHandler']);
+goog.addDependency('../../../biquad.js', ['doodle.moog.Biquad', 'doodle.moog.Biquad.Type'], []);
+goog.addDependency('../../../bounce.js', ['doodle.moog.bounce'], ['doodle.moog.HeadlessSynthesizer', 'doodle.moog.Moog', 'doodle.moog.midiFile', 'doodle.moog.wav', 'doodle.moog.webAudioCompat']);
+goog.addDependency('../../../channel_strip.js', ['doodle.moog.ChannelStrip'], ['doodle.moog.CompoundAudioNode', 'doodle.moog.MasterMixerInterface.SendMode', 'doodle.moog.webAudioCompat', 'goog.math']);
 goog.addDependency('../../../compound_audio_node.js', ['doodle.moog.CompoundAudioNode'], []);
-goog.addDependency('../../../envelope_generator.js', ['doodle.moog.EnvelopeGenerator'], []);
-goog.addDependency('../../../low_pass_filter.js', ['doodle.moog.LowPassFilter'], ['doodle.moog.CompoundAudioNode']);
-goog.addDependency('../../../master_mixer.js', ['doodle.moog.MasterMixer'], ['doodle.moog.MasterMixerInterface']);
-goog.addDependency('../../../master_mixer_interface.js', ['doodle.moog.MasterMixerInterface'], []);
-goog.addDependency('../../../moog.js', ['doodle.moog.Moog'], ['doodle.moog.LowPassFilter', 'doodle.moog.MasterMixer', 'doodle.moog.Oscillator', 'doodle.moog.OscillatorInterface', 'doodle.moog.Synthesizer', 'doodle.moog.WideBandPassFilter', 'goog.Disposable']);
-goog.addDependency('../../../oscillator.js', ['doodle.moog.Oscillator'], ['doodle.moog.EnvelopeGenerator', 'doodle.moog.OscillatorInterface']);
-goog.addDependency('../../../oscillator_interface.js', ['doodle.moog.OscillatorInterface', 'doodle.moog.OscillatorInterface.FillMode', 'doodle.moog.OscillatorInterface.Range', 'doodle.moog.OscillatorInterface.WaveForm'], []);
-goog.addDependency('../../../synthesizer.js', ['doodle.moog.Synthesizer'], ['doodle.moog.CompoundAudioNode', 'doodle.moog.OscillatorInterface', 'doodle.moog.SynthesizerInterface', 'goog.array', 'goog.userAgent']);
-goog.addDependency('../../../synthesizer_interface.js', ['doodle.moog.SynthesizerInterface'], []);
-goog.addDependency('../../../wide_band_pass_filter.js', ['doodle.moog.WideBandPassFilter'], ['doodle.moog.CompoundAudioNode']);
+goog.addDependency('../../../envelope_generator.js', ['doodle.moog.EnvelopeGenerator', 'doodle.moog.EnvelopeGenerator.Curve', 'doodle.moog.EnvelopeGenerator.Mode', 'doodle.moog.EnvelopeGenerator.Segment'], []);
+goog.addDependency('../../../filter_contour.js', ['doodle.moog.FilterContour'], ['doodle.moog.EnvelopeGenerator', 'doodle.moog.EnvelopeGenerator.Curve', 'doodle.moog.EnvelopeGenerator.Mode', 'doodle.moog.LowPassFilterInterface.KeyboardTracking']);
+goog.addDependency('../../../filter_model_interface.js', ['doodle.moog.FilterModelInterface'], []);
+goog.addDependency('../../../headless_synthesizer.js', ['doodle.moog.HeadlessSynthesizer'], ['doodle.moog.Biquad', 'doodle.moog.Biquad.Type', 'doodle.moog.HeadlessVoice', 'doodle.moog.KeyAssigner', 'doodle.moog.LadderModel', 'doodle.moog.LowPassModel', 'doodle.moog.Oscillator', 'doodle.moog.OscillatorInterface', 'doodle.moog.SynthesizerInterface.VoiceMode', 'doodle.moog.patch', 'goog.array']);
+goog.addDependency('../../../headless_voice.js', ['doodle.moog.HeadlessVoice'], ['doodle.moog.VoiceInterface', 'doodle.moog.VoiceRenderer']);
+goog.addDependency('../../../key_assigner.js', ['doodle.moog.KeyAssigner'], ['doodle.moog.SynthesizerInterface.NotePriority', 'doodle.moog.SynthesizerInterface.TriggerMode', 'doodle.moog.SynthesizerInterface.VoiceMode', 'doodle.moog.SynthesizerInterface.VoiceStealingPolicy', 'doodle.moog.VoiceInterface', 'goog.array']);
+goog.addDependency('../../../ladder_filter.js', ['doodle.moog.LadderFilter'], ['doodle.moog.EnvelopeGenerator.Curve', 'doodle.moog.EnvelopeGenerator.Mode', 'doodle.moog.EnvelopeGenerator.Segment', 'doodle.moog.LadderModel', 'doodle.moog.LowPassFilterInterface', 'doodle.moog.LowPassFilterInterface.KeyboardTracking', 'doodle.moog.webAudioCompat', 'goog.events.EventTarget']);
+goog.addDependency('../../../ladder_model.js', ['doodle.moog.LadderModel'], ['doodle.moog.FilterContour', 'doodle.moog.FilterModelInterface', 'doodle.moog.LowPassFilter']);
+goog.addDependency('../../../lfo.js', ['doodle.moog.Lfo', 'doodle.moog.Lfo.Shape'], ['doodle.moog.NoteDivision', 'doodle.moog.Oscillator']);
+goog.addDependency('../../../low_pass_filter.js', ['doodle.moog.LowPassFilter'], ['doodle.moog.EnvelopeGenerator', 'doodle.moog.EnvelopeGenerator.Curve', 'doodle.moog.EnvelopeGenerator.Mode', 'doodle.moog.EnvelopeGenerator.Segment', 'doodle.moog.LowPassFilterInterface', 'doodle.moog.LowPassFilterInterface.KeyboardTracking', 'doodle.moog.webAudioCompat', 'doodle.moog.webAudioCompat.FilterType', 'goog.array']);
+goog.addDependency('../../../low_pass_filter_interface.js', ['doodle.moog.LowPassFilterInterface', 'doodle.moog.LowPassFilterInterface.KeyboardTracking'], ['doodle.moog.CompoundAudioNode']);
+goog.addDependency('../../../low_pass_model.js', ['doodle.moog.LowPassModel'], ['doodle.moog.Biquad', 'doodle.moog.Biquad.Type', 'doodle.moog.FilterContour', 'doodle.moog.FilterModelInterface', 'doodle.moog.LowPassFilter']);
+goog.addDependency('../../../master_mixer.js', ['doodle.moog.MasterMixer'], ['doodle.moog.ChannelStrip', 'doodle.moog.MasterMixerInterface', 'doodle.moog.webAudioCompat', 'goog.array', 'goog.events.EventHandler', 'goog.events.EventType']);
+goog.addDependency('../../../master_mixer_interface.js', ['doodle.moog.MasterMixerInterface', 'doodle.moog.MasterMixerInterface.SendMode'], []);
+goog.addDependency('../../../midi.js', ['doodle.moog.midi', 'doodle.moog.midi.Controller', 'doodle.moog.midi.Status'], []);
+goog.addDependency('../../../midi_file.js', ['doodle.moog.midiFile', 'doodle.moog.midiFile.Format'], ['doodle.moog.SynthesizerInterface.NotePriority', 'doodle.moog.midi', 'doodle.moog.midi.Status', 'goog.array']);
+goog.addDependency('../../../midi_input.js', ['doodle.moog.MidiInput', 'doodle.moog.MidiInput.EventType'], ['doodle.moog.midi', 'doodle.moog.midi.Controller', 'doodle.moog.midi.Status', 'doodle.moog.patch', 'goog.array', 'goog.events.EventTarget', 'goog.math']);
+goog.addDependency('../../../modulation_matrix.js', ['doodle.moog.ModulationMatrix', 'doodle.moog.ModulationMatrix.Destination', 'doodle.moog.ModulationMatrix.SourceType'], ['goog.array', 'goog.object']);
+goog.addDependency('../../../moog.js', ['doodle.moog.Moog'], ['doodle.moog.LadderFilter', 'doodle.moog.LowPassFilter', 'doodle.moog.MasterMixer', 'doodle.moog.Oscillator', 'doodle.moog.OscillatorInterface', 'doodle.moog.Synthesizer', 'doodle.moog.TapeRecorder', 'doodle.moog.WideBandPassFilter', 'doodle.moog.patchCodec', 'doodle.moog.webAudioCompat', 'goog.Disposable', 'goog.array', 'goog.storage.mechanism.HTML5LocalStorage']);
+goog.addDependency('../../../note_division.js', ['doodle.moog.NoteDivision'], []);
+goog.addDependency('../../../oscillator.js', ['doodle.moog.Oscillator'], ['doodle.moog.EnvelopeGenerator', 'doodle.moog.OscillatorInterface', 'goog.events.EventTarget']);
+goog.addDependency('../../../oscillator_interface.js', ['doodle.moog.OscillatorInterface', 'doodle.moog.OscillatorInterface.FillMode', 'doodle.moog.OscillatorInterface.Quality', 'doodle.moog.OscillatorInterface.Range', 'doodle.moog.OscillatorInterface.WaveForm'], []);
+goog.addDependency('../../../patch.js', ['doodle.moog.patch'], ['doodle.moog.EnvelopeGenerator.Curve', 'doodle.moog.EnvelopeGenerator.Mode', 'doodle.moog.Lfo', 'doodle.moog.Lfo.Shape', 'doodle.moog.LowPassFilterInterface', 'doodle.moog.LowPassFilterInterface.KeyboardTracking', 'doodle.moog.ModulationMatrix', 'doodle.moog.NoteDivision', 'doodle.moog.OscillatorInterface.Quality', 'doodle.moog.OscillatorInterface.Range', 'doodle.moog.OscillatorInterface.WaveForm', 'doodle.moog.SynthesizerInterface', 'doodle.moog.SynthesizerInterface.NotePriority', 'doodle.moog.SynthesizerInterface.TriggerMode', 'doodle.moog.SynthesizerInterface.VoiceMode', 'doodle.moog.SynthesizerInterface.VoiceStealingPolicy', 'goog.array', 'goog.object']);
+goog.addDependency('../../../patch_codec.js', ['doodle.moog.patchCodec'], ['doodle.moog.EnvelopeGenerator.Curve', 'doodle.moog.EnvelopeGenerator.Mode', 'doodle.moog.Lfo', 'doodle.moog.Lfo.Shape', 'doodle.moog.LowPassFilterInterface', 'doodle.moog.LowPassFilterInterface.KeyboardTracking', 'doodle.moog.ModulationMatrix.Destination', 'doodle.moog.ModulationMatrix.SourceType', 'doodle.moog.NoteDivision', 'doodle.moog.OscillatorInterface.Quality', 'doodle.moog.OscillatorInterface.Range', 'doodle.moog.OscillatorInterface.WaveForm', 'doodle.moog.SynthesizerInterface', 'doodle.moog.SynthesizerInterface.NotePriority', 'doodle.moog.SynthesizerInterface.TriggerMode', 'doodle.moog.SynthesizerInterface.VoiceMode', 'doodle.moog.SynthesizerInterface.VoiceStealingPolicy', 'goog.array', 'goog.object']);
+goog.addDependency('../../../score.js', ['doodle.moog.score'], ['doodle.moog.midi', 'goog.array', 'goog.string']);
+goog.addDependency('../../../step_sequencer.js', ['doodle.moog.StepSequencer', 'doodle.moog.StepSequencer.Direction', 'doodle.moog.StepSequencer.EventType'], ['doodle.moog.NoteDivision', 'goog.Timer', 'goog.array', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.object']);
+goog.addDependency('../../../synthesizer.js', ['doodle.moog.Synthesizer'], ['doodle.moog.CompoundAudioNode', 'doodle.moog.KeyAssigner', 'doodle.moog.Lfo', 'doodle.moog.ModulationMatrix', 'doodle.moog.SynthesizerInterface', 'doodle.moog.SynthesizerInterface.VoiceMode', 'doodle.moog.Voice', 'doodle.moog.patch', 'doodle.moog.webAudioCompat', 'goog.array', 'goog.math']);
+goog.addDependency('../../../synthesizer_interface.js', ['doodle.moog.SynthesizerInterface', 'doodle.moog.SynthesizerInterface.NotePriority', 'doodle.moog.SynthesizerInterface.TriggerMode', 'doodle.moog.SynthesizerInterface.VoiceMode', 'doodle.moog.SynthesizerInterface.VoiceStealingPolicy'], []);
+goog.addDependency('../../../tape_recorder.js', ['doodle.moog.TapeRecorder', 'doodle.moog.TapeRecorder.EventType', 'doodle.moog.TapeRecorder.State'], ['doodle.moog.EnvelopeGenerator.Curve', 'doodle.moog.EnvelopeGenerator.Mode', 'doodle.moog.EnvelopeGenerator.Segment', 'doodle.moog.Lfo', 'doodle.moog.Lfo.Shape', 'doodle.moog.LowPassFilterInterface', 'doodle.moog.LowPassFilterInterface.KeyboardTracking', 'doodle.moog.ModulationMatrix', 'doodle.moog.NoteDivision', 'doodle.moog.OscillatorInterface.Quality', 'doodle.moog.OscillatorInterface.Range', 'doodle.moog.OscillatorInterface.WaveForm', 'doodle.moog.SynthesizerInterface', 'doodle.moog.SynthesizerInterface.NotePriority', 'doodle.moog.SynthesizerInterface.TriggerMode', 'doodle.moog.SynthesizerInterface.VoiceMode', 'doodle.moog.SynthesizerInterface.VoiceStealingPolicy', 'doodle.moog.patch', 'goog.Timer', 'goog.array', 'goog.events.EventHandler', 'goog.events.EventTarget', 'goog.object']);
+goog.addDependency('../../../voice.js', ['doodle.moog.Voice'], ['doodle.moog.CompoundAudioNode', 'doodle.moog.LadderFilter', 'doodle.moog.Lfo', 'doodle.moog.LowPassFilter', 'doodle.moog.LowPassFilterInterface', 'doodle.moog.ModulationMatrix', 'doodle.moog.Oscillator', 'doodle.moog.VoiceInterface', 'doodle.moog.VoiceProcessor', 'doodle.moog.VoiceProcessor.MessageType', 'doodle.moog.VoiceRenderer', 'doodle.moog.webAudioCompat', 'goog.Disposable', 'goog.array', 'goog.events.EventHandler', 'goog.userAgent']);
+goog.addDependency('../../../voice_interface.js', ['doodle.moog.VoiceInterface'], []);
+goog.addDependency('../../../voice_processor.js', ['doodle.moog.VoiceProcessor', 'doodle.moog.VoiceProcessor.MessageType'], ['doodle.moog.LadderModel', 'doodle.moog.Oscillator', 'doodle.moog.OscillatorInterface', 'doodle.moog.VoiceRenderer', 'goog.array']);
+goog.addDependency('../../../voice_renderer.js', ['doodle.moog.VoiceRenderer'], ['doodle.moog.FilterModelInterface', 'doodle.moog.Lfo', 'doodle.moog.ModulationMatrix', 'doodle.moog.ModulationMatrix.Destination', 'doodle.moog.ModulationMatrix.SourceType', 'doodle.moog.OscillatorInterface', 'goog.array']);
+goog.addDependency('../../../wav.js', ['doodle.moog.wav', 'doodle.moog.wav.SampleFormat'], ['goog.math']);
+goog.addDependency('../../../web_audio_compat.js', ['doodle.moog.webAudioCompat', 'doodle.moog.webAudioCompat.FilterType'], []);
+goog.addDependency('../../../wide_band_pass_filter.js', ['doodle.moog.WideBandPassFilter'], ['doodle.moog.CompoundAudioNode', 'doodle.moog.webAudioCompat', 'doodle.moog.webAudioCompat.FilterType']);
@@ -13,16 +13,24 @@
 // limitations under the License.
 
 /**
- * @fileoverview Attack, Decay, Sustain, Decay (ADSD) envelope generator.
+ * @fileoverview Attack, Decay, Sustain, Decay (ADSD) envelope generator, with
+ * an optional independent release (ADSR).
  */
 goog.provide('doodle.moog.EnvelopeGenerator');
+goog.provide('doodle.moog.EnvelopeGenerator.Curve');
+goog.provide('doodle.moog.EnvelopeGenerator.Mode');
+goog.provide('doodle.moog.EnvelopeGenerator.Segment');
 
 
 
 /**
  * An ADSD envelope generator, used to control volume of a single synth note.
  *
- * See the Phase_ enum below for a description of how ADSD envelopes work.
+ * See the Phase_ enum below for a description of how ADSD envelopes work.  The
+ * generator starts out in ADSD mode with its decay switch on; see
+ * doodle.moog.EnvelopeGenerator.getReleaseTime for how the mode and switch
+ * change the release.  Every segment starts out linear; see Curve for the other
+ * shapes it can take.
  *
  * @param {number} sampleInterval How many seconds pass with each sample.
  * @param {number} attackTime Initial attack time in seconds.
@@ -63,15 +71,21 @@ doodle.moog.EnvelopeGenerator = function(
   this.attackTime_ = attackTime;
 
   /**
-   * How much the amplitude should be increased for each sample in the attack
-   * phase.
+   * The shape of the attack phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.attackCurve_ = doodle.moog.EnvelopeGenerator.Curve.LINEAR;
+
+  /**
+   * How the amplitude should be moved for each sample in the attack phase.
    *
    * NOTE: This variable and other 'step' variables can be computed from other
    * EnvelopeGenerator state.  We explicitly store these values though since
    * they are precisely the data needed in getNextAmplitudeCoefficient which is
    * typically executed in a sound buffer filling loop and therefore performance
    * critical.
-   * @type {number}
+   * @type {!doodle.moog.EnvelopeGenerator.CurveStep}
    * @private
    */
   this.attackStep_;
@@ -84,9 +98,15 @@ doodle.moog.EnvelopeGenerator = function(
   this.decayTime_ = decayTime;
 
   /**
-   * How much the amplitude should be decreased for each sample in the decay
-   * phase.
-   * @type {number}
+   * The shape of the decay phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.decayCurve_ = doodle.moog.EnvelopeGenerator.Curve.LINEAR;
+
+  /**
+   * How the amplitude should be moved for each sample in the decay phase.
+   * @type {!doodle.moog.EnvelopeGenerator.CurveStep}
    * @private
    */
   this.decayStep_;
@@ -99,11 +119,39 @@ doodle.moog.EnvelopeGenerator = function(
   this.sustainLevel_ = sustainLevel;
 
   /**
-   * How much the amplitude should be decreased for each sample in the release
-   * phase.
+   * The duration of the release phase in seconds, used in ADSR mode.
    * @type {number}
    * @private
    */
+  this.releaseTime_ = decayTime;
+
+  /**
+   * Whether the release phase takes the decay time or its own release time.
+   * @type {doodle.moog.EnvelopeGenerator.Mode}
+   * @private
+   */
+  this.mode_ = doodle.moog.EnvelopeGenerator.Mode.ADSD;
+
+  /**
+   * Whether the decay switch is on.  When off, notes stop almost as soon as
+   * their key is released.
+   * @type {boolean}
+   * @private
+   */
+  this.isDecaySwitchOn_ = true;
+
+  /**
+   * The shape of the release phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.releaseCurve_ = doodle.moog.EnvelopeGenerator.Curve.LINEAR;
+
+  /**
+   * How the amplitude should be moved for each sample in the release phase.
+   * @type {!doodle.moog.EnvelopeGenerator.CurveStep}
+   * @private
+   */
   this.releaseStep_;
 
   this.recomputePhaseSteps_();
@@ -118,29 +166,197 @@ doodle.moog.EnvelopeGenerator = function(
  * @private
  */
 doodle.moog.EnvelopeGenerator.Phase_ = {
-  // A linear ramp up from no volume (just before a key is struck) to maximum
-  // volume.
+  // A ramp up to maximum volume from the volume when a key is struck (none,
+  // unless the previous note is still sounding).
   ATTACK: 0,
-  // A linear ramp down from maximum volume to the sustain volume level.
+  // A ramp down from maximum volume to the sustain volume level.
   DECAY: 1,
   // Once the attack and decay phases have completed, the volume at which the
   // note is held until the key is released.
   SUSTAIN: 2,
-  // A linear ramp down from the sustain volume to no volume after a key is
+  // A ramp down from the sustain volume to no volume after a key is
   // released.  Moog instruments uniquely reuse the decay time parameter for the
-  // release time (hence the "ADSD" acronym instead of "ADSR").
+  // release time (hence the "ADSD" acronym instead of "ADSR"), though ADSR mode
+  // gives the release a time of its own.
   RELEASE: 3,
   // Meta state indicating that the envelope is not currently active.
   INACTIVE: 4
 };
 
 
+/**
+ * Ways of timing the release phase.
+ * @enum {number}
+ */
+doodle.moog.EnvelopeGenerator.Mode = {
+  // The release takes the decay time, like on the Minimoog.
+  ADSD: 0,
+  // The release takes its own release time.
+  ADSR: 1
+};
+
+
+/**
+ * Shapes the phases of an envelope can take.  Whatever the shape, a phase
+ * lasts exactly its set time.
+ * @enum {number}
+ */
+doodle.moog.EnvelopeGenerator.Curve = {
+  // Moves at a constant rate.
+  LINEAR: 0,
+  // Moves like a capacitor charging or discharging through a resistor toward
+  // the phase's target: quickly at first, then slowing as it closes in.
+  EXPONENTIAL: 1,
+  // Like the Minimoog's contour generators.  Rising phases charge toward a
+  // level well past their target and end as they reach it, so the attack stays
+  // steep all the way up.  Falling phases are EXPONENTIAL.
+  ANALOG: 2
+};
+
+
+/**
+ * The segments of an envelope whose curve can be set.
+ * @enum {number}
+ */
+doodle.moog.EnvelopeGenerator.Segment = {
+  ATTACK: 0,
+  DECAY: 1,
+  RELEASE: 2
+};
+
+
+/**
+ * How a curve moves a level with each sample: the level is multiplied by ratio,
+ * then offset is added.  A linear curve has a ratio of 1.
+ * @typedef {{
+ *   ratio: number,
+ *   offset: number
+ * }}
+ */
+doodle.moog.EnvelopeGenerator.CurveStep;
+
+
+/**
+ * A snapshot of an envelope generator's settings.  Plain data, so it can be
+ * posted across threads.
+ * @typedef {{
+ *   attackTime: number,
+ *   decayTime: number,
+ *   sustainLevel: number,
+ *   releaseTime: number,
+ *   mode: doodle.moog.EnvelopeGenerator.Mode,
+ *   isDecaySwitchOn: boolean,
+ *   attackCurve: doodle.moog.EnvelopeGenerator.Curve,
+ *   decayCurve: doodle.moog.EnvelopeGenerator.Curve,
+ *   releaseCurve: doodle.moog.EnvelopeGenerator.Curve
+ * }}
+ */
+doodle.moog.EnvelopeGenerator.Settings;
+
+
+/**
+ * How long the release phase lasts with the decay switch off.  Short enough to
+ * sound immediate, long enough not to click.
+ * @type {number}
+ * @const
+ */
+doodle.moog.EnvelopeGenerator.QUICK_RELEASE_TIME = 0.005;
+
+
+/**
+ * How far past its target an EXPONENTIAL curve aims, as a fraction of the
+ * distance it covers.  The smaller it is, the longer the curve's tail.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.EnvelopeGenerator.EXPONENTIAL_OVERSHOOT_ = 0.01;
+
+
+/**
+ * How far past its target a rising ANALOG curve aims, as a fraction of the
+ * distance it covers.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.EnvelopeGenerator.ANALOG_OVERSHOOT_ = 0.5;
+
+
+/**
+ * Computes how a curve moves a level with each sample so that it goes from one
+ * level to another in a given time.  The costly math happens here, once per
+ * segment, leaving a multiplication and an addition per sample.  Shared with
+ * the low pass filter contour envelopes, which curve the logarithm of the
+ * cutoff frequency.
+ *
+ * Apart from linear ones, curves approach a level past their target (as
+ * capacitors charging toward a voltage would) and the rate is chosen so that
+ * they cross the target right when the time is up.  The caller ends the
+ * segment there.
+ * @param {doodle.moog.EnvelopeGenerator.Curve} curve The shape of the curve.
+ * @param {number} from The level at the start of the segment.
+ * @param {number} to The level at the end of the segment.
+ * @param {number} duration Duration of the segment in seconds.  If it isn't
+ *     positive, the first step jumps straight to the target.
+ * @param {number} sampleInterval How many seconds pass with each sample.
+ * @return {!doodle.moog.EnvelopeGenerator.CurveStep} The step.
+ */
+doodle.moog.EnvelopeGenerator.getCurveStep = function(
+    curve, from, to, duration, sampleInterval) {
+  if (duration <= 0) {
+    return {ratio: 0, offset: to};
+  }
+  if (curve == doodle.moog.EnvelopeGenerator.Curve.LINEAR) {
+    return {ratio: 1, offset: (to - from) * sampleInterval / duration};
+  }
+
+  var overshoot = doodle.moog.EnvelopeGenerator.EXPONENTIAL_OVERSHOOT_;
+  if (curve == doodle.moog.EnvelopeGenerator.Curve.ANALOG && to > from) {
+    overshoot = doodle.moog.EnvelopeGenerator.ANALOG_OVERSHOOT_;
+  }
+  var asymptote = to + (to - from) * overshoot;
+  // After duration / sampleInterval samples, the distance left to the
+  // asymptote has shrunk from (1 + overshoot) to overshoot times the distance
+  // covered.
+  var ratio = Math.pow(
+      overshoot / (1 + overshoot), sampleInterval / duration);
+  return {ratio: ratio, offset: asymptote * (1 - ratio)};
+};
+
+
+/**
+ * Gets how long the release phase of an envelope lasts.  With the decay switch
+ * off, the release is near instant (see QUICK_RELEASE_TIME) whatever the mode.
+ * With it on, the release takes the decay time in ADSD mode and the release
+ * time in ADSR mode.  Shared with the low pass filter contour envelopes.
+ * @param {doodle.moog.EnvelopeGenerator.Mode} mode The envelope mode.
+ * @param {boolean} isDecaySwitchOn Whether the decay switch is on.
+ * @param {number} decayTime Duration of the decay phase in seconds.
+ * @param {number} releaseTime Duration of the release phase in ADSR mode, in
+ *     seconds.
+ * @return {number} Duration of the release phase in seconds.
+ */
+doodle.moog.EnvelopeGenerator.getReleaseTime = function(
+    mode, isDecaySwitchOn, decayTime, releaseTime) {
+  if (!isDecaySwitchOn) {
+    return doodle.moog.EnvelopeGenerator.QUICK_RELEASE_TIME;
+  }
+  return mode == doodle.moog.EnvelopeGenerator.Mode.ADSR ?
+      releaseTime : decayTime;
+};
+
+
 /**
  * Initiates the attack phase of the envelope (e.g., when a key is pressed).
+ * The attack ramps up from the current amplitude over the attack time, so
+ * retriggering an envelope that is still sounding doesn't click.
  */
 doodle.moog.EnvelopeGenerator.prototype.startAttack = function() {
   this.recomputePhaseSteps_();
-  this.amplitudeCoefficient_ = 0;
+  this.attackStep_ = doodle.moog.EnvelopeGenerator.getCurveStep(
+      this.attackCurve_, this.amplitudeCoefficient_, 1, this.attackTime_,
+      this.SAMPLE_INTERVAL_);
   this.phase_ = doodle.moog.EnvelopeGenerator.Phase_.ATTACK;
 };
 
@@ -153,12 +369,9 @@ doodle.moog.EnvelopeGenerator.prototype.startRelease = function() {
     return;
   } else {
     // Compute release step based on the current amplitudeCoefficient_.
-    if (this.decayTime_ <= 0) {
-      this.releaseStep_ = 1;
-    } else {
-      this.releaseStep_ =
-          this.amplitudeCoefficient_ * this.SAMPLE_INTERVAL_ / this.decayTime_;
-    }
+    this.releaseStep_ = doodle.moog.EnvelopeGenerator.getCurveStep(
+        this.releaseCurve_, this.amplitudeCoefficient_, 0,
+        this.getReleaseTime_(), this.SAMPLE_INTERVAL_);
   }
   this.phase_ = doodle.moog.EnvelopeGenerator.Phase_.RELEASE;
 };
@@ -176,14 +389,16 @@ doodle.moog.EnvelopeGenerator.prototype.getNextAmplitudeCoefficient =
     function() {
   switch (this.phase_) {
     case doodle.moog.EnvelopeGenerator.Phase_.ATTACK:
-      this.amplitudeCoefficient_ += this.attackStep_;
+      this.amplitudeCoefficient_ = this.amplitudeCoefficient_ *
+          this.attackStep_.ratio + this.attackStep_.offset;
       if (this.amplitudeCoefficient_ >= 1) {
         this.amplitudeCoefficient_ = 1;
         this.phase_ = doodle.moog.EnvelopeGenerator.Phase_.DECAY;
       }
       break;
     case doodle.moog.EnvelopeGenerator.Phase_.DECAY:
-      this.amplitudeCoefficient_ -= this.decayStep_;
+      this.amplitudeCoefficient_ = this.amplitudeCoefficient_ *
+          this.decayStep_.ratio + this.decayStep_.offset;
       if (this.amplitudeCoefficient_ <= this.sustainLevel_) {
         this.amplitudeCoefficient_ = this.sustainLevel_;
         this.phase_ = doodle.moog.EnvelopeGenerator.Phase_.SUSTAIN;
@@ -193,7 +408,8 @@ doodle.moog.EnvelopeGenerator.prototype.getNextAmplitudeCoefficient =
       // Just stay at the sustain level until a release is signaled.
       break;
     case doodle.moog.EnvelopeGenerator.Phase_.RELEASE:
-      this.amplitudeCoefficient_ -= this.releaseStep_;
+      this.amplitudeCoefficient_ = this.amplitudeCoefficient_ *
+          this.releaseStep_.ratio + this.releaseStep_.offset;
       if (this.amplitudeCoefficient_ <= 0) {
         this.amplitudeCoefficient_ = 0;
         this.phase_ = doodle.moog.EnvelopeGenerator.Phase_.INACTIVE;
@@ -208,6 +424,74 @@ doodle.moog.EnvelopeGenerator.prototype.getNextAmplitudeCoefficient =
 };
 
 
+/**
+ * Gets the amplitude coefficient most recently returned by
+ * getNextAmplitudeCoefficient, without advancing the envelope.
+ * @return {number} An amplitude coefficient in the range [0, 1].
+ */
+doodle.moog.EnvelopeGenerator.prototype.getAmplitudeCoefficient = function() {
+  return this.amplitudeCoefficient_;
+};
+
+
+/**
+ * @return {boolean} Whether the envelope is in any phase other than inactive.
+ */
+doodle.moog.EnvelopeGenerator.prototype.isActive = function() {
+  return this.phase_ != doodle.moog.EnvelopeGenerator.Phase_.INACTIVE;
+};
+
+
+/**
+ * Takes a snapshot of this envelope generator's settings.
+ * @return {!doodle.moog.EnvelopeGenerator.Settings} The settings.
+ */
+doodle.moog.EnvelopeGenerator.prototype.getSettings = function() {
+  return {
+    attackTime: this.attackTime_,
+    decayTime: this.decayTime_,
+    sustainLevel: this.sustainLevel_,
+    releaseTime: this.releaseTime_,
+    mode: this.mode_,
+    isDecaySwitchOn: this.isDecaySwitchOn_,
+    attackCurve: this.attackCurve_,
+    decayCurve: this.decayCurve_,
+    releaseCurve: this.releaseCurve_
+  };
+};
+
+
+/**
+ * Applies a settings snapshot to this envelope generator.  The current phase
+ * and amplitude are left alone.
+ * @param {!doodle.moog.EnvelopeGenerator.Settings} settings The settings to
+ *     apply.
+ */
+doodle.moog.EnvelopeGenerator.prototype.applySettings = function(settings) {
+  if (this.attackTime_ == settings.attackTime &&
+      this.decayTime_ == settings.decayTime &&
+      this.sustainLevel_ == settings.sustainLevel &&
+      this.releaseTime_ == settings.releaseTime &&
+      this.mode_ == settings.mode &&
+      this.isDecaySwitchOn_ == settings.isDecaySwitchOn &&
+      this.attackCurve_ == settings.attackCurve &&
+      this.decayCurve_ == settings.decayCurve &&
+      this.releaseCurve_ == settings.releaseCurve) {
+    return;
+  }
+  this.attackTime_ = settings.attackTime;
+  this.decayTime_ = settings.decayTime;
+  this.sustainLevel_ = settings.sustainLevel;
+  this.releaseTime_ = settings.releaseTime;
+  this.mode_ = settings.mode;
+  this.isDecaySwitchOn_ = settings.isDecaySwitchOn;
+  this.attackCurve_ = settings.attackCurve;
+  this.decayCurve_ = settings.decayCurve;
+  this.releaseCurve_ = settings.releaseCurve;
+  this.recomputePhaseSteps_();
+};
+
+
 /**
  * Sets attack phase duration.
  * @param {number} time Duration of the attack phase in seconds.
@@ -238,24 +522,98 @@ doodle.moog.EnvelopeGenerator.prototype.setSustainLevel = function(level) {
 };
 
 
+/**
+ * Sets release phase duration, used in ADSR mode.
+ * @param {number} time Duration of the release phase in seconds.
+ */
+doodle.moog.EnvelopeGenerator.prototype.setReleaseTime = function(time) {
+  this.releaseTime_ = time;
+  this.recomputePhaseSteps_();
+};
+
+
+/**
+ * Sets whether the release phase takes the decay time or the release time.
+ * @param {doodle.moog.EnvelopeGenerator.Mode} mode The envelope mode.
+ */
+doodle.moog.EnvelopeGenerator.prototype.setMode = function(mode) {
+  this.mode_ = mode;
+  this.recomputePhaseSteps_();
+};
+
+
+/**
+ * Turns on the decay switch, so that the release phase takes the decay or
+ * release time.
+ */
+doodle.moog.EnvelopeGenerator.prototype.turnOnDecaySwitch = function() {
+  this.isDecaySwitchOn_ = true;
+  this.recomputePhaseSteps_();
+};
+
+
+/**
+ * Turns off the decay switch, so that notes stop almost as soon as their key
+ * is released.
+ */
+doodle.moog.EnvelopeGenerator.prototype.turnOffDecaySwitch = function() {
+  this.isDecaySwitchOn_ = false;
+  this.recomputePhaseSteps_();
+};
+
+
+/**
+ * Sets the shape of one of the envelope's segments.
+ * @param {doodle.moog.EnvelopeGenerator.Segment} segment The segment.
+ * @param {doodle.moog.EnvelopeGenerator.Curve} curve The shape.
+ */
+doodle.moog.EnvelopeGenerator.prototype.setCurve = function(segment, curve) {
+  switch (segment) {
+    case doodle.moog.EnvelopeGenerator.Segment.ATTACK:
+      this.attackCurve_ = curve;
+      break;
+    case doodle.moog.EnvelopeGenerator.Segment.DECAY:
+      this.decayCurve_ = curve;
+      break;
+    case doodle.moog.EnvelopeGenerator.Segment.RELEASE:
+      this.releaseCurve_ = curve;
+      break;
+  }
+  this.recomputePhaseSteps_();
+};
+
+
+/**
+ * @return {number} Duration of the release phase in seconds.
+ * @private
+ */
+doodle.moog.EnvelopeGenerator.prototype.getReleaseTime_ = function() {
+  return doodle.moog.EnvelopeGenerator.getReleaseTime(
+      this.mode_, this.isDecaySwitchOn_, this.decayTime_, this.releaseTime_);
+};
+
+
 /**
  * Updates phase step variables to reflect current EnvelopeGenerator state.
+ * The phase under way starts over from the current amplitude, as startAttack
+ * and startRelease start theirs, so that it still reaches its target; the
+ * others are computed from the levels they will start at.
  * @private
  */
 doodle.moog.EnvelopeGenerator.prototype.recomputePhaseSteps_ = function() {
-  if (this.attackTime_ <= 0) {
-    this.attackStep_ = 1;
-  } else {
-    this.attackStep_ = this.SAMPLE_INTERVAL_ / this.attackTime_;
-  }
-
-  if (this.decayTime_ <= 0) {
-    this.decayStep_ = 1;
-    this.releaseStep_ = 1;
-  } else {
-    this.decayStep_ =
-        (1 - this.sustainLevel_) * this.SAMPLE_INTERVAL_ / this.decayTime_;
-    this.releaseStep_ =
-        this.sustainLevel_ * this.SAMPLE_INTERVAL_ / this.decayTime_;
-  }
+  var phase = this.phase_;
+  var level = this.amplitudeCoefficient_;
+  this.attackStep_ = doodle.moog.EnvelopeGenerator.getCurveStep(
+      this.attackCurve_,
+      phase == doodle.moog.EnvelopeGenerator.Phase_.ATTACK ? level : 0, 1,
+      this.attackTime_, this.SAMPLE_INTERVAL_);
+  this.decayStep_ = doodle.moog.EnvelopeGenerator.getCurveStep(
+      this.decayCurve_,
+      phase == doodle.moog.EnvelopeGenerator.Phase_.DECAY ? level : 1,
+      this.sustainLevel_, this.decayTime_, this.SAMPLE_INTERVAL_);
+  this.releaseStep_ = doodle.moog.EnvelopeGenerator.getCurveStep(
+      this.releaseCurve_,
+      phase == doodle.moog.EnvelopeGenerator.Phase_.RELEASE ?
+          level : this.sustainLevel_,
+      0, this.getReleaseTime_(), this.SAMPLE_INTERVAL_);
 };
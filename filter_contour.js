@@ -0,0 +1,400 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Low pass filter contour envelope computed sample by sample.
+ */
+goog.provide('doodle.moog.FilterContour');
+
+goog.require('doodle.moog.EnvelopeGenerator');
+goog.require('doodle.moog.EnvelopeGenerator.Curve');
+goog.require('doodle.moog.EnvelopeGenerator.Mode');
+goog.require('doodle.moog.LowPassFilterInterface.KeyboardTracking');
+
+
+
+/**
+ * The contour envelope of a low pass filter, computed in JavaScript so that
+ * filters rendered outside of Web Audio nodes can follow it.  Moves the cutoff
+ * frequency exactly as doodle.moog.LowPassFilter schedules it on its
+ * AudioParam: a ramp up to the contour frequency over the attack time, then a
+ * ramp down to the sustain frequency over the decay time.  On release, another
+ * ramp brings it back to the cutoff frequency, timed like an envelope
+ * generator's release (see doodle.moog.EnvelopeGenerator.getReleaseTime).
+ *
+ * Each ramp follows the curve set for its segment, applied to the logarithm of
+ * the frequency; a LINEAR curve is thus an exponential ramp, moving by the same
+ * interval every sample.
+ * @param {{sampleRate: number}} audioContext Audio context to which this
+ *     contour will be bound.  Only its sample rate is used.
+ * @param {!doodle.moog.FilterContour.Settings} settings Initial settings.
+ * @constructor
+ */
+doodle.moog.FilterContour = function(audioContext, settings) {
+  /**
+   * Number of samples per second.
+   * @type {number}
+   * @private
+   * @const
+   */
+  this.SAMPLE_RATE_ = audioContext.sampleRate;
+
+  /**
+   * Frequency above which sound should be progressively attenuated.
+   * @type {number}
+   * @private
+   */
+  this.cutoffFrequency_;
+
+  /**
+   * Cutoff frequency coefficient reached at the end of the attack phase.
+   * @type {number}
+   * @private
+   */
+  this.contour_;
+
+  /**
+   * The duration of the attack phase in seconds.
+   * @type {number}
+   * @private
+   */
+  this.attackTime_;
+
+  /**
+   * The duration of the decay phase in seconds.
+   * @type {number}
+   * @private
+   */
+  this.decayTime_;
+
+  /**
+   * The sustain frequency coefficient.
+   * @type {number}
+   * @private
+   */
+  this.sustainLevel_;
+
+  /**
+   * The duration of the release phase in seconds, used in ADSR mode.
+   * @type {number}
+   * @private
+   */
+  this.releaseTime_;
+
+  /**
+   * Whether the release phase takes the decay time or the release time.
+   * @type {doodle.moog.EnvelopeGenerator.Mode}
+   * @private
+   */
+  this.mode_;
+
+  /**
+   * Whether the decay switch is on.
+   * @type {boolean}
+   * @private
+   */
+  this.isDecaySwitchOn_;
+
+  /**
+   * How far the cutoff frequency follows the keyboard.
+   * @type {doodle.moog.LowPassFilterInterface.KeyboardTracking}
+   * @private
+   */
+  this.keyboardTracking_;
+
+  /**
+   * The shape of the attack phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.attackCurve_;
+
+  /**
+   * The shape of the decay phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.decayCurve_;
+
+  /**
+   * The shape of the release phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.releaseCurve_;
+
+  /**
+   * Chromatic index of the note that last started the envelope.
+   * @type {number}
+   * @private
+   */
+  this.note_ = 0;
+
+  /**
+   * The phase of the envelope.
+   * @type {doodle.moog.FilterContour.Phase_}
+   * @private
+   */
+  this.phase_ = doodle.moog.FilterContour.Phase_.HOLD;
+
+  /**
+   * Natural log of the current cutoff frequency.
+   * @type {number}
+   * @private
+   */
+  this.logFrequency_;
+
+  /**
+   * The current cutoff frequency, kept alongside its log so that it's only
+   * recomputed while ramping.
+   * @type {number}
+   * @private
+   */
+  this.frequency_;
+
+  /**
+   * Natural log of the cutoff frequency at the end of the current ramp.
+   * @type {number}
+   * @private
+   */
+  this.targetLogFrequency_ = 0;
+
+  /**
+   * How the log of the cutoff frequency moves with each sample of the current
+   * ramp.
+   * @type {!doodle.moog.EnvelopeGenerator.CurveStep}
+   * @private
+   */
+  this.step_ = {ratio: 1, offset: 0};
+
+  /**
+   * How many samples are left in the current ramp.
+   * @type {number}
+   * @private
+   */
+  this.samplesLeft_ = 0;
+
+  this.applySettings(settings);
+};
+
+
+/**
+ * A snapshot of a filter contour's settings.  Plain data, so it can be posted
+ * across threads.
+ * @typedef {{
+ *   cutoffFrequency: number,
+ *   contour: number,
+ *   attackTime: number,
+ *   decayTime: number,
+ *   sustainLevel: number,
+ *   releaseTime: number,
+ *   mode: doodle.moog.EnvelopeGenerator.Mode,
+ *   isDecaySwitchOn: boolean,
+ *   keyboardTracking: doodle.moog.LowPassFilterInterface.KeyboardTracking,
+ *   attackCurve: doodle.moog.EnvelopeGenerator.Curve,
+ *   decayCurve: doodle.moog.EnvelopeGenerator.Curve,
+ *   releaseCurve: doodle.moog.EnvelopeGenerator.Curve
+ * }}
+ */
+doodle.moog.FilterContour.Settings;
+
+
+/**
+ * Phases of the contour envelope.
+ * @enum {number}
+ * @private
+ */
+doodle.moog.FilterContour.Phase_ = {
+  ATTACK: 0,
+  DECAY: 1,
+  RELEASE: 2,
+  // The cutoff frequency stays where it is.
+  HOLD: 3
+};
+
+
+/**
+ * The lowest frequency the envelope ramps to.  Ramps on the log of the
+ * frequency can't reach zero.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.FilterContour.MIN_FREQUENCY_ = 1;
+
+
+/**
+ * @return {!doodle.moog.FilterContour.Settings} A snapshot of this contour's
+ *     settings.
+ */
+doodle.moog.FilterContour.prototype.getSettings = function() {
+  return {
+    cutoffFrequency: this.cutoffFrequency_,
+    contour: this.contour_,
+    attackTime: this.attackTime_,
+    decayTime: this.decayTime_,
+    sustainLevel: this.sustainLevel_,
+    releaseTime: this.releaseTime_,
+    mode: this.mode_,
+    isDecaySwitchOn: this.isDecaySwitchOn_,
+    keyboardTracking: this.keyboardTracking_,
+    attackCurve: this.attackCurve_,
+    decayCurve: this.decayCurve_,
+    releaseCurve: this.releaseCurve_
+  };
+};
+
+
+/**
+ * Applies a settings snapshot to this contour.  Like changing a setting on
+ * doodle.moog.LowPassFilter, this cancels the envelope and returns to the
+ * cutoff frequency.
+ * @param {!doodle.moog.FilterContour.Settings} settings The settings to apply.
+ */
+doodle.moog.FilterContour.prototype.applySettings = function(settings) {
+  this.cutoffFrequency_ = settings.cutoffFrequency;
+  this.contour_ = settings.contour;
+  this.attackTime_ = settings.attackTime;
+  this.decayTime_ = settings.decayTime;
+  this.sustainLevel_ = settings.sustainLevel;
+  this.releaseTime_ = settings.releaseTime;
+  this.mode_ = settings.mode;
+  this.isDecaySwitchOn_ = settings.isDecaySwitchOn;
+  this.keyboardTracking_ = settings.keyboardTracking;
+  this.attackCurve_ = settings.attackCurve;
+  this.decayCurve_ = settings.decayCurve;
+  this.releaseCurve_ = settings.releaseCurve;
+
+  this.phase_ = doodle.moog.FilterContour.Phase_.HOLD;
+  this.samplesLeft_ = 0;
+  this.setFrequency_(this.getTrackedCutoffFrequency_());
+};
+
+
+/**
+ * Initiates the attack phase of the envelope (e.g., when a key is pressed),
+ * ramping from the current cutoff frequency.
+ * @param {number} note Chromatic index of the note being played relative to
+ *     the beginning of the keyboard.  The cutoff frequency tracks it according
+ *     to the keyboard tracking amount.
+ */
+doodle.moog.FilterContour.prototype.startAttack = function(note) {
+  this.note_ = note;
+  this.startRamp_(doodle.moog.FilterContour.Phase_.ATTACK,
+      this.contour_ * this.getTrackedCutoffFrequency_(), this.attackTime_,
+      this.attackCurve_);
+};
+
+
+/**
+ * Initiates the release phase of the envelope (e.g., when a key is lifted).
+ */
+doodle.moog.FilterContour.prototype.startRelease = function() {
+  this.startRamp_(doodle.moog.FilterContour.Phase_.RELEASE,
+      this.getTrackedCutoffFrequency_(),
+      doodle.moog.EnvelopeGenerator.getReleaseTime(
+          this.mode_, this.isDecaySwitchOn_, this.decayTime_,
+          this.releaseTime_),
+      this.releaseCurve_);
+};
+
+
+/**
+ * Gets the cutoff frequency for the next sample and advances the envelope.
+ * @return {number} The cutoff frequency in hertz.
+ */
+doodle.moog.FilterContour.prototype.getNextFrequency = function() {
+  var frequency = this.frequency_;
+  if (this.samplesLeft_ > 0) {
+    this.logFrequency_ =
+        this.logFrequency_ * this.step_.ratio + this.step_.offset;
+    if (--this.samplesLeft_ == 0) {
+      this.logFrequency_ = this.targetLogFrequency_;
+      this.finishRamp_();
+    }
+    this.frequency_ = Math.exp(this.logFrequency_);
+  }
+  return frequency;
+};
+
+
+/**
+ * @return {number} The cutoff frequency moved by keyboard tracking for the
+ *     note that last started the envelope.
+ * @private
+ */
+doodle.moog.FilterContour.prototype.getTrackedCutoffFrequency_ = function() {
+  return this.cutoffFrequency_ *
+      Math.pow(2, this.keyboardTracking_ * this.note_ / 12);
+};
+
+
+/**
+ * Jumps to a cutoff frequency.
+ * @param {number} frequency The frequency in hertz.
+ * @private
+ */
+doodle.moog.FilterContour.prototype.setFrequency_ = function(frequency) {
+  this.frequency_ =
+      Math.max(doodle.moog.FilterContour.MIN_FREQUENCY_, frequency);
+  this.logFrequency_ = Math.log(this.frequency_);
+};
+
+
+/**
+ * Starts a ramp from the current cutoff frequency.
+ * @param {doodle.moog.FilterContour.Phase_} phase The phase the ramp belongs
+ *     to.
+ * @param {number} targetFrequency The frequency to ramp to.
+ * @param {number} duration The duration of the ramp in seconds.
+ * @param {doodle.moog.EnvelopeGenerator.Curve} curve The shape of the ramp.
+ * @private
+ */
+doodle.moog.FilterContour.prototype.startRamp_ = function(
+    phase, targetFrequency, duration, curve) {
+  this.phase_ = phase;
+  this.targetLogFrequency_ = Math.log(
+      Math.max(doodle.moog.FilterContour.MIN_FREQUENCY_, targetFrequency));
+  this.samplesLeft_ = Math.round(duration * this.SAMPLE_RATE_);
+  if (this.samplesLeft_ > 0) {
+    // Time the curve by the rounded sample count, so that it lands on the
+    // target just as the ramp ends.
+    this.step_ = doodle.moog.EnvelopeGenerator.getCurveStep(
+        curve, this.logFrequency_, this.targetLogFrequency_,
+        this.samplesLeft_ / this.SAMPLE_RATE_, 1 / this.SAMPLE_RATE_);
+  } else {
+    // Like an AudioParam ramp ending now, jump straight to the target.
+    this.logFrequency_ = this.targetLogFrequency_;
+    this.frequency_ = Math.exp(this.logFrequency_);
+    this.finishRamp_();
+  }
+};
+
+
+/**
+ * Moves on to the phase after the ramp that just ended.
+ * @private
+ */
+doodle.moog.FilterContour.prototype.finishRamp_ = function() {
+  if (this.phase_ == doodle.moog.FilterContour.Phase_.ATTACK) {
+    var cutoffFrequency = this.getTrackedCutoffFrequency_();
+    var contourFrequency = this.contour_ * cutoffFrequency;
+    this.startRamp_(doodle.moog.FilterContour.Phase_.DECAY,
+        cutoffFrequency +
+        this.sustainLevel_ * (contourFrequency - cutoffFrequency),
+        this.decayTime_, this.decayCurve_);
+  } else {
+    this.phase_ = doodle.moog.FilterContour.Phase_.HOLD;
+  }
+};
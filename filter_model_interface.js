@@ -0,0 +1,73 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Interface for low pass filters computed in JavaScript.
+ */
+goog.provide('doodle.moog.FilterModelInterface');
+
+
+
+/**
+ * A low pass filter with a contour envelope that filters sample buffers in
+ * place, so that doodle.moog.VoiceRenderer can run it wherever it runs itself.
+ * @interface
+ */
+doodle.moog.FilterModelInterface = function() {};
+
+
+/**
+ * @return {!doodle.moog.LowPassFilterInterface.Settings} A snapshot of this
+ *     model's settings.
+ */
+doodle.moog.FilterModelInterface.prototype.getSettings = function() {};
+
+
+/**
+ * Applies a settings snapshot to this model.  Cancels the contour envelope;
+ * see doodle.moog.FilterContour#applySettings.
+ * @param {!doodle.moog.LowPassFilterInterface.Settings} settings The settings
+ *     to apply.
+ */
+doodle.moog.FilterModelInterface.prototype.applySettings = function(
+    settings) {};
+
+
+/**
+ * Initiates the attack phase of the contour envelope (e.g., when a key is
+ * pressed).
+ * @param {number} note Chromatic index of the note being played relative to
+ *     the beginning of the keyboard.
+ */
+doodle.moog.FilterModelInterface.prototype.startAttack = function(note) {};
+
+
+/**
+ * Initiates the release phase of the contour envelope (e.g., when a key is
+ * lifted).
+ */
+doodle.moog.FilterModelInterface.prototype.startRelease = function() {};
+
+
+/**
+ * Filters a block of samples in place.
+ * @param {!Float32Array} right The right (or only) channel to filter.
+ * @param {Float32Array} left The left channel to filter, or null if the output
+ *     is monaural.
+ * @param {Float32Array} cutoffModulation The cutoff modulation amount of each
+ *     sample, or null if nothing modulates the cutoff frequency.  See
+ *     doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE.
+ */
+doodle.moog.FilterModelInterface.prototype.process = function(
+    right, left, cutoffModulation) {};
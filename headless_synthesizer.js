@@ -0,0 +1,441 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A synthesizer that renders into plain sample buffers, with no
+ * audio context, so it runs outside the browser: in Node, in tests, on a
+ * build server.
+ */
+goog.provide('doodle.moog.HeadlessSynthesizer');
+
+goog.require('doodle.moog.Biquad');
+goog.require('doodle.moog.Biquad.Type');
+goog.require('doodle.moog.HeadlessVoice');
+goog.require('doodle.moog.KeyAssigner');
+goog.require('doodle.moog.LadderModel');
+goog.require('doodle.moog.LowPassModel');
+goog.require('doodle.moog.Oscillator');
+goog.require('doodle.moog.OscillatorInterface');
+goog.require('doodle.moog.SynthesizerInterface.VoiceMode');
+goog.require('doodle.moog.patch');
+goog.require('goog.array');
+
+
+
+/**
+ * Plays a patch the way doodle.moog.Synthesizer does, and through the same
+ * oscillator, envelope, modulation and key assignment code, but renders on
+ * demand into Float32Arrays instead of feeding Web Audio nodes.  Voices are
+ * filtered by doodle.moog.LowPassModel, which computes what the Web Audio
+ * biquad of doodle.moog.LowPassFilter does, or by the ladder model; the mix
+ * then goes through a model of the wide band pass filter the doodle plays
+ * through.
+ *
+ * Times given to setKeyDown and setKeyUp are in seconds from the first sample
+ * rendered.
+ * @param {*} patch The patch to play, as returned by
+ *     doodle.moog.SynthesizerInterface#getPatch or parsed from JSON.  An
+ *     error is thrown if it is invalid.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @param {boolean=} opt_useLadderFilter Whether to filter voices through the
+ *     ladder model, as doodle.moog.Moog.USE_LADDER_FILTER does, rather than
+ *     the biquad.
+ * @constructor
+ */
+doodle.moog.HeadlessSynthesizer = function(
+    patch, sampleRate, opt_useLadderFilter) {
+  /**
+   * Stands in for an audio context.  The DSP code only reads its sample rate.
+   * @type {{sampleRate: number}}
+   * @private
+   */
+  this.context_ = {sampleRate: sampleRate};
+
+  /**
+   * Whether voices are filtered through the ladder model.
+   * @type {boolean}
+   * @private
+   */
+  this.useLadderFilter_ = !!opt_useLadderFilter;
+
+  /**
+   * The patch being played.
+   * @type {!doodle.moog.patch.Patch}
+   * @private
+   */
+  this.patch_ = doodle.moog.HeadlessSynthesizer.validatePatch_(patch);
+
+  /**
+   * The voices currently in use.  Only the first is used in MONO mode.
+   * @type {!Array.<!doodle.moog.HeadlessVoice>}
+   * @private
+   */
+  this.voices_ = [this.createVoice_()];
+
+  /**
+   * Decides which voices play key presses.
+   * @type {!doodle.moog.KeyAssigner}
+   * @private
+   */
+  this.keyAssigner_ = new doodle.moog.KeyAssigner(this.voices_);
+
+  /**
+   * The high frequency half of the wide band pass filter.
+   * @type {!doodle.moog.Biquad}
+   * @private
+   */
+  this.lowPassFilter_ = new doodle.moog.Biquad(
+      this.context_, doodle.moog.Biquad.Type.LOWPASS,
+      doodle.moog.HeadlessSynthesizer.HIGH_CUTOFF_FREQUENCY_, 1);
+
+  /**
+   * The low frequency half of the wide band pass filter.
+   * @type {!doodle.moog.Biquad}
+   * @private
+   */
+  this.highPassFilter_ = new doodle.moog.Biquad(
+      this.context_, doodle.moog.Biquad.Type.HIGHPASS,
+      doodle.moog.HeadlessSynthesizer.LOW_CUTOFF_FREQUENCY_, 1);
+
+  /**
+   * How many samples have been rendered.
+   * @type {number}
+   * @private
+   */
+  this.renderedSampleCount_ = 0;
+
+  /**
+   * Buffers into which each voice is rendered before being mixed, right
+   * channel first.  Allocated on first use.
+   * @type {!Array.<!Float32Array>}
+   * @private
+   */
+  this.voiceSamples_ = [];
+
+  this.updateSettings_();
+};
+
+
+/**
+ * The cutoff frequency below which the wide band pass filter attenuates sound,
+ * as doodle.moog.Moog.createWideBandPassFilter sets it.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.LOW_CUTOFF_FREQUENCY_ = 20;
+
+
+/**
+ * The cutoff frequency above which the wide band pass filter attenuates sound.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.HIGH_CUTOFF_FREQUENCY_ = 20000;
+
+
+/**
+ * Index of the oscillator that doubles as a modulator.  Patches don't record
+ * it.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.MODULATOR_INDEX_ = 2;
+
+
+/**
+ * How many samples renderChannels renders at a time.
+ * Matches the render quantum of an AudioWorklet.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.BLOCK_SIZE_ = 128;
+
+
+/**
+ * Renders a patch playing a list of key events, like doodle.moog.bounce.render
+ * but without an audio context.
+ * @param {*} patch The patch, as returned by
+ *     doodle.moog.SynthesizerInterface#getPatch or parsed from JSON.  An error
+ *     is thrown if it is invalid.
+ * @param {!Array.<!doodle.moog.midiFile.KeyEvent>} events The key events, in
+ *     time order, timed from the start of the render.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @param {number} length How long to render, in seconds.  Keys still held at
+ *     the end are cut off.
+ * @param {boolean=} opt_useLadderFilter Whether to filter voices through the
+ *     ladder model.
+ * @return {!Array.<!Float32Array>} The two rendered channels, in the order of
+ *     an AudioBuffer's channels.
+ */
+doodle.moog.HeadlessSynthesizer.renderKeyEvents = function(
+    patch, events, sampleRate, length, opt_useLadderFilter) {
+  var synthesizer = new doodle.moog.HeadlessSynthesizer(
+      patch, sampleRate, opt_useLadderFilter);
+  goog.array.forEach(events, function(event) {
+    if (event.isKeyDown) {
+      synthesizer.setKeyDown(event.note, event.time);
+    } else {
+      synthesizer.setKeyUp(event.note, event.time);
+    }
+  });
+
+  return synthesizer.renderChannels(length);
+};
+
+
+/**
+ * Brings a patch up to date and checks it.
+ * @param {*} patch The patch.
+ * @return {!doodle.moog.patch.Patch} The valid patch.
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.validatePatch_ = function(patch) {
+  var migrated = doodle.moog.patch.migrate(patch);
+  doodle.moog.patch.validate(
+      migrated, doodle.moog.OscillatorInterface.VOICE_OSCILLATOR_COUNT);
+  return /** @type {!doodle.moog.patch.Patch} */ (migrated);
+};
+
+
+/**
+ * Applies a patch, without interrupting the notes being played unless the
+ * voice mode changes.
+ * @param {*} patch The patch, as returned by
+ *     doodle.moog.SynthesizerInterface#getPatch or parsed from JSON.  An
+ *     error is thrown, leaving the synthesizer alone, if it is invalid.
+ */
+doodle.moog.HeadlessSynthesizer.prototype.applyPatch = function(patch) {
+  this.patch_ = doodle.moog.HeadlessSynthesizer.validatePatch_(patch);
+  this.updateSettings_();
+};
+
+
+/**
+ * Presses a key.  See doodle.moog.SynthesizerInterface#setKeyDown.
+ *
+ * A key press that triggers a voice can also set how loud that voice plays and
+ * where its filter cutoff sits, until the voice is next triggered.  Key presses
+ * that only retune a MONO voice leave both alone.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number=} opt_time Time at which the key is pressed, in seconds from
+ *     the first sample rendered.  Defaults to the next sample rendered.
+ * @param {number=} opt_velocity How hard the key is pressed, in the range
+ *     [0, 1].  Scales the volume of every oscillator.  Defaults to 1.
+ * @param {number=} opt_cutoffFrequency The filter cutoff frequency for the
+ *     note, in hertz.  Defaults to the patch's.
+ */
+doodle.moog.HeadlessSynthesizer.prototype.setKeyDown = function(
+    note, opt_time, opt_velocity, opt_cutoffFrequency) {
+  var voice = /** @type {doodle.moog.HeadlessVoice} */ (
+      this.keyAssigner_.setKeyDown(note, opt_time));
+  if (voice) {
+    voice.renderer.schedule(goog.bind(this.applyNoteControls_, this, voice,
+        note, goog.isDef(opt_velocity) ? opt_velocity : 1,
+        opt_cutoffFrequency || this.patch_.filter.contour.cutoffFrequency),
+        opt_time);
+  }
+};
+
+
+/**
+ * Releases a key, or every key.  See doodle.moog.SynthesizerInterface#setKeyUp.
+ * @param {number=} opt_note Chromatic index of the note whose key is released.
+ *     If omitted, every key is released.
+ * @param {number=} opt_time Time at which the key is released, in seconds
+ *     from the first sample rendered.  Defaults to the next sample rendered.
+ */
+doodle.moog.HeadlessSynthesizer.prototype.setKeyUp = function(
+    opt_note, opt_time) {
+  this.keyAssigner_.setKeyUp(opt_note, opt_time);
+};
+
+
+/**
+ * Drops every key press and release scheduled for later and releases every
+ * key.
+ */
+doodle.moog.HeadlessSynthesizer.prototype.cancelScheduledKeys = function() {
+  this.keyAssigner_.cancelScheduledKeys();
+};
+
+
+/**
+ * @return {number} Time of the next sample to be rendered, in seconds from the
+ *     first.
+ */
+doodle.moog.HeadlessSynthesizer.prototype.getCurrentTime = function() {
+  return this.renderedSampleCount_ / this.context_.sampleRate;
+};
+
+
+/**
+ * Renders the next block of samples.  Key events scheduled within the block
+ * land on their exact samples.
+ * @param {!Array.<!Float32Array>} channels The channels to fill, all of the
+ *     same length: one for monaural output, or two, in the order of an
+ *     AudioBuffer's channels.
+ */
+doodle.moog.HeadlessSynthesizer.prototype.render = function(channels) {
+  var right = channels[0];
+  var left = channels[1] || null;
+  var length = right.length;
+  if (!this.voiceSamples_.length || this.voiceSamples_[0].length != length) {
+    this.voiceSamples_ = [new Float32Array(length), new Float32Array(length)];
+  }
+  var voiceRight = this.voiceSamples_[0];
+  var voiceLeft = left && this.voiceSamples_[1];
+
+  var time = this.getCurrentTime();
+  var volume = this.patch_.volume;
+  goog.array.forEach(this.voices_, function(voice, i) {
+    voice.renderer.render(voiceRight, voiceLeft, time);
+    for (var j = 0; j < length; j++) {
+      right[j] = (i == 0 ? 0 : right[j]) + volume * voiceRight[j];
+      if (left) {
+        left[j] = (i == 0 ? 0 : left[j]) + volume * voiceLeft[j];
+      }
+    }
+  });
+
+  this.lowPassFilter_.process(right, left);
+  this.highPassFilter_.process(right, left);
+  this.renderedSampleCount_ += length;
+};
+
+
+/**
+ * Renders the next stretch of samples into new buffers.
+ * @param {number} length How long to render, in seconds.
+ * @return {!Array.<!Float32Array>} The two rendered channels, in the order of
+ *     an AudioBuffer's channels.
+ */
+doodle.moog.HeadlessSynthesizer.prototype.renderChannels = function(length) {
+  var frameCount = Math.ceil(length * this.context_.sampleRate);
+  var channels = [new Float32Array(frameCount), new Float32Array(frameCount)];
+  var blockSize = doodle.moog.HeadlessSynthesizer.BLOCK_SIZE_;
+  for (var start = 0; start < frameCount; start += blockSize) {
+    var end = Math.min(start + blockSize, frameCount);
+    this.render(goog.array.map(channels, function(channel) {
+      return channel.subarray(start, end);
+    }));
+  }
+  return channels;
+};
+
+
+/**
+ * Passes the settings of the current patch to the key assigner and every
+ * voice.
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.prototype.updateSettings_ = function() {
+  var voices = this.patch_.voices;
+  this.keyAssigner_.setVoiceMode(voices.mode);
+  this.keyAssigner_.setVoiceStealingPolicy(voices.stealingPolicy);
+  this.keyAssigner_.setNotePriority(voices.notePriority);
+  this.keyAssigner_.setTriggerMode(voices.triggerMode);
+  this.updateVoices_();
+  goog.array.forEach(this.voices_, this.applyPatchToVoice_, this);
+};
+
+
+/**
+ * Adds or removes voices so that the number of voices matches the patch's
+ * voice mode and voice count.
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.prototype.updateVoices_ = function() {
+  var voices = this.patch_.voices;
+  var targetCount =
+      voices.mode == doodle.moog.SynthesizerInterface.VoiceMode.POLY ?
+      Math.max(1, Math.floor(voices.count)) : 1;
+  while (this.voices_.length > targetCount) {
+    this.voices_.pop();
+  }
+  while (this.voices_.length < targetCount) {
+    this.voices_.push(this.createVoice_());
+  }
+};
+
+
+/**
+ * Creates a voice with the current patch's oscillator and filter settings.
+ * @return {!doodle.moog.HeadlessVoice} The voice.
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.prototype.createVoice_ = function() {
+  var oscillators =
+      goog.array.map(this.patch_.oscillators, function(settings, i) {
+        return doodle.moog.Oscillator.fromSettings(this.context_,
+            i == doodle.moog.HeadlessSynthesizer.MODULATOR_INDEX_, settings);
+      }, this);
+  var filterModel = this.useLadderFilter_ ?
+      new doodle.moog.LadderModel(this.context_, this.patch_.filter) :
+      new doodle.moog.LowPassModel(this.context_, this.patch_.filter);
+  return new doodle.moog.HeadlessVoice(this.context_, oscillators, filterModel);
+};
+
+
+/**
+ * Sets the volume and filter cutoff frequency of a voice for the note it has
+ * just been triggered with.  Called right after the voice's envelopes are
+ * triggered.
+ * @param {!doodle.moog.HeadlessVoice} voice The voice.
+ * @param {number} note Chromatic index of the note.
+ * @param {number} velocity How hard the key was pressed, in the range [0, 1].
+ * @param {number} cutoffFrequency The filter cutoff frequency, in hertz.
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.prototype.applyNoteControls_ = function(
+    voice, note, velocity, cutoffFrequency) {
+  var patch = this.patch_;
+  var renderer = voice.renderer;
+  goog.array.forEach(renderer.oscillators, function(oscillator, i) {
+    oscillator.setVolume(velocity * patch.oscillators[i].volume);
+  });
+
+  var settings = renderer.filterModel.getSettings();
+  if (settings.contour.cutoffFrequency != cutoffFrequency) {
+    settings.contour.cutoffFrequency = cutoffFrequency;
+    // Applying settings cancels the contour, so its attack starts over from
+    // the new cutoff frequency.
+    renderer.filterModel.applySettings(settings);
+    renderer.filterModel.startAttack(note);
+  }
+};
+
+
+/**
+ * Applies the current patch to a voice.
+ * @param {!doodle.moog.HeadlessVoice} voice The voice.
+ * @private
+ */
+doodle.moog.HeadlessSynthesizer.prototype.applyPatchToVoice_ = function(
+    voice) {
+  var patch = this.patch_;
+  var renderer = voice.renderer;
+  goog.array.forEach(renderer.oscillators, function(oscillator, i) {
+    oscillator.applySettings(patch.oscillators[i]);
+  });
+  renderer.setUnison(patch.voices.unisonCount, patch.voices.unisonDetune,
+      patch.voices.unisonStereoSpread);
+  renderer.setModulationRoutes(patch.modulationRoutes);
+  renderer.lfo.applySettings(patch.lfo);
+  renderer.filterModel.applySettings(patch.filter);
+};
@@ -0,0 +1,137 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A synthesizer voice rendered without Web Audio.
+ */
+goog.provide('doodle.moog.HeadlessVoice');
+
+goog.require('doodle.moog.VoiceInterface');
+goog.require('doodle.moog.VoiceRenderer');
+
+
+
+/**
+ * One voice of doodle.moog.HeadlessSynthesizer.  Like doodle.moog.Voice, it
+ * owns its oscillators and its filter, but rather than feeding Web Audio nodes
+ * it renders into whatever sample buffers it is handed, filter included.
+ * @param {{sampleRate: number}} audioContext Audio context to which this voice
+ *     will be bound.  Only its sample rate is used.
+ * @param {!Array.<!doodle.moog.Oscillator>} oscillators The oscillators used
+ *     within this voice.
+ * @param {!doodle.moog.FilterModelInterface} filterModel The low pass filter
+ *     used within this voice.
+ * @constructor
+ * @implements {doodle.moog.VoiceInterface}
+ */
+doodle.moog.HeadlessVoice = function(audioContext, oscillators, filterModel) {
+  /**
+   * Renders the oscillators and filter of this voice.
+   * @type {!doodle.moog.VoiceRenderer}
+   */
+  this.renderer = new doodle.moog.VoiceRenderer(audioContext, oscillators);
+  this.renderer.filterModel = filterModel;
+
+  /**
+   * Chromatic index of the note this voice was last asked to play.  Null until
+   * the voice plays its first note.
+   * @type {?number}
+   */
+  this.note = null;
+
+  /**
+   * Sequence number of the key press that last triggered this voice.
+   * @type {number}
+   */
+  this.triggerIndex = 0;
+
+  /**
+   * Whether the key that triggered this voice is still held down.
+   * @type {boolean}
+   * @private
+   */
+  this.isKeyHeld_ = false;
+};
+
+
+/**
+ * Starts playing a note on this voice.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number} triggerIndex Sequence number of the key press.
+ * @param {number=} opt_time Render time at which the note starts.  Defaults to
+ *     right away.
+ * @override
+ */
+doodle.moog.HeadlessVoice.prototype.noteOn = function(
+    note, triggerIndex, opt_time) {
+  this.note = note;
+  this.triggerIndex = triggerIndex;
+  this.isKeyHeld_ = true;
+  this.renderer.schedule(
+      goog.bind(this.renderer.noteOn, this.renderer, note), opt_time);
+};
+
+
+/**
+ * Changes the note playing on this voice without retriggering its envelopes.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number=} opt_time Render time at which the note changes.  Defaults
+ *     to right away.
+ * @override
+ */
+doodle.moog.HeadlessVoice.prototype.retune = function(note, opt_time) {
+  this.note = note;
+  this.renderer.schedule(
+      goog.bind(this.renderer.retune, this.renderer, note), opt_time);
+};
+
+
+/**
+ * Releases the note playing on this voice.
+ * @param {number=} opt_time Render time at which the note is released.
+ *     Defaults to right away.
+ * @override
+ */
+doodle.moog.HeadlessVoice.prototype.noteOff = function(opt_time) {
+  this.isKeyHeld_ = false;
+  this.renderer.schedule(
+      goog.bind(this.renderer.noteOff, this.renderer), opt_time);
+};
+
+
+/** @inheritDoc */
+doodle.moog.HeadlessVoice.prototype.cancelScheduledNotes = function() {
+  this.renderer.cancelScheduledEvents();
+  this.noteOff();
+};
+
+
+/** @inheritDoc */
+doodle.moog.HeadlessVoice.prototype.isKeyHeld = function() {
+  return this.isKeyHeld_;
+};
+
+
+/** @inheritDoc */
+doodle.moog.HeadlessVoice.prototype.isSounding = function() {
+  return this.renderer.isSounding();
+};
+
+
+/** @inheritDoc */
+doodle.moog.HeadlessVoice.prototype.getLevel = function() {
+  return this.renderer.getLevel();
+};
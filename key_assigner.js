@@ -0,0 +1,315 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Assignment of key presses to synthesizer voices.
+ */
+goog.provide('doodle.moog.KeyAssigner');
+
+goog.require('doodle.moog.SynthesizerInterface.NotePriority');
+goog.require('doodle.moog.SynthesizerInterface.TriggerMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceStealingPolicy');
+goog.require('doodle.moog.VoiceInterface');
+goog.require('goog.array');
+
+
+
+/**
+ * Decides which voice plays each key press and release.  In MONO mode the held
+ * keys compete for the first voice under the note priority; in POLY mode each
+ * key press takes a voice of its own, stealing one if every voice is busy.
+ * @param {!Array.<!doodle.moog.VoiceInterface>} voices The voices to assign
+ *     keys to.  The owner adds and removes voices in place as the voice mode
+ *     and count change; only the first voice is used in MONO mode.
+ * @constructor
+ */
+doodle.moog.KeyAssigner = function(voices) {
+  /**
+   * The voices to assign keys to.
+   * @type {!Array.<!doodle.moog.VoiceInterface>}
+   * @private
+   */
+  this.voices_ = voices;
+
+  /**
+   * How key presses are assigned to voices.
+   * @type {!doodle.moog.SynthesizerInterface.VoiceMode}
+   * @private
+   */
+  this.voiceMode_ = doodle.moog.SynthesizerInterface.VoiceMode.MONO;
+
+  /**
+   * Which voice to take over when all voices are busy in POLY mode.
+   * @type {!doodle.moog.SynthesizerInterface.VoiceStealingPolicy}
+   * @private
+   */
+  this.voiceStealingPolicy_ =
+      doodle.moog.SynthesizerInterface.VoiceStealingPolicy.OLDEST;
+
+  /**
+   * Which held key sounds in MONO mode.
+   * @type {!doodle.moog.SynthesizerInterface.NotePriority}
+   * @private
+   */
+  this.notePriority_ = doodle.moog.SynthesizerInterface.NotePriority.LAST;
+
+  /**
+   * Whether overlapping key presses in MONO mode retrigger the envelopes.
+   * @type {!doodle.moog.SynthesizerInterface.TriggerMode}
+   * @private
+   */
+  this.triggerMode_ = doodle.moog.SynthesizerInterface.TriggerMode.MULTI;
+
+  /**
+   * Notes of the keys currently held down, in the order they were pressed.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.heldNotes_ = [];
+
+  /**
+   * How many key presses have been seen.  Used to order voices by age.
+   * @type {number}
+   * @private
+   */
+  this.triggerCount_ = 0;
+};
+
+
+/**
+ * Presses a key.  See doodle.moog.SynthesizerInterface#setKeyDown.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number=} opt_time Time at which the key is pressed.  Defaults to
+ *     right away.
+ * @return {doodle.moog.VoiceInterface} The voice whose envelopes the key
+ *     press triggers, or null if it triggers none: in MONO mode, when the key
+ *     loses the note priority or only retunes the note already playing.
+ */
+doodle.moog.KeyAssigner.prototype.setKeyDown = function(note, opt_time) {
+  goog.array.remove(this.heldNotes_, note);
+  this.heldNotes_.push(note);
+
+  if (this.voiceMode_ == doodle.moog.SynthesizerInterface.VoiceMode.MONO) {
+    // A key that doesn't win the note priority is only remembered, so it can
+    // sound once the keys with higher priority are released.
+    if (this.getPriorityNote_() != note) {
+      return null;
+    }
+    if (this.triggerMode_ ==
+        doodle.moog.SynthesizerInterface.TriggerMode.SINGLE &&
+        this.heldNotes_.length > 1) {
+      // Another key is still held, so the note is already playing.
+      this.voices_[0].retune(note, opt_time);
+      return null;
+    }
+    var voice = this.voices_[0];
+  } else {
+    voice = this.allocateVoice_(note);
+  }
+  voice.noteOn(note, ++this.triggerCount_, opt_time);
+  return voice;
+};
+
+
+/**
+ * Releases a key, or every key.  See doodle.moog.SynthesizerInterface#setKeyUp.
+ * @param {number=} opt_note Chromatic index of the note whose key is released.
+ *     If omitted, every key is released.
+ * @param {number=} opt_time Time at which the key is released.  Defaults to
+ *     right away.
+ */
+doodle.moog.KeyAssigner.prototype.setKeyUp = function(opt_note, opt_time) {
+  if (goog.isDef(opt_note)) {
+    goog.array.remove(this.heldNotes_, opt_note);
+  } else {
+    goog.array.clear(this.heldNotes_);
+  }
+
+  if (this.voiceMode_ == doodle.moog.SynthesizerInterface.VoiceMode.MONO) {
+    var voice = this.voices_[0];
+    if (!this.heldNotes_.length) {
+      voice.noteOff(opt_time);
+    } else {
+      var priorityNote = this.getPriorityNote_();
+      if (priorityNote != voice.note) {
+        voice.retune(priorityNote, opt_time);
+      }
+    }
+    return;
+  }
+  goog.array.forEach(this.voices_, function(voice) {
+    if (voice.isKeyHeld() &&
+        (!goog.isDef(opt_note) || voice.note == opt_note)) {
+      voice.noteOff(opt_time);
+    }
+  });
+};
+
+
+/**
+ * Forgets the held keys and drops the note events every voice has scheduled
+ * for later.  See doodle.moog.SynthesizerInterface#cancelScheduledKeys.
+ */
+doodle.moog.KeyAssigner.prototype.cancelScheduledKeys = function() {
+  goog.array.clear(this.heldNotes_);
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.cancelScheduledNotes();
+  });
+};
+
+
+/**
+ * Sets how key presses are assigned to voices, releasing every key first.  The
+ * owner should then add or remove voices to suit the mode.
+ * @param {!doodle.moog.SynthesizerInterface.VoiceMode} mode The voice mode.
+ * @return {boolean} Whether the mode changed.
+ */
+doodle.moog.KeyAssigner.prototype.setVoiceMode = function(mode) {
+  if (mode == this.voiceMode_) {
+    return false;
+  }
+  this.setKeyUp();
+  this.voiceMode_ = mode;
+  return true;
+};
+
+
+/**
+ * @return {!doodle.moog.SynthesizerInterface.VoiceMode} How key presses are
+ *     assigned to voices.
+ */
+doodle.moog.KeyAssigner.prototype.getVoiceMode = function() {
+  return this.voiceMode_;
+};
+
+
+/**
+ * @param {!doodle.moog.SynthesizerInterface.VoiceStealingPolicy} policy Which
+ *     voice to take over when all voices are busy in POLY mode.
+ */
+doodle.moog.KeyAssigner.prototype.setVoiceStealingPolicy = function(policy) {
+  this.voiceStealingPolicy_ = policy;
+};
+
+
+/**
+ * @return {!doodle.moog.SynthesizerInterface.VoiceStealingPolicy} Which voice
+ *     to take over when all voices are busy in POLY mode.
+ */
+doodle.moog.KeyAssigner.prototype.getVoiceStealingPolicy = function() {
+  return this.voiceStealingPolicy_;
+};
+
+
+/**
+ * @param {!doodle.moog.SynthesizerInterface.NotePriority} priority Which held
+ *     key sounds in MONO mode.
+ */
+doodle.moog.KeyAssigner.prototype.setNotePriority = function(priority) {
+  this.notePriority_ = priority;
+};
+
+
+/**
+ * @return {!doodle.moog.SynthesizerInterface.NotePriority} Which held key
+ *     sounds in MONO mode.
+ */
+doodle.moog.KeyAssigner.prototype.getNotePriority = function() {
+  return this.notePriority_;
+};
+
+
+/**
+ * @param {!doodle.moog.SynthesizerInterface.TriggerMode} mode Whether
+ *     overlapping key presses in MONO mode retrigger the envelopes.
+ */
+doodle.moog.KeyAssigner.prototype.setTriggerMode = function(mode) {
+  this.triggerMode_ = mode;
+};
+
+
+/**
+ * @return {!doodle.moog.SynthesizerInterface.TriggerMode} Whether overlapping
+ *     key presses in MONO mode retrigger the envelopes.
+ */
+doodle.moog.KeyAssigner.prototype.getTriggerMode = function() {
+  return this.triggerMode_;
+};
+
+
+/**
+ * Gets the held note that should sound in MONO mode under the current note
+ * priority.
+ * @return {number} Chromatic index of the note.  Only meaningful while at
+ *     least one key is held.
+ * @private
+ */
+doodle.moog.KeyAssigner.prototype.getPriorityNote_ = function() {
+  switch (this.notePriority_) {
+    case doodle.moog.SynthesizerInterface.NotePriority.LOW:
+      return Math.min.apply(null, this.heldNotes_);
+    case doodle.moog.SynthesizerInterface.NotePriority.HIGH:
+      return Math.max.apply(null, this.heldNotes_);
+    default:
+      return /** @type {number} */ (goog.array.peek(this.heldNotes_));
+  }
+};
+
+
+/**
+ * Picks the voice that should play a newly pressed key in POLY mode.  Silent
+ * voices are preferred, then voices whose keys have been released, and only
+ * then is a held voice stolen.
+ * @param {number} note Chromatic index of the pressed note.
+ * @return {!doodle.moog.VoiceInterface} The voice to play the note on.
+ * @private
+ */
+doodle.moog.KeyAssigner.prototype.allocateVoice_ = function(note) {
+  var policies = doodle.moog.SynthesizerInterface.VoiceStealingPolicy;
+
+  if (this.voiceStealingPolicy_ == policies.SAME_NOTE) {
+    var sameNoteVoice = goog.array.find(this.voices_, function(voice) {
+      return voice.note == note && voice.isSounding();
+    });
+    if (sameNoteVoice) {
+      return sameNoteVoice;
+    }
+  }
+
+  var silentVoice = goog.array.find(this.voices_, function(voice) {
+    return !voice.isSounding();
+  });
+  if (silentVoice) {
+    return silentVoice;
+  }
+
+  var candidates = goog.array.filter(this.voices_, function(voice) {
+    return !voice.isKeyHeld();
+  });
+  if (!candidates.length) {
+    candidates = this.voices_;
+  }
+
+  var isQuietest = this.voiceStealingPolicy_ == policies.QUIETEST;
+  var stolenVoice = candidates[0];
+  for (var i = 1; i < candidates.length; i++) {
+    if (isQuietest ? candidates[i].getLevel() < stolenVoice.getLevel() :
+        candidates[i].triggerIndex < stolenVoice.triggerIndex) {
+      stolenVoice = candidates[i];
+    }
+  }
+  return stolenVoice;
+};
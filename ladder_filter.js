@@ -0,0 +1,334 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Moog transistor ladder low pass filter rendered in JavaScript.
+ */
+goog.provide('doodle.moog.LadderFilter');
+
+goog.require('doodle.moog.EnvelopeGenerator.Curve');
+goog.require('doodle.moog.EnvelopeGenerator.Mode');
+goog.require('doodle.moog.EnvelopeGenerator.Segment');
+goog.require('doodle.moog.LadderModel');
+goog.require('doodle.moog.LowPassFilterInterface');
+goog.require('doodle.moog.LowPassFilterInterface.KeyboardTracking');
+goog.require('doodle.moog.webAudioCompat');
+goog.require('goog.events.EventTarget');
+
+
+
+/**
+ * A low pass filter that runs doodle.moog.LadderModel in the voice's
+ * JavaScript render path rather than as a Web Audio node.  Unlike
+ * doodle.moog.LowPassFilter, its emphasis can be turned up to self-oscillation
+ * and it can saturate.
+ *
+ * The voice filters its samples with the model returned by getLadderModel, or,
+ * when rendering on the audio thread, with a copy of it kept up to date
+ * through SETTINGS_CHANGE events.  The audio node this filter exposes just
+ * passes the already filtered samples through.
+ * @param {!AudioContext} audioContext Audio context to which this filter will
+ *     be bound.
+ * @param {number} cutoffFrequency The cutoff frequency above which the
+ *     frequencies are attenuated.
+ * @param {number} contour Amount of contour to apply to the filter envelope.
+ * @param {number} attackTime Initial attack time in seconds.
+ * @param {number} decayTime Initial decay time in seconds.
+ * @param {number} sustainLevel Initial sustain level [0..1].
+ * @param {number} emphasis Initial emphasis [0..1].  1 makes the filter
+ *     oscillate on its own.
+ * @param {boolean} isSaturationOn Whether the filter initially saturates.
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ * @implements {doodle.moog.LowPassFilterInterface}
+ */
+doodle.moog.LadderFilter = function(
+    audioContext, cutoffFrequency, contour, attackTime, decayTime,
+    sustainLevel, emphasis, isSaturationOn) {
+  goog.base(this);
+
+  /**
+   * Audio context in which this filter operates.
+   * @type {!AudioContext}
+   * @private
+   */
+  this.audioContext_ = audioContext;
+
+  /**
+   * The ladder model doing the filtering.  Also holds the filter's settings.
+   * @type {!doodle.moog.LadderModel}
+   * @private
+   */
+  this.ladderModel_ = new doodle.moog.LadderModel(audioContext, {
+    contour: {
+      cutoffFrequency: cutoffFrequency,
+      contour: contour,
+      attackTime: attackTime,
+      decayTime: decayTime,
+      sustainLevel: sustainLevel,
+      releaseTime: decayTime,
+      mode: doodle.moog.EnvelopeGenerator.Mode.ADSD,
+      isDecaySwitchOn: true,
+      keyboardTracking: doodle.moog.LowPassFilterInterface.KeyboardTracking.OFF,
+      attackCurve: doodle.moog.EnvelopeGenerator.Curve.LINEAR,
+      decayCurve: doodle.moog.EnvelopeGenerator.Curve.LINEAR,
+      releaseCurve: doodle.moog.EnvelopeGenerator.Curve.LINEAR
+    },
+    emphasis: emphasis,
+    isSaturationOn: isSaturationOn
+  });
+
+  /**
+   * Web Audio node through which the filtered samples pass.
+   * @type {!GainNode}
+   * @private
+   */
+  this.passThroughNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+};
+goog.inherits(doodle.moog.LadderFilter, goog.events.EventTarget);
+
+
+/**
+ * Events dispatched by ladder filters.
+ * @enum {string}
+ */
+doodle.moog.LadderFilter.EventType = {
+  // Dispatched whenever a knob or switch setting changes.
+  SETTINGS_CHANGE: 'settingschange'
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.clone = function() {
+  var settings = this.ladderModel_.getSettings();
+  var copy = new doodle.moog.LadderFilter(
+      this.audioContext_, settings.contour.cutoffFrequency,
+      settings.contour.contour, settings.contour.attackTime,
+      settings.contour.decayTime, settings.contour.sustainLevel,
+      settings.emphasis, settings.isSaturationOn);
+  copy.ladderModel_.applySettings(settings);
+  return copy;
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.getSettings = function() {
+  return this.ladderModel_.getSettings();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.applySettings = function(settings) {
+  this.applySettings_(settings);
+};
+
+
+/**
+ * Starts the attack of the ladder model's contour right away.  Voices don't
+ * call this; their renderer starts the contour of the model it filters with,
+ * which is how scheduled notes land on time.
+ * @param {number} note Chromatic index of the note being played relative to
+ *     the beginning of the keyboard.
+ * @param {number=} opt_time Ignored.
+ * @override
+ */
+doodle.moog.LadderFilter.prototype.startAttack = function(note, opt_time) {
+  this.ladderModel_.startAttack(note);
+};
+
+
+/**
+ * Starts the release of the ladder model's contour right away.  See
+ * startAttack.
+ * @param {number=} opt_time Ignored.
+ * @override
+ */
+doodle.moog.LadderFilter.prototype.startRelease = function(opt_time) {
+  this.ladderModel_.startRelease();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setCutoffFrequency = function(
+    cutoffFrequency) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.cutoffFrequency = cutoffFrequency;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setContour = function(contour) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.contour = contour;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setContourAttackTime = function(time) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.attackTime = time;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setContourDecayTime = function(time) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.decayTime = time;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setContourSustainLevel = function(level) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.sustainLevel = level;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setContourReleaseTime = function(time) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.releaseTime = time;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setContourMode = function(mode) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.mode = mode;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.turnOnContourDecaySwitch = function() {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.isDecaySwitchOn = true;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.turnOffContourDecaySwitch = function() {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.isDecaySwitchOn = false;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setContourCurve = function(segment, curve) {
+  var settings = this.ladderModel_.getSettings();
+  switch (segment) {
+    case doodle.moog.EnvelopeGenerator.Segment.ATTACK:
+      settings.contour.attackCurve = curve;
+      break;
+    case doodle.moog.EnvelopeGenerator.Segment.DECAY:
+      settings.contour.decayCurve = curve;
+      break;
+    case doodle.moog.EnvelopeGenerator.Segment.RELEASE:
+      settings.contour.releaseCurve = curve;
+      break;
+  }
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setKeyboardTracking = function(tracking) {
+  var settings = this.ladderModel_.getSettings();
+  settings.contour.keyboardTracking = tracking;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.setEmphasis = function(emphasis) {
+  var settings = this.ladderModel_.getSettings();
+  settings.emphasis = emphasis;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.turnOnSaturation = function() {
+  var settings = this.ladderModel_.getSettings();
+  settings.isSaturationOn = true;
+  this.applySettings_(settings);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.turnOffSaturation = function() {
+  var settings = this.ladderModel_.getSettings();
+  settings.isSaturationOn = false;
+  this.applySettings_(settings);
+};
+
+
+/**
+ * Does nothing; the ladder model takes cutoff modulation sample by sample.
+ * @override
+ */
+doodle.moog.LadderFilter.prototype.setCutoffModulation = function(amount) {};
+
+
+/**
+ * @return {AudioParam} Always null; the ladder model takes cutoff modulation
+ *     sample by sample.
+ * @override
+ */
+doodle.moog.LadderFilter.prototype.getCutoffModulationParam = function() {
+  return null;
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.getLadderModel = function() {
+  return this.ladderModel_;
+};
+
+
+/**
+ * Applies new settings to the ladder model and lets listeners know.
+ * @param {!doodle.moog.LadderModel.Settings} settings The new settings.
+ * @private
+ */
+doodle.moog.LadderFilter.prototype.applySettings_ = function(settings) {
+  this.ladderModel_.applySettings(settings);
+  this.dispatchEvent(doodle.moog.LadderFilter.EventType.SETTINGS_CHANGE);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.getSourceNode = function() {
+  return this.passThroughNode_;
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.connect = function(destination) {
+  this.passThroughNode_.connect(destination);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderFilter.prototype.disconnect = function() {
+  this.passThroughNode_.disconnect();
+};
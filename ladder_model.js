@@ -0,0 +1,228 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Nonlinear model of the Moog transistor ladder filter.
+ */
+goog.provide('doodle.moog.LadderModel');
+
+goog.require('doodle.moog.FilterContour');
+goog.require('doodle.moog.FilterModelInterface');
+goog.require('doodle.moog.LowPassFilter');
+
+
+
+/**
+ * A digital model of the Moog transistor ladder: four one pole low pass stages
+ * in series, with the output of the last stage fed back into the first.  The
+ * feedback (emphasis) peaks the response around the cutoff frequency and, at
+ * its maximum, makes the filter oscillate on its own.  The feedback path
+ * passes through a tanh soft clipper, as the ladder's transistors would, so
+ * self-oscillation settles at a steady level.  With saturation on, every stage
+ * soft clips too, which thickens loud signals the way the real circuit does.
+ *
+ * The model filters sample buffers in place, so it runs wherever
+ * doodle.moog.VoiceRenderer does.  It keeps separate state for the right and
+ * left channels and moves both with a single contour envelope.
+ * @param {{sampleRate: number}} audioContext Audio context to which this model
+ *     will be bound.  Only its sample rate is used.
+ * @param {!doodle.moog.LadderModel.Settings} settings Initial settings.
+ * @constructor
+ * @implements {doodle.moog.FilterModelInterface}
+ */
+doodle.moog.LadderModel = function(audioContext, settings) {
+  /**
+   * How many seconds pass with each sample.
+   * @type {number}
+   * @private
+   * @const
+   */
+  this.SAMPLE_INTERVAL_ = 1 / audioContext.sampleRate;
+
+  /**
+   * The highest cutoff frequency the stages can follow.  Keeps the one pole
+   * coefficients stable.
+   * @type {number}
+   * @private
+   * @const
+   */
+  this.MAX_CUTOFF_FREQUENCY_ = 0.45 * audioContext.sampleRate;
+
+  /**
+   * Moves the cutoff frequency when a key is pressed.
+   * @type {!doodle.moog.FilterContour}
+   * @private
+   */
+  this.contour_ = new doodle.moog.FilterContour(audioContext, settings.contour);
+
+  /**
+   * How much of the output is fed back, on the range [0, 1].
+   * @type {number}
+   * @private
+   */
+  this.emphasis_ = settings.emphasis;
+
+  /**
+   * Whether every stage soft clips.
+   * @type {boolean}
+   * @private
+   */
+  this.isSaturationOn_ = settings.isSaturationOn;
+
+  /**
+   * Outputs of the four stages for the right channel, then the left.
+   * @type {!Float64Array}
+   * @private
+   */
+  this.stages_ = new Float64Array(8);
+};
+
+
+/**
+ * A snapshot of a ladder model's settings.  Plain data, so it can be posted
+ * across threads.
+ * @typedef {{
+ *   contour: !doodle.moog.FilterContour.Settings,
+ *   emphasis: number,
+ *   isSaturationOn: boolean
+ * }}
+ */
+doodle.moog.LadderModel.Settings;
+
+
+/**
+ * Feedback gain at full emphasis.  The ladder starts to oscillate at a gain of
+ * 4; past that, the oscillation grows until the soft clipper holds it steady.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.LadderModel.MAX_FEEDBACK_ = 4.4;
+
+
+/**
+ * How much of the input is added back to make up for the loss of low end as
+ * emphasis rises.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.LadderModel.GAIN_COMPENSATION_ = 0.5;
+
+
+/**
+ * Natural log of the factor by which the cutoff frequency is multiplied per
+ * unit of cutoff modulation.  See
+ * doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.LadderModel.CUTOFF_MODULATION_SCALE_ =
+    doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE / 1200 * Math.LN2;
+
+
+/** @inheritDoc */
+doodle.moog.LadderModel.prototype.getSettings = function() {
+  return {
+    contour: this.contour_.getSettings(),
+    emphasis: this.emphasis_,
+    isSaturationOn: this.isSaturationOn_
+  };
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderModel.prototype.applySettings = function(settings) {
+  this.contour_.applySettings(settings.contour);
+  this.emphasis_ = settings.emphasis;
+  this.isSaturationOn_ = settings.isSaturationOn;
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderModel.prototype.startAttack = function(note) {
+  this.contour_.startAttack(note);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderModel.prototype.startRelease = function() {
+  this.contour_.startRelease();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LadderModel.prototype.process = function(
+    right, left, cutoffModulation) {
+  var angularInterval = Math.PI * this.SAMPLE_INTERVAL_;
+  for (var i = 0; i < right.length; i++) {
+    var cutoffFrequency = this.contour_.getNextFrequency();
+    if (cutoffModulation) {
+      cutoffFrequency *= Math.exp(cutoffModulation[i] *
+          doodle.moog.LadderModel.CUTOFF_MODULATION_SCALE_);
+    }
+    // Gain of each one pole stage, prewarped so that the cutoff frequency
+    // lands where it would on the analog filter.
+    var warpedGain = Math.tan(angularInterval *
+        Math.min(cutoffFrequency, this.MAX_CUTOFF_FREQUENCY_));
+    var stageGain = warpedGain / (1 + warpedGain);
+
+    right[i] = this.filterSample_(right[i], 0, stageGain);
+    if (left) {
+      left[i] = this.filterSample_(left[i], 4, stageGain);
+    }
+  }
+};
+
+
+/**
+ * Runs one sample through the four stages of a channel.  Each stage is a
+ * trapezoidal integrator.  Feeding back last sample's output would detune the
+ * resonance, so the feedback is instead solved for: the output the linear
+ * ladder would produce this sample is estimated from the stage states, and
+ * the estimate passes through the soft clipper into the first stage.
+ * @param {number} input The input sample.
+ * @param {number} offset Index of the channel's first stage in stages_.
+ * @param {number} stageGain Gain of each one pole stage.
+ * @return {number} The output sample.
+ * @private
+ */
+doodle.moog.LadderModel.prototype.filterSample_ = function(
+    input, offset, stageGain) {
+  var stages = this.stages_;
+  var feedback = this.emphasis_ * doodle.moog.LadderModel.MAX_FEEDBACK_;
+  input *= 1 + feedback * doodle.moog.LadderModel.GAIN_COMPENSATION_;
+
+  // Output of the ladder with no input, from the stage states alone.
+  var stateOutput = (1 - stageGain) * (stages[offset + 3] + stageGain *
+      (stages[offset + 2] + stageGain *
+      (stages[offset + 1] + stageGain * stages[offset])));
+  var loopGain = stageGain * stageGain * stageGain * stageGain;
+  var estimate =
+      (loopGain * input + stateOutput) / (1 + feedback * loopGain);
+
+  var stageInput = input - feedback * Math.tanh(estimate);
+  var stageOutput = 0;
+  for (var i = offset; i < offset + 4; i++) {
+    if (this.isSaturationOn_) {
+      stageInput = Math.tanh(stageInput);
+    }
+    var delta = stageGain * (stageInput - stages[i]);
+    stageOutput = stages[i] + delta;
+    stages[i] = stageOutput + delta;
+    stageInput = stageOutput;
+  }
+  return stageOutput;
+};
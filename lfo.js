@@ -0,0 +1,380 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Low frequency oscillator used as a modulation source.
+ */
+goog.provide('doodle.moog.Lfo');
+goog.provide('doodle.moog.Lfo.Shape');
+
+goog.require('doodle.moog.NoteDivision');
+goog.require('doodle.moog.Oscillator');
+
+
+
+/**
+ * A low frequency oscillator that generates a control signal for the
+ * modulation matrix (see doodle.moog.ModulationMatrix.SourceType.LFO).  Unlike
+ * an audio oscillator acting as a modulator, it produces no sound, so it
+ * doesn't take one of the voice's oscillators away.
+ *
+ * The LFO starts out with the settings from
+ * doodle.moog.Lfo.getDefaultSettings().
+ * @param {{sampleRate: number}} audioContext Audio context to which this LFO
+ *     will be bound.  Only its sample rate is used.
+ * @constructor
+ */
+doodle.moog.Lfo = function(audioContext) {
+  var defaults = doodle.moog.Lfo.getDefaultSettings();
+
+  /**
+   * How many seconds pass with each sample.
+   * @type {number}
+   * @private
+   * @const
+   */
+  this.SAMPLE_INTERVAL_ = 1 / audioContext.sampleRate;
+
+  /**
+   * Shape of the control signal.
+   * @type {doodle.moog.Lfo.Shape}
+   * @private
+   */
+  this.shape_ = defaults.shape;
+
+  /**
+   * Rate in hertz, used unless the LFO is synced to a tempo.
+   * @type {number}
+   * @private
+   */
+  this.rate_ = defaults.rate;
+
+  /**
+   * Whether each cycle lasts a note division at a tempo rather than following
+   * rate_.
+   * @type {boolean}
+   * @private
+   */
+  this.isTempoSynced_ = defaults.isTempoSynced;
+
+  /**
+   * Tempo in beats per minute, used when synced to a tempo.
+   * @type {number}
+   * @private
+   */
+  this.tempo_ = defaults.tempo;
+
+  /**
+   * How long each cycle lasts when synced to a tempo.
+   * @type {doodle.moog.NoteDivision}
+   * @private
+   */
+  this.division_ = defaults.division;
+
+  /**
+   * Seconds after a key press during which the control signal stays silent.
+   * @type {number}
+   * @private
+   */
+  this.delay_ = defaults.delay;
+
+  /**
+   * Seconds the control signal takes to fade in after the delay.
+   * @type {number}
+   * @private
+   */
+  this.fadeInTime_ = defaults.fadeInTime;
+
+  /**
+   * Whether key presses restart the cycle.  If false, the LFO runs freely.
+   * @type {boolean}
+   * @private
+   */
+  this.isKeySyncOn_ = defaults.isKeySyncOn;
+
+  /**
+   * How far we have advanced in the current cycle, on the range [0, 1).
+   * @type {number}
+   * @private
+   */
+  this.phase_ = 0;
+
+  /**
+   * The random level held through the current cycle by SAMPLE_AND_HOLD.
+   * @type {number}
+   * @private
+   */
+  this.heldLevel_ = 0;
+
+  /**
+   * Seconds since the last key press.
+   * @type {number}
+   * @private
+   */
+  this.timeSinceTrigger_ = 0;
+
+  /**
+   * A buffer holding the control signal samples, on the range [-1, 1].  Null
+   * until the first call to fillSignal.
+   * @type {Float32Array}
+   */
+  this.signal = null;
+};
+
+
+/**
+ * Shapes of the control signal.
+ * @enum {number}
+ */
+doodle.moog.Lfo.Shape = {
+  // The oscillator wave forms.  These have the same values as
+  // doodle.moog.OscillatorInterface.WaveForm.
+  TRIANGLE: 0,
+  SAWANGLE: 1,
+  RAMP: 2,
+  REVERSE_RAMP: 3,
+  SQUARE: 4,
+  FAT_PULSE: 5,
+  PULSE: 6,
+  // A new random level every cycle, held until the next.
+  SAMPLE_AND_HOLD: 7
+};
+
+
+/**
+ * The fastest rate, in hertz.
+ * @type {number}
+ * @const
+ */
+doodle.moog.Lfo.MAX_RATE = 100;
+
+
+/**
+ * The slowest tempo a rate can be synced to, in beats per minute.
+ * @type {number}
+ * @const
+ */
+doodle.moog.Lfo.MIN_TEMPO = 1;
+
+
+/**
+ * The fastest tempo a rate can be synced to, in beats per minute.
+ * @type {number}
+ * @const
+ */
+doodle.moog.Lfo.MAX_TEMPO = 1000;
+
+
+/**
+ * A snapshot of an LFO's settings.  Plain data, so it can be posted across
+ * threads.
+ * @typedef {{
+ *   shape: doodle.moog.Lfo.Shape,
+ *   rate: number,
+ *   isTempoSynced: boolean,
+ *   tempo: number,
+ *   division: doodle.moog.NoteDivision,
+ *   delay: number,
+ *   fadeInTime: number,
+ *   isKeySyncOn: boolean
+ * }}
+ */
+doodle.moog.Lfo.Settings;
+
+
+/**
+ * Gets the settings a new LFO starts out with: a free running 5 Hz triangle
+ * with no delay.
+ * @return {!doodle.moog.Lfo.Settings} The settings.
+ */
+doodle.moog.Lfo.getDefaultSettings = function() {
+  return {
+    shape: doodle.moog.Lfo.Shape.TRIANGLE,
+    rate: 5,
+    isTempoSynced: false,
+    tempo: 120,
+    division: doodle.moog.NoteDivision.QUARTER,
+    delay: 0,
+    fadeInTime: 0,
+    isKeySyncOn: false
+  };
+};
+
+
+/**
+ * @return {!doodle.moog.Lfo.Settings} A snapshot of this LFO's settings.
+ */
+doodle.moog.Lfo.prototype.getSettings = function() {
+  return {
+    shape: this.shape_,
+    rate: this.rate_,
+    isTempoSynced: this.isTempoSynced_,
+    tempo: this.tempo_,
+    division: this.division_,
+    delay: this.delay_,
+    fadeInTime: this.fadeInTime_,
+    isKeySyncOn: this.isKeySyncOn_
+  };
+};
+
+
+/**
+ * Applies a settings snapshot to this LFO.  The phase is left alone.
+ * @param {!doodle.moog.Lfo.Settings} settings The settings to apply.
+ */
+doodle.moog.Lfo.prototype.applySettings = function(settings) {
+  this.shape_ = settings.shape;
+  this.rate_ = settings.rate;
+  this.isTempoSynced_ = settings.isTempoSynced;
+  this.tempo_ = settings.tempo;
+  this.division_ = settings.division;
+  this.delay_ = settings.delay;
+  this.fadeInTime_ = settings.fadeInTime;
+  this.isKeySyncOn_ = settings.isKeySyncOn;
+};
+
+
+/**
+ * Sets the shape of the control signal.
+ * @param {doodle.moog.Lfo.Shape} shape The shape.
+ */
+doodle.moog.Lfo.prototype.setShape = function(shape) {
+  this.shape_ = shape;
+};
+
+
+/**
+ * Sets the rate in hertz, turning off tempo sync.
+ * @param {number} rate The rate in hertz.
+ */
+doodle.moog.Lfo.prototype.setRate = function(rate) {
+  this.rate_ = rate;
+  this.isTempoSynced_ = false;
+};
+
+
+/**
+ * Syncs the rate to a tempo, so that each cycle lasts one note division.
+ * @param {number} tempo Tempo in beats per minute.
+ * @param {doodle.moog.NoteDivision} division How long each cycle lasts.
+ */
+doodle.moog.Lfo.prototype.setTempoSync = function(tempo, division) {
+  this.tempo_ = tempo;
+  this.division_ = division;
+  this.isTempoSynced_ = true;
+};
+
+
+/**
+ * Sets how long the control signal stays silent after a key press.
+ * @param {number} time The delay in seconds.
+ */
+doodle.moog.Lfo.prototype.setDelay = function(time) {
+  this.delay_ = time;
+};
+
+
+/**
+ * Sets how long the control signal takes to fade in after the delay.
+ * @param {number} time The fade in time in seconds.
+ */
+doodle.moog.Lfo.prototype.setFadeInTime = function(time) {
+  this.fadeInTime_ = time;
+};
+
+
+/**
+ * Turns on key sync, so that key presses restart the cycle.
+ */
+doodle.moog.Lfo.prototype.turnOnKeySync = function() {
+  this.isKeySyncOn_ = true;
+};
+
+
+/**
+ * Turns off key sync, so that the LFO runs freely.
+ */
+doodle.moog.Lfo.prototype.turnOffKeySync = function() {
+  this.isKeySyncOn_ = false;
+};
+
+
+/**
+ * Notifies the LFO of a key press, restarting the delay and fade in (and, with
+ * key sync on, the cycle).
+ */
+doodle.moog.Lfo.prototype.trigger = function() {
+  this.timeSinceTrigger_ = 0;
+  if (this.isKeySyncOn_) {
+    this.phase_ = 0;
+    this.heldLevel_ = 2 * Math.random() - 1;
+  }
+};
+
+
+/**
+ * @return {number} The current frequency of the LFO in hertz.
+ * @private
+ */
+doodle.moog.Lfo.prototype.getFrequency_ = function() {
+  return this.isTempoSynced_ ? this.tempo_ / (60 * this.division_) : this.rate_;
+};
+
+
+/**
+ * Gets how much of the control signal passes through the delay and fade in.
+ * @return {number} The coefficient on the range [0, 1].
+ * @private
+ */
+doodle.moog.Lfo.prototype.getFadeCoefficient_ = function() {
+  var timeSinceDelay = this.timeSinceTrigger_ - this.delay_;
+  if (timeSinceDelay < 0) {
+    return 0;
+  }
+  return this.fadeInTime_ > 0 ?
+      Math.min(1, timeSinceDelay / this.fadeInTime_) : 1;
+};
+
+
+/**
+ * Fills the signal buffer with the next control signal samples.
+ * @param {number} length How many samples to fill.
+ */
+doodle.moog.Lfo.prototype.fillSignal = function(length) {
+  if (!this.signal || this.signal.length != length) {
+    this.signal = new Float32Array(length);
+  }
+
+  var isSampleAndHold =
+      this.shape_ == doodle.moog.Lfo.Shape.SAMPLE_AND_HOLD;
+  var waveForm = /** @type {!doodle.moog.OscillatorInterface.WaveForm} */ (
+      /** @type {number} */ (this.shape_));
+  var pulseWidth = doodle.moog.Oscillator.getPulseWidth(waveForm);
+  var increment = this.getFrequency_() * this.SAMPLE_INTERVAL_;
+
+  var level;
+  for (var i = 0; i < length; i++) {
+    level = isSampleAndHold ? this.heldLevel_ :
+        doodle.moog.Oscillator.getClassicLevel(
+            waveForm, this.phase_, pulseWidth);
+    this.signal[i] = level * this.getFadeCoefficient_();
+
+    this.timeSinceTrigger_ += this.SAMPLE_INTERVAL_;
+    this.phase_ += increment;
+    if (this.phase_ >= 1) {
+      this.phase_ -= Math.floor(this.phase_);
+      this.heldLevel_ = 2 * Math.random() - 1;
+    }
+  }
+};
@@ -17,7 +17,15 @@
  */
 goog.provide('doodle.moog.LowPassFilter');
 
-goog.require('doodle.moog.CompoundAudioNode');
+goog.require('doodle.moog.EnvelopeGenerator');
+goog.require('doodle.moog.EnvelopeGenerator.Curve');
+goog.require('doodle.moog.EnvelopeGenerator.Mode');
+goog.require('doodle.moog.EnvelopeGenerator.Segment');
+goog.require('doodle.moog.LowPassFilterInterface');
+goog.require('doodle.moog.LowPassFilterInterface.KeyboardTracking');
+goog.require('doodle.moog.webAudioCompat');
+goog.require('doodle.moog.webAudioCompat.FilterType');
+goog.require('goog.array');
 
 
 
@@ -32,7 +40,7 @@ goog.require('doodle.moog.CompoundAudioNode');
  * @param {number} decayTime Initial decay time in seconds.
  * @param {number} sustainLevel Initial sustain level [0..1].
  * @constructor
- * @implements {doodle.moog.CompoundAudioNode}
+ * @implements {doodle.moog.LowPassFilterInterface}
  */
 doodle.moog.LowPassFilter = function(
     audioContext, cutoffFrequency, contour, attackTime, decayTime,
@@ -50,8 +58,8 @@ doodle.moog.LowPassFilter = function(
    * @private
    */
   this.lowPassFilterNode_ = audioContext.createBiquadFilter();
-  this.lowPassFilterNode_.type =
-      doodle.moog.LowPassFilter.LOW_PASS_FILTER_TYPE_ID_;
+  doodle.moog.webAudioCompat.setFilterType(
+      this.lowPassFilterNode_, doodle.moog.webAudioCompat.FilterType.LOWPASS);
 
   /**
    * Frequency above which sound should be progressively attenuated.
@@ -91,39 +99,275 @@ doodle.moog.LowPassFilter = function(
    */
   this.sustainLevel_ = sustainLevel;
 
+  /**
+   * The duration of the release phase in seconds, used in ADSR mode.
+   * @type {number}
+   * @private
+   */
+  this.releaseTime_ = decayTime;
+
+  /**
+   * Whether the release phase takes the decay time or the release time.
+   * @type {doodle.moog.EnvelopeGenerator.Mode}
+   * @private
+   */
+  this.mode_ = doodle.moog.EnvelopeGenerator.Mode.ADSD;
+
+  /**
+   * Whether the decay switch is on.  When off, the cutoff frequency snaps back
+   * almost as soon as the key is released.
+   * @type {boolean}
+   * @private
+   */
+  this.isDecaySwitchOn_ = true;
+
+  /**
+   * The shape of the attack phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.attackCurve_ = doodle.moog.EnvelopeGenerator.Curve.LINEAR;
+
+  /**
+   * The shape of the decay phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.decayCurve_ = doodle.moog.EnvelopeGenerator.Curve.LINEAR;
+
+  /**
+   * The shape of the release phase.
+   * @type {doodle.moog.EnvelopeGenerator.Curve}
+   * @private
+   */
+  this.releaseCurve_ = doodle.moog.EnvelopeGenerator.Curve.LINEAR;
+
+  /**
+   * How strongly frequencies around the cutoff frequency are boosted, in the
+   * range [0, 1].
+   * @type {number}
+   * @private
+   */
+  this.emphasis_ = 0;
+
+  /**
+   * How far the cutoff frequency follows the keyboard.
+   * @type {doodle.moog.LowPassFilterInterface.KeyboardTracking}
+   * @private
+   */
+  this.keyboardTracking_ =
+      doodle.moog.LowPassFilterInterface.KeyboardTracking.OFF;
+
+  /**
+   * Chromatic index of the note that last started the contour envelope.
+   * @type {number}
+   * @private
+   */
+  this.note_ = 0;
+
+  /**
+   * Contour envelope segments scheduled to start later, in time order.  Each
+   * holds the note of an attack, or null for a release.  Knob changes cancel
+   * the cutoff frequency automation, so these are then scheduled again.
+   * @type {!Array.<{time: number, note: ?number}>}
+   * @private
+   */
+  this.scheduledSegments_ = [];
+
   this.resetContourEnvelope_();
 };
 
 
 /**
- * Biquad Filter type ID for a low pass filter (from the Web Audio spec).
+ * How far the cutoff frequency moves, in cents, per unit of cutoff modulation
+ * (four octaves).
+ * @type {number}
+ * @const
+ */
+doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE = 4800;
+
+
+/**
+ * The Q of the filter node at full emphasis.  At no emphasis the node keeps
+ * its default Q of 1.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.LowPassFilter.MAX_EMPHASIS_Q_ = 20;
+
+
+/**
+ * How many values make up the value curves scheduled for contour segments
+ * that aren't LINEAR.  The AudioParam interpolates linearly between them.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.LowPassFilter.CURVE_LENGTH_ = 64;
+
+
+/**
+ * The lowest frequency a contour segment reaches, as with a contour amount of
+ * zero.  Exponential ramps and curves, which move the log of the frequency,
+ * can't reach zero.
  * @type {number}
  * @const
  * @private
  */
-doodle.moog.LowPassFilter.LOW_PASS_FILTER_TYPE_ID_ = 0;
+doodle.moog.LowPassFilter.MIN_CURVE_FREQUENCY_ = 1;
+
+
+/**
+ * Gets the Q the filter node takes for an emphasis setting.
+ * @param {number} emphasis The emphasis, in the range [0, 1].
+ * @return {number} The Q, in decibels.
+ */
+doodle.moog.LowPassFilter.getEmphasisQ = function(emphasis) {
+  return 1 + emphasis * (doodle.moog.LowPassFilter.MAX_EMPHASIS_Q_ - 1);
+};
+
+
+/**
+ * Creates a new low pass filter with the same settings as this one.
+ * @return {!doodle.moog.LowPassFilter} The copy.
+ */
+doodle.moog.LowPassFilter.prototype.clone = function() {
+  var copy = new doodle.moog.LowPassFilter(
+      this.audioContext_, this.cutoffFrequency_, this.contour_,
+      this.attackTime_, this.decayTime_, this.sustainLevel_);
+  copy.applySettings(this.getSettings());
+  return copy;
+};
+
+
+/**
+ * Takes a snapshot of this filter's knob and switch settings.  This filter
+ * can't saturate, so isSaturationOn is always false.
+ * @return {!doodle.moog.LowPassFilterInterface.Settings} The settings.
+ * @override
+ */
+doodle.moog.LowPassFilter.prototype.getSettings = function() {
+  return {
+    contour: {
+      cutoffFrequency: this.cutoffFrequency_,
+      contour: this.contour_,
+      attackTime: this.attackTime_,
+      decayTime: this.decayTime_,
+      sustainLevel: this.sustainLevel_,
+      releaseTime: this.releaseTime_,
+      mode: this.mode_,
+      isDecaySwitchOn: this.isDecaySwitchOn_,
+      keyboardTracking: this.keyboardTracking_,
+      attackCurve: this.attackCurve_,
+      decayCurve: this.decayCurve_,
+      releaseCurve: this.releaseCurve_
+    },
+    emphasis: this.emphasis_,
+    isSaturationOn: false
+  };
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.applySettings = function(settings) {
+  var contour = settings.contour;
+  this.cutoffFrequency_ = contour.cutoffFrequency;
+  this.contour_ = contour.contour;
+  this.attackTime_ = contour.attackTime;
+  this.decayTime_ = contour.decayTime;
+  this.sustainLevel_ = contour.sustainLevel;
+  this.releaseTime_ = contour.releaseTime;
+  this.mode_ = contour.mode;
+  this.isDecaySwitchOn_ = contour.isDecaySwitchOn;
+  this.keyboardTracking_ = contour.keyboardTracking;
+  this.attackCurve_ = contour.attackCurve;
+  this.decayCurve_ = contour.decayCurve;
+  this.releaseCurve_ = contour.releaseCurve;
+  this.setEmphasis(settings.emphasis);
+  this.resetContourEnvelope_();
+};
 
 
 /**
  * Initiates the attack phase of the contour envelope (e.g., when a key is
- * pressed).
+ * pressed), ramping up from wherever the envelope is so that retriggering a
+ * note that is still sounding doesn't make the cutoff frequency jump.
+ * @param {number} note Chromatic index of the note being played relative to
+ *     the beginning of the keyboard.  The cutoff frequency tracks it according
+ *     to the keyboard tracking amount.
+ * @param {number=} opt_time Audio context time at which the attack starts.
+ *     Defaults to right away.
  */
-doodle.moog.LowPassFilter.prototype.startAttack = function() {
-  var now = this.audioContext_.currentTime;
+doodle.moog.LowPassFilter.prototype.startAttack = function(note, opt_time) {
+  this.note_ = note;
+  // The frequency the envelope will have reached by a later time can't be
+  // read, so curved attacks scheduled ahead start out from the current one.
+  var currentFrequency = this.lowPassFilterNode_.frequency.value;
+  var startTime = this.holdFrequency_(note, opt_time);
+  var cutoffFrequency = this.getTrackedCutoffFrequency_();
+  var contourFrequency = this.contour_ * cutoffFrequency;
+
+  this.rampFrequency_(currentFrequency, contourFrequency, startTime,
+      this.attackTime_, this.attackCurve_);
+  this.rampFrequency_(contourFrequency,
+      cutoffFrequency +
+      this.sustainLevel_ * (contourFrequency - cutoffFrequency),
+      startTime + this.attackTime_, this.decayTime_, this.decayCurve_);
+};
 
-  this.lowPassFilterNode_.frequency.cancelScheduledValues(now);
 
-  this.lowPassFilterNode_.frequency.value = this.cutoffFrequency_;
-  this.lowPassFilterNode_.frequency.setValueAtTime(this.cutoffFrequency_, now);
+/**
+ * Initiates the release phase of the contour envelope (e.g., when a key is
+ * lifted), ramping from the current cutoff frequency back to the (keyboard
+ * tracked) cutoff frequency.  The release is timed like an envelope
+ * generator's; see doodle.moog.EnvelopeGenerator.getReleaseTime.
+ * @param {number=} opt_time Audio context time at which the release starts.
+ *     Defaults to right away.
+ */
+doodle.moog.LowPassFilter.prototype.startRelease = function(opt_time) {
+  var currentFrequency = this.lowPassFilterNode_.frequency.value;
+  var startTime = this.holdFrequency_(null, opt_time);
+  this.rampFrequency_(currentFrequency, this.getTrackedCutoffFrequency_(),
+      startTime, doodle.moog.EnvelopeGenerator.getReleaseTime(
+          this.mode_, this.isDecaySwitchOn_, this.decayTime_,
+          this.releaseTime_),
+      this.releaseCurve_);
+};
 
-  var contourFrequency = this.contour_ * this.cutoffFrequency_;
 
-  this.lowPassFilterNode_.frequency.exponentialRampToValueAtTime(
-      contourFrequency, now + this.attackTime_);
-  this.lowPassFilterNode_.frequency.exponentialRampToValueAtTime(
-      this.cutoffFrequency_ +
-      this.sustainLevel_ * (contourFrequency - this.cutoffFrequency_),
-      now + this.attackTime_ + this.decayTime_);
+/**
+ * Cuts the contour envelope short where a new segment starts, holding the
+ * cutoff frequency there for the segment to ramp from.
+ * @param {?number} note Chromatic index of the note whose attack starts the
+ *     segment, or null if a release does.
+ * @param {number=} opt_time Audio context time at which the segment starts.
+ *     Defaults to right away, as do times that have already passed.
+ * @return {number} The time at which the segment starts.
+ * @private
+ */
+doodle.moog.LowPassFilter.prototype.holdFrequency_ = function(
+    note, opt_time) {
+  var now = this.audioContext_.currentTime;
+  var startTime = Math.max(now, opt_time || 0);
+  var frequency = this.lowPassFilterNode_.frequency;
+  var currentFrequency = frequency.value;
+
+  this.scheduledSegments_ = goog.array.filter(this.scheduledSegments_,
+      function(segment) {
+        return segment.time > now && segment.time < startTime;
+      });
+  if (startTime > now) {
+    this.scheduledSegments_.push({time: startTime, note: note});
+  }
+
+  if (startTime > now && frequency.cancelAndHoldAtTime) {
+    frequency.cancelAndHoldAtTime(startTime);
+  } else {
+    frequency.cancelScheduledValues(startTime);
+    frequency.setValueAtTime(currentFrequency, startTime);
+  }
+  return startTime;
 };
 
 
@@ -179,13 +423,182 @@ doodle.moog.LowPassFilter.prototype.setContourSustainLevel = function(level) {
 };
 
 
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.setContourReleaseTime = function(time) {
+  this.releaseTime_ = time;
+  this.resetContourEnvelope_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.setContourMode = function(mode) {
+  this.mode_ = mode;
+  this.resetContourEnvelope_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.turnOnContourDecaySwitch = function() {
+  this.isDecaySwitchOn_ = true;
+  this.resetContourEnvelope_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.turnOffContourDecaySwitch = function() {
+  this.isDecaySwitchOn_ = false;
+  this.resetContourEnvelope_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.setContourCurve = function(
+    segment, curve) {
+  switch (segment) {
+    case doodle.moog.EnvelopeGenerator.Segment.ATTACK:
+      this.attackCurve_ = curve;
+      break;
+    case doodle.moog.EnvelopeGenerator.Segment.DECAY:
+      this.decayCurve_ = curve;
+      break;
+    case doodle.moog.EnvelopeGenerator.Segment.RELEASE:
+      this.releaseCurve_ = curve;
+      break;
+  }
+  this.resetContourEnvelope_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.setKeyboardTracking = function(tracking) {
+  this.keyboardTracking_ = tracking;
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.setEmphasis = function(emphasis) {
+  this.emphasis_ = emphasis;
+  this.lowPassFilterNode_.Q.value =
+      doodle.moog.LowPassFilter.getEmphasisQ(emphasis);
+};
+
+
+/**
+ * Does nothing; the filter node is linear.
+ * @override
+ */
+doodle.moog.LowPassFilter.prototype.turnOnSaturation = function() {};
+
+
+/**
+ * Does nothing; the filter node is linear.
+ * @override
+ */
+doodle.moog.LowPassFilter.prototype.turnOffSaturation = function() {};
+
+
+/**
+ * Moves the cutoff frequency by a modulation amount, on top of the contour
+ * envelope.  The amount holds until the next call, so this suits modulation
+ * computed once per buffer.  Does nothing in browsers whose filters can't be
+ * detuned.
+ * @param {number} amount The modulation amount.  See
+ *     doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE.
+ */
+doodle.moog.LowPassFilter.prototype.setCutoffModulation = function(amount) {
+  var detune = this.getCutoffModulationParam();
+  if (detune) {
+    detune.value = amount * doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE;
+  }
+};
+
+
+/**
+ * Gets the AudioParam that moves the cutoff frequency in cents, on top of the
+ * contour envelope.  Audio rate cutoff modulation, scaled by
+ * doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE, can be connected to it.
+ * @return {AudioParam} The AudioParam, or null in browsers whose filters can't
+ *     be detuned.
+ */
+doodle.moog.LowPassFilter.prototype.getCutoffModulationParam = function() {
+  return this.lowPassFilterNode_.detune || null;
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassFilter.prototype.getLadderModel = function() {
+  return null;
+};
+
+
+/**
+ * @return {number} The cutoff frequency moved by keyboard tracking for the
+ *     note that last started the contour envelope.
+ * @private
+ */
+doodle.moog.LowPassFilter.prototype.getTrackedCutoffFrequency_ = function() {
+  return this.cutoffFrequency_ *
+      Math.pow(2, this.keyboardTracking_ * this.note_ / 12);
+};
+
+
+/**
+ * Schedules one segment of the contour envelope on the cutoff frequency
+ * AudioParam.  LINEAR segments are exponential ramps; other curves are
+ * applied to the log of the frequency, like doodle.moog.FilterContour does,
+ * and scheduled as value curves.
+ * @param {number} from The frequency at the start of the segment.
+ * @param {number} to The frequency at the end of the segment.
+ * @param {number} startTime When the segment starts, in seconds.
+ * @param {number} duration Duration of the segment in seconds.
+ * @param {doodle.moog.EnvelopeGenerator.Curve} curve The shape of the segment.
+ * @private
+ */
+doodle.moog.LowPassFilter.prototype.rampFrequency_ = function(
+    from, to, startTime, duration, curve) {
+  var frequency = this.lowPassFilterNode_.frequency;
+  if (curve == doodle.moog.EnvelopeGenerator.Curve.LINEAR || duration <= 0) {
+    frequency.exponentialRampToValueAtTime(
+        Math.max(doodle.moog.LowPassFilter.MIN_CURVE_FREQUENCY_, to),
+        startTime + duration);
+    return;
+  }
+
+  var values = new Float32Array(doodle.moog.LowPassFilter.CURVE_LENGTH_);
+  var logFrequency = Math.log(
+      Math.max(doodle.moog.LowPassFilter.MIN_CURVE_FREQUENCY_, from));
+  var targetLogFrequency = Math.log(
+      Math.max(doodle.moog.LowPassFilter.MIN_CURVE_FREQUENCY_, to));
+  // The values are evenly spaced over the segment, so stepping from one to the
+  // next is a step of a curve lasting values.length - 1 samples.
+  var step = doodle.moog.EnvelopeGenerator.getCurveStep(
+      curve, logFrequency, targetLogFrequency, values.length - 1, 1);
+  for (var i = 0; i < values.length - 1; i++) {
+    values[i] = Math.exp(logFrequency);
+    logFrequency = logFrequency * step.ratio + step.offset;
+  }
+  values[values.length - 1] = Math.exp(targetLogFrequency);
+  frequency.setValueCurveAtTime(values, startTime, duration);
+};
+
+
 /**
  * Resets the contour envelope AudioParam using current LowPassFilter state.
  * @private
  */
 doodle.moog.LowPassFilter.prototype.resetContourEnvelope_ = function() {
+  var scheduledSegments = this.scheduledSegments_;
+  this.scheduledSegments_ = [];
   this.lowPassFilterNode_.frequency.cancelScheduledValues(0);
-  this.lowPassFilterNode_.frequency.value = this.cutoffFrequency_;
+  this.lowPassFilterNode_.frequency.value = this.getTrackedCutoffFrequency_();
+
+  goog.array.forEach(scheduledSegments, function(segment) {
+    if (goog.isNull(segment.note)) {
+      this.startRelease(segment.time);
+    } else {
+      this.startAttack(segment.note, segment.time);
+    }
+  }, this);
 };
 
 
@@ -0,0 +1,280 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Interface for the low pass filters of a synthesizer voice.
+ */
+goog.provide('doodle.moog.LowPassFilterInterface');
+goog.provide('doodle.moog.LowPassFilterInterface.KeyboardTracking');
+
+goog.require('doodle.moog.CompoundAudioNode');
+
+
+
+/**
+ * A low pass filter with a contour envelope, placed after a voice's
+ * oscillators.
+ * @interface
+ * @extends {doodle.moog.CompoundAudioNode}
+ */
+doodle.moog.LowPassFilterInterface = function() {};
+
+
+/**
+ * How far the cutoff frequency follows the keyboard, like the two keyboard
+ * control switches on the Minimoog.  Values are how many octaves the cutoff
+ * frequency moves per octave played above the lowest key.
+ * @enum {number}
+ */
+doodle.moog.LowPassFilterInterface.KeyboardTracking = {
+  OFF: 0,
+  ONE_THIRD: 1 / 3,
+  TWO_THIRDS: 2 / 3,
+  FULL: 1
+};
+
+
+/**
+ * The lowest cutoff frequency, in hertz.  Contour ramps are exponential, so
+ * the cutoff frequency can't be zero.
+ * @type {number}
+ * @const
+ */
+doodle.moog.LowPassFilterInterface.MIN_CUTOFF_FREQUENCY = 1;
+
+
+/**
+ * The highest cutoff frequency, in hertz.
+ * @type {number}
+ * @const
+ */
+doodle.moog.LowPassFilterInterface.MAX_CUTOFF_FREQUENCY = 24000;
+
+
+/**
+ * The largest contour amount, as a multiple of the cutoff frequency.
+ * @type {number}
+ * @const
+ */
+doodle.moog.LowPassFilterInterface.MAX_CONTOUR = 100;
+
+
+/**
+ * A snapshot of a low pass filter's settings.  Plain data, so it can be posted
+ * across threads or saved in a patch.  Filters that can't saturate ignore
+ * isSaturationOn.
+ * @typedef {{
+ *   contour: !doodle.moog.FilterContour.Settings,
+ *   emphasis: number,
+ *   isSaturationOn: boolean
+ * }}
+ */
+doodle.moog.LowPassFilterInterface.Settings;
+
+
+/**
+ * Creates a new low pass filter of the same kind with the same settings as
+ * this one.
+ * @return {!doodle.moog.LowPassFilterInterface} The copy.
+ */
+doodle.moog.LowPassFilterInterface.prototype.clone = function() {};
+
+
+/**
+ * Takes a snapshot of this filter's knob and switch settings.
+ * @return {!doodle.moog.LowPassFilterInterface.Settings} The settings.
+ */
+doodle.moog.LowPassFilterInterface.prototype.getSettings = function() {};
+
+
+/**
+ * Applies a settings snapshot to this filter.  Like changing any one setting,
+ * this cancels the contour envelope.
+ * @param {!doodle.moog.LowPassFilterInterface.Settings} settings The settings
+ *     to apply.
+ */
+doodle.moog.LowPassFilterInterface.prototype.applySettings = function(
+    settings) {};
+
+
+/**
+ * Initiates the attack phase of the contour envelope (e.g., when a key is
+ * pressed), ramping up from wherever the envelope is so that retriggering a
+ * note that is still sounding doesn't make the cutoff frequency jump.
+ * @param {number} note Chromatic index of the note being played relative to
+ *     the beginning of the keyboard.  The cutoff frequency tracks it according
+ *     to the keyboard tracking amount.
+ * @param {number=} opt_time Audio context time at which the attack starts.
+ *     Defaults to right away.
+ */
+doodle.moog.LowPassFilterInterface.prototype.startAttack = function(
+    note, opt_time) {};
+
+
+/**
+ * Initiates the release phase of the contour envelope (e.g., when a key is
+ * lifted), bringing the cutoff frequency back down from wherever the envelope
+ * is.  The release is timed like an envelope generator's; see
+ * doodle.moog.EnvelopeGenerator.getReleaseTime.
+ * @param {number=} opt_time Audio context time at which the release starts.
+ *     Defaults to right away.
+ */
+doodle.moog.LowPassFilterInterface.prototype.startRelease = function(
+    opt_time) {};
+
+
+/**
+ * Sets the filter cutoff frequency.
+ * @param {number} cutoffFrequency The cutoff frequency above which the
+ *     frequencies are attenuated.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setCutoffFrequency = function(
+    cutoffFrequency) {};
+
+
+/**
+ * Sets the filter envelope contour.
+ * @param {number} contour Amount of contour to apply to the filter envelope.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setContour = function(contour) {};
+
+
+/**
+ * Sets attack phase duration.
+ * @param {number} time Duration of the attack phase in seconds.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setContourAttackTime = function(
+    time) {};
+
+
+/**
+ * Sets decay phase duration.
+ * @param {number} time Duration of the decay phase in seconds.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setContourDecayTime = function(
+    time) {};
+
+
+/**
+ * Sets the sustain level.
+ * @param {number} level The sustain level, a number in the range [0, 1].
+ */
+doodle.moog.LowPassFilterInterface.prototype.setContourSustainLevel =
+    function(level) {};
+
+
+/**
+ * Sets release phase duration, used in ADSR mode.
+ * @param {number} time Duration of the release phase in seconds.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setContourReleaseTime = function(
+    time) {};
+
+
+/**
+ * Sets whether the contour envelope releases over its decay time (ADSD) or its
+ * release time (ADSR).
+ * @param {doodle.moog.EnvelopeGenerator.Mode} mode The envelope mode.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setContourMode = function(
+    mode) {};
+
+
+/**
+ * Turns on the decay switch of the contour envelope.
+ */
+doodle.moog.LowPassFilterInterface.prototype.turnOnContourDecaySwitch =
+    function() {};
+
+
+/**
+ * Turns off the decay switch of the contour envelope, so that the cutoff
+ * frequency snaps back almost as soon as the key is released.
+ */
+doodle.moog.LowPassFilterInterface.prototype.turnOffContourDecaySwitch =
+    function() {};
+
+
+/**
+ * Sets the shape of one of the contour envelope's segments.  The curve moves
+ * the cutoff frequency on a log scale, so a LINEAR segment changes it by the
+ * same interval every moment.
+ * @param {doodle.moog.EnvelopeGenerator.Segment} segment The segment.
+ * @param {doodle.moog.EnvelopeGenerator.Curve} curve The shape.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setContourCurve = function(
+    segment, curve) {};
+
+
+/**
+ * Sets how far the cutoff frequency follows the keyboard.  Takes effect from
+ * the next key press.
+ * @param {doodle.moog.LowPassFilterInterface.KeyboardTracking} tracking The
+ *     keyboard tracking amount.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setKeyboardTracking = function(
+    tracking) {};
+
+
+/**
+ * Sets how strongly frequencies around the cutoff frequency are boosted.
+ * @param {number} emphasis The emphasis, a number in the range [0, 1].
+ */
+doodle.moog.LowPassFilterInterface.prototype.setEmphasis = function(
+    emphasis) {};
+
+
+/**
+ * Turns on saturation, so that loud signals are soft clipped inside the
+ * filter.
+ */
+doodle.moog.LowPassFilterInterface.prototype.turnOnSaturation = function() {};
+
+
+/**
+ * Turns off saturation.
+ */
+doodle.moog.LowPassFilterInterface.prototype.turnOffSaturation = function() {};
+
+
+/**
+ * Moves the cutoff frequency by a modulation amount, on top of the contour
+ * envelope.  The amount holds until the next call, so this suits modulation
+ * computed once per buffer.
+ * @param {number} amount The modulation amount.  See
+ *     doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE.
+ */
+doodle.moog.LowPassFilterInterface.prototype.setCutoffModulation = function(
+    amount) {};
+
+
+/**
+ * Gets the AudioParam that moves the cutoff frequency in cents, on top of the
+ * contour envelope.
+ * @return {AudioParam} The AudioParam, or null if the cutoff frequency can't
+ *     be modulated through an AudioParam.
+ */
+doodle.moog.LowPassFilterInterface.prototype.getCutoffModulationParam =
+    function() {};
+
+
+/**
+ * Gets the ladder model that filters the voice's samples before they leave
+ * doodle.moog.VoiceRenderer, for filters that aren't Web Audio nodes.  Such
+ * filters take cutoff modulation sample by sample from the renderer instead
+ * of through setCutoffModulation or getCutoffModulationParam.
+ * @return {doodle.moog.LadderModel} The model, or null if the filter is a Web
+ *     Audio node.
+ */
+doodle.moog.LowPassFilterInterface.prototype.getLadderModel = function() {};
@@ -0,0 +1,142 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview JavaScript model of doodle.moog.LowPassFilter.
+ */
+goog.provide('doodle.moog.LowPassModel');
+
+goog.require('doodle.moog.Biquad');
+goog.require('doodle.moog.Biquad.Type');
+goog.require('doodle.moog.FilterContour');
+goog.require('doodle.moog.FilterModelInterface');
+goog.require('doodle.moog.LowPassFilter');
+
+
+
+/**
+ * Computes in JavaScript what doodle.moog.LowPassFilter does with Web Audio
+ * nodes: a biquad low pass filter whose cutoff frequency follows the contour
+ * envelope, with emphasis raising its Q.  Cutoff modulation moves the cutoff
+ * frequency sample by sample, as it does through the filter node's detune
+ * AudioParam.
+ *
+ * Lets voices render without an audio context, for instance to test the
+ * synthesizer outside a browser.
+ * @param {{sampleRate: number}} audioContext Audio context to which this model
+ *     will be bound.  Only its sample rate is used.
+ * @param {!doodle.moog.LowPassFilterInterface.Settings} settings Initial
+ *     settings.  isSaturationOn is ignored, as the filter node is linear.
+ * @constructor
+ * @implements {doodle.moog.FilterModelInterface}
+ */
+doodle.moog.LowPassModel = function(audioContext, settings) {
+  /**
+   * Moves the cutoff frequency when a key is pressed.
+   * @type {!doodle.moog.FilterContour}
+   * @private
+   */
+  this.contour_ = new doodle.moog.FilterContour(audioContext, settings.contour);
+
+  /**
+   * How strongly frequencies around the cutoff frequency are boosted, in the
+   * range [0, 1].
+   * @type {number}
+   * @private
+   */
+  this.emphasis_;
+
+  /**
+   * The filter the samples go through.
+   * @type {!doodle.moog.Biquad}
+   * @private
+   */
+  this.biquad_ = new doodle.moog.Biquad(audioContext,
+      doodle.moog.Biquad.Type.LOWPASS, settings.contour.cutoffFrequency, 1);
+
+  this.setEmphasis_(settings.emphasis);
+};
+
+
+/**
+ * The factor by which the cutoff frequency is multiplied per unit of cutoff
+ * modulation is two to the power of this.  See
+ * doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.LowPassModel.CUTOFF_MODULATION_OCTAVES_ =
+    doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE / 1200;
+
+
+/** @inheritDoc */
+doodle.moog.LowPassModel.prototype.getSettings = function() {
+  return {
+    contour: this.contour_.getSettings(),
+    emphasis: this.emphasis_,
+    isSaturationOn: false
+  };
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassModel.prototype.applySettings = function(settings) {
+  this.contour_.applySettings(settings.contour);
+  this.setEmphasis_(settings.emphasis);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassModel.prototype.startAttack = function(note) {
+  this.contour_.startAttack(note);
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassModel.prototype.startRelease = function() {
+  this.contour_.startRelease();
+};
+
+
+/** @inheritDoc */
+doodle.moog.LowPassModel.prototype.process = function(
+    right, left, cutoffModulation) {
+  for (var i = 0; i < right.length; i++) {
+    var cutoffFrequency = this.contour_.getNextFrequency();
+    if (cutoffModulation && cutoffModulation[i]) {
+      cutoffFrequency *= Math.pow(2, cutoffModulation[i] *
+          doodle.moog.LowPassModel.CUTOFF_MODULATION_OCTAVES_);
+    }
+    // The biquad only recomputes its coefficients when the frequency moves.
+    this.biquad_.setFrequency(cutoffFrequency);
+
+    right[i] = this.biquad_.filterSample(right[i], 0);
+    if (left) {
+      left[i] = this.biquad_.filterSample(left[i], 1);
+    }
+  }
+};
+
+
+/**
+ * Sets the emphasis, raising the Q of the filter as
+ * doodle.moog.LowPassFilter#setEmphasis does.
+ * @param {number} emphasis The emphasis, in the range [0, 1].
+ * @private
+ */
+doodle.moog.LowPassModel.prototype.setEmphasis_ = function(emphasis) {
+  this.emphasis_ = emphasis;
+  this.biquad_.setQ(doodle.moog.LowPassFilter.getEmphasisQ(emphasis));
+};
@@ -17,13 +17,20 @@
  */
 goog.provide('doodle.moog.MasterMixer');
 
+goog.require('doodle.moog.ChannelStrip');
 goog.require('doodle.moog.MasterMixerInterface');
+goog.require('doodle.moog.webAudioCompat');
+goog.require('goog.array');
+goog.require('goog.events.EventHandler');
+goog.require('goog.events.EventType');
 
 
 
 /**
  * Master mixer for the multiple virtual synthesizers that may play back
- * simultaneously via the Sequencer.
+ * simultaneously via doodle.moog.TapeRecorder.  Each synthesizer feeds a
+ * doodle.moog.ChannelStrip; the strips are mixed into the wide band pass
+ * filter, and then go through the master fader to the speakers.
  * @param {!AudioContext} audioContext Audio context in which this mixer will
  *     operate.
  * @param {!Array.<!doodle.moog.SynthesizerInterface>} synthesizers The
@@ -56,23 +63,209 @@ doodle.moog.MasterMixer = function(
    */
   this.wideBandPassFilter_ = wideBandPassFilter;
 
-  for (var i = 0; i < synthesizers.length; i++) {
-    synthesizers[i].connect(wideBandPassFilter.getSourceNode());
-  }
+  /**
+   * Mixes the sends of every channel.
+   * @type {!GainNode}
+   * @private
+   */
+  this.sendBusNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * The master fader.
+   * @type {!GainNode}
+   * @private
+   */
+  this.masterNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
+
+  /**
+   * A channel strip per synthesizer, in the same order.
+   * @type {!Array.<!doodle.moog.ChannelStrip>}
+   * @private
+   */
+  this.channelStrips_ = goog.array.map(synthesizers, function(synthesizer) {
+    var channelStrip =
+        new doodle.moog.ChannelStrip(audioContext, this.sendBusNode_);
+    synthesizer.connect(channelStrip.getSourceNode());
+    channelStrip.connect(wideBandPassFilter.getSourceNode());
+    return channelStrip;
+  }, this);
+
+  /**
+   * Handler for the user gestures that unlock a suspended audio context.
+   * @type {!goog.events.EventHandler}
+   * @private
+   */
+  this.eventHandler_ = new goog.events.EventHandler(this);
+
+  wideBandPassFilter.connect(this.masterNode_);
 };
 
 
+/**
+ * User gestures that browsers accept as permission to start audio playback.
+ * @type {!Array.<string>}
+ * @const
+ * @private
+ */
+doodle.moog.MasterMixer.UNLOCK_EVENT_TYPES_ = [
+  goog.events.EventType.CLICK,
+  goog.events.EventType.KEYDOWN,
+  goog.events.EventType.MOUSEDOWN,
+  goog.events.EventType.TOUCHEND
+];
+
+
 /** @inheritDoc */
 doodle.moog.MasterMixer.prototype.turnOn = function() {
-  window.setTimeout(goog.bind(function() {
-    // NOTE: The audio pipeline is connected in a setTimeout to avoid a Chrome
-    // bug in which the audio will occasionally fail to initialize/play.
-    this.wideBandPassFilter_.connect(this.audioContext_.destination);
-  }, this), 0);
+  this.masterNode_.connect(this.audioContext_.destination);
+
+  // Autoplay policies start audio contexts suspended until the user interacts
+  // with the page.  Try to resume right away in case we're already inside a
+  // user gesture, and otherwise wait for the first one.
+  if (doodle.moog.webAudioCompat.isSuspended(this.audioContext_)) {
+    this.resumeAudioContext_();
+    this.eventHandler_.listen(
+        document, doodle.moog.MasterMixer.UNLOCK_EVENT_TYPES_,
+        this.handleUnlockGesture_, true);
+  }
 };
 
 
 /** @inheritDoc */
 doodle.moog.MasterMixer.prototype.turnOff = function() {
-  this.wideBandPassFilter_.disconnect();
+  this.eventHandler_.removeAll();
+  this.masterNode_.disconnect();
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.getChannelCount = function() {
+  return this.channelStrips_.length;
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.getChannelSettings = function(channel) {
+  return this.getChannelStrip_(channel).getSettings();
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.setChannelGain = function(channel, gain) {
+  this.getChannelStrip_(channel).setGain(gain);
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.setChannelPan = function(channel, pan) {
+  this.getChannelStrip_(channel).setPan(pan);
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.setChannelMuted = function(
+    channel, isMuted) {
+  this.getChannelStrip_(channel).setMuted(isMuted);
+  this.updateGates_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.setChannelSoloed = function(
+    channel, isSoloed) {
+  this.getChannelStrip_(channel).setSoloed(isSoloed);
+  this.updateGates_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.setChannelSendLevel = function(
+    channel, level) {
+  this.getChannelStrip_(channel).setSendLevel(level);
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.setChannelSendMode = function(
+    channel, mode) {
+  this.getChannelStrip_(channel).setSendMode(mode);
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.setMasterGain = function(gain) {
+  this.masterNode_.gain.value = gain;
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.getMasterGain = function() {
+  return this.masterNode_.gain.value;
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.connectSend = function(destination) {
+  this.sendBusNode_.connect(destination);
+};
+
+
+/** @inheritDoc */
+doodle.moog.MasterMixer.prototype.disconnectSend = function() {
+  this.sendBusNode_.disconnect();
+};
+
+
+/**
+ * Gets the strip of a channel.
+ * @param {number} channel Index of the channel.
+ * @return {!doodle.moog.ChannelStrip} The strip.  An error is thrown if there
+ *     is no such channel.
+ * @private
+ */
+doodle.moog.MasterMixer.prototype.getChannelStrip_ = function(channel) {
+  var channelStrip = this.channelStrips_[channel];
+  if (!channelStrip) {
+    throw Error('No such mixer channel: ' + channel);
+  }
+  return channelStrip;
+};
+
+
+/**
+ * Opens or closes every strip's gate after a change of mute or solo.
+ * @private
+ */
+doodle.moog.MasterMixer.prototype.updateGates_ = function() {
+  var isAnyStripSoloed = goog.array.some(this.channelStrips_,
+      function(channelStrip) {
+        return channelStrip.isSoloed();
+      });
+  goog.array.forEach(this.channelStrips_, function(channelStrip) {
+    channelStrip.updateGate(isAnyStripSoloed);
+  });
+};
+
+
+/**
+ * Resumes a suspended audio context in response to a user gesture.
+ * @private
+ */
+doodle.moog.MasterMixer.prototype.handleUnlockGesture_ = function() {
+  this.eventHandler_.removeAll();
+  if (doodle.moog.webAudioCompat.isSuspended(this.audioContext_)) {
+    this.resumeAudioContext_();
+  }
+};
+
+
+/**
+ * Resumes the suspended audio context.  If the browser refuses, for instance
+ * because the context has been closed, the mixer is turned off, so that it
+ * neither stays connected to a context that will never play nor waits on
+ * gestures that can't unlock it.
+ * @private
+ */
+doodle.moog.MasterMixer.prototype.resumeAudioContext_ = function() {
+  this.audioContext_.resume().then(null, goog.bind(this.turnOff, this));
 };
@@ -16,17 +16,47 @@
  * @fileoverview Master mixer interface for all doodle Web Audio sources.
  */
 goog.provide('doodle.moog.MasterMixerInterface');
+goog.provide('doodle.moog.MasterMixerInterface.SendMode');
 
 
 
 /**
  * Master mixer for the multiple virtual synthesizers that may play back
- * simultaneously via the Sequencer.
+ * simultaneously via doodle.moog.TapeRecorder.  Each synthesizer has a channel
+ * of its own, numbered in the order the synthesizers were given to the mixer,
+ * and every channel runs through a master fader.
  * @interface
  */
 doodle.moog.MasterMixerInterface = function() {};
 
 
+/**
+ * Points in a channel from which its send is taken.
+ * @enum {number}
+ */
+doodle.moog.MasterMixerInterface.SendMode = {
+  // Before the channel's gain and pan, so the send level alone sets how much
+  // is sent.
+  PRE_FADER: 0,
+  // After the channel's gain and pan, so the send follows the channel's mix.
+  POST_FADER: 1
+};
+
+
+/**
+ * A snapshot of a mixer channel's settings.
+ * @typedef {{
+ *   gain: number,
+ *   pan: number,
+ *   isMuted: boolean,
+ *   isSoloed: boolean,
+ *   sendLevel: number,
+ *   sendMode: !doodle.moog.MasterMixerInterface.SendMode
+ * }}
+ */
+doodle.moog.MasterMixerInterface.ChannelSettings;
+
+
 /**
  * Turns on the mixer.
  */
@@ -37,3 +67,104 @@ doodle.moog.MasterMixerInterface.prototype.turnOn = function() {};
  * Turns off the mixer.
  */
 doodle.moog.MasterMixerInterface.prototype.turnOff = function() {};
+
+
+/**
+ * @return {number} How many channels the mixer has.
+ */
+doodle.moog.MasterMixerInterface.prototype.getChannelCount = function() {};
+
+
+/**
+ * Gets a snapshot of a channel's settings.
+ * @param {number} channel Index of the channel.
+ * @return {!doodle.moog.MasterMixerInterface.ChannelSettings} The settings.
+ */
+doodle.moog.MasterMixerInterface.prototype.getChannelSettings = function(
+    channel) {};
+
+
+/**
+ * Sets the level of a channel.
+ * @param {number} channel Index of the channel.
+ * @param {number} gain Gain coefficient.  1 leaves the synthesizer's level as
+ *     it is.
+ */
+doodle.moog.MasterMixerInterface.prototype.setChannelGain = function(
+    channel, gain) {};
+
+
+/**
+ * Sets where a channel sits between the left and right speakers.  The side
+ * the channel is panned towards keeps its level, and the other side fades.
+ * @param {number} channel Index of the channel.
+ * @param {number} pan The pan, in the range [-1, 1]: -1 is hard left, 0 is
+ *     center and 1 is hard right.
+ */
+doodle.moog.MasterMixerInterface.prototype.setChannelPan = function(
+    channel, pan) {};
+
+
+/**
+ * Mutes or unmutes a channel.
+ * @param {number} channel Index of the channel.
+ * @param {boolean} isMuted Whether the channel is muted.
+ */
+doodle.moog.MasterMixerInterface.prototype.setChannelMuted = function(
+    channel, isMuted) {};
+
+
+/**
+ * Solos or unsolos a channel.  While any channel is soloed, only soloed
+ * channels are heard.
+ * @param {number} channel Index of the channel.
+ * @param {boolean} isSoloed Whether the channel is soloed.
+ */
+doodle.moog.MasterMixerInterface.prototype.setChannelSoloed = function(
+    channel, isSoloed) {};
+
+
+/**
+ * Sets how much of a channel goes to the send.
+ * @param {number} channel Index of the channel.
+ * @param {number} level Gain coefficient of the send.  0 sends nothing.
+ */
+doodle.moog.MasterMixerInterface.prototype.setChannelSendLevel = function(
+    channel, level) {};
+
+
+/**
+ * Sets the point in a channel from which its send is taken.
+ * @param {number} channel Index of the channel.
+ * @param {!doodle.moog.MasterMixerInterface.SendMode} mode The send mode.
+ */
+doodle.moog.MasterMixerInterface.prototype.setChannelSendMode = function(
+    channel, mode) {};
+
+
+/**
+ * Sets the level of the mix as a whole.
+ * @param {number} gain Gain coefficient.
+ */
+doodle.moog.MasterMixerInterface.prototype.setMasterGain = function(gain) {};
+
+
+/**
+ * @return {number} Gain coefficient of the mix as a whole.
+ */
+doodle.moog.MasterMixerInterface.prototype.getMasterGain = function() {};
+
+
+/**
+ * Connects the sends of every channel, mixed together, to a destination such
+ * as an effect.  Sends go nowhere until connected.
+ * @param {!AudioNode} destination The destination.
+ */
+doodle.moog.MasterMixerInterface.prototype.connectSend = function(
+    destination) {};
+
+
+/**
+ * Disconnects the sends from any destination.
+ */
+doodle.moog.MasterMixerInterface.prototype.disconnectSend = function() {};
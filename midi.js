@@ -0,0 +1,102 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview MIDI message constants and conversions between MIDI note
+ * numbers and the synthesizer's keyboard notes.
+ */
+goog.provide('doodle.moog.midi');
+goog.provide('doodle.moog.midi.Controller');
+goog.provide('doodle.moog.midi.Status');
+
+
+/**
+ * Status bytes of channel messages, with the channel bits cleared.
+ * @enum {number}
+ */
+doodle.moog.midi.Status = {
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  POLYPHONIC_PRESSURE: 0xA0,
+  CONTROL_CHANGE: 0xB0,
+  PROGRAM_CHANGE: 0xC0,
+  CHANNEL_PRESSURE: 0xD0,
+  PITCH_BEND: 0xE0
+};
+
+
+/**
+ * Controller numbers of the control changes the synthesizer understands.
+ * @enum {number}
+ */
+doodle.moog.midi.Controller = {
+  MODULATION_WHEEL: 1,
+  SUSTAIN_PEDAL: 64
+};
+
+
+/**
+ * Number of MIDI channels.
+ * @type {number}
+ * @const
+ */
+doodle.moog.midi.CHANNEL_COUNT = 16;
+
+
+/**
+ * Value of a centered pitch bend wheel.  Pitch bends range from 0 to twice
+ * this, less one.
+ * @type {number}
+ * @const
+ */
+doodle.moog.midi.PITCH_BEND_CENTER = 8192;
+
+
+/**
+ * The MIDI note number of keyboard note 0.  At the 8' range
+ * (doodle.moog.OscillatorInterface.Range.R8), oscillators play note 0 at
+ * 174.61 Hz, the F below middle C; every MIDI note then sounds at its standard
+ * pitch, A4 (69) at 440 Hz.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.midi.KEYBOARD_NOTE_OFFSET_ = 53;
+
+
+/**
+ * Converts a MIDI note number to a keyboard note.
+ * @param {number} midiNote The MIDI note number, in the range [0, 127].
+ * @return {number} Chromatic index of the note relative to the beginning of
+ *     the keyboard.  Negative for notes below the keyboard.
+ */
+doodle.moog.midi.toKeyboardNote = function(midiNote) {
+  return midiNote - doodle.moog.midi.KEYBOARD_NOTE_OFFSET_;
+};
+
+
+/**
+ * Converts a keyboard note to a MIDI note number.
+ * @param {number} note Chromatic index of the note relative to the beginning
+ *     of the keyboard.
+ * @return {number} The MIDI note number.  An error is thrown if the note is
+ *     outside the MIDI range.
+ */
+doodle.moog.midi.toMidiNote = function(note) {
+  var midiNote = note + doodle.moog.midi.KEYBOARD_NOTE_OFFSET_;
+  if (midiNote % 1 != 0 || midiNote < 0 || midiNote > 127) {
+    throw Error('Note has no MIDI note number: ' + note);
+  }
+  return midiNote;
+};
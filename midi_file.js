@@ -0,0 +1,756 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Standard MIDI File export of tape recorder performances, and
+ * import of MIDI files as key events for the synthesizer.
+ *
+ * Exported files hold the key presses of each track as notes on their own
+ * channel, at a fixed tempo; knob turns are left out.  Imported files are
+ * reduced to a single line of notes, as the synthesizer would play them with
+ * every key held down on one keyboard, so they sound the same whatever the
+ * synthesizer's voice mode.
+ */
+goog.provide('doodle.moog.midiFile');
+goog.provide('doodle.moog.midiFile.Format');
+
+goog.require('doodle.moog.SynthesizerInterface.NotePriority');
+goog.require('doodle.moog.midi');
+goog.require('doodle.moog.midi.Status');
+goog.require('goog.array');
+
+
+/**
+ * Standard MIDI File formats.
+ * @enum {number}
+ */
+doodle.moog.midiFile.Format = {
+  // A single track holding every channel.
+  SINGLE_TRACK: 0,
+  // A tempo track followed by one track per channel.
+  MULTI_TRACK: 1
+};
+
+
+/**
+ * A key press or release, timed in seconds from the start of the file.
+ * @typedef {{
+ *   time: number,
+ *   note: number,
+ *   isKeyDown: boolean
+ * }}
+ */
+doodle.moog.midiFile.KeyEvent;
+
+
+/**
+ * A MIDI event of an exported track.
+ * @typedef {{
+ *   tick: number,
+ *   bytes: !Array.<number>
+ * }}
+ * @private
+ */
+doodle.moog.midiFile.TrackEvent_;
+
+
+/**
+ * A note on or note off read from an imported file.  key tells apart the
+ * same note on different channels.
+ * @typedef {{
+ *   tick: number,
+ *   key: number,
+ *   isNoteOn: boolean
+ * }}
+ * @private
+ */
+doodle.moog.midiFile.NoteMessage_;
+
+
+/**
+ * A tempo change read from an imported file.
+ * @typedef {{
+ *   tick: number,
+ *   microsecondsPerQuarterNote: number
+ * }}
+ * @private
+ */
+doodle.moog.midiFile.TempoChange_;
+
+
+/**
+ * Types of the meta events written and read.
+ * @enum {number}
+ * @private
+ */
+doodle.moog.midiFile.MetaType_ = {
+  END_OF_TRACK: 0x2F,
+  TEMPO: 0x51
+};
+
+
+/**
+ * Tempo, in beats (quarter notes) per minute, of exported files by default and
+ * of imported files until their first tempo change.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.midiFile.DEFAULT_TEMPO_ = 120;
+
+
+/**
+ * Resolution of exported files, in ticks per quarter note.  Fine enough that
+ * rounding key presses to ticks can't be heard at any reasonable tempo.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.midiFile.TICKS_PER_QUARTER_NOTE_ = 960;
+
+
+/**
+ * Velocity of exported note ons.  The synthesizer's keys aren't velocity
+ * sensitive.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.midiFile.VELOCITY_ = 100;
+
+
+/**
+ * Exports tape recorder tracks as a Standard MIDI File.  Each track's key
+ * presses become notes on the channel of the same number (the first track on
+ * channel 1), and keys still held at the end of a track are released there.
+ * @param {!Array.<!doodle.moog.TapeRecorder.Track>} tracks The tracks, as
+ *     found on doodle.moog.TapeRecorder#getTape.  At most 16.
+ * @param {!doodle.moog.midiFile.Format} format The file format.
+ * @param {number=} opt_tempo Tempo of the file, in beats per minute.  Only
+ *     changes how the file is notated, not how it sounds.  Defaults to 120.
+ * @return {!Uint8Array} The file.  An error is thrown if a note is outside the
+ *     MIDI range.
+ */
+doodle.moog.midiFile.encode = function(tracks, format, opt_tempo) {
+  var tempo = goog.isDef(opt_tempo) ?
+      opt_tempo : doodle.moog.midiFile.DEFAULT_TEMPO_;
+  if (!(tempo > 0)) {
+    throw Error('Tempo must be positive: ' + tempo);
+  }
+  if (tracks.length > doodle.moog.midi.CHANNEL_COUNT) {
+    throw Error('A MIDI file holds at most ' +
+        doodle.moog.midi.CHANNEL_COUNT + ' tracks: ' + tracks.length);
+  }
+
+  var ticksPerSecond =
+      tempo / 60 * doodle.moog.midiFile.TICKS_PER_QUARTER_NOTE_;
+  var microsecondsPerQuarterNote = Math.round(60000000 / tempo);
+  var tempoEvent = {
+    tick: 0,
+    bytes: [
+      0xFF, doodle.moog.midiFile.MetaType_.TEMPO, 3,
+      (microsecondsPerQuarterNote >> 16) & 0xFF,
+      (microsecondsPerQuarterNote >> 8) & 0xFF,
+      microsecondsPerQuarterNote & 0xFF
+    ]
+  };
+  var endTicks = goog.array.map(tracks, function(track) {
+    return Math.round(track.length * ticksPerSecond);
+  });
+  var trackEvents = goog.array.map(tracks, function(track, i) {
+    return doodle.moog.midiFile.getTrackEvents_(
+        track, i, ticksPerSecond, endTicks[i]);
+  });
+  var endTick = Math.max.apply(null, endTicks.concat(0));
+
+  var bytes = [];
+  if (format == doodle.moog.midiFile.Format.SINGLE_TRACK) {
+    var events = goog.array.concat.apply(null, [[tempoEvent]].concat(
+        trackEvents));
+    goog.array.stableSort(events, function(a, b) {
+      return a.tick - b.tick;
+    });
+    doodle.moog.midiFile.writeHeader_(bytes, format, 1);
+    doodle.moog.midiFile.writeTrack_(bytes, events, endTick);
+  } else {
+    doodle.moog.midiFile.writeHeader_(bytes, format, tracks.length + 1);
+    doodle.moog.midiFile.writeTrack_(bytes, [tempoEvent], endTick);
+    goog.array.forEach(trackEvents, function(events, i) {
+      doodle.moog.midiFile.writeTrack_(bytes, events, endTicks[i]);
+    });
+  }
+  return new Uint8Array(bytes);
+};
+
+
+/**
+ * Imports the notes of a Standard MIDI File (format 0 or 1) as a single line of
+ * key events, following the file's tempo changes.  Where the file plays
+ * several notes at once, the one sounding is chosen like the synthesizer does
+ * in MONO mode; the line moves straight from note to note, pressing the next
+ * key before releasing the last.
+ * @param {!ArrayBuffer|!Uint8Array} data The file.
+ * @param {doodle.moog.SynthesizerInterface.NotePriority=} opt_notePriority
+ *     Which of several notes playing at once sounds.  Defaults to the most
+ *     recent.
+ * @param {number=} opt_channel The channel to import, in the range [1, 16].
+ *     Defaults to every channel.
+ * @return {!Array.<!doodle.moog.midiFile.KeyEvent>} The key events, in time
+ *     order.  Play them with doodle.moog.midiFile.play.  An error is thrown
+ *     if the file is malformed or of an unsupported format.
+ */
+doodle.moog.midiFile.decode = function(data, opt_notePriority, opt_channel) {
+  var reader = new doodle.moog.midiFile.ByteReader_(
+      data instanceof Uint8Array ? data : new Uint8Array(data));
+  if (reader.readString(4) != 'MThd') {
+    throw Error('Not a MIDI file.');
+  }
+  var headerLength = reader.readUint(4);
+  if (headerLength < 6) {
+    throw Error('MIDI file header is too short.');
+  }
+  var format = reader.readUint(2);
+  var trackCount = reader.readUint(2);
+  var division = reader.readUint(2);
+  reader.readBytes(headerLength - 6);
+  if (format != doodle.moog.midiFile.Format.SINGLE_TRACK &&
+      format != doodle.moog.midiFile.Format.MULTI_TRACK) {
+    throw Error('Unsupported MIDI file format: ' + format);
+  }
+
+  var notes = [];
+  var tempoChanges = [];
+  while (trackCount > 0) {
+    var chunkType = reader.readString(4);
+    var chunk = new doodle.moog.midiFile.ByteReader_(
+        reader.readBytes(reader.readUint(4)));
+    // Chunks of other types are reserved for extensions, and are skipped.
+    if (chunkType == 'MTrk') {
+      doodle.moog.midiFile.readTrack_(
+          chunk, opt_channel || null, notes, tempoChanges);
+      trackCount--;
+    }
+  }
+
+  // Tracks are merged in time order.  Where a key is released and pressed
+  // again on the same tick, it is released first.
+  goog.array.stableSort(notes, function(a, b) {
+    return a.tick - b.tick || Number(a.isNoteOn) - Number(b.isNoteOn);
+  });
+  goog.array.stableSort(tempoChanges, function(a, b) {
+    return a.tick - b.tick;
+  });
+  var tempoMap = new doodle.moog.midiFile.TempoMap_(division, tempoChanges);
+  return doodle.moog.midiFile.getMonoLine_(notes, tempoMap,
+      opt_notePriority || doodle.moog.SynthesizerInterface.NotePriority.LAST);
+};
+
+
+/**
+ * Schedules key events on a synthesizer.  Stop them early with
+ * doodle.moog.SynthesizerInterface#cancelScheduledKeys.
+ * @param {!doodle.moog.SynthesizerInterface} synthesizer The synthesizer to
+ *     play.
+ * @param {!Array.<!doodle.moog.midiFile.KeyEvent>} events The key events, in
+ *     time order, as returned by decode.
+ * @param {number} startTime Audio context time at which to start.
+ */
+doodle.moog.midiFile.play = function(synthesizer, events, startTime) {
+  goog.array.forEach(events, function(event) {
+    if (event.isKeyDown) {
+      synthesizer.setKeyDown(event.note, startTime + event.time);
+    } else {
+      synthesizer.setKeyUp(event.note, startTime + event.time);
+    }
+  });
+};
+
+
+/**
+ * Turns the key presses of a tape recorder track into note ons and note offs.
+ * @param {!doodle.moog.TapeRecorder.Track} track The track.
+ * @param {number} channel Index of the channel to play the notes on.
+ * @param {number} ticksPerSecond How many ticks pass each second.
+ * @param {number} endTick The tick at which the track ends.
+ * @return {!Array.<!doodle.moog.midiFile.TrackEvent_>} The events, in time
+ *     order.
+ * @private
+ */
+doodle.moog.midiFile.getTrackEvents_ = function(
+    track, channel, ticksPerSecond, endTick) {
+  var events = [];
+  var heldNotes = [];
+  var releaseNote = function(note, tick) {
+    goog.array.remove(heldNotes, note);
+    events.push({
+      tick: tick,
+      bytes: [doodle.moog.midi.Status.NOTE_OFF | channel, note, 64]
+    });
+  };
+
+  goog.array.forEach(track.events, function(event) {
+    var tick = Math.round(event.time * ticksPerSecond);
+    if (event.action == 'setKeyDown') {
+      var note = doodle.moog.midi.toMidiNote(event.args[0]);
+      // A key pressed again while held is released first, so that every note
+      // on has a note off.
+      if (goog.array.contains(heldNotes, note)) {
+        releaseNote(note, tick);
+      }
+      heldNotes.push(note);
+      events.push({
+        tick: tick,
+        bytes: [
+          doodle.moog.midi.Status.NOTE_ON | channel, note,
+          doodle.moog.midiFile.VELOCITY_
+        ]
+      });
+    } else if (event.action == 'setKeyUp') {
+      var releasedNotes = goog.isDefAndNotNull(event.args[0]) ?
+          [doodle.moog.midi.toMidiNote(event.args[0])] :
+          goog.array.clone(heldNotes);
+      goog.array.forEach(releasedNotes, function(note) {
+        if (goog.array.contains(heldNotes, note)) {
+          releaseNote(note, tick);
+        }
+      });
+    }
+  });
+
+  goog.array.forEach(goog.array.clone(heldNotes), function(note) {
+    releaseNote(note, endTick);
+  });
+  return events;
+};
+
+
+/**
+ * Writes the header chunk of a file.
+ * @param {!Array.<number>} bytes Where to write.
+ * @param {!doodle.moog.midiFile.Format} format The file format.
+ * @param {number} trackCount How many track chunks follow.
+ * @private
+ */
+doodle.moog.midiFile.writeHeader_ = function(bytes, format, trackCount) {
+  doodle.moog.midiFile.writeString_(bytes, 'MThd');
+  doodle.moog.midiFile.writeUint_(bytes, 6, 4);
+  doodle.moog.midiFile.writeUint_(bytes, format, 2);
+  doodle.moog.midiFile.writeUint_(bytes, trackCount, 2);
+  doodle.moog.midiFile.writeUint_(
+      bytes, doodle.moog.midiFile.TICKS_PER_QUARTER_NOTE_, 2);
+};
+
+
+/**
+ * Writes a track chunk.
+ * @param {!Array.<number>} bytes Where to write.
+ * @param {!Array.<!doodle.moog.midiFile.TrackEvent_>} events The events of the
+ *     track, in time order.
+ * @param {number} endTick The tick at which the track ends, if that is after
+ *     its last event.
+ * @private
+ */
+doodle.moog.midiFile.writeTrack_ = function(bytes, events, endTick) {
+  var data = [];
+  var tick = 0;
+  goog.array.forEach(events, function(event) {
+    doodle.moog.midiFile.writeVariableLength_(data, event.tick - tick);
+    goog.array.extend(data, event.bytes);
+    tick = event.tick;
+  });
+  doodle.moog.midiFile.writeVariableLength_(data, Math.max(endTick - tick, 0));
+  data.push(0xFF, doodle.moog.midiFile.MetaType_.END_OF_TRACK, 0);
+
+  doodle.moog.midiFile.writeString_(bytes, 'MTrk');
+  doodle.moog.midiFile.writeUint_(bytes, data.length, 4);
+  goog.array.extend(bytes, data);
+};
+
+
+/**
+ * @param {!Array.<number>} bytes Where to write.
+ * @param {string} string A string of ASCII characters.
+ * @private
+ */
+doodle.moog.midiFile.writeString_ = function(bytes, string) {
+  for (var i = 0; i < string.length; i++) {
+    bytes.push(string.charCodeAt(i));
+  }
+};
+
+
+/**
+ * @param {!Array.<number>} bytes Where to write.
+ * @param {number} value A non-negative integer that fits in byteCount bytes.
+ * @param {number} byteCount The width of the field.  Bytes are written most
+ *     significant first.
+ * @private
+ */
+doodle.moog.midiFile.writeUint_ = function(bytes, value, byteCount) {
+  for (var i = byteCount - 1; i >= 0; i--) {
+    bytes.push((value >>> (i * 8)) & 0xFF);
+  }
+};
+
+
+/**
+ * Writes a variable length quantity: seven bits per byte, most significant
+ * first, with the top bit set on every byte but the last.
+ * @param {!Array.<number>} bytes Where to write.
+ * @param {number} value A non-negative integer below 2^28.
+ * @private
+ */
+doodle.moog.midiFile.writeVariableLength_ = function(bytes, value) {
+  var groups = [value & 0x7F];
+  while ((value >>>= 7) > 0) {
+    groups.unshift((value & 0x7F) | 0x80);
+  }
+  goog.array.extend(bytes, groups);
+};
+
+
+/**
+ * Reads the note messages and tempo changes of a track chunk.
+ * @param {!doodle.moog.midiFile.ByteReader_} reader Reader of the chunk.
+ * @param {?number} channel The channel whose notes to read, or null to read
+ *     every channel's.
+ * @param {!Array.<!doodle.moog.midiFile.NoteMessage_>} notes Where to add the
+ *     note messages.
+ * @param {!Array.<!doodle.moog.midiFile.TempoChange_>} tempoChanges Where to
+ *     add the tempo changes.
+ * @private
+ */
+doodle.moog.midiFile.readTrack_ = function(
+    reader, channel, notes, tempoChanges) {
+  var tick = 0;
+  var runningStatus = 0;
+  while (!reader.isAtEnd()) {
+    tick += reader.readVariableLength();
+    var status = reader.readUint(1);
+
+    if (status == 0xFF) {
+      var metaType = reader.readUint(1);
+      var metaData = reader.readBytes(reader.readVariableLength());
+      if (metaType == doodle.moog.midiFile.MetaType_.TEMPO &&
+          metaData.length == 3) {
+        tempoChanges.push({
+          tick: tick,
+          microsecondsPerQuarterNote:
+              (metaData[0] << 16) | (metaData[1] << 8) | metaData[2]
+        });
+      } else if (metaType == doodle.moog.midiFile.MetaType_.END_OF_TRACK) {
+        return;
+      }
+      runningStatus = 0;
+      continue;
+    }
+    if (status == 0xF0 || status == 0xF7) {
+      // A system exclusive message.
+      reader.readBytes(reader.readVariableLength());
+      runningStatus = 0;
+      continue;
+    }
+
+    // A channel message, whose status may be left out if it is the same as
+    // the last message's.
+    var firstDataByte;
+    if (status < 0x80) {
+      if (!runningStatus) {
+        throw Error('MIDI file has a message without a status.');
+      }
+      firstDataByte = status;
+      status = runningStatus;
+    } else if (status < 0xF0) {
+      runningStatus = status;
+      firstDataByte = reader.readUint(1);
+    } else {
+      throw Error('MIDI file has an unexpected status: ' + status);
+    }
+    var messageType = status & 0xF0;
+    var secondDataByte =
+        messageType == doodle.moog.midi.Status.PROGRAM_CHANGE ||
+        messageType == doodle.moog.midi.Status.CHANNEL_PRESSURE ?
+        0 : reader.readUint(1);
+
+    var messageChannel = (status & 0x0F) + 1;
+    if ((messageType == doodle.moog.midi.Status.NOTE_ON ||
+        messageType == doodle.moog.midi.Status.NOTE_OFF) &&
+        (!channel || messageChannel == channel)) {
+      notes.push({
+        tick: tick,
+        key: (messageChannel << 7) | firstDataByte,
+        // Note ons with zero velocity are note offs.
+        isNoteOn: messageType == doodle.moog.midi.Status.NOTE_ON &&
+            secondDataByte > 0
+      });
+    }
+  }
+};
+
+
+/**
+ * Reduces note messages to the single line of key events the synthesizer
+ * would play in MONO mode.
+ * @param {!Array.<!doodle.moog.midiFile.NoteMessage_>} notes The note
+ *     messages, in time order.
+ * @param {!doodle.moog.midiFile.TempoMap_} tempoMap The file's tempo map.
+ * @param {doodle.moog.SynthesizerInterface.NotePriority} notePriority Which of
+ *     several notes playing at once sounds.
+ * @return {!Array.<!doodle.moog.midiFile.KeyEvent>} The key events.
+ * @private
+ */
+doodle.moog.midiFile.getMonoLine_ = function(notes, tempoMap, notePriority) {
+  var events = [];
+  var heldKeys = [];
+  var soundingNote = null;
+  for (var i = 0; i < notes.length;) {
+    // Only the outcome of all the messages on a tick is heard.
+    var tick = notes[i].tick;
+    var pressedKeys = [];
+    for (; i < notes.length && notes[i].tick == tick; i++) {
+      goog.array.remove(heldKeys, notes[i].key);
+      if (notes[i].isNoteOn) {
+        heldKeys.push(notes[i].key);
+        pressedKeys.push(notes[i].key);
+      }
+    }
+
+    var key = doodle.moog.midiFile.getPriorityKey_(heldKeys, notePriority);
+    var note = goog.isNull(key) ? null : key & 0x7F;
+    var time = tempoMap.getTime(tick);
+    if (!goog.isNull(note) &&
+        (note !== soundingNote || goog.array.contains(pressedKeys, key))) {
+      events.push({
+        time: time,
+        note: doodle.moog.midi.toKeyboardNote(note),
+        isKeyDown: true
+      });
+    }
+    if (!goog.isNull(soundingNote) && note !== soundingNote) {
+      events.push({
+        time: time,
+        note: doodle.moog.midi.toKeyboardNote(soundingNote),
+        isKeyDown: false
+      });
+    }
+    soundingNote = note;
+  }
+  return events;
+};
+
+
+/**
+ * Picks the held key that sounds.
+ * @param {!Array.<number>} heldKeys The held keys, in the order they were
+ *     pressed.  The low seven bits of each are its note.
+ * @param {doodle.moog.SynthesizerInterface.NotePriority} notePriority Which of
+ *     several held keys sounds.
+ * @return {?number} The key that sounds, or null if none are held.
+ * @private
+ */
+doodle.moog.midiFile.getPriorityKey_ = function(heldKeys, notePriority) {
+  if (!heldKeys.length) {
+    return null;
+  }
+  switch (notePriority) {
+    case doodle.moog.SynthesizerInterface.NotePriority.LOW:
+      return goog.array.reduce(heldKeys, function(lowest, key) {
+        return (key & 0x7F) < (lowest & 0x7F) ? key : lowest;
+      }, heldKeys[0]);
+    case doodle.moog.SynthesizerInterface.NotePriority.HIGH:
+      return goog.array.reduce(heldKeys, function(highest, key) {
+        return (key & 0x7F) > (highest & 0x7F) ? key : highest;
+      }, heldKeys[0]);
+    default:
+      return heldKeys[heldKeys.length - 1];
+  }
+};
+
+
+
+/**
+ * Converts ticks to seconds following a file's tempo changes.  Times must be
+ * asked for in tick order.
+ * @param {number} division The division field of the file header: ticks per
+ *     quarter note or, if the top bit is set, SMPTE frames per second and
+ *     ticks per frame.
+ * @param {!Array.<!doodle.moog.midiFile.TempoChange_>} tempoChanges The tempo
+ *     changes, in time order.  Ignored for SMPTE divisions, whose ticks are of
+ *     fixed length.
+ * @constructor
+ * @private
+ */
+doodle.moog.midiFile.TempoMap_ = function(division, tempoChanges) {
+  /**
+   * Ticks per quarter note, or 0 for SMPTE divisions.
+   * @type {number}
+   * @private
+   */
+  this.ticksPerQuarterNote_ = division & 0x8000 ? 0 : division;
+
+  /**
+   * The tempo changes still to come.
+   * @type {!Array.<!doodle.moog.midiFile.TempoChange_>}
+   * @private
+   */
+  this.tempoChanges_ = this.ticksPerQuarterNote_ ? tempoChanges : [];
+
+  /**
+   * Index in tempoChanges_ of the next tempo change.
+   * @type {number}
+   * @private
+   */
+  this.tempoChangeIndex_ = 0;
+
+  /**
+   * The tick at which the current tempo started.
+   * @type {number}
+   * @private
+   */
+  this.tempoTick_ = 0;
+
+  /**
+   * The time, in seconds, at which the current tempo started.
+   * @type {number}
+   * @private
+   */
+  this.tempoTime_ = 0;
+
+  /**
+   * Length of a tick at the current tempo, in seconds.
+   * @type {number}
+   * @private
+   */
+  this.secondsPerTick_;
+
+  if (this.ticksPerQuarterNote_) {
+    this.secondsPerTick_ = 60 / doodle.moog.midiFile.DEFAULT_TEMPO_ /
+        this.ticksPerQuarterNote_;
+  } else {
+    // The high byte is the negated frame rate; 29 stands for 29.97 drop frame.
+    var framesPerSecond = 256 - (division >> 8);
+    if (framesPerSecond == 29) {
+      framesPerSecond = 29.97;
+    }
+    this.secondsPerTick_ = 1 / (framesPerSecond * (division & 0xFF));
+  }
+  if (!isFinite(this.secondsPerTick_)) {
+    throw Error('MIDI file has an invalid division: ' + division);
+  }
+};
+
+
+/**
+ * @param {number} tick A tick, no earlier than any asked about before.
+ * @return {number} The time of the tick, in seconds from the start of the
+ *     file.
+ */
+doodle.moog.midiFile.TempoMap_.prototype.getTime = function(tick) {
+  while (this.tempoChangeIndex_ < this.tempoChanges_.length &&
+      this.tempoChanges_[this.tempoChangeIndex_].tick <= tick) {
+    var tempoChange = this.tempoChanges_[this.tempoChangeIndex_++];
+    this.tempoTime_ +=
+        (tempoChange.tick - this.tempoTick_) * this.secondsPerTick_;
+    this.tempoTick_ = tempoChange.tick;
+    this.secondsPerTick_ = tempoChange.microsecondsPerQuarterNote / 1000000 /
+        this.ticksPerQuarterNote_;
+  }
+  return this.tempoTime_ + (tick - this.tempoTick_) * this.secondsPerTick_;
+};
+
+
+
+/**
+ * Reads the fields of a MIDI file.
+ * @param {!Uint8Array} bytes The bytes to read.
+ * @constructor
+ * @private
+ */
+doodle.moog.midiFile.ByteReader_ = function(bytes) {
+  /**
+   * The bytes to read.
+   * @type {!Uint8Array}
+   * @private
+   */
+  this.bytes_ = bytes;
+
+  /**
+   * Index of the next byte to read.
+   * @type {number}
+   * @private
+   */
+  this.position_ = 0;
+};
+
+
+/**
+ * @return {boolean} Whether every byte has been read.
+ */
+doodle.moog.midiFile.ByteReader_.prototype.isAtEnd = function() {
+  return this.position_ >= this.bytes_.length;
+};
+
+
+/**
+ * @param {number} byteCount How many bytes to read.
+ * @return {!Uint8Array} The bytes.
+ */
+doodle.moog.midiFile.ByteReader_.prototype.readBytes = function(byteCount) {
+  if (this.position_ + byteCount > this.bytes_.length) {
+    throw Error('MIDI file is truncated.');
+  }
+  this.position_ += byteCount;
+  return this.bytes_.subarray(this.position_ - byteCount, this.position_);
+};
+
+
+/**
+ * @param {number} byteCount The width of the field.
+ * @return {number} The field's value, read most significant byte first.
+ */
+doodle.moog.midiFile.ByteReader_.prototype.readUint = function(byteCount) {
+  var bytes = this.readBytes(byteCount);
+  var value = 0;
+  for (var i = 0; i < bytes.length; i++) {
+    value = value * 256 + bytes[i];
+  }
+  return value;
+};
+
+
+/**
+ * @param {number} length How many ASCII characters to read.
+ * @return {string} The string.
+ */
+doodle.moog.midiFile.ByteReader_.prototype.readString = function(length) {
+  return String.fromCharCode.apply(null, this.readBytes(length));
+};
+
+
+/**
+ * Reads a variable length quantity, as written by
+ * doodle.moog.midiFile.writeVariableLength_.
+ * @return {number} The quantity.
+ */
+doodle.moog.midiFile.ByteReader_.prototype.readVariableLength = function() {
+  var value = 0;
+  for (var i = 0; i < 4; i++) {
+    var byte = this.readUint(1);
+    value = (value << 7) | (byte & 0x7F);
+    if (!(byte & 0x80)) {
+      return value;
+    }
+  }
+  throw Error('MIDI file has a variable length quantity that is too long.');
+};
@@ -0,0 +1,525 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Plays a synthesizer from a MIDI keyboard through the Web MIDI
+ * API.
+ */
+goog.provide('doodle.moog.MidiInput');
+goog.provide('doodle.moog.MidiInput.EventType');
+
+goog.require('doodle.moog.midi');
+goog.require('doodle.moog.midi.Controller');
+goog.require('doodle.moog.midi.Status');
+goog.require('doodle.moog.patch');
+goog.require('goog.array');
+goog.require('goog.events.EventTarget');
+goog.require('goog.math');
+
+
+
+/**
+ * Plays a synthesizer from a MIDI input device, listening on one channel or on
+ * all of them.
+ *
+ * Notes press and release keys.  The sustain pedal holds released keys down
+ * until it is lifted.  The pitch bend wheel bends every oscillator across its
+ * pitch bend range, on top of its pitch bend knob, and the modulation wheel
+ * sets the synthesizer's modulation amount.  Program changes apply patches
+ * from a list of programs.
+ * @param {!doodle.moog.Synthesizer} synthesizer The synthesizer to play.
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ */
+doodle.moog.MidiInput = function(synthesizer) {
+  goog.base(this);
+
+  /**
+   * The synthesizer played by this input.
+   * @type {!doodle.moog.Synthesizer}
+   * @private
+   */
+  this.synthesizer_ = synthesizer;
+
+  /**
+   * Access to the MIDI devices, or null if it hasn't been granted yet.
+   * @type {MIDIAccess}
+   * @private
+   */
+  this.midiAccess_ = null;
+
+  /**
+   * Whether a device has been selected by selectDevice.  Until one is, the
+   * first connected device is listened to.
+   * @type {boolean}
+   * @private
+   */
+  this.isDeviceSelected_ = false;
+
+  /**
+   * ID of the device selected by selectDevice, or null if none is.
+   * @type {?string}
+   * @private
+   */
+  this.selectedDeviceId_ = null;
+
+  /**
+   * The device being listened to, or null if none is.
+   * @type {MIDIInput}
+   * @private
+   */
+  this.input_ = null;
+
+  /**
+   * The channel listened to, in the range [1, 16], or null to listen to every
+   * channel.
+   * @type {?number}
+   * @private
+   */
+  this.channel_ = null;
+
+  /**
+   * Notes of the keys pressed through MIDI and not yet released, including
+   * those held by the sustain pedal.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.heldNotes_ = [];
+
+  /**
+   * Whether the sustain pedal is down.
+   * @type {boolean}
+   * @private
+   */
+  this.isSustaining_ = false;
+
+  /**
+   * Notes released while the sustain pedal is down.  They are released on the
+   * synthesizer when the pedal is lifted.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.sustainedNotes_ = [];
+
+  /**
+   * Position of the pitch bend wheel, in the range [-1, 1].
+   * @type {number}
+   * @private
+   */
+  this.pitchBend_ = 0;
+
+  /**
+   * Pitch bends the oscillators had before the pitch bend wheel moved off
+   * center, or null if it is centered.  They are restored once it is centered
+   * again.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.basePitchBends_ = null;
+
+  /**
+   * Patches applied by program changes, indexed by program number.
+   * @type {!Array.<!doodle.moog.patch.Patch>}
+   * @private
+   */
+  this.programs_ = [];
+
+  /**
+   * Handles MIDI messages from the device being listened to.
+   * @type {function(!MIDIMessageEvent)}
+   * @private
+   */
+  this.boundHandleMessage_ = goog.bind(this.handleMessage_, this);
+};
+goog.inherits(doodle.moog.MidiInput, goog.events.EventTarget);
+
+
+/**
+ * Events dispatched by MIDI inputs.
+ * @enum {string}
+ */
+doodle.moog.MidiInput.EventType = {
+  // Dispatched whenever devices are connected or disconnected, including when
+  // access to them is first granted.  See getDevices.
+  DEVICES_CHANGE: 'deviceschange',
+  // Dispatched if the browser doesn't support Web MIDI or the user denies
+  // access to MIDI devices.
+  ACCESS_ERROR: 'accesserror'
+};
+
+
+/**
+ * A MIDI input device.
+ * @typedef {{
+ *   id: string,
+ *   name: string
+ * }}
+ */
+doodle.moog.MidiInput.Device;
+
+
+/**
+ * @return {boolean} Whether the browser supports Web MIDI.
+ */
+doodle.moog.MidiInput.isSupported = function() {
+  var navigator = goog.global['navigator'];
+  return !!navigator && typeof navigator['requestMIDIAccess'] == 'function';
+};
+
+
+/** @inheritDoc */
+doodle.moog.MidiInput.prototype.disposeInternal = function() {
+  if (this.midiAccess_) {
+    this.midiAccess_.onstatechange = null;
+    this.midiAccess_ = null;
+  }
+  this.updateInput_();
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * Asks the browser for access to MIDI devices, which may prompt the user.
+ * Once access is granted, the input starts listening.
+ */
+doodle.moog.MidiInput.prototype.requestAccess = function() {
+  if (!doodle.moog.MidiInput.isSupported()) {
+    this.dispatchEvent(doodle.moog.MidiInput.EventType.ACCESS_ERROR);
+    return;
+  }
+  goog.global['navigator']['requestMIDIAccess']().then(
+      goog.bind(this.setMidiAccess, this),
+      goog.bind(function() {
+        if (!this.isDisposed()) {
+          this.dispatchEvent(doodle.moog.MidiInput.EventType.ACCESS_ERROR);
+        }
+      }, this));
+};
+
+
+/**
+ * Starts listening through the given access to MIDI devices, such as that
+ * granted by requestAccess.  Tests can pass a fake.
+ * @param {!MIDIAccess} midiAccess Access to the MIDI devices.
+ */
+doodle.moog.MidiInput.prototype.setMidiAccess = function(midiAccess) {
+  if (this.isDisposed()) {
+    return;
+  }
+  if (this.midiAccess_) {
+    this.midiAccess_.onstatechange = null;
+  }
+  this.midiAccess_ = midiAccess;
+  midiAccess.onstatechange = goog.bind(this.handleStateChange_, this);
+  this.updateInput_();
+  this.dispatchEvent(doodle.moog.MidiInput.EventType.DEVICES_CHANGE);
+};
+
+
+/**
+ * @return {!Array.<!doodle.moog.MidiInput.Device>} The connected MIDI input
+ *     devices.  Empty until access to them is granted.
+ */
+doodle.moog.MidiInput.prototype.getDevices = function() {
+  var devices = [];
+  goog.array.forEach(this.getConnectedInputs_(), function(input) {
+    devices.push({id: input.id, name: input.name || input.id});
+  });
+  return devices;
+};
+
+
+/**
+ * Selects the device to listen to.  Keys pressed from the previous device are
+ * released.
+ * @param {?string} id ID of the device, as given by getDevices, or null to
+ *     stop listening.  If the device isn't connected, the input starts
+ *     listening to it once it is.
+ */
+doodle.moog.MidiInput.prototype.selectDevice = function(id) {
+  this.isDeviceSelected_ = true;
+  this.selectedDeviceId_ = id;
+  this.updateInput_();
+};
+
+
+/**
+ * @return {?string} ID of the device being listened to, or null if none is.
+ */
+doodle.moog.MidiInput.prototype.getDeviceId = function() {
+  return this.input_ ? this.input_.id : null;
+};
+
+
+/**
+ * Sets the channel to listen to.  Keys pressed on other channels are
+ * released.
+ * @param {?number} channel The channel, in the range [1, 16], or null to
+ *     listen to every channel.  Defaults to null.
+ */
+doodle.moog.MidiInput.prototype.setChannel = function(channel) {
+  if (!goog.isNull(channel) && (channel % 1 != 0 || channel < 1 ||
+      channel > doodle.moog.midi.CHANNEL_COUNT)) {
+    throw Error('Channel must be null or in the range [1, ' +
+        doodle.moog.midi.CHANNEL_COUNT + ']: ' + channel);
+  }
+  if (channel !== this.channel_) {
+    this.releaseKeys_();
+    this.channel_ = channel;
+  }
+};
+
+
+/**
+ * @return {?number} The channel listened to, or null if every channel is.
+ */
+doodle.moog.MidiInput.prototype.getChannel = function() {
+  return this.channel_;
+};
+
+
+/**
+ * Sets the patches applied by program changes.  Program changes to programs
+ * past the end of the list are ignored.
+ * @param {!Array.<*>} patches The patches, indexed by program number.  An
+ *     error is thrown, and the current programs kept, if any patch is invalid.
+ */
+doodle.moog.MidiInput.prototype.setPrograms = function(patches) {
+  var oscillatorCount = this.synthesizer_.oscillators.length;
+  this.programs_ = goog.array.map(patches, function(patch) {
+    var migrated = doodle.moog.patch.migrate(patch);
+    doodle.moog.patch.validate(migrated, oscillatorCount);
+    return /** @type {!doodle.moog.patch.Patch} */ (migrated);
+  });
+};
+
+
+/**
+ * @return {!Array.<!MIDIInput>} The connected MIDI input devices.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.getConnectedInputs_ = function() {
+  var inputs = [];
+  if (this.midiAccess_) {
+    this.midiAccess_.inputs.forEach(function(input) {
+      if (input.state != 'disconnected') {
+        inputs.push(input);
+      }
+    });
+  }
+  return inputs;
+};
+
+
+/**
+ * Starts listening to the selected device, or to the first connected device
+ * if none has been selected, and stops listening to any other.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.updateInput_ = function() {
+  var inputs = this.getConnectedInputs_();
+  var input = this.isDeviceSelected_ ?
+      goog.array.find(inputs, function(input) {
+        return input.id === this.selectedDeviceId_;
+      }, this) :
+      inputs[0] || null;
+  if (input == this.input_) {
+    return;
+  }
+
+  if (this.input_) {
+    this.input_.onmidimessage = null;
+    this.releaseKeys_();
+  }
+  this.input_ = input;
+  if (input) {
+    input.onmidimessage = this.boundHandleMessage_;
+  }
+};
+
+
+/**
+ * Handles devices being connected or disconnected.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.handleStateChange_ = function() {
+  this.updateInput_();
+  this.dispatchEvent(doodle.moog.MidiInput.EventType.DEVICES_CHANGE);
+};
+
+
+/**
+ * Handles a MIDI message from the device being listened to.
+ * @param {!MIDIMessageEvent} e The message event.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.handleMessage_ = function(e) {
+  var data = e.data;
+  var status = data[0] & 0xF0;
+  var channel = (data[0] & 0x0F) + 1;
+  if (!goog.isNull(this.channel_) && channel != this.channel_) {
+    return;
+  }
+
+  switch (status) {
+    case doodle.moog.midi.Status.NOTE_ON:
+      // Many keyboards send note offs as note ons with zero velocity.
+      if (data[2] > 0) {
+        this.pressKey_(doodle.moog.midi.toKeyboardNote(data[1]));
+      } else {
+        this.releaseKey_(doodle.moog.midi.toKeyboardNote(data[1]));
+      }
+      break;
+    case doodle.moog.midi.Status.NOTE_OFF:
+      this.releaseKey_(doodle.moog.midi.toKeyboardNote(data[1]));
+      break;
+    case doodle.moog.midi.Status.CONTROL_CHANGE:
+      this.handleControlChange_(data[1], data[2]);
+      break;
+    case doodle.moog.midi.Status.PROGRAM_CHANGE:
+      this.handleProgramChange_(data[1]);
+      break;
+    case doodle.moog.midi.Status.PITCH_BEND:
+      var center = doodle.moog.midi.PITCH_BEND_CENTER;
+      this.setPitchBend_(((data[2] << 7 | data[1]) - center) / center);
+      break;
+  }
+};
+
+
+/**
+ * Presses a key on the synthesizer.
+ * @param {number} note Chromatic index of the note relative to the beginning
+ *     of the keyboard.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.pressKey_ = function(note) {
+  goog.array.remove(this.sustainedNotes_, note);
+  goog.array.remove(this.heldNotes_, note);
+  this.heldNotes_.push(note);
+  this.synthesizer_.setKeyDown(note);
+};
+
+
+/**
+ * Releases a key on the synthesizer, unless the sustain pedal is down.
+ * @param {number} note Chromatic index of the note relative to the beginning
+ *     of the keyboard.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.releaseKey_ = function(note) {
+  if (!goog.array.contains(this.heldNotes_, note)) {
+    return;
+  }
+  if (this.isSustaining_) {
+    goog.array.insert(this.sustainedNotes_, note);
+  } else {
+    goog.array.remove(this.heldNotes_, note);
+    this.synthesizer_.setKeyUp(note);
+  }
+};
+
+
+/**
+ * Releases every key pressed through MIDI, lifts the sustain pedal and centers
+ * the pitch bend wheel.  Used when the device or channel changes, as their
+ * note offs will never arrive.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.releaseKeys_ = function() {
+  this.isSustaining_ = false;
+  goog.array.clear(this.sustainedNotes_);
+  goog.array.forEach(this.heldNotes_, function(note) {
+    this.synthesizer_.setKeyUp(note);
+  }, this);
+  goog.array.clear(this.heldNotes_);
+  this.setPitchBend_(0);
+};
+
+
+/**
+ * Handles a control change.
+ * @param {number} controller The controller number.
+ * @param {number} value The controller's value, in the range [0, 127].
+ * @private
+ */
+doodle.moog.MidiInput.prototype.handleControlChange_ = function(
+    controller, value) {
+  switch (controller) {
+    case doodle.moog.midi.Controller.MODULATION_WHEEL:
+      this.synthesizer_.setModulationAmount(value / 127);
+      break;
+    case doodle.moog.midi.Controller.SUSTAIN_PEDAL:
+      this.isSustaining_ = value >= 64;
+      if (!this.isSustaining_) {
+        goog.array.forEach(this.sustainedNotes_, function(note) {
+          goog.array.remove(this.heldNotes_, note);
+          this.synthesizer_.setKeyUp(note);
+        }, this);
+        goog.array.clear(this.sustainedNotes_);
+      }
+      break;
+  }
+};
+
+
+/**
+ * Handles a program change by applying the program's patch, if there is one.
+ * The pitch bend wheel carries on bending the new patch.
+ * @param {number} program The program number.
+ * @private
+ */
+doodle.moog.MidiInput.prototype.handleProgramChange_ = function(program) {
+  if (program >= this.programs_.length) {
+    return;
+  }
+  this.synthesizer_.applyPatch(this.programs_[program]);
+  this.basePitchBends_ = null;
+  if (this.pitchBend_) {
+    this.setPitchBend_(this.pitchBend_);
+  }
+};
+
+
+/**
+ * Bends every oscillator by the position of the pitch bend wheel, relative to
+ * the pitch bend it had when the wheel left center.  Knob changes to the
+ * oscillators' pitch bends while the wheel is off center are lost.
+ * @param {number} pitchBend Position of the pitch bend wheel, in the range
+ *     [-1, 1].
+ * @private
+ */
+doodle.moog.MidiInput.prototype.setPitchBend_ = function(pitchBend) {
+  this.pitchBend_ = pitchBend;
+  var oscillators = this.synthesizer_.oscillators;
+  if (!pitchBend) {
+    if (this.basePitchBends_) {
+      goog.array.forEach(oscillators, function(oscillator, i) {
+        oscillator.setPitchBend(this.basePitchBends_[i]);
+      }, this);
+      this.basePitchBends_ = null;
+    }
+    return;
+  }
+
+  if (!this.basePitchBends_) {
+    this.basePitchBends_ = goog.array.map(oscillators, function(oscillator) {
+      return oscillator.getSettings().pitchBend;
+    });
+  }
+  goog.array.forEach(oscillators, function(oscillator, i) {
+    oscillator.setPitchBend(
+        goog.math.clamp(this.basePitchBends_[i] + pitchBend, -1, 1));
+  }, this);
+};
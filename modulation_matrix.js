@@ -0,0 +1,302 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Routing of modulation signals between the parts of a voice.
+ */
+goog.provide('doodle.moog.ModulationMatrix');
+goog.provide('doodle.moog.ModulationMatrix.Destination');
+goog.provide('doodle.moog.ModulationMatrix.SourceType');
+
+goog.require('goog.array');
+goog.require('goog.object');
+
+
+
+/**
+ * A set of routes carrying modulation signals from sources (oscillators, their
+ * envelopes, noise, an LFO) to destinations (oscillator pitch, volume and pulse
+ * width, and the filter cutoff).  Oscillators that feed other oscillators must
+ * be rendered first, so the matrix derives the order in which to fill them
+ * from its routes and rejects routes that feed back on themselves.
+ *
+ * The matrix only holds routes; doodle.moog.VoiceRenderer applies them.
+ * @param {number} oscillatorCount How many oscillators the routes may refer
+ *     to.
+ * @constructor
+ */
+doodle.moog.ModulationMatrix = function(oscillatorCount) {
+  /**
+   * How many oscillators the routes may refer to.
+   * @type {number}
+   * @const
+   * @private
+   */
+  this.OSCILLATOR_COUNT_ = oscillatorCount;
+
+  /**
+   * The active routes.
+   * @type {!Array.<!doodle.moog.ModulationMatrix.Route>}
+   * @private
+   */
+  this.routes_ = [];
+
+  /**
+   * Indices of the oscillators in the order they must be filled.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.fillOrder_ = this.computeFillOrder_(this.routes_);
+};
+
+
+/**
+ * Kinds of modulation sources.
+ * @enum {number}
+ */
+doodle.moog.ModulationMatrix.SourceType = {
+  // An oscillator's control signal: its wave form scaled by its modulator
+  // level, on the range [-1, 1].
+  OSCILLATOR: 0,
+  // An oscillator's envelope generator, on the range [0, 1].
+  ENVELOPE: 1,
+  // White noise on the range [-1, 1].
+  NOISE: 2,
+  // The voice's low frequency oscillator (see doodle.moog.Lfo), on the range
+  // [-1, 1].
+  LFO: 3
+};
+
+
+/**
+ * Parameters that can be modulated.  Each route adds its source signal times
+ * its depth to the modulation amount of its destination.
+ * @enum {number}
+ */
+doodle.moog.ModulationMatrix.Destination = {
+  // An oscillator's frequency, if its frequency modulation switch is on.  The
+  // frequency is scaled by 1.25 + 0.75 * amount, so amounts of -1/1 are about
+  // an octave down/up.
+  PITCH: 0,
+  // An oscillator's volume, scaled by 1 + amount (but never below silence).
+  VOLUME: 1,
+  // The low pass filter cutoff frequency.  See
+  // doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE.
+  FILTER_CUTOFF: 2,
+  // An oscillator's pulse width, shifted by amount / 2 of a cycle.  Only
+  // affects the SQUARE, FAT_PULSE and PULSE wave forms.
+  PULSE_WIDTH: 3
+};
+
+
+/**
+ * A route carrying a modulation signal from a source to a destination.
+ * sourceIndex is the index of the oscillator whose signal or envelope is used,
+ * and is ignored for NOISE and LFO.  destinationIndex is the index of the
+ * oscillator to modulate, and is ignored for FILTER_CUTOFF.
+ * @typedef {{
+ *   source: doodle.moog.ModulationMatrix.SourceType,
+ *   sourceIndex: number,
+ *   destination: doodle.moog.ModulationMatrix.Destination,
+ *   destinationIndex: number,
+ *   depth: number
+ * }}
+ */
+doodle.moog.ModulationMatrix.Route;
+
+
+/**
+ * Gets the doodle's original routing, in which oscillator 2 modulates the
+ * pitch of oscillators 0 and 1.
+ * @return {!Array.<!doodle.moog.ModulationMatrix.Route>} The routes.
+ */
+doodle.moog.ModulationMatrix.getDefaultRoutes = function() {
+  return goog.array.map([0, 1], function(destinationIndex) {
+    return {
+      source: doodle.moog.ModulationMatrix.SourceType.OSCILLATOR,
+      sourceIndex: 2,
+      destination: doodle.moog.ModulationMatrix.Destination.PITCH,
+      destinationIndex: destinationIndex,
+      depth: 1
+    };
+  });
+};
+
+
+/**
+ * @param {doodle.moog.ModulationMatrix.SourceType} source A source type.
+ * @return {boolean} Whether signals of the source type come from an
+ *     oscillator.
+ */
+doodle.moog.ModulationMatrix.isOscillatorSource = function(source) {
+  return source == doodle.moog.ModulationMatrix.SourceType.OSCILLATOR ||
+      source == doodle.moog.ModulationMatrix.SourceType.ENVELOPE;
+};
+
+
+/**
+ * @param {doodle.moog.ModulationMatrix.Destination} destination A
+ *     destination.
+ * @return {boolean} Whether the destination is a parameter of an oscillator.
+ */
+doodle.moog.ModulationMatrix.isOscillatorDestination = function(destination) {
+  return destination != doodle.moog.ModulationMatrix.Destination.FILTER_CUTOFF;
+};
+
+
+/**
+ * Replaces the active routes.  The routes are checked first; if any is invalid
+ * or they form a cycle, an error is thrown and the active routes are left
+ * alone.
+ * @param {!Array.<!doodle.moog.ModulationMatrix.Route>} routes The new routes.
+ */
+doodle.moog.ModulationMatrix.prototype.setRoutes = function(routes) {
+  goog.array.forEach(routes, this.checkRoute_, this);
+  var fillOrder = this.computeFillOrder_(routes);
+  this.routes_ = goog.array.map(routes, goog.object.clone);
+  this.fillOrder_ = fillOrder;
+};
+
+
+/**
+ * @return {!Array.<!doodle.moog.ModulationMatrix.Route>} Copies of the active
+ *     routes.
+ */
+doodle.moog.ModulationMatrix.prototype.getRoutes = function() {
+  return goog.array.map(this.routes_, goog.object.clone);
+};
+
+
+/**
+ * Gets the order in which oscillators must be filled so that every oscillator
+ * is filled after the oscillators modulating it.
+ * @return {!Array.<number>} Indices of the oscillators.  Must not be modified.
+ */
+doodle.moog.ModulationMatrix.prototype.getFillOrder = function() {
+  return this.fillOrder_;
+};
+
+
+/**
+ * @param {number} oscillatorIndex Index of an oscillator.
+ * @return {boolean} Whether any route uses the oscillator's control signal or
+ *     envelope.
+ */
+doodle.moog.ModulationMatrix.prototype.isSource = function(oscillatorIndex) {
+  return goog.array.some(this.routes_, function(route) {
+    return doodle.moog.ModulationMatrix.isOscillatorSource(route.source) &&
+        route.sourceIndex == oscillatorIndex;
+  });
+};
+
+
+/**
+ * @param {doodle.moog.ModulationMatrix.SourceType} source A source type.
+ * @return {boolean} Whether any route uses a source of the type.
+ */
+doodle.moog.ModulationMatrix.prototype.usesSourceType = function(source) {
+  return goog.array.some(this.routes_, function(route) {
+    return route.source == source;
+  });
+};
+
+
+/**
+ * Throws an error if a route refers to unknown sources or destinations.
+ * @param {!doodle.moog.ModulationMatrix.Route} route The route to check.
+ * @private
+ */
+doodle.moog.ModulationMatrix.prototype.checkRoute_ = function(route) {
+  if (!goog.object.contains(
+          doodle.moog.ModulationMatrix.SourceType, route.source)) {
+    throw Error('Unknown modulation source: ' + route.source);
+  }
+  if (!goog.object.contains(
+          doodle.moog.ModulationMatrix.Destination, route.destination)) {
+    throw Error('Unknown modulation destination: ' + route.destination);
+  }
+  if (doodle.moog.ModulationMatrix.isOscillatorSource(route.source) &&
+      !this.isOscillatorIndex_(route.sourceIndex)) {
+    throw Error('No oscillator ' + route.sourceIndex + ' to modulate from.');
+  }
+  if (doodle.moog.ModulationMatrix.isOscillatorDestination(route.destination) &&
+      !this.isOscillatorIndex_(route.destinationIndex)) {
+    throw Error('No oscillator ' + route.destinationIndex + ' to modulate.');
+  }
+  if (typeof route.depth != 'number' || !isFinite(route.depth)) {
+    throw Error('Modulation depth must be a finite number: ' + route.depth);
+  }
+};
+
+
+/**
+ * @param {*} index A possible oscillator index.
+ * @return {boolean} Whether the index refers to an oscillator.
+ * @private
+ */
+doodle.moog.ModulationMatrix.prototype.isOscillatorIndex_ = function(index) {
+  return typeof index == 'number' && index % 1 == 0 &&
+      index >= 0 && index < this.OSCILLATOR_COUNT_;
+};
+
+
+/**
+ * Sorts the oscillators so that each comes after the oscillators modulating
+ * it.  Oscillators are otherwise kept in index order.
+ * @param {!Array.<!doodle.moog.ModulationMatrix.Route>} routes The routes to
+ *     sort by.
+ * @return {!Array.<number>} Indices of the oscillators in fill order.
+ * @private
+ */
+doodle.moog.ModulationMatrix.prototype.computeFillOrder_ = function(routes) {
+  // For each oscillator, the oscillators whose signals it consumes.
+  var modulators = [];
+  for (var i = 0; i < this.OSCILLATOR_COUNT_; i++) {
+    modulators.push([]);
+  }
+  goog.array.forEach(routes, function(route) {
+    if (doodle.moog.ModulationMatrix.isOscillatorSource(route.source) &&
+        doodle.moog.ModulationMatrix.isOscillatorDestination(
+            route.destination)) {
+      modulators[route.destinationIndex].push(route.sourceIndex);
+    }
+  });
+
+  var fillOrder = [];
+  var isFilled = [];
+  // Oscillators being visited, each modulated by the next.
+  var path = [];
+  var visit = function(index) {
+    if (isFilled[index]) {
+      return;
+    }
+    var cycleStart = goog.array.indexOf(path, index);
+    if (cycleStart >= 0) {
+      var cycle = path.slice(cycleStart).concat(index).reverse();
+      throw Error('Modulation routes form a cycle: ' +
+          goog.array.map(cycle, function(i) {
+            return 'oscillator ' + i;
+          }).join(' -> ') + '.');
+    }
+    path.push(index);
+    goog.array.forEach(modulators[index], visit);
+    path.pop();
+    isFilled[index] = true;
+    fillOrder.push(index);
+  };
+  for (i = 0; i < this.OSCILLATOR_COUNT_; i++) {
+    visit(i);
+  }
+  return fillOrder;
+};
@@ -17,27 +17,35 @@
  */
 goog.provide('doodle.moog.Moog');
 
+goog.require('doodle.moog.LadderFilter');
 goog.require('doodle.moog.LowPassFilter');
 goog.require('doodle.moog.MasterMixer');
 goog.require('doodle.moog.Oscillator');
 goog.require('doodle.moog.OscillatorInterface');
 goog.require('doodle.moog.Synthesizer');
+goog.require('doodle.moog.TapeRecorder');
 goog.require('doodle.moog.WideBandPassFilter');
+goog.require('doodle.moog.patchCodec');
+goog.require('doodle.moog.webAudioCompat');
 goog.require('goog.Disposable');
+goog.require('goog.array');
+goog.require('goog.storage.mechanism.HTML5LocalStorage');
 
 
 
 /**
  * The Moog doodle manager.
+ * @param {boolean=} opt_useLadderFilter Whether synthesizers filter through
+ *     the ladder filter.  Defaults to doodle.moog.Moog.USE_LADDER_FILTER.
  * @constructor
  * @extends {goog.Disposable}
  */
-doodle.moog.Moog = function() {
+doodle.moog.Moog = function(opt_useLadderFilter) {
   goog.base(this);
 
   /**
    * The set of available synthesizers.
-   * @type {!Array.<!doodle.moog.SynthesizerInterface>}
+   * @type {!Array.<!doodle.moog.Synthesizer>}
    * @private
    */
   this.synthesizers_ = [];
@@ -50,9 +58,33 @@ doodle.moog.Moog = function() {
   this.masterMixer_;
 
   /**
+   * The tape recorder capturing the live synthesizer, once the audio pipeline
+   * is built.
+   * @type {doodle.moog.TapeRecorder}
    * @private
    */
-  this.isWebAudioEnabled_ = typeof webkitAudioContext === 'function';
+  this.tapeRecorder_ = null;
+
+  /**
+   * @private
+   */
+  this.isWebAudioEnabled_ = doodle.moog.webAudioCompat.isSupported();
+
+  /**
+   * Whether turnOnAudio was called before the audio pipeline finished
+   * initializing.
+   * @type {boolean}
+   * @private
+   */
+  this.isTurnOnPending_ = false;
+
+  /**
+   * Whether synthesizers filter through the ladder filter.
+   * @type {boolean}
+   * @private
+   */
+  this.useLadderFilter_ = goog.isDef(opt_useLadderFilter) ?
+      opt_useLadderFilter : doodle.moog.Moog.USE_LADDER_FILTER;
 
 
   if (this.isWebAudioEnabled_) {
@@ -62,10 +94,39 @@ doodle.moog.Moog = function() {
 goog.inherits(doodle.moog.Moog, goog.Disposable);
 
 
+/**
+ * @define {string} URL of the compiled AudioWorklet module that registers
+ * doodle.moog.VoiceProcessor.  When empty, or when the browser doesn't support
+ * AudioWorklet, synthesizers render through JavaScript audio nodes on the main
+ * thread instead.
+ */
+doodle.moog.Moog.AUDIO_WORKLET_MODULE_URL = '';
+
+
+/**
+ * @define {boolean} Whether synthesizers filter through a model of the Moog
+ * transistor ladder (doodle.moog.LadderFilter), rendered in JavaScript along
+ * with the oscillators, instead of a Web Audio biquad filter, unless told
+ * otherwise when they are built.
+ */
+doodle.moog.Moog.USE_LADDER_FILTER = false;
+
+
+/**
+ * Key of the URL fragment parameter holding a shared patch code (see
+ * doodle.moog.patchCodec), as in #patch=<code>.
+ * @type {string}
+ * @const
+ * @private
+ */
+doodle.moog.Moog.PATCH_PARAMETER_ = 'patch';
+
+
 /** @inheritDoc */
 doodle.moog.Moog.prototype.disposeInternal = function() {
   goog.base(this, 'disposeInternal');
   this.turnOffAudio();
+  goog.dispose(this.tapeRecorder_);
 };
 
 
@@ -77,11 +138,75 @@ doodle.moog.Moog.prototype.initializeWebAudio_ = function() {
   try {
     // Audio context creation can throw an error if the user is missing sound
     // drivers, etc.
-    var audioContext = new webkitAudioContext();
+    var audioContext = doodle.moog.webAudioCompat.createAudioContext();
   } catch(e7) {
     // Abort the initialization sequence like we do with flash.
     return;
   }
+
+  var moduleUrl = doodle.moog.Moog.AUDIO_WORKLET_MODULE_URL;
+  if (moduleUrl && audioContext.audioWorklet) {
+    audioContext.audioWorklet.addModule(moduleUrl).then(
+        goog.bind(this.initializePipeline_, this, audioContext, true),
+        goog.bind(this.initializePipeline_, this, audioContext, false));
+  } else {
+    this.initializePipeline_(audioContext, false);
+  }
+};
+
+
+/**
+ * Builds the synthesizers, tape recorder and master mixer.
+ * @param {!AudioContext} audioContext Audio context in which the pipeline will
+ *     operate.
+ * @param {boolean} useAudioWorklet Whether synthesizers should render on the
+ *     audio thread.
+ * @private
+ */
+doodle.moog.Moog.prototype.initializePipeline_ = function(
+    audioContext, useAudioWorklet) {
+  if (this.isDisposed()) {
+    return;
+  }
+
+  // The first synthesizer is played live; the others play back the tape.
+  for (var i = 0; i <= doodle.moog.TapeRecorder.TRACK_COUNT; i++) {
+    this.synthesizers_.push(
+        doodle.moog.Moog.createSynthesizer(
+            audioContext, useAudioWorklet, this.useLadderFilter_));
+  }
+  this.applySharedPatch_();
+
+  var mechanism = new goog.storage.mechanism.HTML5LocalStorage();
+  this.tapeRecorder_ = new doodle.moog.TapeRecorder(
+      audioContext, this.synthesizers_[0], this.synthesizers_.slice(1),
+      mechanism.isAvailable() ? mechanism : undefined);
+  this.tapeRecorder_.load();
+
+  var wideBandPassFilter =
+      doodle.moog.Moog.createWideBandPassFilter(audioContext);
+  this.masterMixer_ = new doodle.moog.MasterMixer(
+      audioContext, this.synthesizers_, wideBandPassFilter);
+
+  if (this.isTurnOnPending_) {
+    this.turnOnAudio();
+  }
+};
+
+
+/**
+ * Builds a synthesizer with the doodle's default settings.
+ * @param {!AudioContext} audioContext Audio context in which the synthesizer
+ *     will operate.
+ * @param {boolean} useAudioWorklet Whether the synthesizer should render on
+ *     the audio thread.
+ * @param {boolean=} opt_useLadderFilter Whether the synthesizer should filter
+ *     through the ladder filter.  Defaults to
+ *     doodle.moog.Moog.USE_LADDER_FILTER.
+ * @return {!doodle.moog.Synthesizer} The synthesizer.
+ */
+doodle.moog.Moog.createSynthesizer = function(
+    audioContext, useAudioWorklet, opt_useLadderFilter) {
   var oscillators = [
     new doodle.moog.Oscillator(
         audioContext, 0.46, doodle.moog.OscillatorInterface.WaveForm.SQUARE,
@@ -96,15 +221,88 @@ doodle.moog.Moog.prototype.initializeWebAudio_ = function() {
         doodle.moog.OscillatorInterface.Range.R32, 0, true, false, true, 0.6,
         true, 0.05, 0, 0.4, 1)
   ];
-  var lowPassFilter = new doodle.moog.LowPassFilter(
-      audioContext, 2100, 7, 0, .8, 0);
-  this.synthesizers_.push(new doodle.moog.Synthesizer(
-      audioContext, oscillators, lowPassFilter, 0.82));
+  var useLadderFilter = goog.isDef(opt_useLadderFilter) ?
+      opt_useLadderFilter : doodle.moog.Moog.USE_LADDER_FILTER;
+  var lowPassFilter = useLadderFilter ?
+      new doodle.moog.LadderFilter(audioContext, 2100, 7, 0, .8, 0, 0, false) :
+      new doodle.moog.LowPassFilter(audioContext, 2100, 7, 0, .8, 0);
+  return new doodle.moog.Synthesizer(
+      audioContext, oscillators, lowPassFilter, 0.82, useAudioWorklet);
+};
 
-  var wideBandPassFilter = new doodle.moog.WideBandPassFilter(
-      audioContext, 20, 20000);
-  this.masterMixer_ = new doodle.moog.MasterMixer(
-      audioContext, this.synthesizers_, wideBandPassFilter);
+
+/**
+ * Builds the filter through which the doodle's synthesizers reach the
+ * speakers, cutting out frequencies beyond human hearing.
+ * @param {!AudioContext} audioContext Audio context in which the filter will
+ *     operate.
+ * @return {!doodle.moog.WideBandPassFilter} The filter.
+ */
+doodle.moog.Moog.createWideBandPassFilter = function(audioContext) {
+  return new doodle.moog.WideBandPassFilter(audioContext, 20, 20000);
+};
+
+
+/**
+ * Applies the patch shared through the page's URL fragment, if any, to the
+ * first synthesizer.  A corrupted or unsupported code leaves the synthesizer
+ * as it was.
+ * @private
+ */
+doodle.moog.Moog.prototype.applySharedPatch_ = function() {
+  var location = goog.global['location'];
+  var prefix = doodle.moog.Moog.PATCH_PARAMETER_ + '=';
+  var parameter = location && goog.array.find(
+      location.hash.replace(/^#/, '').split('&'), function(parameter) {
+        return parameter.indexOf(prefix) == 0;
+      });
+  if (!parameter) {
+    return;
+  }
+  try {
+    this.synthesizers_[0].applyPatch(
+        doodle.moog.patchCodec.decode(parameter.substr(prefix.length)));
+  } catch (e) {
+    // Shared links get truncated and mangled; fall back to the default patch
+    // rather than fail to start.
+  }
+};
+
+
+/**
+ * Gets a URL fragment that restores the first synthesizer's current settings
+ * when the doodle is loaded with it, for sharing patches.
+ * @return {?string} The fragment, without the leading '#', or null if the
+ *     audio pipeline isn't built yet.
+ */
+doodle.moog.Moog.prototype.getSharedPatchFragment = function() {
+  if (!this.synthesizers_.length) {
+    return null;
+  }
+  return doodle.moog.Moog.PATCH_PARAMETER_ + '=' +
+      doodle.moog.patchCodec.encode(this.synthesizers_[0].getPatch());
+};
+
+
+/**
+ * Gets the tape recorder.  Play the live synthesizer through it so that
+ * performances can be recorded.
+ * @return {doodle.moog.TapeRecorder} The tape recorder, or null if the audio
+ *     pipeline isn't built yet.
+ */
+doodle.moog.Moog.prototype.getTapeRecorder = function() {
+  return this.tapeRecorder_;
+};
+
+
+/**
+ * Gets the master mixer.  Its first channel is the live synthesizer, followed
+ * by a channel per tape track.
+ * @return {doodle.moog.MasterMixerInterface} The master mixer, or null if the
+ *     audio pipeline isn't built yet.
+ */
+doodle.moog.Moog.prototype.getMasterMixer = function() {
+  return this.masterMixer_ || null;
 };
 
 
@@ -113,7 +311,10 @@ doodle.moog.Moog.prototype.initializeWebAudio_ = function() {
  */
 doodle.moog.Moog.prototype.turnOnAudio = function() {
   if (this.masterMixer_) {
+    this.isTurnOnPending_ = false;
     this.masterMixer_.turnOn();
+  } else {
+    this.isTurnOnPending_ = this.isWebAudioEnabled_;
   }
 };
 
@@ -122,6 +323,7 @@ doodle.moog.Moog.prototype.turnOnAudio = function() {
  * Turns off the audio pipeline.
  */
 doodle.moog.Moog.prototype.turnOffAudio = function() {
+  this.isTurnOnPending_ = false;
   if (this.masterMixer_) {
     this.masterMixer_.turnOff();
   }
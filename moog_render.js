@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Command line tool that renders patches playing a score to WAV
+ * files with doodle.moog.HeadlessSynthesizer, so patches can be auditioned and
+ * compared without a browser.  Once `npm install` has fetched Closure Library,
+ * run it as
+ *
+ *   moog-render --patch lead.json --score riff.txt --out riff.wav
+ *
+ * or as `node moog_render.js` with the same options.
+ *
+ * Given a folder of patches rather than a patch, it renders every .json file
+ * in it to a WAV file of the same name in the --out folder.  Scores ending in
+ * .json are read as JSON scores, others as text scores; see doodle.moog.score.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+require('./closure_loader');
+
+goog.require('doodle.moog.HeadlessSynthesizer');
+goog.require('doodle.moog.score');
+goog.require('doodle.moog.wav');
+goog.require('doodle.moog.wav.SampleFormat');
+
+
+/**
+ * How to use this tool.
+ * @type {string}
+ * @const
+ */
+var USAGE = [
+  'Usage: moog-render --patch PATCH --score SCORE --out OUT [options]',
+  '',
+  '  --patch PATCH    A patch JSON file, or a folder of them to render each.',
+  '  --score SCORE    The score to play: a .json score, or a text score.',
+  '  --out OUT        The WAV file to write, or a folder for a folder of',
+  '                   patches.',
+  '  --rate HZ        The sample rate.  Defaults to 44100.',
+  '  --format FORMAT  16, 24 or float.  Defaults to 16.',
+  '  --tail SECONDS   How long to keep rendering after the last note ends, so',
+  '                   releases ring out.  Defaults to 1.',
+  '  --ladder         Filter voices through the ladder filter model.'
+].join('\n');
+
+
+/**
+ * Sample formats by the names --format takes.
+ * @type {!Object.<string, doodle.moog.wav.SampleFormat>}
+ * @const
+ */
+var SAMPLE_FORMATS = {
+  '16': doodle.moog.wav.SampleFormat.INT_16,
+  '24': doodle.moog.wav.SampleFormat.INT_24,
+  'float': doodle.moog.wav.SampleFormat.FLOAT_32
+};
+
+
+/**
+ * Reads the command line options.
+ * @param {!Array.<string>} args The arguments after the script name.
+ * @return {!Object.<string, ?(string|boolean)>} The options by name.  Flags
+ *     are booleans.  An error is thrown for unknown options and options
+ *     missing their value.
+ */
+function parseArgs(args) {
+  var options = {
+    'patch': null,
+    'score': null,
+    'out': null,
+    'rate': '44100',
+    'format': '16',
+    'tail': '1',
+    'ladder': false,
+    'help': false
+  };
+  for (var i = 0; i < args.length; i++) {
+    var match = /^--(\w+)$/.exec(args[i]);
+    if (!match || !(match[1] in options)) {
+      throw Error('Unknown option: ' + args[i] + '\n\n' + USAGE);
+    }
+    var name = match[1];
+    if (typeof options[name] == 'boolean') {
+      options[name] = true;
+    } else if (i + 1 < args.length) {
+      options[name] = args[++i];
+    } else {
+      throw Error('Missing value for ' + args[i]);
+    }
+  }
+  return options;
+}
+
+
+/**
+ * Reads a score file.
+ * @param {string} file Path of the score.
+ * @return {!Array.<!doodle.moog.score.Note>} The notes of the score.
+ */
+function readScore(file) {
+  var text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() == '.json' ?
+        doodle.moog.score.fromJson(JSON.parse(text)) :
+        doodle.moog.score.parse(text);
+  } catch (e) {
+    throw Error(file + ': ' + e.message);
+  }
+}
+
+
+/**
+ * Renders a patch playing a score to a WAV file.
+ * @param {string} patchFile Path of the patch JSON file.
+ * @param {!Array.<!doodle.moog.score.Note>} notes The notes of the score.
+ * @param {string} outFile Path of the WAV file to write.
+ * @param {!Object.<string, ?(string|boolean)>} options The command line
+ *     options.
+ */
+function renderFile(patchFile, notes, outFile, options) {
+  var sampleRate = Number(options['rate']);
+  try {
+    var synthesizer = new doodle.moog.HeadlessSynthesizer(
+        JSON.parse(fs.readFileSync(patchFile, 'utf8')), sampleRate,
+        /** @type {boolean} */ (options['ladder']));
+  } catch (e) {
+    throw Error(patchFile + ': ' + e.message);
+  }
+  doodle.moog.score.play(synthesizer, notes);
+  var channels = synthesizer.renderChannels(
+      doodle.moog.score.getLength(notes) + Number(options['tail']));
+  var wav = doodle.moog.wav.encode(
+      channels, sampleRate, SAMPLE_FORMATS[options['format']]);
+  fs.writeFileSync(outFile, Buffer.from(wav));
+  console.log('Wrote ' + outFile);
+}
+
+
+/**
+ * Runs the tool.
+ * @param {!Array.<string>} args The arguments after the script name.
+ */
+function main(args) {
+  var options = parseArgs(args);
+  if (options['help']) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options['patch'] || !options['score'] || !options['out']) {
+    throw Error('--patch, --score and --out are required.\n\n' + USAGE);
+  }
+  if (!(Number(options['rate']) > 0)) {
+    throw Error('Invalid sample rate: ' + options['rate']);
+  }
+  if (!(options['format'] in SAMPLE_FORMATS)) {
+    throw Error('Invalid format: ' + options['format']);
+  }
+  if (!(Number(options['tail']) >= 0)) {
+    throw Error('Invalid tail: ' + options['tail']);
+  }
+
+  var notes = readScore(/** @type {string} */ (options['score']));
+  var patch = /** @type {string} */ (options['patch']);
+  var out = /** @type {string} */ (options['out']);
+  if (!fs.statSync(patch).isDirectory()) {
+    renderFile(patch, notes, out, options);
+    return;
+  }
+
+  var patchFiles = fs.readdirSync(patch).filter(function(file) {
+    return path.extname(file).toLowerCase() == '.json';
+  }).sort();
+  if (!patchFiles.length) {
+    throw Error('No .json patches in ' + patch);
+  }
+  if (!fs.existsSync(out)) {
+    fs.mkdirSync(out);
+  }
+  // Keep going past bad patches, so one doesn't hold up the whole folder.
+  var failureCount = 0;
+  patchFiles.forEach(function(file) {
+    try {
+      renderFile(path.join(patch, file), notes,
+          path.join(out, path.basename(file, path.extname(file)) + '.wav'),
+          options);
+    } catch (e) {
+      console.error(e.message);
+      failureCount++;
+    }
+  });
+  if (failureCount) {
+    throw Error(failureCount + ' of ' + patchFiles.length +
+        ' patches failed to render.');
+  }
+}
+
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
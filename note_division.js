@@ -0,0 +1,40 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Note lengths used to sync rates to a tempo.
+ */
+goog.provide('doodle.moog.NoteDivision');
+
+
+/**
+ * Note lengths to which rates can be synced.  Values are lengths in beats
+ * (quarter notes), so a division lasts 60 * value / tempo seconds.
+ * @enum {number}
+ */
+doodle.moog.NoteDivision = {
+  WHOLE: 4,
+  DOTTED_HALF: 3,
+  HALF: 2,
+  HALF_TRIPLET: 4 / 3,
+  DOTTED_QUARTER: 1.5,
+  QUARTER: 1,
+  DOTTED_EIGHTH: 0.75,
+  QUARTER_TRIPLET: 2 / 3,
+  EIGHTH: 0.5,
+  EIGHTH_TRIPLET: 1 / 3,
+  SIXTEENTH: 0.25,
+  SIXTEENTH_TRIPLET: 1 / 6,
+  THIRTY_SECOND: 0.125
+};
@@ -19,6 +19,7 @@ goog.provide('doodle.moog.Oscillator');
 
 goog.require('doodle.moog.EnvelopeGenerator');
 goog.require('doodle.moog.OscillatorInterface');
+goog.require('goog.events.EventTarget');
 
 
 
@@ -26,8 +27,10 @@ goog.require('doodle.moog.OscillatorInterface');
  * A voltage controlled oscillator emulator built on the HTML5 Audio API.  This
  * is the root source of all sound in the Moog doodle.
  *
- * @param {!AudioContext} audioContext Audio context to which this oscillator
- *     will be bound.
+ * @param {{sampleRate: number}} audioContext Audio context to which this
+ *     oscillator will be bound.  Only its sample rate is used, so on the audio
+ *     thread (e.g., in an AudioWorklet) any object carrying the sample rate
+ *     will do.
  * @param {number} volume Initial volume level [0..1].
  * @param {!doodle.moog.OscillatorInterface.WaveForm} waveForm Initial wave
  *     form.
@@ -46,12 +49,22 @@ goog.require('doodle.moog.OscillatorInterface');
  * @param {number} decayTime Initial decay time in seconds.
  * @param {number} sustainLevel Initial sustain level [0..1].
  * @constructor
+ * @extends {goog.events.EventTarget}
  * @implements {doodle.moog.OscillatorInterface}
  */
 doodle.moog.Oscillator = function(
     audioContext, volume, waveForm, range, pitchBend, isAcceptingKeyboardPitch,
     isFrequencyModulationOn, isModulator, modulatorLevel, isGlideOn, glideTime,
     attackTime, decayTime, sustainLevel) {
+  goog.base(this);
+
+  /**
+   * Audio context to which this oscillator is bound.
+   * @type {{sampleRate: number}}
+   * @private
+   */
+  this.audioContext_ = audioContext;
+
   /**
    * How many seconds pass with each sample.
    * @type {number}
@@ -61,12 +74,20 @@ doodle.moog.Oscillator = function(
   this.SAMPLE_INTERVAL_ = 1 / audioContext.sampleRate;
 
   /**
-   * How many seconds we have advanced in the current cycle.
+   * How far we have advanced in the current cycle, on the range [0, 1).
    * @type {number}
    * @private
    */
   this.phase_ = 0.0;
 
+  /**
+   * How far the phase advanced with the most recent sample, as a fraction of a
+   * cycle.
+   * @type {number}
+   * @private
+   */
+  this.phaseIncrement_ = 0.0;
+
   /**
    * The amount of oscillator signal which is fed into the mixer.  Mapped onto
    * the range [0.0, 1.0] where 0 means muted and 1.0 means full loudness.
@@ -82,6 +103,13 @@ doodle.moog.Oscillator = function(
    */
   this.waveForm_ = waveForm;
 
+  /**
+   * Quality at which the wave form is generated.
+   * @type {!doodle.moog.OscillatorInterface.Quality}
+   * @private
+   */
+  this.quality_ = doodle.moog.OscillatorInterface.Quality.BAND_LIMITED;
+
   /**
    * Octave/range in which the oscillator functions.
    * @type {!doodle.moog.OscillatorInterface.Range}
@@ -136,13 +164,30 @@ doodle.moog.Oscillator = function(
   this.modulatorLevel_ = modulatorLevel;
 
   /**
-   * If this oscillator is also a modulator, a buffer for storing modulator
-   * control signal samples.  Null iff this oscillator does not act as a
-   * modulator.
+   * If this oscillator is also a modulator or modulation source, a buffer for
+   * storing modulator control signal samples.  Null until such an oscillator
+   * first fills a buffer.
    * @type {Float32Array}
    */
   this.modulatorSignal = null;
 
+  /**
+   * Whether a modulation route uses this oscillator's control signal or
+   * envelope, in which case they are recorded even if this oscillator is not a
+   * modulator.
+   * @type {boolean}
+   * @private
+   */
+  this.isModulationSource_ = false;
+
+  /**
+   * If this oscillator is a modulator or modulation source, a buffer for
+   * storing the envelope amplitude coefficient of each sample.  Null until such
+   * an oscillator first fills a buffer.
+   * @type {Float32Array}
+   */
+  this.envelopeSignal = null;
+
   /**
    * Whether glide (portamento sliding between notes) is enabled.
    * @type {boolean}
@@ -187,6 +232,22 @@ doodle.moog.Oscillator = function(
    */
   this.activeNote_ = 0;
 
+  /**
+   * Frequency ratio by which this oscillator is detuned from its nominal pitch.
+   * Used to spread stacked unison copies of an oscillator.
+   * @type {number}
+   * @private
+   */
+  this.detuneRatio_ = 1;
+
+  /**
+   * Incremented whenever a knob or switch setting changes, so that copies of
+   * this oscillator can tell when they are out of date.
+   * @type {number}
+   * @private
+   */
+  this.settingsVersion_ = 0;
+
   /**
    * Envelope generator that will shape the dynamics of this oscillator.
    * @type {!doodle.moog.EnvelopeGenerator}
@@ -195,6 +256,51 @@ doodle.moog.Oscillator = function(
       new doodle.moog.EnvelopeGenerator(
           this.SAMPLE_INTERVAL_, attackTime, decayTime, sustainLevel);
 };
+goog.inherits(doodle.moog.Oscillator, goog.events.EventTarget);
+
+
+/**
+ * Events dispatched by oscillators.
+ * @enum {string}
+ */
+doodle.moog.Oscillator.EventType = {
+  // Dispatched whenever a knob or switch setting changes.
+  SETTINGS_CHANGE: 'settingschange'
+};
+
+
+/**
+ * A snapshot of an oscillator's knob and switch settings.  Plain data, so it
+ * can be posted across threads.
+ * @typedef {{
+ *   volume: number,
+ *   waveForm: !doodle.moog.OscillatorInterface.WaveForm,
+ *   quality: !doodle.moog.OscillatorInterface.Quality,
+ *   range: !doodle.moog.OscillatorInterface.Range,
+ *   pitchBend: number,
+ *   isAcceptingKeyboardPitch: boolean,
+ *   isFrequencyModulationOn: boolean,
+ *   modulatorLevel: number,
+ *   isGlideOn: boolean,
+ *   glideDuration: number,
+ *   envelope: !doodle.moog.EnvelopeGenerator.Settings
+ * }}
+ */
+doodle.moog.Oscillator.Settings;
+
+
+/**
+ * Modulation signals to apply to an oscillator while it fills a buffer, each
+ * holding one modulation amount per sample (see
+ * doodle.moog.ModulationMatrix.Destination).  A null signal leaves its
+ * parameter unmodulated.
+ * @typedef {{
+ *   pitch: Float32Array,
+ *   volume: Float32Array,
+ *   pulseWidth: Float32Array
+ * }}
+ */
+doodle.moog.Oscillator.Modulation;
 
 
 /**
@@ -225,6 +331,15 @@ doodle.moog.Oscillator.MAJOR_SIXTH_FREQUENCY_RATIO_ = 5 / 3;
 doodle.moog.Oscillator.THREE_OCTAVE_FREQUENCY_RATIO_ = 8;
 
 
+/**
+ * The narrowest pulse width modulation can produce, as a fraction of a cycle.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.Oscillator.MIN_PULSE_WIDTH_ = 0.05;
+
+
 /**
  * The chromatic distance between keyboard notes (as passed to
  * getInstantaneousFrequency_) and low A.
@@ -235,75 +350,236 @@ doodle.moog.Oscillator.THREE_OCTAVE_FREQUENCY_RATIO_ = 8;
 doodle.moog.Oscillator.NOTE_OFFSET_ = -4;
 
 
+/**
+ * Creates an oscillator from a settings snapshot.
+ * @param {{sampleRate: number}} audioContext Audio context to which the
+ *     oscillator will be bound.
+ * @param {boolean} isModulator Whether the oscillator should act as a
+ *     modulator control signal in addition to an audio signal.
+ * @param {!doodle.moog.Oscillator.Settings} settings The settings to apply.
+ * @return {!doodle.moog.Oscillator} The new oscillator.
+ */
+doodle.moog.Oscillator.fromSettings = function(
+    audioContext, isModulator, settings) {
+  var oscillator = new doodle.moog.Oscillator(
+      audioContext, settings.volume, settings.waveForm, settings.range,
+      settings.pitchBend, settings.isAcceptingKeyboardPitch,
+      settings.isFrequencyModulationOn, isModulator, settings.modulatorLevel,
+      settings.isGlideOn, settings.glideDuration,
+      settings.envelope.attackTime, settings.envelope.decayTime,
+      settings.envelope.sustainLevel);
+  oscillator.envelopeGenerator.applySettings(settings.envelope);
+  oscillator.quality_ = settings.quality;
+  return oscillator;
+};
+
+
+/**
+ * Creates a new oscillator with the same settings as this one.  Playback state
+ * (phase, glide and the active note) and detune are not copied.
+ * @return {!doodle.moog.Oscillator} The copy.
+ */
+doodle.moog.Oscillator.prototype.clone = function() {
+  return doodle.moog.Oscillator.fromSettings(
+      this.audioContext_, this.IS_MODULATOR_, this.getSettings());
+};
+
+
+/**
+ * @return {boolean} Whether this oscillator acts as a modulator control signal
+ *     in addition to an audio signal.
+ */
+doodle.moog.Oscillator.prototype.isModulator = function() {
+  return this.IS_MODULATOR_;
+};
+
+
+/**
+ * Sets whether a modulation route uses this oscillator's control signal or
+ * envelope.  If so, modulatorSignal and envelopeSignal are filled along with
+ * the audio.
+ * @param {boolean} isModulationSource Whether this oscillator is a modulation
+ *     source.
+ */
+doodle.moog.Oscillator.prototype.setModulationSource = function(
+    isModulationSource) {
+  this.isModulationSource_ = isModulationSource;
+};
+
+
+/**
+ * Takes a snapshot of this oscillator's knob and switch settings (including its
+ * envelope generator settings).  Playback state and detune are not included.
+ * @return {!doodle.moog.Oscillator.Settings} The settings.
+ */
+doodle.moog.Oscillator.prototype.getSettings = function() {
+  return {
+    volume: this.volume_,
+    waveForm: this.waveForm_,
+    quality: this.quality_,
+    range: this.range_,
+    pitchBend: this.pitchBend_,
+    isAcceptingKeyboardPitch: this.isAcceptingKeyboardPitch_,
+    isFrequencyModulationOn: this.isFrequencyModulationOn_,
+    modulatorLevel: this.modulatorLevel_,
+    isGlideOn: this.isGlideOn_,
+    glideDuration: this.glideDuration_,
+    envelope: this.envelopeGenerator.getSettings()
+  };
+};
+
+
+/**
+ * Applies a settings snapshot to this oscillator.  Playback state and detune
+ * are left alone.
+ * @param {!doodle.moog.Oscillator.Settings} settings The settings to apply.
+ */
+doodle.moog.Oscillator.prototype.applySettings = function(settings) {
+  this.applySettings_(settings);
+  this.dispatchSettingsChange_();
+};
+
+
+/**
+ * Copies the knob and switch settings of another oscillator (including its
+ * envelope generator settings) onto this one, without dispatching a
+ * SETTINGS_CHANGE event.  Playback state and detune are left alone.
+ * @param {!doodle.moog.Oscillator} oscillator The oscillator to copy from.
+ */
+doodle.moog.Oscillator.prototype.copySettingsFrom = function(oscillator) {
+  this.applySettings_(oscillator.getSettings());
+  this.settingsVersion_++;
+};
+
+
+/**
+ * Gets a number that changes whenever this oscillator's knob and switch
+ * settings do, including when they are copied from another oscillator.
+ * @return {number} The settings version.
+ */
+doodle.moog.Oscillator.prototype.getSettingsVersion = function() {
+  return this.settingsVersion_;
+};
+
+
+/**
+ * Applies a settings snapshot to this oscillator without notifying listeners.
+ * @param {!doodle.moog.Oscillator.Settings} settings The settings to apply.
+ * @private
+ */
+doodle.moog.Oscillator.prototype.applySettings_ = function(settings) {
+  this.volume_ = settings.volume;
+  this.waveForm_ = settings.waveForm;
+  this.quality_ = settings.quality;
+  this.range_ = settings.range;
+  this.pitchBend_ = settings.pitchBend;
+  this.isAcceptingKeyboardPitch_ = settings.isAcceptingKeyboardPitch;
+  this.isFrequencyModulationOn_ = settings.isFrequencyModulationOn;
+  this.modulatorLevel_ = settings.modulatorLevel;
+  this.isGlideOn_ = settings.isGlideOn;
+  this.glideDuration_ = settings.glideDuration;
+  this.envelopeGenerator.applySettings(settings.envelope);
+};
+
+
+/**
+ * Notifies listeners that a knob or switch setting has changed.
+ * @private
+ */
+doodle.moog.Oscillator.prototype.dispatchSettingsChange_ = function() {
+  this.settingsVersion_++;
+  this.dispatchEvent(doodle.moog.Oscillator.EventType.SETTINGS_CHANGE);
+};
+
+
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.setVolume = function(volume) {
   this.volume_ = volume;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.setWaveForm = function(waveForm) {
   this.waveForm_ = waveForm;
+  this.dispatchSettingsChange_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Oscillator.prototype.setQuality = function(quality) {
+  this.quality_ = quality;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.setPitchBend = function(pitchBend) {
   this.pitchBend_ = pitchBend;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.setRange = function(range) {
   this.range_ = range;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.turnOnKeyboardPitchControl = function() {
   this.isAcceptingKeyboardPitch_ = true;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.turnOffKeyboardPitchControl = function() {
   this.isAcceptingKeyboardPitch_ = false;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.turnOnFrequencyModulation = function() {
   this.isFrequencyModulationOn_ = true;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.turnOffFrequencyModulation = function() {
   this.isFrequencyModulationOn_ = false;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.setModulatorLevel = function(modulatorLevel) {
   this.modulatorLevel_ = modulatorLevel;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.turnOnGlide = function() {
   this.isGlideOn_ = true;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.turnOffGlide = function() {
   this.isGlideOn_ = false;
+  this.dispatchSettingsChange_();
 };
 
 
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.setGlideDuration = function(time) {
   this.glideDuration_ = time;
+  this.dispatchSettingsChange_();
 };
 
 
@@ -313,10 +589,20 @@ doodle.moog.Oscillator.prototype.setActiveNote = function(note) {
 };
 
 
+/**
+ * Detunes this oscillator from its nominal pitch.
+ * @param {number} cents Detune amount in cents (hundredths of a semitone).
+ */
+doodle.moog.Oscillator.prototype.setDetune = function(cents) {
+  this.detuneRatio_ = Math.pow(2, cents / 1200);
+};
+
+
 /** @inheritDoc */
 doodle.moog.Oscillator.prototype.setEnvelopeGeneratorAttackTime =
     function(attackTime) {
   this.envelopeGenerator.setAttackTime(attackTime);
+  this.dispatchSettingsChange_();
 };
 
 
@@ -324,6 +610,7 @@ doodle.moog.Oscillator.prototype.setEnvelopeGeneratorAttackTime =
 doodle.moog.Oscillator.prototype.setEnvelopeGeneratorDecayTime =
     function(decayTime) {
   this.envelopeGenerator.setDecayTime(decayTime);
+  this.dispatchSettingsChange_();
 };
 
 
@@ -331,6 +618,46 @@ doodle.moog.Oscillator.prototype.setEnvelopeGeneratorDecayTime =
 doodle.moog.Oscillator.prototype.setEnvelopeGeneratorSustainLevel =
     function(sustainLevel) {
   this.envelopeGenerator.setSustainLevel(sustainLevel);
+  this.dispatchSettingsChange_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Oscillator.prototype.setEnvelopeGeneratorReleaseTime =
+    function(releaseTime) {
+  this.envelopeGenerator.setReleaseTime(releaseTime);
+  this.dispatchSettingsChange_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Oscillator.prototype.setEnvelopeGeneratorMode = function(mode) {
+  this.envelopeGenerator.setMode(mode);
+  this.dispatchSettingsChange_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Oscillator.prototype.turnOnEnvelopeGeneratorDecaySwitch =
+    function() {
+  this.envelopeGenerator.turnOnDecaySwitch();
+  this.dispatchSettingsChange_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Oscillator.prototype.turnOffEnvelopeGeneratorDecaySwitch =
+    function() {
+  this.envelopeGenerator.turnOffDecaySwitch();
+  this.dispatchSettingsChange_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Oscillator.prototype.setEnvelopeGeneratorCurve = function(
+    segment, curve) {
+  this.envelopeGenerator.setCurve(segment, curve);
+  this.dispatchSettingsChange_();
 };
 
 
@@ -406,7 +733,7 @@ doodle.moog.Oscillator.prototype.getGlideFrequency_ = function(target) {
  *     this oscillator.  If null, no modulation should be applied.
  * @param {number} index Sample index of the modulation signal to apply.
  * @return {number} The frequency this oscillator should generate with
- *     modulation.
+ *     modulation, never negative.
  * @private
  */
 doodle.moog.Oscillator.prototype.getModulationFrequency_ = function(
@@ -417,29 +744,198 @@ doodle.moog.Oscillator.prototype.getModulationFrequency_ = function(
   // Linearly project modulation level [0..1] onto [0.5..2] (down/up an octave).
   // TODO: Re-evaluate this maximum frequency modulation range based on real
   // Moog behavior.
-  return (modulatorSignal[index] * 0.75 + 1.25) * baseFrequency;
+  return Math.max(0, modulatorSignal[index] * 0.75 + 1.25) * baseFrequency;
 };
 
 
 /**
  * Advances the oscillator's phase of play.  This helper function must be called
- * exactly once per sample.
+ * exactly once per sample.  Since the phase is kept as a fraction of a cycle,
+ * changing the frequency (e.g., through glide or modulation) only changes how
+ * quickly it advances, never where it is.
  * @param {number} frequency The frequency being played.
  * @return {number} Progress made in the current cycle, projected on the range
- *     [0, 1].
+ *     [0, 1).
  * @private
  */
 doodle.moog.Oscillator.prototype.advancedPhase_ = function(frequency) {
-  var cycleLengthInSeconds = 2 / frequency;
-  if (this.phase_ > cycleLengthInSeconds) {
-    this.phase_ -= cycleLengthInSeconds;
+  var progressInCycle = this.phase_;
+  // NOTE: The doodle has always completed one cycle every 2 / frequency
+  // seconds, and its tuning depends on it.
+  this.phaseIncrement_ = frequency * this.SAMPLE_INTERVAL_ / 2;
+  this.phase_ += this.phaseIncrement_;
+  if (this.phase_ >= 1) {
+    this.phase_ -= Math.floor(this.phase_);
   }
-  var progressInCycle = this.phase_ * frequency / 2;
-  this.phase_ += this.SAMPLE_INTERVAL_;
   return progressInCycle;
 };
 
 
+/**
+ * Gets the fraction of the cycle a pulse wave form spends high.
+ * @param {!doodle.moog.OscillatorInterface.WaveForm} waveForm The wave form.
+ * @return {number} The pulse width of the wave form.  Wave forms other than
+ *     pulses ignore it.
+ */
+doodle.moog.Oscillator.getPulseWidth = function(waveForm) {
+  switch (waveForm) {
+    case doodle.moog.OscillatorInterface.WaveForm.FAT_PULSE:
+      return 1 / 3;
+    case doodle.moog.OscillatorInterface.WaveForm.PULSE:
+      return 0.25;
+  }
+  return 0.5;
+};
+
+
+/**
+ * Gets the naive level of a wave form at a point in its cycle.
+ * @param {!doodle.moog.OscillatorInterface.WaveForm} waveForm The wave form.
+ * @param {number} progressInCycle Progress made in the current cycle, on the
+ *     range [0, 1).
+ * @param {number} pulseWidth Fraction of the cycle the pulse wave forms spend
+ *     high.
+ * @return {number} The level, on the range [-1, 1].
+ */
+doodle.moog.Oscillator.getClassicLevel = function(
+    waveForm, progressInCycle, pulseWidth) {
+  switch (waveForm) {
+    case doodle.moog.OscillatorInterface.WaveForm.TRIANGLE:
+      return 4 * ((progressInCycle > 0.5 ?
+                   1 - progressInCycle : progressInCycle) - .25);
+    case doodle.moog.OscillatorInterface.WaveForm.SAWANGLE:
+      return progressInCycle < 0.5 ?
+          4 * progressInCycle - 1 : -2 * progressInCycle + 1;
+    case doodle.moog.OscillatorInterface.WaveForm.RAMP:
+      return 2 * (progressInCycle - 0.5);
+    case doodle.moog.OscillatorInterface.WaveForm.REVERSE_RAMP:
+      return -2 * (progressInCycle - 0.5);
+    case doodle.moog.OscillatorInterface.WaveForm.SQUARE:
+    case doodle.moog.OscillatorInterface.WaveForm.FAT_PULSE:
+    case doodle.moog.OscillatorInterface.WaveForm.PULSE:
+      return progressInCycle < pulseWidth ? 1 : -1;
+  }
+  return 0;
+};
+
+
+/**
+ * Gets the band-limited level of the wave form at a point in its cycle.  Each
+ * jump in the naive wave form is smoothed with a PolyBLEP residual, and each
+ * sudden change of slope with a PolyBLAMP residual, scaled to the size of the
+ * jump or slope change.
+ * @param {number} progressInCycle Progress made in the current cycle, on the
+ *     range [0, 1).
+ * @param {number} increment How far the phase advances per sample, as a
+ *     fraction of a cycle.
+ * @param {number} pulseWidth Fraction of the cycle the pulse wave forms spend
+ *     high.
+ * @return {number} The level, roughly on the range [-1, 1].
+ * @private
+ */
+doodle.moog.Oscillator.prototype.getBandLimitedLevel_ = function(
+    progressInCycle, increment, pulseWidth) {
+  var level = doodle.moog.Oscillator.getClassicLevel(
+      this.waveForm_, progressInCycle, pulseWidth);
+  var halfCycleLater = (progressInCycle + 0.5) % 1;
+  var blep = doodle.moog.Oscillator.polyBlep_;
+  var blamp = doodle.moog.Oscillator.polyBlamp_;
+  switch (this.waveForm_) {
+    case doodle.moog.OscillatorInterface.WaveForm.TRIANGLE:
+      // Slope changes from -4 to 4 at the start of the cycle and back halfway.
+      return level + 4 * increment * (
+          blamp(progressInCycle, increment) - blamp(halfCycleLater, increment));
+    case doodle.moog.OscillatorInterface.WaveForm.SAWANGLE:
+      // Slope changes from -2 to 4 at the start of the cycle.  Halfway, the
+      // level drops by 1 and the slope changes back.
+      return level + 3 * increment * (
+          blamp(progressInCycle, increment) -
+          blamp(halfCycleLater, increment)) -
+          0.5 * blep(halfCycleLater, increment);
+    case doodle.moog.OscillatorInterface.WaveForm.RAMP:
+      return level - blep(progressInCycle, increment);
+    case doodle.moog.OscillatorInterface.WaveForm.REVERSE_RAMP:
+      return level + blep(progressInCycle, increment);
+    case doodle.moog.OscillatorInterface.WaveForm.SQUARE:
+    case doodle.moog.OscillatorInterface.WaveForm.FAT_PULSE:
+    case doodle.moog.OscillatorInterface.WaveForm.PULSE:
+      return level + doodle.moog.Oscillator.getPulseCorrection_(
+          progressInCycle, increment, pulseWidth);
+  }
+  return level;
+};
+
+
+/**
+ * Gets the PolyBLEP correction for a pulse wave, which rises from -1 to 1 at
+ * the start of its cycle and falls back to -1 after its pulse width.
+ * @param {number} progressInCycle Progress made in the current cycle, on the
+ *     range [0, 1).
+ * @param {number} increment How far the phase advances per sample, as a
+ *     fraction of a cycle.
+ * @param {number} pulseWidth Fraction of the cycle spent high.
+ * @return {number} The correction to add to the naive level.
+ * @private
+ */
+doodle.moog.Oscillator.getPulseCorrection_ = function(
+    progressInCycle, increment, pulseWidth) {
+  return doodle.moog.Oscillator.polyBlep_(progressInCycle, increment) -
+      doodle.moog.Oscillator.polyBlep_(
+          (progressInCycle + 1 - pulseWidth) % 1, increment);
+};
+
+
+/**
+ * Gets the two-sample polynomial band-limited step residual for a rising jump
+ * of 2 at the start of the cycle.
+ * @param {number} progressInCycle Progress made in the current cycle, on the
+ *     range [0, 1).
+ * @param {number} increment How far the phase advances per sample, as a
+ *     fraction of a cycle.
+ * @return {number} The residual, on the range [-1, 1].  0 unless within one
+ *     sample of the jump.
+ * @private
+ */
+doodle.moog.Oscillator.polyBlep_ = function(progressInCycle, increment) {
+  var t;
+  if (progressInCycle < increment) {
+    t = progressInCycle / increment;
+    return t + t - t * t - 1;
+  }
+  if (progressInCycle > 1 - increment) {
+    t = (progressInCycle - 1) / increment;
+    return t * t + t + t + 1;
+  }
+  return 0;
+};
+
+
+/**
+ * Gets the two-sample polynomial band-limited ramp residual (the integral of
+ * the PolyBLEP residual) for a slope increase of 2 per sample at the start of
+ * the cycle.
+ * @param {number} progressInCycle Progress made in the current cycle, on the
+ *     range [0, 1).
+ * @param {number} increment How far the phase advances per sample, as a
+ *     fraction of a cycle.
+ * @return {number} The residual, on the range [0, 1/3].  0 unless within one
+ *     sample of the slope change.
+ * @private
+ */
+doodle.moog.Oscillator.polyBlamp_ = function(progressInCycle, increment) {
+  var t;
+  if (progressInCycle < increment) {
+    t = progressInCycle / increment - 1;
+    return -t * t * t / 3;
+  }
+  if (progressInCycle > 1 - increment) {
+    t = (progressInCycle - 1) / increment + 1;
+    return t * t * t / 3;
+  }
+  return 0;
+};
+
+
 /**
  * Fills the passed audio buffer with the tone represented by this oscillator.
  * @param {!AudioProcessingEvent} e The audio process event object.
@@ -457,67 +953,86 @@ doodle.moog.Oscillator.prototype.fillAudioBuffer = function(
   var left = buffer.getChannelData(1);
   var right = buffer.getChannelData(0);
 
-  if (this.IS_MODULATOR_ && !this.modulatorSignal) {
-    this.modulatorSignal = new Float32Array(buffer.length);
+  this.fillSamples(right, {
+    pitch: modulatorSignal,
+    volume: null,
+    pulseWidth: null
+  }, fillMode, opt_mixDivisor);
+
+  // In older versions of Chrome, Web Audio API always created two channels even
+  // if you have requested monaural sound. However, this is not the case in the
+  // newer (dev/canary) versions. This should cover both.
+  if (fillMode == doodle.moog.OscillatorInterface.FillMode.MIX && left) {
+    left.set(right);
   }
+};
+
+
+/**
+ * Fills the passed sample buffer with the tone represented by this oscillator.
+ * @param {!Float32Array} samples The monaural sample buffer to fill.
+ * @param {?doodle.moog.Oscillator.Modulation} modulation Modulation signals to
+ *     apply to this oscillator.  If null, no modulation will be applied.
+ * @param {!doodle.moog.OscillatorInterface.FillMode} fillMode How the
+ *     oscillator should fill the passed sample buffer.
+ * @param {number=} opt_mixDivisor Iff using FillMode.MIX, how much to mix down
+ *     the buffer.  This should usually be the number of oscillators that have
+ *     added data to the buffer.
+ */
+doodle.moog.Oscillator.prototype.fillSamples = function(
+    samples, modulation, fillMode, opt_mixDivisor) {
+  var isRecordingSignals = this.IS_MODULATOR_ || this.isModulationSource_;
+  if (isRecordingSignals && (!this.modulatorSignal ||
+                             this.modulatorSignal.length != samples.length)) {
+    this.modulatorSignal = new Float32Array(samples.length);
+    this.envelopeSignal = new Float32Array(samples.length);
+  }
+
+  var pitchModulation = modulation && modulation.pitch;
+  var volumeModulation = modulation && modulation.volume;
+  var pulseWidthModulation = modulation && modulation.pulseWidth;
+  var basePulseWidth = doodle.moog.Oscillator.getPulseWidth(this.waveForm_);
+  var minPulseWidth = doodle.moog.Oscillator.MIN_PULSE_WIDTH_;
 
   var targetFrequency = this.getInstantaneousFrequency_(this.activeNote_);
-  var pitchBend = this.getPitchBend_();
-  var frequency = targetFrequency * pitchBend;
+  var pitchBend = this.getPitchBend_() * this.detuneRatio_;
+
+  var isBandLimited =
+      this.quality_ == doodle.moog.OscillatorInterface.Quality.BAND_LIMITED;
 
-  var audioLevel, envelopeCoefficient, level, on, progressInCycle, ramp;
-  for (var i = 0; i < buffer.length; ++i) {
+  var audioLevel, envelopeCoefficient, level, progressInCycle, pulseWidth;
+  var volume;
+  for (var i = 0; i < samples.length; ++i) {
     envelopeCoefficient =
         this.envelopeGenerator.getNextAmplitudeCoefficient();
     progressInCycle = this.advancedPhase_(
         pitchBend *
         this.getModulationFrequency_(
-            this.getGlideFrequency_(targetFrequency), modulatorSignal, i));
-    switch (this.waveForm_) {
-      case doodle.moog.OscillatorInterface.WaveForm.TRIANGLE:
-        level = 4 * ((progressInCycle > 0.5 ?
-                      1 - progressInCycle : progressInCycle) - .25);
-        break;
-      case doodle.moog.OscillatorInterface.WaveForm.SAWANGLE:
-        ramp = progressInCycle < 0.5;
-        level = ramp ? (4 * progressInCycle - 1) : (-2 * progressInCycle + 1);
-        break;
-      case doodle.moog.OscillatorInterface.WaveForm.RAMP:
-        level = 2 * (progressInCycle - 0.5);
-        break;
-      case doodle.moog.OscillatorInterface.WaveForm.REVERSE_RAMP:
-        level = -2 * (progressInCycle - 0.5);
-        break;
-      case doodle.moog.OscillatorInterface.WaveForm.SQUARE:
-        level = progressInCycle < 0.5 ? 1 : -1;
-        break;
-      case doodle.moog.OscillatorInterface.WaveForm.FAT_PULSE:
-        level = progressInCycle < 1 / 3 ? 1 : -1;
-        break;
-      case doodle.moog.OscillatorInterface.WaveForm.PULSE:
-        level = progressInCycle < 0.25 ? 1 : -1;
-        break;
-    }
-
-    if (this.IS_MODULATOR_) {
+            this.getGlideFrequency_(targetFrequency), pitchModulation, i));
+    pulseWidth = pulseWidthModulation ?
+        Math.min(Math.max(basePulseWidth + pulseWidthModulation[i] / 2,
+                          minPulseWidth), 1 - minPulseWidth) :
+        basePulseWidth;
+    level = isBandLimited ?
+        this.getBandLimitedLevel_(
+            progressInCycle, this.phaseIncrement_, pulseWidth) :
+        doodle.moog.Oscillator.getClassicLevel(
+            this.waveForm_, progressInCycle, pulseWidth);
+
+    if (isRecordingSignals) {
       this.modulatorSignal[i] = level * this.modulatorLevel_;
+      this.envelopeSignal[i] = envelopeCoefficient;
     }
 
-    audioLevel = level * this.volume_ * envelopeCoefficient;
+    volume = volumeModulation ?
+        this.volume_ * Math.max(0, 1 + volumeModulation[i]) : this.volume_;
+    audioLevel = level * volume * envelopeCoefficient;
     if (fillMode == doodle.moog.OscillatorInterface.FillMode.CLOBBER) {
-      right[i] = audioLevel;
+      samples[i] = audioLevel;
     } else if (fillMode == doodle.moog.OscillatorInterface.FillMode.ADD) {
-      right[i] = right[i] + audioLevel;
+      samples[i] = samples[i] + audioLevel;
     } else {  // Otherwise FillMode.MIX.
-      right[i] = (right[i] + audioLevel) / opt_mixDivisor;
-
-      // In older versions of Chrome, Web Audio API always created two
-      // channels even if you have requested monaural sound. However, this
-      // is not the case in the newer (dev/canary) versions. This should
-      // cover both.
-      if (left) {
-        left[i] = right[i];
-      }
+      samples[i] = (samples[i] + audioLevel) / opt_mixDivisor;
     }
   }
 };
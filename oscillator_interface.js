@@ -17,6 +17,7 @@
  */
 goog.provide('doodle.moog.OscillatorInterface');
 goog.provide('doodle.moog.OscillatorInterface.FillMode');
+goog.provide('doodle.moog.OscillatorInterface.Quality');
 goog.provide('doodle.moog.OscillatorInterface.Range');
 goog.provide('doodle.moog.OscillatorInterface.WaveForm');
 
@@ -29,6 +30,15 @@ goog.provide('doodle.moog.OscillatorInterface.WaveForm');
 doodle.moog.OscillatorInterface = function() {};
 
 
+/**
+ * How many oscillators each synthesizer voice has, as on the doodle's panel
+ * (see doodle.moog.Moog.createSynthesizer).
+ * @type {number}
+ * @const
+ */
+doodle.moog.OscillatorInterface.VOICE_OSCILLATOR_COUNT = 3;
+
+
 /**
  * Different methods in which an oscillator can fill an audio buffer.
  * @enum {number}
@@ -43,6 +53,21 @@ doodle.moog.OscillatorInterface.FillMode = {
 };
 
 
+/**
+ * Different qualities at which an oscillator can generate its wave forms.
+ * @enum {number}
+ */
+doodle.moog.OscillatorInterface.Quality = {
+  // Naive wave forms with hard edges and corners, as in the original doodle.
+  // These alias audibly in the higher ranges.
+  CLASSIC: 0,
+  // Wave forms whose edges and corners are smoothed with polynomial
+  // band-limited step and ramp (PolyBLEP/PolyBLAMP) corrections to suppress
+  // aliasing.
+  BAND_LIMITED: 1
+};
+
+
 /**
  * Different 'ranges' (i.e., octaves in synth lingo) in which an oscillator can
  * generate a tone.  'LO' is a special Moog-ism that generates sub-audio clicks
@@ -90,6 +115,14 @@ doodle.moog.OscillatorInterface.prototype.setVolume = function(volume) {};
 doodle.moog.OscillatorInterface.prototype.setWaveForm = function(waveForm) {};
 
 
+/**
+ * Sets the quality at which this oscillator generates its wave form.
+ * @param {!doodle.moog.OscillatorInterface.Quality} quality The quality to
+ *     use.
+ */
+doodle.moog.OscillatorInterface.prototype.setQuality = function(quality) {};
+
+
 /**
  * Sets the pitch bend on this oscillator.
  * @param {number} pitchBend Pitch bend amount in the range of [-1, 1].
@@ -191,3 +224,46 @@ doodle.moog.OscillatorInterface.prototype.setEnvelopeGeneratorDecayTime =
  */
 doodle.moog.OscillatorInterface.prototype.setEnvelopeGeneratorSustainLevel =
     function(sustainLevel) {};
+
+
+/**
+ * Sets the release time for this oscillator's envelope generator, used in ADSR
+ * mode.
+ * @param {number} releaseTime The new release time.
+ */
+doodle.moog.OscillatorInterface.prototype.setEnvelopeGeneratorReleaseTime =
+    function(releaseTime) {};
+
+
+/**
+ * Sets whether this oscillator's envelope generator releases over its decay
+ * time (ADSD) or its release time (ADSR).
+ * @param {doodle.moog.EnvelopeGenerator.Mode} mode The new mode.
+ */
+doodle.moog.OscillatorInterface.prototype.setEnvelopeGeneratorMode =
+    function(mode) {};
+
+
+/**
+ * Turns on the decay switch of this oscillator's envelope generator.
+ */
+doodle.moog.OscillatorInterface.prototype.turnOnEnvelopeGeneratorDecaySwitch =
+    function() {};
+
+
+/**
+ * Turns off the decay switch of this oscillator's envelope generator, so that
+ * notes stop almost as soon as their key is released.
+ */
+doodle.moog.OscillatorInterface.prototype.turnOffEnvelopeGeneratorDecaySwitch =
+    function() {};
+
+
+/**
+ * Sets the shape of one of the segments of this oscillator's envelope
+ * generator.
+ * @param {doodle.moog.EnvelopeGenerator.Segment} segment The segment.
+ * @param {doodle.moog.EnvelopeGenerator.Curve} curve The new shape.
+ */
+doodle.moog.OscillatorInterface.prototype.setEnvelopeGeneratorCurve =
+    function(segment, curve) {};
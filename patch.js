@@ -0,0 +1,382 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Schema of synthesizer patches: versioning, migration of older
+ * patches and validation.
+ */
+goog.provide('doodle.moog.patch');
+
+goog.require('doodle.moog.EnvelopeGenerator.Curve');
+goog.require('doodle.moog.EnvelopeGenerator.Mode');
+goog.require('doodle.moog.Lfo');
+goog.require('doodle.moog.Lfo.Shape');
+goog.require('doodle.moog.LowPassFilterInterface');
+goog.require('doodle.moog.LowPassFilterInterface.KeyboardTracking');
+goog.require('doodle.moog.ModulationMatrix');
+goog.require('doodle.moog.NoteDivision');
+goog.require('doodle.moog.OscillatorInterface.Quality');
+goog.require('doodle.moog.OscillatorInterface.Range');
+goog.require('doodle.moog.OscillatorInterface.WaveForm');
+goog.require('doodle.moog.SynthesizerInterface');
+goog.require('doodle.moog.SynthesizerInterface.NotePriority');
+goog.require('doodle.moog.SynthesizerInterface.TriggerMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceStealingPolicy');
+goog.require('goog.array');
+goog.require('goog.object');
+
+
+/**
+ * The version of the patch schema written by doodle.moog.Synthesizer#getPatch.
+ * Bump it whenever the schema changes, and add a migration from the previous
+ * version to MIGRATIONS_.
+ * @type {number}
+ * @const
+ */
+doodle.moog.patch.VERSION = 1;
+
+
+/**
+ * How a synthesizer assigns key presses to voices.
+ * @typedef {{
+ *   mode: doodle.moog.SynthesizerInterface.VoiceMode,
+ *   count: number,
+ *   stealingPolicy: doodle.moog.SynthesizerInterface.VoiceStealingPolicy,
+ *   notePriority: doodle.moog.SynthesizerInterface.NotePriority,
+ *   triggerMode: doodle.moog.SynthesizerInterface.TriggerMode,
+ *   unisonCount: number,
+ *   unisonDetune: number,
+ *   unisonStereoSpread: number
+ * }}
+ */
+doodle.moog.patch.VoiceSettings;
+
+
+/**
+ * Every knob and switch setting of a synthesizer.  Plain data, so it survives
+ * JSON.stringify and JSON.parse.
+ * @typedef {{
+ *   version: number,
+ *   volume: number,
+ *   oscillators: !Array.<!doodle.moog.Oscillator.Settings>,
+ *   filter: !doodle.moog.LowPassFilterInterface.Settings,
+ *   voices: !doodle.moog.patch.VoiceSettings,
+ *   modulationRoutes: !Array.<!doodle.moog.ModulationMatrix.Route>,
+ *   lfo: !doodle.moog.Lfo.Settings
+ * }}
+ */
+doodle.moog.patch.Patch;
+
+
+/**
+ * Migrations from older versions of the schema, keyed by the version they
+ * upgrade from.  Each takes a patch of that version, which it may modify, and
+ * returns the patch of the next version.
+ * @type {!Object.<number, function(!Object): !Object>}
+ * @const
+ * @private
+ */
+doodle.moog.patch.MIGRATIONS_ = {};
+
+
+/**
+ * Brings a patch of any supported version up to the current version.
+ * @param {*} patch A patch, as parsed from JSON.
+ * @return {!Object} A copy of the patch, of the current version.  Not yet
+ *     validated.
+ */
+doodle.moog.patch.migrate = function(patch) {
+  if (!goog.isObject(patch) || goog.isArray(patch)) {
+    throw Error('Patch must be an object.');
+  }
+  var migrated = /** @type {!Object} */ (goog.object.unsafeClone(patch));
+  var version = migrated['version'];
+  if (!doodle.moog.patch.isInteger_(version) || version < 1) {
+    throw Error('Patch version must be a positive integer: ' + version);
+  }
+  if (version > doodle.moog.patch.VERSION) {
+    throw Error('Patch version ' + version + ' is newer than the supported ' +
+        'version ' + doodle.moog.patch.VERSION + '.');
+  }
+  for (; version < doodle.moog.patch.VERSION; version++) {
+    var migration = doodle.moog.patch.MIGRATIONS_[version];
+    if (!migration) {
+      throw Error('No migration from patch version ' + version + '.');
+    }
+    migrated = migration(migrated);
+    migrated['version'] = version + 1;
+  }
+  return migrated;
+};
+
+
+/**
+ * Throws an error naming the first setting of a patch that is missing, of the
+ * wrong type or out of range.
+ * @param {!Object} patch A patch of the current version.
+ * @param {number} oscillatorCount How many oscillators the synthesizer the
+ *     patch is for has.
+ */
+doodle.moog.patch.validate = function(patch, oscillatorCount) {
+  doodle.moog.patch.checkObject_(patch, 'patch');
+  doodle.moog.patch.checkNumber_(patch, 'volume', 0, 1);
+
+  var oscillators = patch['oscillators'];
+  if (!goog.isArray(oscillators) || oscillators.length != oscillatorCount) {
+    throw Error('patch.oscillators must be an array of ' + oscillatorCount +
+        ' oscillator settings.');
+  }
+  goog.array.forEach(oscillators, function(oscillator, i) {
+    doodle.moog.patch.validateOscillator_(
+        oscillator, 'patch.oscillators[' + i + ']');
+  });
+
+  var filter = patch['filter'];
+  doodle.moog.patch.checkObject_(filter, 'patch.filter');
+  doodle.moog.patch.validateFilterContour_(
+      filter['contour'], 'patch.filter.contour');
+  doodle.moog.patch.checkNumber_(filter, 'emphasis', 0, 1, 'patch.filter');
+  doodle.moog.patch.checkBoolean_(filter, 'isSaturationOn', 'patch.filter');
+
+  var voices = patch['voices'];
+  doodle.moog.patch.checkObject_(voices, 'patch.voices');
+  doodle.moog.patch.checkEnum_(voices, 'mode',
+      doodle.moog.SynthesizerInterface.VoiceMode, 'patch.voices');
+  doodle.moog.patch.checkInteger_(voices, 'count', 1,
+      doodle.moog.SynthesizerInterface.MAX_VOICE_COUNT, 'patch.voices');
+  doodle.moog.patch.checkEnum_(voices, 'stealingPolicy',
+      doodle.moog.SynthesizerInterface.VoiceStealingPolicy, 'patch.voices');
+  doodle.moog.patch.checkEnum_(voices, 'notePriority',
+      doodle.moog.SynthesizerInterface.NotePriority, 'patch.voices');
+  doodle.moog.patch.checkEnum_(voices, 'triggerMode',
+      doodle.moog.SynthesizerInterface.TriggerMode, 'patch.voices');
+  doodle.moog.patch.checkInteger_(voices, 'unisonCount', 1,
+      doodle.moog.SynthesizerInterface.MAX_UNISON_COUNT, 'patch.voices');
+  doodle.moog.patch.checkNumber_(
+      voices, 'unisonDetune', 0,
+      doodle.moog.SynthesizerInterface.MAX_UNISON_DETUNE, 'patch.voices');
+  doodle.moog.patch.checkNumber_(
+      voices, 'unisonStereoSpread', 0, 1, 'patch.voices');
+
+  if (!goog.isArray(patch['modulationRoutes'])) {
+    throw Error('patch.modulationRoutes must be an array of routes.');
+  }
+  // The matrix knows best which routes are valid.
+  try {
+    new doodle.moog.ModulationMatrix(oscillatorCount).setRoutes(
+        patch['modulationRoutes']);
+  } catch (e) {
+    throw Error('patch.modulationRoutes: ' + e.message);
+  }
+
+  var lfo = patch['lfo'];
+  doodle.moog.patch.checkObject_(lfo, 'patch.lfo');
+  doodle.moog.patch.checkEnum_(
+      lfo, 'shape', doodle.moog.Lfo.Shape, 'patch.lfo');
+  doodle.moog.patch.checkNumber_(
+      lfo, 'rate', 0, doodle.moog.Lfo.MAX_RATE, 'patch.lfo');
+  doodle.moog.patch.checkBoolean_(lfo, 'isTempoSynced', 'patch.lfo');
+  doodle.moog.patch.checkNumber_(lfo, 'tempo', doodle.moog.Lfo.MIN_TEMPO,
+      doodle.moog.Lfo.MAX_TEMPO, 'patch.lfo');
+  doodle.moog.patch.checkEnum_(
+      lfo, 'division', doodle.moog.NoteDivision, 'patch.lfo');
+  doodle.moog.patch.checkNumber_(lfo, 'delay', 0, Infinity, 'patch.lfo');
+  doodle.moog.patch.checkNumber_(lfo, 'fadeInTime', 0, Infinity, 'patch.lfo');
+  doodle.moog.patch.checkBoolean_(lfo, 'isKeySyncOn', 'patch.lfo');
+};
+
+
+/**
+ * Validates the settings of an oscillator and its envelope generator.
+ * @param {*} oscillator The oscillator settings.
+ * @param {string} path Where the settings are in the patch.
+ * @private
+ */
+doodle.moog.patch.validateOscillator_ = function(oscillator, path) {
+  doodle.moog.patch.checkObject_(oscillator, path);
+  doodle.moog.patch.checkNumber_(oscillator, 'volume', 0, 1, path);
+  doodle.moog.patch.checkEnum_(oscillator, 'waveForm',
+      doodle.moog.OscillatorInterface.WaveForm, path);
+  doodle.moog.patch.checkEnum_(oscillator, 'quality',
+      doodle.moog.OscillatorInterface.Quality, path);
+  doodle.moog.patch.checkEnum_(oscillator, 'range',
+      doodle.moog.OscillatorInterface.Range, path);
+  doodle.moog.patch.checkNumber_(oscillator, 'pitchBend', -1, 1, path);
+  doodle.moog.patch.checkBoolean_(oscillator, 'isAcceptingKeyboardPitch', path);
+  doodle.moog.patch.checkBoolean_(oscillator, 'isFrequencyModulationOn', path);
+  doodle.moog.patch.checkNumber_(oscillator, 'modulatorLevel', 0, 1, path);
+  doodle.moog.patch.checkBoolean_(oscillator, 'isGlideOn', path);
+  doodle.moog.patch.checkNumber_(
+      oscillator, 'glideDuration', 0, Infinity, path);
+
+  var envelopePath = path + '.envelope';
+  var envelope = oscillator['envelope'];
+  doodle.moog.patch.checkObject_(envelope, envelopePath);
+  doodle.moog.patch.checkNumber_(
+      envelope, 'attackTime', 0, Infinity, envelopePath);
+  doodle.moog.patch.checkNumber_(
+      envelope, 'decayTime', 0, Infinity, envelopePath);
+  doodle.moog.patch.checkNumber_(envelope, 'sustainLevel', 0, 1, envelopePath);
+  doodle.moog.patch.checkNumber_(
+      envelope, 'releaseTime', 0, Infinity, envelopePath);
+  doodle.moog.patch.checkEnum_(
+      envelope, 'mode', doodle.moog.EnvelopeGenerator.Mode, envelopePath);
+  doodle.moog.patch.checkBoolean_(envelope, 'isDecaySwitchOn', envelopePath);
+  doodle.moog.patch.validateCurves_(envelope, envelopePath);
+};
+
+
+/**
+ * Validates the settings of a filter contour.
+ * @param {*} contour The contour settings.
+ * @param {string} path Where the settings are in the patch.
+ * @private
+ */
+doodle.moog.patch.validateFilterContour_ = function(contour, path) {
+  doodle.moog.patch.checkObject_(contour, path);
+  doodle.moog.patch.checkNumber_(contour, 'cutoffFrequency',
+      doodle.moog.LowPassFilterInterface.MIN_CUTOFF_FREQUENCY,
+      doodle.moog.LowPassFilterInterface.MAX_CUTOFF_FREQUENCY, path);
+  doodle.moog.patch.checkNumber_(contour, 'contour', 0,
+      doodle.moog.LowPassFilterInterface.MAX_CONTOUR, path);
+  doodle.moog.patch.checkNumber_(contour, 'attackTime', 0, Infinity, path);
+  doodle.moog.patch.checkNumber_(contour, 'decayTime', 0, Infinity, path);
+  doodle.moog.patch.checkNumber_(contour, 'sustainLevel', 0, 1, path);
+  doodle.moog.patch.checkNumber_(contour, 'releaseTime', 0, Infinity, path);
+  doodle.moog.patch.checkEnum_(
+      contour, 'mode', doodle.moog.EnvelopeGenerator.Mode, path);
+  doodle.moog.patch.checkBoolean_(contour, 'isDecaySwitchOn', path);
+  doodle.moog.patch.checkEnum_(contour, 'keyboardTracking',
+      doodle.moog.LowPassFilterInterface.KeyboardTracking, path);
+  doodle.moog.patch.validateCurves_(contour, path);
+};
+
+
+/**
+ * Validates the segment curves of an envelope.
+ * @param {!Object} envelope The envelope settings.
+ * @param {string} path Where the settings are in the patch.
+ * @private
+ */
+doodle.moog.patch.validateCurves_ = function(envelope, path) {
+  goog.array.forEach(['attackCurve', 'decayCurve', 'releaseCurve'],
+      function(key) {
+        doodle.moog.patch.checkEnum_(
+            envelope, key, doodle.moog.EnvelopeGenerator.Curve, path);
+      });
+};
+
+
+/**
+ * @param {*} value The value to check.
+ * @param {string} path Where the value is in the patch.
+ * @private
+ */
+doodle.moog.patch.checkObject_ = function(value, path) {
+  if (!goog.isObject(value) || goog.isArray(value) || goog.isFunction(value)) {
+    throw Error(path + ' must be an object.');
+  }
+};
+
+
+/**
+ * @param {!Object} settings The settings holding the value.
+ * @param {string} key The key of the value.
+ * @param {number} min The lowest allowed value.
+ * @param {number} max The highest allowed value.
+ * @param {string=} opt_path Where the settings are in the patch.  Defaults to
+ *     the patch itself.
+ * @private
+ */
+doodle.moog.patch.checkNumber_ = function(settings, key, min, max, opt_path) {
+  var value = settings[key];
+  if (typeof value != 'number' || !isFinite(value)) {
+    throw Error(doodle.moog.patch.getPath_(key, opt_path) +
+        ' must be a finite number: ' + value);
+  }
+  if (value < min || value > max) {
+    throw Error(doodle.moog.patch.getPath_(key, opt_path) +
+        ' is out of range [' + min + ', ' + max + ']: ' + value);
+  }
+};
+
+
+/**
+ * @param {!Object} settings The settings holding the value.
+ * @param {string} key The key of the value.
+ * @param {number} min The lowest allowed value.
+ * @param {number} max The highest allowed value.
+ * @param {string} path Where the settings are in the patch.
+ * @private
+ */
+doodle.moog.patch.checkInteger_ = function(settings, key, min, max, path) {
+  doodle.moog.patch.checkNumber_(settings, key, min, max, path);
+  if (!doodle.moog.patch.isInteger_(settings[key])) {
+    throw Error(doodle.moog.patch.getPath_(key, path) +
+        ' must be an integer: ' + settings[key]);
+  }
+};
+
+
+/**
+ * @param {!Object} settings The settings holding the value.
+ * @param {string} key The key of the value.
+ * @param {string} path Where the settings are in the patch.
+ * @private
+ */
+doodle.moog.patch.checkBoolean_ = function(settings, key, path) {
+  if (!goog.isBoolean(settings[key])) {
+    throw Error(doodle.moog.patch.getPath_(key, path) +
+        ' must be true or false: ' + settings[key]);
+  }
+};
+
+
+/**
+ * @param {!Object} settings The settings holding the value.
+ * @param {string} key The key of the value.
+ * @param {!Object} enumObject The enum the value must belong to.
+ * @param {string} path Where the settings are in the patch.
+ * @private
+ */
+doodle.moog.patch.checkEnum_ = function(settings, key, enumObject, path) {
+  if (!goog.object.contains(enumObject, settings[key])) {
+    throw Error(doodle.moog.patch.getPath_(key, path) +
+        ' must be one of ' + goog.object.getValues(enumObject).join(', ') +
+        ': ' + settings[key]);
+  }
+};
+
+
+/**
+ * @param {string} key The key of a value.
+ * @param {string=} opt_path Where the settings holding the value are in the
+ *     patch.  Defaults to the patch itself.
+ * @return {string} Where the value is in the patch, for error messages.
+ * @private
+ */
+doodle.moog.patch.getPath_ = function(key, opt_path) {
+  return (opt_path || 'patch') + '.' + key;
+};
+
+
+/**
+ * @param {*} value A value.
+ * @return {boolean} Whether the value is an integer.
+ * @private
+ */
+doodle.moog.patch.isInteger_ = function(value) {
+  return typeof value == 'number' && isFinite(value) && value % 1 == 0;
+};
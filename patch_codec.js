@@ -0,0 +1,903 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Compact, URL-safe encoding of synthesizer patches, for sharing
+ * patches through short links.
+ *
+ * A code packs a patch into a stream of bits: a format version byte, then
+ * every setting of the patch (enums as indices, switches as single bits and
+ * continuous knobs quantised to a fixed number of steps), then a Fletcher-16
+ * checksum.  Each character of the code carries six bits of the stream.
+ */
+goog.provide('doodle.moog.patchCodec');
+
+goog.require('doodle.moog.EnvelopeGenerator.Curve');
+goog.require('doodle.moog.EnvelopeGenerator.Mode');
+goog.require('doodle.moog.Lfo');
+goog.require('doodle.moog.Lfo.Shape');
+goog.require('doodle.moog.LowPassFilterInterface');
+goog.require('doodle.moog.LowPassFilterInterface.KeyboardTracking');
+goog.require('doodle.moog.ModulationMatrix.Destination');
+goog.require('doodle.moog.ModulationMatrix.SourceType');
+goog.require('doodle.moog.NoteDivision');
+goog.require('doodle.moog.OscillatorInterface.Quality');
+goog.require('doodle.moog.OscillatorInterface.Range');
+goog.require('doodle.moog.OscillatorInterface.WaveForm');
+goog.require('doodle.moog.SynthesizerInterface');
+goog.require('doodle.moog.SynthesizerInterface.NotePriority');
+goog.require('doodle.moog.SynthesizerInterface.TriggerMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceStealingPolicy');
+goog.require('goog.array');
+goog.require('goog.object');
+
+
+/**
+ * The version of the code layout written by encode.  Format 1 carries patches
+ * of schema version 1 (see doodle.moog.patch.VERSION).  When the schema
+ * changes, bump the format and keep decoding the older formats: the patches
+ * they decode to are migrated by doodle.moog.Synthesizer#applyPatch.
+ * @type {number}
+ * @const
+ */
+doodle.moog.patchCodec.FORMAT_VERSION = 1;
+
+
+/**
+ * The characters of a code, each standing for six bits.  All of them are safe
+ * in URLs.
+ * @type {string}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.ALPHABET_ =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+
+/**
+ * How a continuous knob is quantised.  Linear scales have steps + 1 evenly
+ * spaced values from min to max.  Logarithmic scales have a code for zero and
+ * steps values spaced evenly in pitch from min to max.  Values beyond the
+ * range are clamped.
+ * @typedef {{
+ *   min: number,
+ *   max: number,
+ *   steps: number,
+ *   isLogarithmic: boolean
+ * }}
+ * @private
+ */
+doodle.moog.patchCodec.Scale_;
+
+
+/**
+ * Scale of volumes, levels and other knobs on the range [0, 1].
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.LEVEL_SCALE_ =
+    {min: 0, max: 1, steps: 255, isLogarithmic: false};
+
+
+/**
+ * Scale of pitch bends.  Zero and the ends of the range are exact.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.PITCH_BEND_SCALE_ =
+    {min: -1, max: 1, steps: 510, isLogarithmic: false};
+
+
+/**
+ * Scale of envelope, glide and LFO times in seconds.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.TIME_SCALE_ =
+    {min: 0.001, max: 60, steps: 1023, isLogarithmic: true};
+
+
+/**
+ * Scale of filter cutoff frequencies in hertz.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.CUTOFF_SCALE_ =
+    {min: doodle.moog.LowPassFilterInterface.MIN_CUTOFF_FREQUENCY,
+     max: doodle.moog.LowPassFilterInterface.MAX_CUTOFF_FREQUENCY,
+     steps: 4095, isLogarithmic: true};
+
+
+/**
+ * Scale of filter contour amounts, in tenths.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.CONTOUR_SCALE_ =
+    {min: 0, max: doodle.moog.LowPassFilterInterface.MAX_CONTOUR,
+     steps: doodle.moog.LowPassFilterInterface.MAX_CONTOUR * 10,
+     isLogarithmic: false};
+
+
+/**
+ * Scale of unison detune amounts in cents, in half cents.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.DETUNE_SCALE_ =
+    {min: 0, max: doodle.moog.SynthesizerInterface.MAX_UNISON_DETUNE,
+     steps: doodle.moog.SynthesizerInterface.MAX_UNISON_DETUNE * 2,
+     isLogarithmic: false};
+
+
+/**
+ * Scale of modulation depths, in 256ths.  Deeper routes are clamped.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.DEPTH_SCALE_ =
+    {min: -8, max: 8, steps: 4096, isLogarithmic: false};
+
+
+/**
+ * Scale of LFO rates in hertz.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.RATE_SCALE_ =
+    {min: 0.01, max: doodle.moog.Lfo.MAX_RATE, steps: 1023,
+     isLogarithmic: true};
+
+
+/**
+ * Scale of LFO tempos in beats per minute, in tenths.
+ * @type {!doodle.moog.patchCodec.Scale_}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.TEMPO_SCALE_ =
+    {min: doodle.moog.Lfo.MIN_TEMPO, max: doodle.moog.Lfo.MAX_TEMPO,
+     steps: (doodle.moog.Lfo.MAX_TEMPO - doodle.moog.Lfo.MIN_TEMPO) * 10,
+     isLogarithmic: false};
+
+
+/**
+ * Number of bits holding the oscillator count and the oscillator indices of
+ * modulation routes.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.OSCILLATOR_INDEX_BITS_ = 4;
+
+
+/**
+ * Number of bits holding the number of modulation routes.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.ROUTE_COUNT_BITS_ = 6;
+
+
+/**
+ * Number of bits holding the voice count less one.  Covers the counts
+ * doodle.moog.patch.validate allows.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.VOICE_COUNT_BITS_ = 5;
+
+
+/**
+ * Number of bits holding the unison count less one.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.patchCodec.UNISON_COUNT_BITS_ = 4;
+
+
+/**
+ * Packs a patch into a code.  Knob settings are quantised, so decoding the
+ * code gives back a patch that sounds the same but may differ slightly in its
+ * numbers; encoding that patch again gives the same code.
+ * @param {!doodle.moog.patch.Patch} patch A valid patch, as returned by
+ *     doodle.moog.Synthesizer#getPatch.
+ * @return {string} The code.
+ */
+doodle.moog.patchCodec.encode = function(patch) {
+  var writer = new doodle.moog.patchCodec.BitWriter_();
+  writer.writeUint(doodle.moog.patchCodec.FORMAT_VERSION, 8);
+  doodle.moog.patchCodec.writeLevel_(writer, patch.volume);
+
+  writer.writeUint(patch.oscillators.length,
+      doodle.moog.patchCodec.OSCILLATOR_INDEX_BITS_);
+  goog.array.forEach(patch.oscillators, function(oscillator) {
+    doodle.moog.patchCodec.writeOscillator_(writer, oscillator);
+  });
+
+  doodle.moog.patchCodec.writeFilterContour_(writer, patch.filter.contour);
+  doodle.moog.patchCodec.writeLevel_(writer, patch.filter.emphasis);
+  writer.writeBoolean(patch.filter.isSaturationOn);
+
+  var voices = patch.voices;
+  doodle.moog.patchCodec.writeEnum_(
+      writer, voices.mode, doodle.moog.SynthesizerInterface.VoiceMode);
+  writer.writeUint(
+      voices.count - 1, doodle.moog.patchCodec.VOICE_COUNT_BITS_);
+  doodle.moog.patchCodec.writeEnum_(writer, voices.stealingPolicy,
+      doodle.moog.SynthesizerInterface.VoiceStealingPolicy);
+  doodle.moog.patchCodec.writeEnum_(writer, voices.notePriority,
+      doodle.moog.SynthesizerInterface.NotePriority);
+  doodle.moog.patchCodec.writeEnum_(writer, voices.triggerMode,
+      doodle.moog.SynthesizerInterface.TriggerMode);
+  writer.writeUint(
+      voices.unisonCount - 1, doodle.moog.patchCodec.UNISON_COUNT_BITS_);
+  doodle.moog.patchCodec.writeScaled_(
+      writer, voices.unisonDetune, doodle.moog.patchCodec.DETUNE_SCALE_);
+  doodle.moog.patchCodec.writeLevel_(writer, voices.unisonStereoSpread);
+
+  writer.writeUint(patch.modulationRoutes.length,
+      doodle.moog.patchCodec.ROUTE_COUNT_BITS_);
+  goog.array.forEach(patch.modulationRoutes, function(route) {
+    doodle.moog.patchCodec.writeRoute_(writer, route);
+  });
+
+  doodle.moog.patchCodec.writeLfo_(writer, patch.lfo);
+
+  var bytes = writer.getBytes();
+  var checksum = doodle.moog.patchCodec.getChecksum_(bytes);
+  bytes.push(checksum >> 8, checksum & 0xff);
+  return doodle.moog.patchCodec.bytesToString_(bytes);
+};
+
+
+/**
+ * Unpacks a code made by encode.
+ * @param {string} code The code.
+ * @return {!Object} The patch, of the schema version the code's format
+ *     carries.  Not yet validated; doodle.moog.Synthesizer#applyPatch migrates
+ *     and validates it.
+ */
+doodle.moog.patchCodec.decode = function(code) {
+  var bytes = doodle.moog.patchCodec.stringToBytes_(code);
+  if (bytes.length < 3) {
+    throw Error('Patch code is too short.');
+  }
+  var checksum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  bytes.length -= 2;
+  if (checksum != doodle.moog.patchCodec.getChecksum_(bytes)) {
+    throw Error('Patch code is corrupted.');
+  }
+  var reader = new doodle.moog.patchCodec.BitReader_(bytes);
+  var format = reader.readUint(8);
+  if (format != doodle.moog.patchCodec.FORMAT_VERSION) {
+    throw Error('Unsupported patch code format: ' + format);
+  }
+
+  var patch = {
+    version: 1,
+    volume: doodle.moog.patchCodec.readLevel_(reader),
+    oscillators: [],
+    filter: {},
+    voices: {},
+    modulationRoutes: [],
+    lfo: {}
+  };
+
+  var oscillatorCount =
+      reader.readUint(doodle.moog.patchCodec.OSCILLATOR_INDEX_BITS_);
+  for (var i = 0; i < oscillatorCount; i++) {
+    patch.oscillators.push(doodle.moog.patchCodec.readOscillator_(reader));
+  }
+
+  patch.filter.contour = doodle.moog.patchCodec.readFilterContour_(reader);
+  patch.filter.emphasis = doodle.moog.patchCodec.readLevel_(reader);
+  patch.filter.isSaturationOn = reader.readBoolean();
+
+  var voices = patch.voices;
+  voices.mode = doodle.moog.patchCodec.readEnum_(
+      reader, doodle.moog.SynthesizerInterface.VoiceMode);
+  voices.count =
+      reader.readUint(doodle.moog.patchCodec.VOICE_COUNT_BITS_) + 1;
+  voices.stealingPolicy = doodle.moog.patchCodec.readEnum_(
+      reader, doodle.moog.SynthesizerInterface.VoiceStealingPolicy);
+  voices.notePriority = doodle.moog.patchCodec.readEnum_(
+      reader, doodle.moog.SynthesizerInterface.NotePriority);
+  voices.triggerMode = doodle.moog.patchCodec.readEnum_(
+      reader, doodle.moog.SynthesizerInterface.TriggerMode);
+  voices.unisonCount =
+      reader.readUint(doodle.moog.patchCodec.UNISON_COUNT_BITS_) + 1;
+  voices.unisonDetune = doodle.moog.patchCodec.readScaled_(
+      reader, doodle.moog.patchCodec.DETUNE_SCALE_);
+  voices.unisonStereoSpread = doodle.moog.patchCodec.readLevel_(reader);
+
+  var routeCount = reader.readUint(doodle.moog.patchCodec.ROUTE_COUNT_BITS_);
+  for (var i = 0; i < routeCount; i++) {
+    patch.modulationRoutes.push(doodle.moog.patchCodec.readRoute_(reader));
+  }
+
+  patch.lfo = doodle.moog.patchCodec.readLfo_(reader);
+
+  reader.checkAtEnd();
+  return patch;
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {!doodle.moog.Oscillator.Settings} oscillator The oscillator
+ *     settings.
+ * @private
+ */
+doodle.moog.patchCodec.writeOscillator_ = function(writer, oscillator) {
+  doodle.moog.patchCodec.writeLevel_(writer, oscillator.volume);
+  doodle.moog.patchCodec.writeEnum_(writer, oscillator.waveForm,
+      doodle.moog.OscillatorInterface.WaveForm);
+  doodle.moog.patchCodec.writeEnum_(writer, oscillator.quality,
+      doodle.moog.OscillatorInterface.Quality);
+  doodle.moog.patchCodec.writeEnum_(writer, oscillator.range,
+      doodle.moog.OscillatorInterface.Range);
+  doodle.moog.patchCodec.writeScaled_(writer, oscillator.pitchBend,
+      doodle.moog.patchCodec.PITCH_BEND_SCALE_);
+  writer.writeBoolean(oscillator.isAcceptingKeyboardPitch);
+  writer.writeBoolean(oscillator.isFrequencyModulationOn);
+  doodle.moog.patchCodec.writeLevel_(writer, oscillator.modulatorLevel);
+  writer.writeBoolean(oscillator.isGlideOn);
+  doodle.moog.patchCodec.writeTime_(writer, oscillator.glideDuration);
+
+  var envelope = oscillator.envelope;
+  doodle.moog.patchCodec.writeTime_(writer, envelope.attackTime);
+  doodle.moog.patchCodec.writeTime_(writer, envelope.decayTime);
+  doodle.moog.patchCodec.writeLevel_(writer, envelope.sustainLevel);
+  doodle.moog.patchCodec.writeTime_(writer, envelope.releaseTime);
+  doodle.moog.patchCodec.writeEnum_(
+      writer, envelope.mode, doodle.moog.EnvelopeGenerator.Mode);
+  writer.writeBoolean(envelope.isDecaySwitchOn);
+  doodle.moog.patchCodec.writeCurves_(writer, envelope);
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @return {!Object} The oscillator settings.
+ * @private
+ */
+doodle.moog.patchCodec.readOscillator_ = function(reader) {
+  var oscillator = {
+    volume: doodle.moog.patchCodec.readLevel_(reader),
+    waveForm: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.OscillatorInterface.WaveForm),
+    quality: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.OscillatorInterface.Quality),
+    range: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.OscillatorInterface.Range),
+    pitchBend: doodle.moog.patchCodec.readScaled_(
+        reader, doodle.moog.patchCodec.PITCH_BEND_SCALE_),
+    isAcceptingKeyboardPitch: reader.readBoolean(),
+    isFrequencyModulationOn: reader.readBoolean(),
+    modulatorLevel: doodle.moog.patchCodec.readLevel_(reader),
+    isGlideOn: reader.readBoolean(),
+    glideDuration: doodle.moog.patchCodec.readTime_(reader)
+  };
+
+  var envelope = {
+    attackTime: doodle.moog.patchCodec.readTime_(reader),
+    decayTime: doodle.moog.patchCodec.readTime_(reader),
+    sustainLevel: doodle.moog.patchCodec.readLevel_(reader),
+    releaseTime: doodle.moog.patchCodec.readTime_(reader),
+    mode: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.EnvelopeGenerator.Mode),
+    isDecaySwitchOn: reader.readBoolean()
+  };
+  doodle.moog.patchCodec.readCurves_(reader, envelope);
+  oscillator.envelope = envelope;
+  return oscillator;
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {!doodle.moog.FilterContour.Settings} contour The contour settings.
+ * @private
+ */
+doodle.moog.patchCodec.writeFilterContour_ = function(writer, contour) {
+  doodle.moog.patchCodec.writeScaled_(writer, contour.cutoffFrequency,
+      doodle.moog.patchCodec.CUTOFF_SCALE_);
+  doodle.moog.patchCodec.writeScaled_(
+      writer, contour.contour, doodle.moog.patchCodec.CONTOUR_SCALE_);
+  doodle.moog.patchCodec.writeTime_(writer, contour.attackTime);
+  doodle.moog.patchCodec.writeTime_(writer, contour.decayTime);
+  doodle.moog.patchCodec.writeLevel_(writer, contour.sustainLevel);
+  doodle.moog.patchCodec.writeTime_(writer, contour.releaseTime);
+  doodle.moog.patchCodec.writeEnum_(
+      writer, contour.mode, doodle.moog.EnvelopeGenerator.Mode);
+  writer.writeBoolean(contour.isDecaySwitchOn);
+  doodle.moog.patchCodec.writeEnum_(writer, contour.keyboardTracking,
+      doodle.moog.LowPassFilterInterface.KeyboardTracking);
+  doodle.moog.patchCodec.writeCurves_(writer, contour);
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @return {!Object} The contour settings.
+ * @private
+ */
+doodle.moog.patchCodec.readFilterContour_ = function(reader) {
+  var contour = {
+    cutoffFrequency: doodle.moog.patchCodec.readScaled_(
+        reader, doodle.moog.patchCodec.CUTOFF_SCALE_),
+    contour: doodle.moog.patchCodec.readScaled_(
+        reader, doodle.moog.patchCodec.CONTOUR_SCALE_),
+    attackTime: doodle.moog.patchCodec.readTime_(reader),
+    decayTime: doodle.moog.patchCodec.readTime_(reader),
+    sustainLevel: doodle.moog.patchCodec.readLevel_(reader),
+    releaseTime: doodle.moog.patchCodec.readTime_(reader),
+    mode: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.EnvelopeGenerator.Mode),
+    isDecaySwitchOn: reader.readBoolean(),
+    keyboardTracking: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.LowPassFilterInterface.KeyboardTracking)
+  };
+  doodle.moog.patchCodec.readCurves_(reader, contour);
+  return contour;
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {!Object} envelope Envelope settings holding segment curves.
+ * @private
+ */
+doodle.moog.patchCodec.writeCurves_ = function(writer, envelope) {
+  goog.array.forEach(['attackCurve', 'decayCurve', 'releaseCurve'],
+      function(key) {
+        doodle.moog.patchCodec.writeEnum_(
+            writer, envelope[key], doodle.moog.EnvelopeGenerator.Curve);
+      });
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @param {!Object} envelope Envelope settings to add the segment curves to.
+ * @private
+ */
+doodle.moog.patchCodec.readCurves_ = function(reader, envelope) {
+  goog.array.forEach(['attackCurve', 'decayCurve', 'releaseCurve'],
+      function(key) {
+        envelope[key] = doodle.moog.patchCodec.readEnum_(
+            reader, doodle.moog.EnvelopeGenerator.Curve);
+      });
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {!doodle.moog.ModulationMatrix.Route} route The route.
+ * @private
+ */
+doodle.moog.patchCodec.writeRoute_ = function(writer, route) {
+  doodle.moog.patchCodec.writeEnum_(
+      writer, route.source, doodle.moog.ModulationMatrix.SourceType);
+  writer.writeUint(
+      route.sourceIndex, doodle.moog.patchCodec.OSCILLATOR_INDEX_BITS_);
+  doodle.moog.patchCodec.writeEnum_(
+      writer, route.destination, doodle.moog.ModulationMatrix.Destination);
+  writer.writeUint(
+      route.destinationIndex, doodle.moog.patchCodec.OSCILLATOR_INDEX_BITS_);
+  doodle.moog.patchCodec.writeScaled_(
+      writer, route.depth, doodle.moog.patchCodec.DEPTH_SCALE_);
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @return {!Object} The route.
+ * @private
+ */
+doodle.moog.patchCodec.readRoute_ = function(reader) {
+  return {
+    source: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.ModulationMatrix.SourceType),
+    sourceIndex:
+        reader.readUint(doodle.moog.patchCodec.OSCILLATOR_INDEX_BITS_),
+    destination: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.ModulationMatrix.Destination),
+    destinationIndex:
+        reader.readUint(doodle.moog.patchCodec.OSCILLATOR_INDEX_BITS_),
+    depth: doodle.moog.patchCodec.readScaled_(
+        reader, doodle.moog.patchCodec.DEPTH_SCALE_)
+  };
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {!doodle.moog.Lfo.Settings} lfo The LFO settings.
+ * @private
+ */
+doodle.moog.patchCodec.writeLfo_ = function(writer, lfo) {
+  doodle.moog.patchCodec.writeEnum_(writer, lfo.shape, doodle.moog.Lfo.Shape);
+  doodle.moog.patchCodec.writeScaled_(
+      writer, lfo.rate, doodle.moog.patchCodec.RATE_SCALE_);
+  writer.writeBoolean(lfo.isTempoSynced);
+  doodle.moog.patchCodec.writeScaled_(
+      writer, lfo.tempo, doodle.moog.patchCodec.TEMPO_SCALE_);
+  doodle.moog.patchCodec.writeEnum_(
+      writer, lfo.division, doodle.moog.NoteDivision);
+  doodle.moog.patchCodec.writeTime_(writer, lfo.delay);
+  doodle.moog.patchCodec.writeTime_(writer, lfo.fadeInTime);
+  writer.writeBoolean(lfo.isKeySyncOn);
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @return {!Object} The LFO settings.
+ * @private
+ */
+doodle.moog.patchCodec.readLfo_ = function(reader) {
+  return {
+    shape: doodle.moog.patchCodec.readEnum_(reader, doodle.moog.Lfo.Shape),
+    rate: doodle.moog.patchCodec.readScaled_(
+        reader, doodle.moog.patchCodec.RATE_SCALE_),
+    isTempoSynced: reader.readBoolean(),
+    tempo: doodle.moog.patchCodec.readScaled_(
+        reader, doodle.moog.patchCodec.TEMPO_SCALE_),
+    division: doodle.moog.patchCodec.readEnum_(
+        reader, doodle.moog.NoteDivision),
+    delay: doodle.moog.patchCodec.readTime_(reader),
+    fadeInTime: doodle.moog.patchCodec.readTime_(reader),
+    isKeySyncOn: reader.readBoolean()
+  };
+};
+
+
+/**
+ * Writes an enum value as its index among the enum's values, so enums must
+ * only ever gain values at their end.
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {*} value The value.
+ * @param {!Object} enumObject The enum the value belongs to.
+ * @private
+ */
+doodle.moog.patchCodec.writeEnum_ = function(writer, value, enumObject) {
+  var values = goog.object.getValues(enumObject);
+  writer.writeUint(goog.array.indexOf(values, value),
+      doodle.moog.patchCodec.getBitCount_(values.length - 1));
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @param {!Object} enumObject The enum to read a value of.
+ * @return {*} The value.
+ * @private
+ */
+doodle.moog.patchCodec.readEnum_ = function(reader, enumObject) {
+  var values = goog.object.getValues(enumObject);
+  var index = reader.readUint(
+      doodle.moog.patchCodec.getBitCount_(values.length - 1));
+  if (index >= values.length) {
+    throw Error('Patch code holds an unknown setting: ' + index);
+  }
+  return values[index];
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {number} level The level, on the range [0, 1].
+ * @private
+ */
+doodle.moog.patchCodec.writeLevel_ = function(writer, level) {
+  doodle.moog.patchCodec.writeScaled_(
+      writer, level, doodle.moog.patchCodec.LEVEL_SCALE_);
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @return {number} The level.
+ * @private
+ */
+doodle.moog.patchCodec.readLevel_ = function(reader) {
+  return doodle.moog.patchCodec.readScaled_(
+      reader, doodle.moog.patchCodec.LEVEL_SCALE_);
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {number} time The time in seconds.
+ * @private
+ */
+doodle.moog.patchCodec.writeTime_ = function(writer, time) {
+  doodle.moog.patchCodec.writeScaled_(
+      writer, time, doodle.moog.patchCodec.TIME_SCALE_);
+};
+
+
+/**
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @return {number} The time in seconds.
+ * @private
+ */
+doodle.moog.patchCodec.readTime_ = function(reader) {
+  return doodle.moog.patchCodec.readScaled_(
+      reader, doodle.moog.patchCodec.TIME_SCALE_);
+};
+
+
+/**
+ * Quantises a knob setting and writes it.
+ * @param {!doodle.moog.patchCodec.BitWriter_} writer Where to write.
+ * @param {number} value The setting.
+ * @param {!doodle.moog.patchCodec.Scale_} scale How to quantise it.
+ * @private
+ */
+doodle.moog.patchCodec.writeScaled_ = function(writer, value, scale) {
+  var code;
+  if (!scale.isLogarithmic) {
+    code = Math.round((value - scale.min) / (scale.max - scale.min) *
+        scale.steps);
+  } else if (value < scale.min) {
+    // Round to whichever of zero and the bottom of the scale is nearer.
+    code = value < scale.min / 2 ? 0 : 1;
+  } else {
+    code = 1 + Math.round(Math.log(value / scale.min) /
+        Math.log(scale.max / scale.min) * (scale.steps - 1));
+  }
+  writer.writeUint(Math.min(Math.max(code, 0), scale.steps),
+      doodle.moog.patchCodec.getBitCount_(scale.steps));
+};
+
+
+/**
+ * Reads a quantised knob setting.
+ * @param {!doodle.moog.patchCodec.BitReader_} reader Where to read from.
+ * @param {!doodle.moog.patchCodec.Scale_} scale How it was quantised.
+ * @return {number} The setting.
+ * @private
+ */
+doodle.moog.patchCodec.readScaled_ = function(reader, scale) {
+  var code = reader.readUint(doodle.moog.patchCodec.getBitCount_(scale.steps));
+  if (code > scale.steps) {
+    throw Error('Patch code holds a setting out of range: ' + code);
+  }
+  if (!scale.isLogarithmic) {
+    return scale.min + (scale.max - scale.min) * code / scale.steps;
+  }
+  if (code == 0) {
+    return 0;
+  }
+  return scale.min *
+      Math.pow(scale.max / scale.min, (code - 1) / (scale.steps - 1));
+};
+
+
+/**
+ * @param {number} maxValue The highest value a field must hold.
+ * @return {number} How many bits the field needs.
+ * @private
+ */
+doodle.moog.patchCodec.getBitCount_ = function(maxValue) {
+  var bitCount = 0;
+  while (maxValue >> bitCount) {
+    bitCount++;
+  }
+  return bitCount;
+};
+
+
+/**
+ * Computes the Fletcher-16 checksum of a run of bytes.
+ * @param {!Array.<number>} bytes The bytes.
+ * @return {number} The checksum, on the range [0, 65535].
+ * @private
+ */
+doodle.moog.patchCodec.getChecksum_ = function(bytes) {
+  var sum1 = 0;
+  var sum2 = 0;
+  for (var i = 0; i < bytes.length; i++) {
+    sum1 = (sum1 + bytes[i]) % 255;
+    sum2 = (sum2 + sum1) % 255;
+  }
+  return (sum2 << 8) | sum1;
+};
+
+
+/**
+ * Spells out bytes in ALPHABET_, six bits per character.  The last character
+ * is padded with zero bits.
+ * @param {!Array.<number>} bytes The bytes.
+ * @return {string} The characters.
+ * @private
+ */
+doodle.moog.patchCodec.bytesToString_ = function(bytes) {
+  var characters = [];
+  var buffer = 0;
+  var bufferedBitCount = 0;
+  for (var i = 0; i < bytes.length; i++) {
+    buffer = (buffer << 8) | bytes[i];
+    bufferedBitCount += 8;
+    while (bufferedBitCount >= 6) {
+      bufferedBitCount -= 6;
+      characters.push(doodle.moog.patchCodec.ALPHABET_.charAt(
+          (buffer >> bufferedBitCount) & 0x3f));
+    }
+  }
+  if (bufferedBitCount > 0) {
+    characters.push(doodle.moog.patchCodec.ALPHABET_.charAt(
+        (buffer << (6 - bufferedBitCount)) & 0x3f));
+  }
+  return characters.join('');
+};
+
+
+/**
+ * Reverses bytesToString_.
+ * @param {string} string The characters.
+ * @return {!Array.<number>} The bytes.
+ * @private
+ */
+doodle.moog.patchCodec.stringToBytes_ = function(string) {
+  var bytes = [];
+  var buffer = 0;
+  var bufferedBitCount = 0;
+  for (var i = 0; i < string.length; i++) {
+    var sixBits = doodle.moog.patchCodec.ALPHABET_.indexOf(string.charAt(i));
+    if (sixBits < 0) {
+      throw Error('Patch code holds an invalid character: ' +
+          string.charAt(i));
+    }
+    buffer = ((buffer << 6) | sixBits) & 0xfff;
+    bufferedBitCount += 6;
+    if (bufferedBitCount >= 8) {
+      bufferedBitCount -= 8;
+      bytes.push((buffer >> bufferedBitCount) & 0xff);
+    }
+  }
+  // Whatever is left is the padding of the last character.
+  if (bufferedBitCount >= 6 || buffer & ((1 << bufferedBitCount) - 1)) {
+    throw Error('Patch code has an invalid length.');
+  }
+  return bytes;
+};
+
+
+
+/**
+ * Packs fields of any number of bits into bytes, most significant bit first.
+ * @constructor
+ * @private
+ */
+doodle.moog.patchCodec.BitWriter_ = function() {
+  /**
+   * The bits written so far, each 0 or 1.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.bits_ = [];
+};
+
+
+/**
+ * @param {number} value A non-negative integer that fits in bitCount bits.
+ * @param {number} bitCount The width of the field.
+ */
+doodle.moog.patchCodec.BitWriter_.prototype.writeUint = function(
+    value, bitCount) {
+  for (var i = bitCount - 1; i >= 0; i--) {
+    this.bits_.push((value >> i) & 1);
+  }
+};
+
+
+/**
+ * @param {boolean} value The switch setting.
+ */
+doodle.moog.patchCodec.BitWriter_.prototype.writeBoolean = function(value) {
+  this.writeUint(value ? 1 : 0, 1);
+};
+
+
+/**
+ * @return {!Array.<number>} The bytes written, the last padded with zero bits.
+ */
+doodle.moog.patchCodec.BitWriter_.prototype.getBytes = function() {
+  var bytes = [];
+  for (var i = 0; i < this.bits_.length; i += 8) {
+    var value = 0;
+    for (var j = i; j < i + 8; j++) {
+      value = (value << 1) | (this.bits_[j] || 0);
+    }
+    bytes.push(value);
+  }
+  return bytes;
+};
+
+
+
+/**
+ * Reads back the fields packed by doodle.moog.patchCodec.BitWriter_.
+ * @param {!Array.<number>} bytes The bytes to read.
+ * @constructor
+ * @private
+ */
+doodle.moog.patchCodec.BitReader_ = function(bytes) {
+  /**
+   * The bytes to read.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.bytes_ = bytes;
+
+  /**
+   * Index of the next bit to read.
+   * @type {number}
+   * @private
+   */
+  this.position_ = 0;
+};
+
+
+/**
+ * @param {number} bitCount The width of the field.
+ * @return {number} The field's value.
+ */
+doodle.moog.patchCodec.BitReader_.prototype.readUint = function(bitCount) {
+  if (this.position_ + bitCount > this.bytes_.length * 8) {
+    throw Error('Patch code is truncated.');
+  }
+  var value = 0;
+  for (var i = 0; i < bitCount; i++, this.position_++) {
+    var bit = (this.bytes_[this.position_ >> 3] >> (7 - this.position_ % 8)) &
+        1;
+    value = (value << 1) | bit;
+  }
+  return value;
+};
+
+
+/**
+ * @return {boolean} The switch setting.
+ */
+doodle.moog.patchCodec.BitReader_.prototype.readBoolean = function() {
+  return this.readUint(1) == 1;
+};
+
+
+/**
+ * Throws an error unless only the padding of the last byte is left to read.
+ */
+doodle.moog.patchCodec.BitReader_.prototype.checkAtEnd = function() {
+  var leftOver = this.bytes_.length * 8 - this.position_;
+  if (leftOver >= 8 || this.readUint(leftOver) != 0) {
+    throw Error('Patch code is too long.');
+  }
+};
@@ -0,0 +1,349 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Simple scores for rendering patches offline, written by hand
+ * as text or as JSON.
+ *
+ * A text score holds one entry per line.  A '#' at the start of a word starts
+ * a comment running to the end of the line.  A line is either a tempo change,
+ * such as
+ *
+ *   tempo 96
+ *
+ * or a note: a pitch, a duration and, optionally, a velocity and a filter
+ * cutoff frequency for that note, such as
+ *
+ *   C4 1/4
+ *   Eb4+G4 1/8. 100
+ *   F#3 1/2 127 800
+ *
+ * Pitches are note names with sharps (#) or flats (b) and an octave number,
+ * C4 being middle C.  Pitches joined by '+' sound together, and 'r' is a rest.
+ * Durations are fractions of a whole note, each trailing dot adding half of
+ * the previous value.  Velocities run from 1 to 127, as in MIDI, and cutoff
+ * frequencies are in hertz.  Each entry starts where the one before it ends.
+ *
+ * A JSON score is an object with an optional tempo and a list of entries:
+ *
+ *   {"tempo": 96, "notes": [
+ *     {"pitch": "C4", "duration": "1/4"},
+ *     {"pitch": "Eb4+G4", "duration": "1/8.", "velocity": 100},
+ *     {"tempo": 120},
+ *     {"pitch": "F#3", "duration": 0.5, "velocity": 127, "cutoff": 800}
+ *   ]}
+ *
+ * Durations may also be given as numbers of whole notes.
+ */
+goog.provide('doodle.moog.score');
+
+goog.require('doodle.moog.midi');
+goog.require('goog.array');
+goog.require('goog.string');
+
+
+/**
+ * A note of a score, timed in seconds from its start.
+ * @typedef {{
+ *   time: number,
+ *   duration: number,
+ *   note: number,
+ *   velocity: number,
+ *   cutoffFrequency: ?number
+ * }}
+ */
+doodle.moog.score.Note;
+
+
+/**
+ * Where a score being read has got to.
+ * @typedef {{
+ *   tempo: number,
+ *   time: number,
+ *   notes: !Array.<!doodle.moog.score.Note>
+ * }}
+ * @private
+ */
+doodle.moog.score.Reader_;
+
+
+/**
+ * Tempo, in beats (quarter notes) per minute, until a score sets one.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.score.DEFAULT_TEMPO_ = 120;
+
+
+/**
+ * The largest velocity, which plays a note at the patch's full volume.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.score.MAX_VELOCITY_ = 127;
+
+
+/**
+ * Semitones above C of each note name.
+ * @type {!Object.<string, number>}
+ * @const
+ * @private
+ */
+doodle.moog.score.PITCH_CLASSES_ = {
+  'C': 0,
+  'D': 2,
+  'E': 4,
+  'F': 5,
+  'G': 7,
+  'A': 9,
+  'B': 11
+};
+
+
+/**
+ * Reads a text score.
+ * @param {string} text The score.
+ * @return {!Array.<!doodle.moog.score.Note>} The notes, in time order.  An
+ *     error naming the offending line is thrown if the score is malformed.
+ */
+doodle.moog.score.parse = function(text) {
+  var reader = doodle.moog.score.createReader_();
+  goog.array.forEach(text.split('\n'), function(line, i) {
+    // A '#' within a word is a sharp.
+    var fields = goog.string.trim(line.replace(/(^|\s)#.*/, ''));
+    if (!fields) {
+      return;
+    }
+    fields = fields.split(/\s+/);
+    try {
+      if (fields[0].toLowerCase() == 'tempo') {
+        if (fields.length != 2) {
+          throw Error('Expected "tempo" and a number of beats per minute.');
+        }
+        doodle.moog.score.setTempo_(reader, Number(fields[1]));
+      } else {
+        if (fields.length < 2 || fields.length > 4) {
+          throw Error('Expected a pitch, a duration and, optionally, a ' +
+              'velocity and a cutoff frequency.');
+        }
+        doodle.moog.score.addEntry_(reader, fields[0], fields[1],
+            fields.length > 2 ? Number(fields[2]) : null,
+            fields.length > 3 ? Number(fields[3]) : null);
+      }
+    } catch (e) {
+      throw Error('Line ' + (i + 1) + ': ' + e.message);
+    }
+  });
+  return reader.notes;
+};
+
+
+/**
+ * Reads a JSON score.
+ * @param {*} json The score, as parsed from JSON.
+ * @return {!Array.<!doodle.moog.score.Note>} The notes, in time order.  An
+ *     error naming the offending entry is thrown if the score is malformed.
+ */
+doodle.moog.score.fromJson = function(json) {
+  if (!goog.isObject(json) || !goog.isArray(json['notes'])) {
+    throw Error('A JSON score needs a list of notes.');
+  }
+  var reader = doodle.moog.score.createReader_();
+  if (goog.isDef(json['tempo'])) {
+    doodle.moog.score.setTempo_(reader, json['tempo']);
+  }
+  goog.array.forEach(json['notes'], function(entry, i) {
+    try {
+      if (!goog.isObject(entry)) {
+        throw Error('Expected an object.');
+      }
+      if (goog.isDef(entry['tempo'])) {
+        doodle.moog.score.setTempo_(reader, entry['tempo']);
+      } else {
+        doodle.moog.score.addEntry_(reader, entry['pitch'], entry['duration'],
+            entry['velocity'], entry['cutoff']);
+      }
+    } catch (e) {
+      throw Error('Note ' + (i + 1) + ': ' + e.message);
+    }
+  });
+  return reader.notes;
+};
+
+
+/**
+ * Gets how long a score lasts.
+ * @param {!Array.<!doodle.moog.score.Note>} notes The notes of the score.
+ * @return {number} The time at which the last note ends, in seconds.
+ */
+doodle.moog.score.getLength = function(notes) {
+  var length = 0;
+  goog.array.forEach(notes, function(note) {
+    length = Math.max(length, note.time + note.duration);
+  });
+  return length;
+};
+
+
+/**
+ * Schedules the notes of a score on a headless synthesizer, from its first
+ * rendered sample.  A key released at the same time as another is pressed is
+ * released first, so repeated notes retrigger.
+ * @param {!doodle.moog.HeadlessSynthesizer} synthesizer The synthesizer.
+ * @param {!Array.<!doodle.moog.score.Note>} notes The notes of the score.
+ */
+doodle.moog.score.play = function(synthesizer, notes) {
+  var events = [];
+  goog.array.forEach(notes, function(note) {
+    events.push({time: note.time, isKeyDown: true, note: note});
+    events.push({time: note.time + note.duration, isKeyDown: false,
+                 note: note});
+  });
+  goog.array.stableSort(events, function(a, b) {
+    return a.time - b.time || Number(a.isKeyDown) - Number(b.isKeyDown);
+  });
+
+  goog.array.forEach(events, function(event) {
+    var note = event.note;
+    if (event.isKeyDown) {
+      synthesizer.setKeyDown(note.note, event.time, note.velocity,
+          note.cutoffFrequency || undefined);
+    } else {
+      synthesizer.setKeyUp(note.note, event.time);
+    }
+  });
+};
+
+
+/**
+ * Starts reading a score.
+ * @return {!doodle.moog.score.Reader_} A reader at the start of the score.
+ * @private
+ */
+doodle.moog.score.createReader_ = function() {
+  return {tempo: doodle.moog.score.DEFAULT_TEMPO_, time: 0, notes: []};
+};
+
+
+/**
+ * Changes the tempo from the current point of a score on.
+ * @param {!doodle.moog.score.Reader_} reader The reader.
+ * @param {*} tempo The tempo, in beats per minute.
+ * @private
+ */
+doodle.moog.score.setTempo_ = function(reader, tempo) {
+  if (!goog.isNumber(tempo) || !(tempo > 0)) {
+    throw Error('Invalid tempo: ' + tempo);
+  }
+  reader.tempo = tempo;
+};
+
+
+/**
+ * Adds a note, chord or rest to a score.
+ * @param {!doodle.moog.score.Reader_} reader The reader.
+ * @param {*} pitch The pitch, pitches joined by '+', or 'r' for a rest.
+ * @param {*} duration The duration, as a number of whole notes or as text.
+ * @param {*} velocity The velocity, in the range [1, 127], or null or undefined
+ *     for the largest.
+ * @param {*} cutoffFrequency The filter cutoff frequency, in hertz, or null or
+ *     undefined for the patch's.
+ * @private
+ */
+doodle.moog.score.addEntry_ = function(
+    reader, pitch, duration, velocity, cutoffFrequency) {
+  if (!goog.isString(pitch) || !pitch) {
+    throw Error('Missing pitch.');
+  }
+  var maxVelocity = doodle.moog.score.MAX_VELOCITY_;
+  if (!goog.isDefAndNotNull(velocity)) {
+    velocity = maxVelocity;
+  }
+  if (!goog.isNumber(velocity) || velocity % 1 != 0 || velocity < 1 ||
+      velocity > maxVelocity) {
+    throw Error('Velocity must be a whole number from 1 to ' + maxVelocity +
+        ': ' + velocity);
+  }
+  if (!goog.isDefAndNotNull(cutoffFrequency)) {
+    cutoffFrequency = null;
+  } else if (!goog.isNumber(cutoffFrequency) || !(cutoffFrequency > 0)) {
+    throw Error('Invalid cutoff frequency: ' + cutoffFrequency);
+  }
+
+  // A whole note lasts four beats.
+  var seconds = doodle.moog.score.parseDuration_(duration) * 4 * 60 /
+      reader.tempo;
+  if (pitch.toLowerCase() != 'r') {
+    goog.array.forEach(pitch.split('+'), function(name) {
+      reader.notes.push({
+        time: reader.time,
+        duration: seconds,
+        note: doodle.moog.score.parsePitch_(name),
+        velocity: velocity / maxVelocity,
+        cutoffFrequency: /** @type {?number} */ (cutoffFrequency)
+      });
+    });
+  }
+  reader.time += seconds;
+};
+
+
+/**
+ * Reads a duration.
+ * @param {*} duration The duration: a number of whole notes, or text such as
+ *     '1/4', '3/8' or '1/2.'.
+ * @return {number} The number of whole notes.
+ * @private
+ */
+doodle.moog.score.parseDuration_ = function(duration) {
+  var wholeNotes = NaN;
+  if (goog.isNumber(duration)) {
+    wholeNotes = duration;
+  } else if (goog.isString(duration)) {
+    var match = /^(\d+)(?:\/(\d+))?(\.*)$/.exec(duration);
+    if (match) {
+      // Each dot adds half of the value before it.
+      wholeNotes = match[1] / (match[2] || 1) *
+          (2 - Math.pow(2, -match[3].length));
+    }
+  }
+  if (!(wholeNotes > 0) || wholeNotes == Infinity) {
+    throw Error('Invalid duration: ' + duration);
+  }
+  return wholeNotes;
+};
+
+
+/**
+ * Reads a note name.
+ * @param {string} name The note name, such as 'C4', 'F#3' or 'Bb2'.
+ * @return {number} Chromatic index of the note relative to the beginning of
+ *     the keyboard.
+ * @private
+ */
+doodle.moog.score.parsePitch_ = function(name) {
+  var match = /^([A-Ga-g])([#b]*)(-?\d+)$/.exec(name);
+  if (!match) {
+    throw Error('Invalid pitch: ' + name);
+  }
+  var semitones = doodle.moog.score.PITCH_CLASSES_[match[1].toUpperCase()];
+  goog.array.forEach(match[2].split(''), function(accidental) {
+    semitones += accidental == '#' ? 1 : -1;
+  });
+  // MIDI note 60 is C4.
+  var midiNote = 12 * (Number(match[3]) + 1) + semitones;
+  return doodle.moog.midi.toKeyboardNote(midiNote);
+};
@@ -0,0 +1,704 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Step sequencer that plays patterns of notes on a synthesizer.
+ */
+goog.provide('doodle.moog.StepSequencer');
+goog.provide('doodle.moog.StepSequencer.Direction');
+goog.provide('doodle.moog.StepSequencer.EventType');
+
+goog.require('doodle.moog.NoteDivision');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.events.EventHandler');
+goog.require('goog.events.EventTarget');
+goog.require('goog.object');
+
+
+
+/**
+ * A step sequencer, playing a chain of patterns of up to 64 steps on a
+ * synthesizer in a loop.
+ *
+ * Key presses and releases are scheduled on the synthesizer a little ahead of
+ * time, against the audio context's clock, so they land on exact samples
+ * whatever the timer jitter and however large the synthesizer's buffers.
+ * Per-step cutoff frequencies and accents turn knobs, which can't be
+ * scheduled; they are applied when a timer tick finds them due, shortly
+ * before their step.
+ * @param {!AudioContext} audioContext Audio context whose clock times the
+ *     steps.
+ * @param {!doodle.moog.SynthesizerInterface} synthesizer The synthesizer to
+ *     play.
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ */
+doodle.moog.StepSequencer = function(audioContext, synthesizer) {
+  goog.base(this);
+
+  /**
+   * Audio context whose clock times the steps.
+   * @type {!AudioContext}
+   * @private
+   */
+  this.audioContext_ = audioContext;
+
+  /**
+   * The synthesizer played by this sequencer.
+   * @type {!doodle.moog.SynthesizerInterface}
+   * @private
+   */
+  this.synthesizer_ = synthesizer;
+
+  /**
+   * The chain of patterns, played one after the other.
+   * @type {!Array.<!doodle.moog.StepSequencer.Pattern>}
+   * @private
+   */
+  this.patterns_ = [doodle.moog.StepSequencer.createPattern(
+      doodle.moog.StepSequencer.DEFAULT_STEP_COUNT_)];
+
+  /**
+   * Tempo in beats (quarter notes) per minute.
+   * @type {number}
+   * @private
+   */
+  this.tempo_ = 120;
+
+  /**
+   * How long each step lasts.
+   * @type {doodle.moog.NoteDivision}
+   * @private
+   */
+  this.division_ = doodle.moog.NoteDivision.SIXTEENTH;
+
+  /**
+   * How late every second step is played, in the range [0, 1].
+   * @type {number}
+   * @private
+   */
+  this.swing_ = 0;
+
+  /**
+   * The order in which each pattern's steps are played.
+   * @type {doodle.moog.StepSequencer.Direction}
+   * @private
+   */
+  this.direction_ = doodle.moog.StepSequencer.Direction.FORWARD;
+
+  /**
+   * Whether the sequencer is playing.
+   * @type {boolean}
+   * @private
+   */
+  this.isPlaying_ = false;
+
+  /**
+   * Index in the chain of the pattern to schedule next.
+   * @type {number}
+   * @private
+   */
+  this.patternIndex_ = 0;
+
+  /**
+   * How many steps of the pattern's current pass have been scheduled.
+   * @type {number}
+   * @private
+   */
+  this.passPosition_ = 0;
+
+  /**
+   * How many steps have been scheduled since playback started.  Used to tell
+   * which steps to swing.
+   * @type {number}
+   * @private
+   */
+  this.stepCount_ = 0;
+
+  /**
+   * Audio context time at which the next step falls on the beat, before
+   * swing.
+   * @type {number}
+   * @private
+   */
+  this.nextStepTime_ = 0;
+
+  /**
+   * The note held over from a tied step, or null if none is.
+   * @type {?number}
+   * @private
+   */
+  this.tiedNote_ = null;
+
+  /**
+   * Knob changes and step notifications waiting for their time, in time
+   * order.
+   * @type {!Array.<{time: number, callback: function()}>}
+   * @private
+   */
+  this.pendingChanges_ = [];
+
+  /**
+   * The synthesizer's volume and cutoff frequency when playback started.
+   * Steps without accents or cutoff frequencies of their own play with these,
+   * and they are restored when playback stops.
+   * @type {{volume: number, cutoffFrequency: number}}
+   * @private
+   */
+  this.baseSettings_ = {volume: 0, cutoffFrequency: 0};
+
+  /**
+   * The volume and cutoff frequency last applied to the synthesizer.
+   * @type {{volume: number, cutoffFrequency: number}}
+   * @private
+   */
+  this.appliedSettings_ = {volume: 0, cutoffFrequency: 0};
+
+  /**
+   * Index in the chain of the pattern whose step is sounding, or -1 when
+   * stopped.
+   * @type {number}
+   * @private
+   */
+  this.currentPattern_ = -1;
+
+  /**
+   * Index of the step that is sounding, or -1 when stopped.
+   * @type {number}
+   * @private
+   */
+  this.currentStep_ = -1;
+
+  /**
+   * Timer that drives scheduling.
+   * @type {!goog.Timer}
+   * @private
+   */
+  this.timer_ = new goog.Timer(doodle.moog.StepSequencer.TICK_INTERVAL_);
+
+  /**
+   * @type {!goog.events.EventHandler}
+   * @private
+   */
+  this.eventHandler_ = new goog.events.EventHandler(this);
+  this.eventHandler_.listen(this.timer_, goog.Timer.TICK, this.handleTick_);
+};
+goog.inherits(doodle.moog.StepSequencer, goog.events.EventTarget);
+
+
+/**
+ * The most steps a pattern can have.
+ * @type {number}
+ * @const
+ */
+doodle.moog.StepSequencer.MAX_STEP_COUNT = 64;
+
+
+/**
+ * Events dispatched by step sequencers.
+ * @enum {string}
+ */
+doodle.moog.StepSequencer.EventType = {
+  // Dispatched whenever playback starts or stops.
+  STATE_CHANGE: 'statechange',
+  // Dispatched whenever playback reaches a step.  See getCurrentStep.
+  STEP: 'step'
+};
+
+
+/**
+ * The order in which a pattern's steps are played.
+ * @enum {number}
+ */
+doodle.moog.StepSequencer.Direction = {
+  FORWARD: 0,
+  REVERSE: 1,
+  // Forward then back, without repeating the first and last steps.
+  PING_PONG: 2,
+  // As many steps as the pattern has, picked at random.
+  RANDOM: 3
+};
+
+
+/**
+ * A step of a pattern.  gate is how long the key is held, as a fraction of
+ * the step in the range (0, 1].  A tied step holds its key into the next step
+ * instead, which then slides to its note without retriggering the envelopes
+ * (given the synthesizer's SINGLE trigger mode).  A rest plays nothing and
+ * ends any tie.  cutoffFrequency, if not null, is the filter cutoff frequency
+ * the step plays with.
+ * @typedef {{
+ *   note: number,
+ *   gate: number,
+ *   isTied: boolean,
+ *   isRest: boolean,
+ *   isAccented: boolean,
+ *   cutoffFrequency: ?number
+ * }}
+ */
+doodle.moog.StepSequencer.Step;
+
+
+/**
+ * A pattern: between 1 and MAX_STEP_COUNT steps.
+ * @typedef {!Array.<!doodle.moog.StepSequencer.Step>}
+ */
+doodle.moog.StepSequencer.Pattern;
+
+
+/**
+ * How many steps the pattern of a new sequencer has.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.StepSequencer.DEFAULT_STEP_COUNT_ = 16;
+
+
+/**
+ * How much louder accented steps are than the others.  The volume never goes
+ * above 1.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.StepSequencer.ACCENT_GAIN_ = 1.5;
+
+
+/**
+ * Milliseconds between scheduling passes.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.StepSequencer.TICK_INTERVAL_ = 25;
+
+
+/**
+ * How far ahead of the audio context's clock key events are scheduled, in
+ * seconds.  Must cover the timer's jitter on top of its interval, and the
+ * main thread synthesizer's two 1024-sample buffers, which render ahead of
+ * the clock.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.StepSequencer.LOOK_AHEAD_ = 0.1;
+
+
+/**
+ * Creates a pattern of rests.
+ * @param {number} length How many steps the pattern has.
+ * @return {!doodle.moog.StepSequencer.Pattern} The pattern.
+ */
+doodle.moog.StepSequencer.createPattern = function(length) {
+  doodle.moog.StepSequencer.checkLength_(length, 'length');
+  var pattern = [];
+  for (var i = 0; i < length; i++) {
+    pattern.push({
+      note: 0,
+      gate: 0.5,
+      isTied: false,
+      isRest: true,
+      isAccented: false,
+      cutoffFrequency: null
+    });
+  }
+  return pattern;
+};
+
+
+/** @inheritDoc */
+doodle.moog.StepSequencer.prototype.disposeInternal = function() {
+  this.stop();
+  this.eventHandler_.dispose();
+  this.timer_.dispose();
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * Replaces the chain of patterns.  While playing, the chain carries on from
+ * the same pattern and step where the new chain has them.
+ * @param {!Array.<!doodle.moog.StepSequencer.Pattern>} patterns The patterns,
+ *     in the order to play them.  They are copied.
+ */
+doodle.moog.StepSequencer.prototype.setPatterns = function(patterns) {
+  if (!goog.isArray(patterns) || !patterns.length) {
+    throw Error('patterns must be a non-empty array of patterns.');
+  }
+  var copies = goog.array.map(patterns, function(pattern, i) {
+    var path = 'patterns[' + i + ']';
+    if (!goog.isArray(pattern)) {
+      throw Error(path + ' must be an array of steps.');
+    }
+    doodle.moog.StepSequencer.checkLength_(pattern.length, path + '.length');
+    return goog.array.map(pattern, function(step, j) {
+      doodle.moog.StepSequencer.checkStep_(step, path + '[' + j + ']');
+      return goog.object.clone(step);
+    });
+  });
+  this.patterns_ = copies;
+  this.patternIndex_ %= copies.length;
+};
+
+
+/**
+ * Replaces one step of a pattern in the chain.
+ * @param {number} patternIndex Index of the pattern in the chain.
+ * @param {number} stepIndex Index of the step in the pattern.
+ * @param {!doodle.moog.StepSequencer.Step} step The new step.  It is copied.
+ */
+doodle.moog.StepSequencer.prototype.setStep = function(
+    patternIndex, stepIndex, step) {
+  var pattern = this.patterns_[patternIndex];
+  if (!pattern || !pattern[stepIndex]) {
+    throw Error('No step ' + stepIndex + ' in pattern ' + patternIndex + '.');
+  }
+  doodle.moog.StepSequencer.checkStep_(step, 'step');
+  pattern[stepIndex] = goog.object.clone(step);
+};
+
+
+/**
+ * @return {!Array.<!doodle.moog.StepSequencer.Pattern>} A copy of the chain
+ *     of patterns.
+ */
+doodle.moog.StepSequencer.prototype.getPatterns = function() {
+  return goog.array.map(this.patterns_, function(pattern) {
+    return goog.array.map(pattern, goog.object.clone);
+  });
+};
+
+
+/**
+ * Sets the tempo.  Takes effect from the next step.
+ * @param {number} tempo Tempo in beats (quarter notes) per minute.
+ */
+doodle.moog.StepSequencer.prototype.setTempo = function(tempo) {
+  if (!(tempo > 0) || !isFinite(tempo)) {
+    throw Error('Tempo must be a positive number of beats per minute: ' +
+        tempo);
+  }
+  this.tempo_ = tempo;
+};
+
+
+/**
+ * Sets how long each step lasts.  Takes effect from the next step.
+ * @param {doodle.moog.NoteDivision} division The length of a step.
+ */
+doodle.moog.StepSequencer.prototype.setDivision = function(division) {
+  this.division_ = division;
+};
+
+
+/**
+ * Sets the swing.
+ * @param {number} swing How late every second step is played, in the range
+ *     [0, 1].  0 plays the steps straight; 1 delays every second step by half
+ *     a step, for a dotted feel.
+ */
+doodle.moog.StepSequencer.prototype.setSwing = function(swing) {
+  this.swing_ = Math.min(Math.max(swing, 0), 1);
+};
+
+
+/**
+ * Sets the order in which each pattern's steps are played.  Takes effect
+ * from the next step.
+ * @param {doodle.moog.StepSequencer.Direction} direction The order.
+ */
+doodle.moog.StepSequencer.prototype.setDirection = function(direction) {
+  this.direction_ = direction;
+};
+
+
+/**
+ * @return {boolean} Whether the sequencer is playing.
+ */
+doodle.moog.StepSequencer.prototype.isPlaying = function() {
+  return this.isPlaying_;
+};
+
+
+/**
+ * @return {number} Index in the chain of the pattern whose step is sounding,
+ *     or -1 when stopped.
+ */
+doodle.moog.StepSequencer.prototype.getCurrentPattern = function() {
+  return this.currentPattern_;
+};
+
+
+/**
+ * @return {number} Index of the step that is sounding within its pattern, or
+ *     -1 when stopped.
+ */
+doodle.moog.StepSequencer.prototype.getCurrentStep = function() {
+  return this.currentStep_;
+};
+
+
+/**
+ * Starts playing the chain from the beginning of its first pattern.
+ */
+doodle.moog.StepSequencer.prototype.play = function() {
+  this.stop();
+  var patch = this.synthesizer_.getPatch();
+  this.baseSettings_ = {
+    volume: patch.volume,
+    cutoffFrequency: patch.filter.contour.cutoffFrequency
+  };
+  this.appliedSettings_ = goog.object.clone(this.baseSettings_);
+  this.patternIndex_ = 0;
+  this.passPosition_ = 0;
+  this.stepCount_ = 0;
+  this.nextStepTime_ = this.audioContext_.currentTime;
+  this.isPlaying_ = true;
+  this.timer_.start();
+  this.dispatchEvent(doodle.moog.StepSequencer.EventType.STATE_CHANGE);
+  this.handleTick_();
+};
+
+
+/**
+ * Stops playing, releasing the synthesizer's keys and restoring the volume
+ * and cutoff frequency it had before playback started.
+ */
+doodle.moog.StepSequencer.prototype.stop = function() {
+  if (!this.isPlaying_) {
+    return;
+  }
+  this.timer_.stop();
+  this.synthesizer_.cancelScheduledKeys();
+  this.pendingChanges_ = [];
+  this.tiedNote_ = null;
+  this.applySettings_(this.baseSettings_.volume,
+      this.baseSettings_.cutoffFrequency);
+  this.currentPattern_ = -1;
+  this.currentStep_ = -1;
+  this.isPlaying_ = false;
+  this.dispatchEvent(doodle.moog.StepSequencer.EventType.STATE_CHANGE);
+};
+
+
+/**
+ * Schedules the steps falling within the look ahead, then applies the knob
+ * changes that have come due.  Steps that should already have started,
+ * because the timer ran late, are skipped rather than played all at once.
+ * @private
+ */
+doodle.moog.StepSequencer.prototype.handleTick_ = function() {
+  var now = this.audioContext_.currentTime;
+  // A late tick resumes with the first step not yet due.  The skipped steps
+  // still count, so swing stays on the same steps of the beat.
+  if (this.nextStepTime_ < now) {
+    var duration = 60 * this.division_ / this.tempo_;
+    var skippedStepCount = Math.ceil((now - this.nextStepTime_) / duration);
+    this.nextStepTime_ += skippedStepCount * duration;
+    this.stepCount_ += skippedStepCount;
+  }
+
+  while (this.nextStepTime_ < now + doodle.moog.StepSequencer.LOOK_AHEAD_) {
+    this.scheduleStep_();
+  }
+
+  // Knob changes go in a tick early, rather than a tick late, so that the
+  // filter contour scheduled with the step's key press is built with them.
+  var deadline = now + doodle.moog.StepSequencer.TICK_INTERVAL_ / 1000;
+  while (this.pendingChanges_.length &&
+      this.pendingChanges_[0].time < deadline) {
+    this.pendingChanges_.shift().callback();
+  }
+};
+
+
+/**
+ * Schedules the next step's key events and queues its knob changes.
+ * @private
+ */
+doodle.moog.StepSequencer.prototype.scheduleStep_ = function() {
+  var pattern = this.patterns_[this.patternIndex_];
+  if (this.passPosition_ >= this.getPassLength_(pattern.length)) {
+    this.patternIndex_ = (this.patternIndex_ + 1) % this.patterns_.length;
+    this.passPosition_ = 0;
+    pattern = this.patterns_[this.patternIndex_];
+  }
+  var patternIndex = this.patternIndex_;
+  var stepIndex = this.getStepIndex_(pattern.length, this.passPosition_++);
+  var step = pattern[stepIndex];
+
+  var duration = 60 * this.division_ / this.tempo_;
+  var time = this.nextStepTime_;
+  if (this.stepCount_++ % 2) {
+    time += this.swing_ * duration / 2;
+  }
+  this.nextStepTime_ += duration;
+
+  var synthesizer = this.synthesizer_;
+  var tiedNote = this.tiedNote_;
+  if (step.isRest) {
+    if (!goog.isNull(tiedNote)) {
+      synthesizer.setKeyUp(tiedNote, time);
+    }
+    this.tiedNote_ = null;
+  } else {
+    // A note tied into the same note just carries on.  A different note is
+    // pressed before the tied one is released, so the two overlap and the
+    // synthesizer slides between them.
+    if (step.note !== tiedNote) {
+      synthesizer.setKeyDown(step.note, time);
+      if (!goog.isNull(tiedNote)) {
+        synthesizer.setKeyUp(tiedNote, time);
+      }
+    }
+    if (step.isTied) {
+      this.tiedNote_ = step.note;
+    } else {
+      // Key events must reach the synthesizer in time order, so the key is
+      // released by the time the next step could start, even unswung.
+      synthesizer.setKeyUp(step.note,
+          Math.min(time + step.gate * duration, this.nextStepTime_));
+      this.tiedNote_ = null;
+    }
+
+    var base = this.baseSettings_;
+    var volume = step.isAccented ?
+        Math.min(1, base.volume * doodle.moog.StepSequencer.ACCENT_GAIN_) :
+        base.volume;
+    var cutoffFrequency = goog.isNull(step.cutoffFrequency) ?
+        base.cutoffFrequency : step.cutoffFrequency;
+    this.pendingChanges_.push({
+      time: time,
+      callback: goog.bind(this.applySettings_, this, volume, cutoffFrequency)
+    });
+  }
+
+  this.pendingChanges_.push({
+    time: time,
+    callback: goog.bind(function() {
+      this.currentPattern_ = patternIndex;
+      this.currentStep_ = stepIndex;
+      this.dispatchEvent(doodle.moog.StepSequencer.EventType.STEP);
+    }, this)
+  });
+};
+
+
+/**
+ * Sets the synthesizer's volume and cutoff frequency, leaving alone those
+ * that are already set.  Unnecessary cutoff changes would restart the filter
+ * contour, and either would undo knob turns made during playback.
+ * @param {number} volume The volume.
+ * @param {number} cutoffFrequency The cutoff frequency.
+ * @private
+ */
+doodle.moog.StepSequencer.prototype.applySettings_ = function(
+    volume, cutoffFrequency) {
+  var applied = this.appliedSettings_;
+  if (volume != applied.volume) {
+    applied.volume = volume;
+    this.synthesizer_.setVolume(volume);
+  }
+  if (cutoffFrequency != applied.cutoffFrequency) {
+    applied.cutoffFrequency = cutoffFrequency;
+    this.synthesizer_.setLpCutoffFrequency(cutoffFrequency);
+  }
+};
+
+
+/**
+ * Gets how many steps are played in a pass through a pattern before moving
+ * on to the next pattern in the chain.
+ * @param {number} length How many steps the pattern has.
+ * @return {number} The number of steps in a pass.
+ * @private
+ */
+doodle.moog.StepSequencer.prototype.getPassLength_ = function(length) {
+  if (this.direction_ == doodle.moog.StepSequencer.Direction.PING_PONG) {
+    return Math.max(1, 2 * length - 2);
+  }
+  return length;
+};
+
+
+/**
+ * Gets which step of a pattern to play at a position of a pass through it.
+ * @param {number} length How many steps the pattern has.
+ * @param {number} position Position in the pass.
+ * @return {number} Index of the step.
+ * @private
+ */
+doodle.moog.StepSequencer.prototype.getStepIndex_ = function(
+    length, position) {
+  switch (this.direction_) {
+    case doodle.moog.StepSequencer.Direction.REVERSE:
+      return length - 1 - position;
+    case doodle.moog.StepSequencer.Direction.PING_PONG:
+      return position < length ? position : 2 * length - 2 - position;
+    case doodle.moog.StepSequencer.Direction.RANDOM:
+      return Math.floor(Math.random() * length);
+    default:
+      return position;
+  }
+};
+
+
+/**
+ * Throws an error unless a number of steps is a valid pattern length.
+ * @param {*} length The number of steps.
+ * @param {string} path What the number is, for error messages.
+ * @private
+ */
+doodle.moog.StepSequencer.checkLength_ = function(length, path) {
+  if (!goog.isNumber(length) || length % 1 != 0 || length < 1 ||
+      length > doodle.moog.StepSequencer.MAX_STEP_COUNT) {
+    throw Error(path + ' must be between 1 and ' +
+        doodle.moog.StepSequencer.MAX_STEP_COUNT + ' steps: ' + length);
+  }
+};
+
+
+/**
+ * Throws an error unless a step is well formed.
+ * @param {*} step The step.
+ * @param {string} path Where the step is, for error messages.
+ * @private
+ */
+doodle.moog.StepSequencer.checkStep_ = function(step, path) {
+  if (!goog.isObject(step)) {
+    throw Error(path + ' must be an object.');
+  }
+  var note = step['note'];
+  if (!goog.isNumber(note) || note % 1 != 0) {
+    throw Error(path + '.note must be a chromatic note index: ' + note);
+  }
+  var gate = step['gate'];
+  if (!goog.isNumber(gate) || !(gate > 0 && gate <= 1)) {
+    throw Error(path + '.gate must be in the range (0, 1]: ' + gate);
+  }
+  goog.array.forEach(['isTied', 'isRest', 'isAccented'], function(key) {
+    if (!goog.isBoolean(step[key])) {
+      throw Error(path + '.' + key + ' must be a boolean: ' + step[key]);
+    }
+  });
+  var cutoffFrequency = step['cutoffFrequency'];
+  if (!goog.isNull(cutoffFrequency) && (!goog.isNumber(cutoffFrequency) ||
+      !(cutoffFrequency > 0) || !isFinite(cutoffFrequency))) {
+    throw Error(path + '.cutoffFrequency must be null or a frequency: ' +
+        cutoffFrequency);
+  }
+};
@@ -19,10 +19,16 @@
 goog.provide('doodle.moog.Synthesizer');
 
 goog.require('doodle.moog.CompoundAudioNode');
-goog.require('doodle.moog.OscillatorInterface');
+goog.require('doodle.moog.KeyAssigner');
+goog.require('doodle.moog.Lfo');
+goog.require('doodle.moog.ModulationMatrix');
 goog.require('doodle.moog.SynthesizerInterface');
+goog.require('doodle.moog.SynthesizerInterface.VoiceMode');
+goog.require('doodle.moog.Voice');
+goog.require('doodle.moog.patch');
+goog.require('doodle.moog.webAudioCompat');
 goog.require('goog.array');
-goog.require('goog.userAgent');
+goog.require('goog.math');
 
 
 
@@ -31,16 +37,21 @@ goog.require('goog.userAgent');
  * @param {!AudioContext} audioContext Audio context in which this synthesizer
  *     will operate.
  * @param {!Array.<!doodle.moog.Oscillator>} oscillators The oscillators used
- *     within this synthesizer.
- * @param {!doodle.moog.LowPassFilter} lowPassFilter The low pass filter used
- *     within this synthesizer.
+ *     within this synthesizer's primary voice.  Additional voices copy their
+ *     settings.
+ * @param {!doodle.moog.LowPassFilterInterface} lowPassFilter The low pass
+ *     filter used within this synthesizer's primary voice.
  * @param {number} volume How much the gain should be adjusted.
+ * @param {boolean=} opt_useAudioWorklet Whether voices should render on the
+ *     audio thread.  The doodle.moog.VoiceProcessor module must already have
+ *     been added to the audio context's worklet.  Defaults to rendering on the
+ *     main thread through JavaScript audio nodes.
  * @implements {doodle.moog.CompoundAudioNode}
  * @implements {doodle.moog.SynthesizerInterface}
  * @constructor
  */
 doodle.moog.Synthesizer = function(
-    audioContext, oscillators, lowPassFilter, volume) {
+    audioContext, oscillators, lowPassFilter, volume, opt_useAudioWorklet) {
   /**
    * The audio context in which this synthesizer operates.
    * @type {!AudioContext}
@@ -49,27 +60,29 @@ doodle.moog.Synthesizer = function(
   this.audioContext_ = audioContext;
 
   /**
-   * Oscillators used to generate synthesizer sounds.
+   * Oscillators used to generate synthesizer sounds.  These belong to the
+   * primary voice; other voices mirror their settings.
    * @type {!Array.<!doodle.moog.Oscillator>}
    */
   this.oscillators = oscillators;
 
   /**
-   * Filter used to cut off high frequencies.
-   * @type {!doodle.moog.LowPassFilter}
+   * Filter used to cut off high frequencies.  This belongs to the primary
+   * voice.
+   * @type {!doodle.moog.LowPassFilterInterface}
    */
   this.lowPassFilter = lowPassFilter;
 
   /**
    * The volume Web Audio node.
-   * @type {!AudioGainNode}
+   * @type {!GainNode}
    * @private
    */
-  this.volumeNode_ = audioContext.createGainNode();
+  this.volumeNode_ = doodle.moog.webAudioCompat.createGain(audioContext);
 
   /**
    * Frequency analyser node.
-   * @type {!RealtimeAnalyserNode}
+   * @type {!AnalyserNode}
    */
   this.analyserNode = audioContext.createAnalyser();
   this.analyserNode.smoothingTimeConstant = 0.5;
@@ -83,55 +96,323 @@ doodle.moog.Synthesizer = function(
   this.setVolume(volume);
 
   /**
-   * Web Audio JavaScript node used by oscillators to generate sound.
-   * Chrome 20+ won't connect a js node with no inputs for some reason.
-   * @type {!JavaScriptAudioNode}
+   * Whether voices render on the audio thread.
+   * @type {boolean}
    * @private
    */
-  this.jsAudioNode_ = goog.userAgent.isVersion('20.0') ?
-      audioContext.createJavaScriptNode(
-          doodle.moog.Synthesizer.BUFFER_SIZE_, 1, 1) :
-      audioContext.createJavaScriptNode(
-          doodle.moog.Synthesizer.BUFFER_SIZE_, 0, 1);
+  this.useAudioWorklet_ = !!opt_useAudioWorklet;
 
-  this.jsAudioNode_.onaudioprocess = goog.bind(this.fillAudioBuffer_, this);
-  this.jsAudioNode_.connect(this.lowPassFilter.getSourceNode());
-  this.lowPassFilter.connect(this.volumeNode_);
+  /**
+   * How many voices to use in POLY mode.
+   * @type {number}
+   * @private
+   */
+  this.voiceCount_ = 1;
+
+  /**
+   * How many stacked copies of the oscillators each voice plays.
+   * @type {number}
+   * @private
+   */
+  this.unisonCount_ = 1;
+
+  /**
+   * Distance in cents between the lowest and highest unison copy.
+   * @type {number}
+   * @private
+   */
+  this.unisonDetune_ = 0;
+
+  /**
+   * How widely unison copies are panned, in the range [0, 1].
+   * @type {number}
+   * @private
+   */
+  this.unisonStereoSpread_ = 0;
+
+  /**
+   * The modulation routes shared by every voice.
+   * @type {!doodle.moog.ModulationMatrix}
+   * @private
+   */
+  this.modulationMatrix_ = new doodle.moog.ModulationMatrix(oscillators.length);
+  this.modulationMatrix_.setRoutes(
+      doodle.moog.ModulationMatrix.getDefaultRoutes());
+
+  /**
+   * How much of each modulation route's depth reaches the voices, in the range
+   * [0, 1].
+   * @type {number}
+   * @private
+   */
+  this.modulationAmount_ = 1;
+
+  /**
+   * Holds the LFO settings shared by every voice.  Each voice renders its own
+   * LFO; this one is never rendered.
+   * @type {!doodle.moog.Lfo}
+   * @private
+   */
+  this.lfo_ = new doodle.moog.Lfo(audioContext);
+
+  /**
+   * The voices currently in use.  The first voice is the primary voice, which
+   * owns this.oscillators and this.lowPassFilter.  Only the primary voice is
+   * used in MONO mode.
+   * @type {!Array.<!doodle.moog.Voice>}
+   * @private
+   */
+  this.voices_ = [
+    new doodle.moog.Voice(
+        audioContext, oscillators, lowPassFilter, undefined,
+        this.useAudioWorklet_)
+  ];
+
+  /**
+   * Decides which voices play key presses.
+   * @type {!doodle.moog.KeyAssigner}
+   * @private
+   */
+  this.keyAssigner_ = new doodle.moog.KeyAssigner(this.voices_);
+
+  this.voices_[0].connect(this.volumeNode_);
   this.volumeNode_.connect(this.analyserNode);
 };
 
 
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setKeyDown = function(note, opt_time) {
+  this.keyAssigner_.setKeyDown(note, opt_time);
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setKeyDownCallback = function(callback) {
+  // No-op, since this is only required on non-WebAudio browsers.
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setKeyUp = function(opt_note, opt_time) {
+  this.keyAssigner_.setKeyUp(opt_note, opt_time);
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.cancelScheduledKeys = function() {
+  this.keyAssigner_.cancelScheduledKeys();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setVoiceMode = function(mode) {
+  if (this.keyAssigner_.setVoiceMode(mode)) {
+    this.updateVoices_();
+  }
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setNotePriority = function(priority) {
+  this.keyAssigner_.setNotePriority(priority);
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setTriggerMode = function(mode) {
+  this.keyAssigner_.setTriggerMode(mode);
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setVoiceCount = function(count) {
+  this.voiceCount_ = goog.math.clamp(Math.floor(count), 1,
+      doodle.moog.SynthesizerInterface.MAX_VOICE_COUNT);
+  this.updateVoices_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setVoiceStealingPolicy = function(policy) {
+  this.keyAssigner_.setVoiceStealingPolicy(policy);
+};
+
+
 /**
- * How many samples to fill at a time in a JavaScript audio node callback.  A
- * larger number here will decrease the chance of jitters/gaps at the expense of
- * control latency.
- * @type {number}
- * @const
+ * Adds or removes voices so that the number of voices matches the current
+ * voice mode and voice count.  New voices copy the primary voice.
  * @private
  */
-doodle.moog.Synthesizer.BUFFER_SIZE_ = 1024;
+doodle.moog.Synthesizer.prototype.updateVoices_ = function() {
+  var targetCount = this.keyAssigner_.getVoiceMode() ==
+      doodle.moog.SynthesizerInterface.VoiceMode.POLY ?
+      this.voiceCount_ : 1;
+
+  while (this.voices_.length > targetCount) {
+    this.voices_.pop().dispose();
+  }
+  while (this.voices_.length < targetCount) {
+    var voice = new doodle.moog.Voice(
+        this.audioContext_,
+        goog.array.map(this.oscillators, function(oscillator) {
+          return oscillator.clone();
+        }),
+        this.lowPassFilter.clone(),
+        this.oscillators,
+        this.useAudioWorklet_);
+    voice.setUnison(
+        this.unisonCount_, this.unisonDetune_, this.unisonStereoSpread_);
+    voice.setModulationRoutes(this.getVoiceModulationRoutes_());
+    voice.setLfoSettings(this.lfo_.getSettings());
+    voice.connect(this.volumeNode_);
+    this.voices_.push(voice);
+  }
+};
 
 
 /** @inheritDoc */
-doodle.moog.Synthesizer.prototype.setKeyDown = function(note) {
-  goog.array.forEach(this.oscillators, function(oscillator) {
-    oscillator.setActiveNote(note);
-    oscillator.envelopeGenerator.startAttack();
-  });
-  this.lowPassFilter.startAttack();
+doodle.moog.Synthesizer.prototype.setUnisonCount = function(count) {
+  this.unisonCount_ = goog.math.clamp(Math.floor(count), 1,
+      doodle.moog.SynthesizerInterface.MAX_UNISON_COUNT);
+  this.updateUnison_();
 };
 
 
 /** @inheritDoc */
-doodle.moog.Synthesizer.prototype.setKeyDownCallback = function(callback) {
-  // No-op, since this is only required on non-WebAudio browsers.
+doodle.moog.Synthesizer.prototype.setUnisonDetune = function(cents) {
+  this.unisonDetune_ = goog.math.clamp(
+      cents, 0, doodle.moog.SynthesizerInterface.MAX_UNISON_DETUNE);
+  this.updateUnison_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setUnisonStereoSpread = function(spread) {
+  this.unisonStereoSpread_ = goog.math.clamp(spread, 0, 1);
+  this.updateUnison_();
+};
+
+
+/**
+ * Applies the current unison settings to every voice.
+ * @private
+ */
+doodle.moog.Synthesizer.prototype.updateUnison_ = function() {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.setUnison(
+        this.unisonCount_, this.unisonDetune_, this.unisonStereoSpread_);
+  }, this);
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setModulationRoutes = function(routes) {
+  // Throws, leaving every voice alone, if the routes are invalid.
+  this.modulationMatrix_.setRoutes(routes);
+  this.updateModulationRoutes_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setModulationAmount = function(amount) {
+  this.modulationAmount_ = goog.math.clamp(amount, 0, 1);
+  this.updateModulationRoutes_();
+};
+
+
+/**
+ * Passes the modulation routes, scaled by the modulation amount, to every
+ * voice.
+ * @private
+ */
+doodle.moog.Synthesizer.prototype.updateModulationRoutes_ = function() {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.setModulationRoutes(this.getVoiceModulationRoutes_());
+  }, this);
+};
+
+
+/**
+ * @return {!Array.<!doodle.moog.ModulationMatrix.Route>} Copies of the
+ *     modulation routes as voices should play them, with depths scaled by the
+ *     modulation amount.
+ * @private
+ */
+doodle.moog.Synthesizer.prototype.getVoiceModulationRoutes_ = function() {
+  var routes = this.modulationMatrix_.getRoutes();
+  goog.array.forEach(routes, function(route) {
+    route.depth *= this.modulationAmount_;
+  }, this);
+  return routes;
+};
+
+
+/**
+ * @return {!Array.<!doodle.moog.ModulationMatrix.Route>} Copies of the current
+ *     modulation routes.
+ */
+doodle.moog.Synthesizer.prototype.getModulationRoutes = function() {
+  return this.modulationMatrix_.getRoutes();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLfoShape = function(shape) {
+  this.lfo_.setShape(shape);
+  this.updateLfo_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLfoRate = function(rate) {
+  this.lfo_.setRate(rate);
+  this.updateLfo_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLfoTempoSync = function(tempo, division) {
+  this.lfo_.setTempoSync(tempo, division);
+  this.updateLfo_();
 };
 
 
 /** @inheritDoc */
-doodle.moog.Synthesizer.prototype.setKeyUp = function() {
-  goog.array.forEach(this.oscillators, function(oscillator) {
-    oscillator.envelopeGenerator.startRelease();
+doodle.moog.Synthesizer.prototype.setLfoDelay = function(time) {
+  this.lfo_.setDelay(time);
+  this.updateLfo_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLfoFadeInTime = function(time) {
+  this.lfo_.setFadeInTime(time);
+  this.updateLfo_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.turnOnLfoKeySync = function() {
+  this.lfo_.turnOnKeySync();
+  this.updateLfo_();
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.turnOffLfoKeySync = function() {
+  this.lfo_.turnOffKeySync();
+  this.updateLfo_();
+};
+
+
+/**
+ * Applies the current LFO settings to every voice.
+ * @private
+ */
+doodle.moog.Synthesizer.prototype.updateLfo_ = function() {
+  var settings = this.lfo_.getSettings();
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.setLfoSettings(settings);
   });
 };
 
@@ -139,63 +420,184 @@ doodle.moog.Synthesizer.prototype.setKeyUp = function() {
 /** @inheritDoc */
 doodle.moog.Synthesizer.prototype.setLpCutoffFrequency =
     function(cutoffFrequency) {
-  this.lowPassFilter.setCutoffFrequency(cutoffFrequency);
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setCutoffFrequency(cutoffFrequency);
+  });
 };
 
 
 /** @inheritDoc */
 doodle.moog.Synthesizer.prototype.setLpContour = function(contour) {
-  this.lowPassFilter.setContour(contour);
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setContour(contour);
+  });
 };
 
 
 /** @inheritDoc */
 doodle.moog.Synthesizer.prototype.setLpContourAttackTime = function(time) {
-  this.lowPassFilter.setContourAttackTime(time);
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setContourAttackTime(time);
+  });
 };
 
 
 /** @inheritDoc */
 doodle.moog.Synthesizer.prototype.setLpContourDecayTime = function(time) {
-  this.lowPassFilter.setContourDecayTime(time);
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setContourDecayTime(time);
+  });
 };
 
 
 /** @inheritDoc */
 doodle.moog.Synthesizer.prototype.setLpContourSustainLevel = function(level) {
-  this.lowPassFilter.setContourSustainLevel(level);
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setContourSustainLevel(level);
+  });
 };
 
 
-/**
- * Fills the passed audio buffer with tones generated by oscillators.
- * @param {!AudioProcessingEvent} e The audio process event object.
- * @private
- */
-doodle.moog.Synthesizer.prototype.fillAudioBuffer_ = function(e) {
-  // NOTE: We fill oscillator 2 first since it generates a modulation control
-  // signal on which oscillators 0 and 1 depend.
-  this.oscillators[2].fillAudioBuffer(
-      e, null, doodle.moog.OscillatorInterface.FillMode.CLOBBER);
-  this.oscillators[0].fillAudioBuffer(
-      e, this.oscillators[2].modulatorSignal,
-      doodle.moog.OscillatorInterface.FillMode.ADD);
-  this.oscillators[1].fillAudioBuffer(
-      e, this.oscillators[2].modulatorSignal,
-      doodle.moog.OscillatorInterface.FillMode.MIX, this.oscillators.length);
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLpContourReleaseTime = function(time) {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setContourReleaseTime(time);
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLpContourMode = function(mode) {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setContourMode(mode);
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.turnOnLpContourDecaySwitch = function() {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.turnOnContourDecaySwitch();
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.turnOffLpContourDecaySwitch = function() {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.turnOffContourDecaySwitch();
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLpContourCurve = function(
+    segment, curve) {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setContourCurve(segment, curve);
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLpKeyboardTracking = function(tracking) {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setKeyboardTracking(tracking);
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.setLpEmphasis = function(emphasis) {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.setEmphasis(emphasis);
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.turnOnLpSaturation = function() {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.turnOnSaturation();
+  });
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.turnOffLpSaturation = function() {
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.turnOffSaturation();
+  });
 };
 
 
 /** @inheritDoc */
 doodle.moog.Synthesizer.prototype.setVolume = function(volume) {
-  this.volume_ = volume;
-  this.volumeNode_.gain.value = volume;
+  this.volume_ = goog.math.clamp(volume, 0, 1);
+  this.volumeNode_.gain.value = this.volume_;
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.getPatch = function() {
+  return {
+    version: doodle.moog.patch.VERSION,
+    volume: this.volume_,
+    oscillators: goog.array.map(this.oscillators, function(oscillator) {
+      return oscillator.getSettings();
+    }),
+    filter: this.lowPassFilter.getSettings(),
+    voices: {
+      mode: this.keyAssigner_.getVoiceMode(),
+      count: this.voiceCount_,
+      stealingPolicy: this.keyAssigner_.getVoiceStealingPolicy(),
+      notePriority: this.keyAssigner_.getNotePriority(),
+      triggerMode: this.keyAssigner_.getTriggerMode(),
+      unisonCount: this.unisonCount_,
+      unisonDetune: this.unisonDetune_,
+      unisonStereoSpread: this.unisonStereoSpread_
+    },
+    modulationRoutes: this.modulationMatrix_.getRoutes(),
+    lfo: this.lfo_.getSettings()
+  };
+};
+
+
+/** @inheritDoc */
+doodle.moog.Synthesizer.prototype.applyPatch = function(patch) {
+  var migrated = doodle.moog.patch.migrate(patch);
+  doodle.moog.patch.validate(migrated, this.oscillators.length);
+  var validPatch = /** @type {!doodle.moog.patch.Patch} */ (migrated);
+
+  var voices = validPatch.voices;
+  this.setVoiceMode(voices.mode);
+  this.setVoiceCount(voices.count);
+  this.setVoiceStealingPolicy(voices.stealingPolicy);
+  this.setNotePriority(voices.notePriority);
+  this.setTriggerMode(voices.triggerMode);
+  this.unisonCount_ = voices.unisonCount;
+  this.unisonDetune_ = voices.unisonDetune;
+  this.unisonStereoSpread_ = voices.unisonStereoSpread;
+  this.updateUnison_();
+
+  this.setModulationRoutes(validPatch.modulationRoutes);
+  this.lfo_.applySettings(validPatch.lfo);
+  this.updateLfo_();
+
+  // Other voices follow the primary voice's oscillators.
+  goog.array.forEach(this.oscillators, function(oscillator, i) {
+    oscillator.applySettings(validPatch.oscillators[i]);
+  });
+  goog.array.forEach(this.voices_, function(voice) {
+    voice.lowPassFilter.applySettings(validPatch.filter);
+  });
+  this.setVolume(validPatch.volume);
 };
 
 
 /** @override */
 doodle.moog.Synthesizer.prototype.getSourceNode = function() {
-  return this.jsAudioNode_;
+  return this.voices_[0].getSourceNode();
 };
 
 
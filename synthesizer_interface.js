@@ -17,6 +17,10 @@
  * Audio API.
  */
 goog.provide('doodle.moog.SynthesizerInterface');
+goog.provide('doodle.moog.SynthesizerInterface.NotePriority');
+goog.provide('doodle.moog.SynthesizerInterface.TriggerMode');
+goog.provide('doodle.moog.SynthesizerInterface.VoiceMode');
+goog.provide('doodle.moog.SynthesizerInterface.VoiceStealingPolicy');
 
 
 
@@ -28,11 +32,96 @@ doodle.moog.SynthesizerInterface = function() {};
 
 
 /**
- * Signals that a key on the synthesizer has been pressed.
+ * The most voices available in POLY mode.
+ * @type {number}
+ * @const
+ */
+doodle.moog.SynthesizerInterface.MAX_VOICE_COUNT = 32;
+
+
+/**
+ * The most stacked copies of the oscillators a key press can play.
+ * @type {number}
+ * @const
+ */
+doodle.moog.SynthesizerInterface.MAX_UNISON_COUNT = 16;
+
+
+/**
+ * The widest distance in cents between the lowest and highest unison copy.
+ * @type {number}
+ * @const
+ */
+doodle.moog.SynthesizerInterface.MAX_UNISON_DETUNE = 1200;
+
+
+/**
+ * Different ways in which key presses are assigned to voices.
+ * @enum {number}
+ */
+doodle.moog.SynthesizerInterface.VoiceMode = {
+  // A single voice plays the most recent key, like the original Minimoog.
+  MONO: 0,
+  // Each key press is assigned its own voice, up to the voice count.
+  POLY: 1
+};
+
+
+/**
+ * Different ways of choosing which of several held keys sounds in MONO mode.
+ * @enum {number}
+ */
+doodle.moog.SynthesizerInterface.NotePriority = {
+  // The most recently pressed key sounds.
+  LAST: 0,
+  // The lowest held key sounds, like the original Minimoog.
+  LOW: 1,
+  // The highest held key sounds.
+  HIGH: 2
+};
+
+
+/**
+ * Different ways of triggering the envelopes when a key is pressed in MONO mode
+ * while another is still held.
+ * @enum {number}
+ */
+doodle.moog.SynthesizerInterface.TriggerMode = {
+  // Overlapping keys only change the pitch (gliding to it, if glide is on);
+  // the oscillator envelopes and the filter contour carry on.
+  SINGLE: 0,
+  // Every key press restarts the envelopes, from wherever they are.
+  MULTI: 1
+};
+
+
+/**
+ * Different ways of choosing which voice to take over when a key is pressed in
+ * POLY mode and every voice is busy.
+ * @enum {number}
+ */
+doodle.moog.SynthesizerInterface.VoiceStealingPolicy = {
+  // Steal the voice whose key was pressed longest ago.
+  OLDEST: 0,
+  // Steal the voice whose envelopes are currently the quietest.
+  QUIETEST: 1,
+  // Retrigger the voice already playing the same note, if there is one, and
+  // otherwise steal the oldest voice.
+  SAME_NOTE: 2
+};
+
+
+/**
+ * Signals that a key on the synthesizer has been pressed.  Key events can be
+ * scheduled ahead of time to land on an exact sample; they must then be
+ * signaled in time order.
  * @param {number} note Chromatic index of the note to be played relative to
  *     the beginning of the keyboard.
+ * @param {number=} opt_time Audio context time at which the key is pressed.
+ *     Defaults to right away.
  */
-doodle.moog.SynthesizerInterface.prototype.setKeyDown = function(note) {};
+doodle.moog.SynthesizerInterface.prototype.setKeyDown = function(
+    note, opt_time) {};
 
 
 /**
@@ -44,20 +133,197 @@ doodle.moog.SynthesizerInterface.prototype.setKeyDownCallback =
 
 
 /**
- * Signals that a key on the synthesizer has been released.  Since the
- * synthesizer is monophonic, no note parameter is necessary.
+ * Signals that a key on the synthesizer has been released.
+ * @param {number=} opt_note Chromatic index of the released note relative to
+ *     the beginning of the keyboard.  If omitted, every playing note is
+ *     released.
+ * @param {number=} opt_time Audio context time at which the key is released.
+ *     Defaults to right away.
  */
-doodle.moog.SynthesizerInterface.prototype.setKeyUp = function() {};
+doodle.moog.SynthesizerInterface.prototype.setKeyUp = function(
+    opt_note, opt_time) {};
+
+
+/**
+ * Drops the key events scheduled for later and releases every key right away.
+ * Scheduled events have already been counted towards which keys are held, so
+ * no key can be trusted to still be held once they're gone.
+ */
+doodle.moog.SynthesizerInterface.prototype.cancelScheduledKeys = function() {};
+
+
+/**
+ * Sets how key presses are assigned to voices.  Defaults to MONO.
+ * @param {!doodle.moog.SynthesizerInterface.VoiceMode} mode The voice mode.
+ */
+doodle.moog.SynthesizerInterface.prototype.setVoiceMode = function(mode) {};
+
+
+/**
+ * Sets which held key sounds in MONO mode.  When the sounding key is released
+ * while other keys are still held, the synthesizer falls back to the held key
+ * chosen by this priority without retriggering its envelopes.  Defaults to
+ * LAST.
+ * @param {!doodle.moog.SynthesizerInterface.NotePriority} priority The note
+ *     priority.
+ */
+doodle.moog.SynthesizerInterface.prototype.setNotePriority =
+    function(priority) {};
+
+
+/**
+ * Sets whether pressing a key in MONO mode while another is held retriggers
+ * the oscillator envelopes and the filter contour.  In POLY mode every key
+ * press triggers its voice.  Defaults to MULTI.
+ * @param {!doodle.moog.SynthesizerInterface.TriggerMode} mode The trigger
+ *     mode.
+ */
+doodle.moog.SynthesizerInterface.prototype.setTriggerMode = function(mode) {};
+
+
+/**
+ * Sets how many voices are available in POLY mode.
+ * @param {number} count The number of voices, in the range
+ *     [1, MAX_VOICE_COUNT].  Values outside it are clamped.
+ */
+doodle.moog.SynthesizerInterface.prototype.setVoiceCount = function(count) {};
+
+
+/**
+ * Sets which voice is taken over when all voices are busy in POLY mode.
+ * @param {!doodle.moog.SynthesizerInterface.VoiceStealingPolicy} policy The
+ *     voice stealing policy.
+ */
+doodle.moog.SynthesizerInterface.prototype.setVoiceStealingPolicy =
+    function(policy) {};
+
+
+/**
+ * Sets how many stacked copies of the oscillators a single key press plays.
+ * The copies are mixed down so that stacking them doesn't clip.
+ * @param {number} count The number of copies, in the range
+ *     [1, MAX_UNISON_COUNT].  Values outside it are clamped.  1 turns unison
+ *     off.
+ */
+doodle.moog.SynthesizerInterface.prototype.setUnisonCount = function(count) {};
+
+
+/**
+ * Sets how far apart in pitch the unison copies are.
+ * @param {number} cents Distance in cents between the lowest and highest copy,
+ *     in the range [0, MAX_UNISON_DETUNE].  Values outside it are clamped.
+ */
+doodle.moog.SynthesizerInterface.prototype.setUnisonDetune = function(cents) {};
+
+
+/**
+ * Sets how widely the unison copies are panned across the stereo field.
+ * @param {number} spread Stereo spread in the range [0, 1].  0 keeps every copy
+ *     centered; 1 pans the outermost copies hard left/right.  Values outside
+ *     the range are clamped.
+ */
+doodle.moog.SynthesizerInterface.prototype.setUnisonStereoSpread =
+    function(spread) {};
+
+
+/**
+ * Replaces the modulation routes, which carry control signals from sources
+ * (oscillators, their envelopes, noise) to destinations (oscillator pitch,
+ * volume and pulse width, and the filter cutoff).  By default, oscillator 2
+ * modulates the pitch of oscillators 0 and 1.
+ * @param {!Array.<!doodle.moog.ModulationMatrix.Route>} routes The new routes.
+ *     An error is thrown, and the current routes kept, if any route is invalid
+ *     or an oscillator would end up modulating itself.
+ */
+doodle.moog.SynthesizerInterface.prototype.setModulationRoutes =
+    function(routes) {};
+
+
+/**
+ * Scales the depth of every modulation route, like the Minimoog's modulation
+ * wheel, without changing the routes themselves.  This is a performance
+ * control, so it isn't saved in patches.
+ * @param {number} amount How much of each route's depth to apply, in the range
+ *     [0, 1].  Defaults to 1.
+ */
+doodle.moog.SynthesizerInterface.prototype.setModulationAmount =
+    function(amount) {};
+
+
+/**
+ * Sets the shape of the LFO control signal.
+ * @param {doodle.moog.Lfo.Shape} shape The shape.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLfoShape = function(shape) {};
+
+
+/**
+ * Sets the LFO rate in hertz, turning off tempo sync.
+ * @param {number} rate The rate in hertz.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLfoRate = function(rate) {};
+
+
+/**
+ * Syncs the LFO rate to a tempo, so that each cycle lasts one note division.
+ * @param {number} tempo Tempo in beats per minute.
+ * @param {doodle.moog.NoteDivision} division How long each cycle lasts.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLfoTempoSync =
+    function(tempo, division) {};
+
+
+/**
+ * Sets how long the LFO control signal stays silent after a key press.
+ * @param {number} time The delay in seconds.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLfoDelay = function(time) {};
+
+
+/**
+ * Sets how long the LFO control signal takes to fade in after the delay.
+ * @param {number} time The fade in time in seconds.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLfoFadeInTime = function(time) {};
+
+
+/**
+ * Turns on LFO key sync, so that key presses restart the LFO cycle.
+ */
+doodle.moog.SynthesizerInterface.prototype.turnOnLfoKeySync = function() {};
+
+
+/**
+ * Turns off LFO key sync, so that the LFO runs freely.
+ */
+doodle.moog.SynthesizerInterface.prototype.turnOffLfoKeySync = function() {};
 
 
 /**
  * Increases/decreases the output gain.
  * @param {number} volume The output volume level.  A number in the range
- *     [0..1].
+ *     [0..1].  Values outside it are clamped.
  */
 doodle.moog.SynthesizerInterface.prototype.setVolume = function(volume) {};
 
 
+/**
+ * Takes a snapshot of every knob and switch setting, to be saved as JSON and
+ * restored with applyPatch.
+ * @return {!doodle.moog.patch.Patch} The patch.
+ */
+doodle.moog.SynthesizerInterface.prototype.getPatch = function() {};
+
+
+/**
+ * Restores every knob and switch setting from a patch.  Patches saved by
+ * older versions are migrated first.  If the patch is invalid, an error
+ * naming the offending setting is thrown and nothing is changed.
+ * @param {*} patch The patch, as returned by getPatch or parsed from JSON.
+ */
+doodle.moog.SynthesizerInterface.prototype.applyPatch = function(patch) {};
+
+
 /**
  * Proxy to the synthesizer's low-pass filter setCutoffFrequency.
  * @param {number} cutoffFrequency The cutoff frequency above which the
@@ -97,3 +363,71 @@ doodle.moog.SynthesizerInterface.prototype.setLpContourDecayTime =
  */
 doodle.moog.SynthesizerInterface.prototype.setLpContourSustainLevel =
     function(level) {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter setContourReleaseTime.
+ * @param {number} time Duration of the release phase in seconds.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLpContourReleaseTime =
+    function(time) {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter setContourMode.
+ * @param {doodle.moog.EnvelopeGenerator.Mode} mode The envelope mode.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLpContourMode =
+    function(mode) {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter turnOnContourDecaySwitch.
+ */
+doodle.moog.SynthesizerInterface.prototype.turnOnLpContourDecaySwitch =
+    function() {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter turnOffContourDecaySwitch.
+ */
+doodle.moog.SynthesizerInterface.prototype.turnOffLpContourDecaySwitch =
+    function() {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter setContourCurve.
+ * @param {doodle.moog.EnvelopeGenerator.Segment} segment The segment.
+ * @param {doodle.moog.EnvelopeGenerator.Curve} curve The shape.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLpContourCurve =
+    function(segment, curve) {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter setKeyboardTracking.
+ * @param {doodle.moog.LowPassFilterInterface.KeyboardTracking} tracking The
+ *     keyboard tracking amount.
+ */
+doodle.moog.SynthesizerInterface.prototype.setLpKeyboardTracking =
+    function(tracking) {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter setEmphasis.
+ * @param {number} emphasis The emphasis, a number in the range [0, 1].
+ */
+doodle.moog.SynthesizerInterface.prototype.setLpEmphasis =
+    function(emphasis) {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter turnOnSaturation.
+ */
+doodle.moog.SynthesizerInterface.prototype.turnOnLpSaturation = function() {};
+
+
+/**
+ * Proxy to the synthesizer's low-pass filter turnOffSaturation.
+ */
+doodle.moog.SynthesizerInterface.prototype.turnOffLpSaturation = function() {};
@@ -0,0 +1,1144 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Four-track tape recorder that captures performances on the
+ * live synthesizer and plays them back on synthesizers of their own.
+ */
+goog.provide('doodle.moog.TapeRecorder');
+goog.provide('doodle.moog.TapeRecorder.EventType');
+goog.provide('doodle.moog.TapeRecorder.State');
+
+goog.require('doodle.moog.EnvelopeGenerator.Curve');
+goog.require('doodle.moog.EnvelopeGenerator.Mode');
+goog.require('doodle.moog.EnvelopeGenerator.Segment');
+goog.require('doodle.moog.Lfo');
+goog.require('doodle.moog.Lfo.Shape');
+goog.require('doodle.moog.LowPassFilterInterface');
+goog.require('doodle.moog.LowPassFilterInterface.KeyboardTracking');
+goog.require('doodle.moog.ModulationMatrix');
+goog.require('doodle.moog.NoteDivision');
+goog.require('doodle.moog.OscillatorInterface.Quality');
+goog.require('doodle.moog.OscillatorInterface.Range');
+goog.require('doodle.moog.OscillatorInterface.WaveForm');
+goog.require('doodle.moog.SynthesizerInterface');
+goog.require('doodle.moog.SynthesizerInterface.NotePriority');
+goog.require('doodle.moog.SynthesizerInterface.TriggerMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceMode');
+goog.require('doodle.moog.SynthesizerInterface.VoiceStealingPolicy');
+goog.require('doodle.moog.patch');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.events.EventHandler');
+goog.require('goog.events.EventTarget');
+goog.require('goog.object');
+
+
+
+/**
+ * A four-track tape recorder, like the one the doodle's keyboard was patched
+ * into.  Each track holds the patch the live synthesizer had when recording
+ * started, and the timestamped key presses and knob turns played on it.
+ * Tracks play back on their own synthesizers, which should feed the same
+ * doodle.moog.MasterMixer as the live one.
+ *
+ * Play the live synthesizer through setKeyDown, setKeyUp and turnKnob so the
+ * recorder can capture the performance.  Like doodle.moog.StepSequencer, the
+ * recorder schedules recorded key events on the track synthesizers a little
+ * ahead of the audio context's clock, so they play back on time.  Recorded
+ * knob turns are applied by a timer tick just before they are due.
+ * @param {!AudioContext} audioContext Audio context whose clock times the
+ *     tape.
+ * @param {!doodle.moog.Synthesizer} liveSynthesizer The synthesizer played
+ *     from the keyboard and knobs.
+ * @param {!Array.<!doodle.moog.Synthesizer>} trackSynthesizers A synthesizer
+ *     for each track to play back on, with as many oscillators as the live
+ *     synthesizer.
+ * @param {goog.storage.mechanism.Mechanism=} opt_mechanism Storage in which to
+ *     keep the tape between visits.  If omitted, the tape isn't saved.
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ */
+doodle.moog.TapeRecorder = function(
+    audioContext, liveSynthesizer, trackSynthesizers, opt_mechanism) {
+  goog.base(this);
+
+  if (trackSynthesizers.length != doodle.moog.TapeRecorder.TRACK_COUNT) {
+    throw Error('A tape recorder needs a synthesizer for each of its ' +
+        doodle.moog.TapeRecorder.TRACK_COUNT + ' tracks.');
+  }
+
+  /**
+   * Audio context whose clock times the tape.
+   * @type {!AudioContext}
+   * @private
+   */
+  this.audioContext_ = audioContext;
+
+  /**
+   * The synthesizer played from the keyboard and knobs.
+   * @type {!doodle.moog.Synthesizer}
+   * @private
+   */
+  this.liveSynthesizer_ = liveSynthesizer;
+
+  /**
+   * The synthesizers the tracks play back on.
+   * @type {!Array.<!doodle.moog.Synthesizer>}
+   * @private
+   */
+  this.trackSynthesizers_ = trackSynthesizers;
+
+  /**
+   * Storage in which the tape is kept between visits, if any.
+   * @type {goog.storage.mechanism.Mechanism}
+   * @private
+   */
+  this.mechanism_ = opt_mechanism || null;
+
+  /**
+   * The recorded tracks.
+   * @type {!Array.<!doodle.moog.TapeRecorder.Track>}
+   * @private
+   */
+  this.tracks_ = [];
+  for (var i = 0; i < doodle.moog.TapeRecorder.TRACK_COUNT; i++) {
+    this.tracks_.push(doodle.moog.TapeRecorder.createEmptyTrack_());
+  }
+
+  /**
+   * What the transport is doing.
+   * @type {!doodle.moog.TapeRecorder.State}
+   * @private
+   */
+  this.state_ = doodle.moog.TapeRecorder.State.STOPPED;
+
+  /**
+   * Index of the track being recorded, or -1 when not recording.
+   * @type {number}
+   * @private
+   */
+  this.recordingTrack_ = -1;
+
+  /**
+   * Events captured since recording started.  They join the recording track
+   * when the transport stops, so that an overdub doesn't play back what it has
+   * just captured.
+   * @type {!Array.<!doodle.moog.TapeRecorder.Event>}
+   * @private
+   */
+  this.take_ = [];
+
+  /**
+   * Notes held down on the live synthesizer while recording.  They are
+   * released on tape when the transport stops.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.heldNotes_ = [];
+
+  /**
+   * Audio context time at which the transport started.
+   * @type {number}
+   * @private
+   */
+  this.startTime_ = 0;
+
+  /**
+   * For each track, the index of the next event to play back if it is a knob
+   * turn.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.playbackIndices_ = [];
+
+  /**
+   * For each track, the index of the next event to schedule if it is a key
+   * event.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.keyIndices_ = [];
+
+  /**
+   * Timer that drives playback.
+   * @type {!goog.Timer}
+   * @private
+   */
+  this.timer_ = new goog.Timer(doodle.moog.TapeRecorder.TICK_INTERVAL_);
+
+  /**
+   * @type {!goog.events.EventHandler}
+   * @private
+   */
+  this.eventHandler_ = new goog.events.EventHandler(this);
+  this.eventHandler_.listen(this.timer_, goog.Timer.TICK, this.handleTick_);
+};
+goog.inherits(doodle.moog.TapeRecorder, goog.events.EventTarget);
+
+
+/**
+ * Number of tracks on the tape.
+ * @type {number}
+ * @const
+ */
+doodle.moog.TapeRecorder.TRACK_COUNT = 4;
+
+
+/**
+ * Events dispatched by tape recorders.
+ * @enum {string}
+ */
+doodle.moog.TapeRecorder.EventType = {
+  // Dispatched whenever the transport starts or stops.
+  STATE_CHANGE: 'statechange'
+};
+
+
+/**
+ * What the transport is doing.
+ * @enum {number}
+ */
+doodle.moog.TapeRecorder.State = {
+  STOPPED: 0,
+  // Every track with something on it is playing.
+  PLAYING: 1,
+  // One track is recording while the others play.
+  RECORDING: 2
+};
+
+
+/**
+ * A key press or knob turn on tape.  action names an entry of
+ * SYNTHESIZER_ACTIONS_, or of OSCILLATOR_ACTIONS_ if oscillator is the index
+ * of the oscillator it applies to.
+ * @typedef {{
+ *   time: number,
+ *   action: string,
+ *   args: !Array,
+ *   oscillator: ?number
+ * }}
+ */
+doodle.moog.TapeRecorder.Event;
+
+
+/**
+ * A track: the patch it was recorded with and its events in time order.
+ * length is the time in seconds from the start of the tape to the end of the
+ * recording.  Empty tracks have a null patch.
+ * @typedef {{
+ *   patch: doodle.moog.patch.Patch,
+ *   events: !Array.<!doodle.moog.TapeRecorder.Event>,
+ *   length: number
+ * }}
+ */
+doodle.moog.TapeRecorder.Track;
+
+
+/**
+ * All the tracks of a tape.  Plain data, so it survives JSON.stringify and
+ * JSON.parse.
+ * @typedef {{
+ *   version: number,
+ *   tracks: !Array.<!doodle.moog.TapeRecorder.Track>
+ * }}
+ */
+doodle.moog.TapeRecorder.Tape;
+
+
+/**
+ * The version of the tape format written by getTape.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.TAPE_VERSION_ = 1;
+
+
+/**
+ * Key under which the tape is kept in storage.
+ * @type {string}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.STORAGE_KEY_ = 'doodle.moog.tape';
+
+
+/**
+ * Milliseconds between scheduling passes.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.TICK_INTERVAL_ = 25;
+
+
+/**
+ * How far ahead of the audio context's clock key events are scheduled, in
+ * seconds.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.LOOK_AHEAD_ = 0.1;
+
+
+/**
+ * Synthesizer settings that can be recorded, keyed by action name.  Each
+ * applies the event arguments to a synthesizer.  Key events also take the
+ * audio context time at which to play them.  The names are stored on tape, so
+ * they must never change.
+ * @type {!Object.<string,
+ *     function(!doodle.moog.Synthesizer, !Array, number=)>}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.SYNTHESIZER_ACTIONS_ = {
+  'setKeyDown': function(s, args, opt_time) {
+    s.setKeyDown(args[0], opt_time);
+  },
+  'setKeyUp': function(s, args, opt_time) { s.setKeyUp(args[0], opt_time); },
+  'setVolume': function(s, args) { s.setVolume(args[0]); },
+  'setVoiceMode': function(s, args) { s.setVoiceMode(args[0]); },
+  'setNotePriority': function(s, args) { s.setNotePriority(args[0]); },
+  'setTriggerMode': function(s, args) { s.setTriggerMode(args[0]); },
+  'setVoiceCount': function(s, args) { s.setVoiceCount(args[0]); },
+  'setVoiceStealingPolicy': function(s, args) {
+    s.setVoiceStealingPolicy(args[0]);
+  },
+  'setUnisonCount': function(s, args) { s.setUnisonCount(args[0]); },
+  'setUnisonDetune': function(s, args) { s.setUnisonDetune(args[0]); },
+  'setUnisonStereoSpread': function(s, args) {
+    s.setUnisonStereoSpread(args[0]);
+  },
+  'setModulationRoutes': function(s, args) { s.setModulationRoutes(args[0]); },
+  'setModulationAmount': function(s, args) { s.setModulationAmount(args[0]); },
+  'setLfoShape': function(s, args) { s.setLfoShape(args[0]); },
+  'setLfoRate': function(s, args) { s.setLfoRate(args[0]); },
+  'setLfoTempoSync': function(s, args) { s.setLfoTempoSync(args[0], args[1]); },
+  'setLfoDelay': function(s, args) { s.setLfoDelay(args[0]); },
+  'setLfoFadeInTime': function(s, args) { s.setLfoFadeInTime(args[0]); },
+  'turnOnLfoKeySync': function(s, args) { s.turnOnLfoKeySync(); },
+  'turnOffLfoKeySync': function(s, args) { s.turnOffLfoKeySync(); },
+  'setLpCutoffFrequency': function(s, args) {
+    s.setLpCutoffFrequency(args[0]);
+  },
+  'setLpContour': function(s, args) { s.setLpContour(args[0]); },
+  'setLpContourAttackTime': function(s, args) {
+    s.setLpContourAttackTime(args[0]);
+  },
+  'setLpContourDecayTime': function(s, args) {
+    s.setLpContourDecayTime(args[0]);
+  },
+  'setLpContourSustainLevel': function(s, args) {
+    s.setLpContourSustainLevel(args[0]);
+  },
+  'setLpContourReleaseTime': function(s, args) {
+    s.setLpContourReleaseTime(args[0]);
+  },
+  'setLpContourMode': function(s, args) { s.setLpContourMode(args[0]); },
+  'turnOnLpContourDecaySwitch': function(s, args) {
+    s.turnOnLpContourDecaySwitch();
+  },
+  'turnOffLpContourDecaySwitch': function(s, args) {
+    s.turnOffLpContourDecaySwitch();
+  },
+  'setLpContourCurve': function(s, args) {
+    s.setLpContourCurve(args[0], args[1]);
+  },
+  'setLpKeyboardTracking': function(s, args) {
+    s.setLpKeyboardTracking(args[0]);
+  },
+  'setLpEmphasis': function(s, args) { s.setLpEmphasis(args[0]); },
+  'turnOnLpSaturation': function(s, args) { s.turnOnLpSaturation(); },
+  'turnOffLpSaturation': function(s, args) { s.turnOffLpSaturation(); }
+};
+
+
+/**
+ * Oscillator settings that can be recorded, keyed by action name.  Each
+ * applies the event arguments to an oscillator.  The names are stored on
+ * tape, so they must never change.
+ * @type {!Object.<string, function(!doodle.moog.Oscillator, !Array)>}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.OSCILLATOR_ACTIONS_ = {
+  'setVolume': function(o, args) { o.setVolume(args[0]); },
+  'setWaveForm': function(o, args) { o.setWaveForm(args[0]); },
+  'setQuality': function(o, args) { o.setQuality(args[0]); },
+  'setPitchBend': function(o, args) { o.setPitchBend(args[0]); },
+  'setRange': function(o, args) { o.setRange(args[0]); },
+  'turnOnKeyboardPitchControl': function(o, args) {
+    o.turnOnKeyboardPitchControl();
+  },
+  'turnOffKeyboardPitchControl': function(o, args) {
+    o.turnOffKeyboardPitchControl();
+  },
+  'turnOnFrequencyModulation': function(o, args) {
+    o.turnOnFrequencyModulation();
+  },
+  'turnOffFrequencyModulation': function(o, args) {
+    o.turnOffFrequencyModulation();
+  },
+  'setModulatorLevel': function(o, args) { o.setModulatorLevel(args[0]); },
+  'turnOnGlide': function(o, args) { o.turnOnGlide(); },
+  'turnOffGlide': function(o, args) { o.turnOffGlide(); },
+  'setGlideDuration': function(o, args) { o.setGlideDuration(args[0]); },
+  'setEnvelopeGeneratorAttackTime': function(o, args) {
+    o.setEnvelopeGeneratorAttackTime(args[0]);
+  },
+  'setEnvelopeGeneratorDecayTime': function(o, args) {
+    o.setEnvelopeGeneratorDecayTime(args[0]);
+  },
+  'setEnvelopeGeneratorSustainLevel': function(o, args) {
+    o.setEnvelopeGeneratorSustainLevel(args[0]);
+  },
+  'setEnvelopeGeneratorReleaseTime': function(o, args) {
+    o.setEnvelopeGeneratorReleaseTime(args[0]);
+  },
+  'setEnvelopeGeneratorMode': function(o, args) {
+    o.setEnvelopeGeneratorMode(args[0]);
+  },
+  'turnOnEnvelopeGeneratorDecaySwitch': function(o, args) {
+    o.turnOnEnvelopeGeneratorDecaySwitch();
+  },
+  'turnOffEnvelopeGeneratorDecaySwitch': function(o, args) {
+    o.turnOffEnvelopeGeneratorDecaySwitch();
+  },
+  'setEnvelopeGeneratorCurve': function(o, args) {
+    o.setEnvelopeGeneratorCurve(args[0], args[1]);
+  }
+};
+
+
+/**
+ * Checks an argument of a recorded event.  Takes the argument and the number
+ * of oscillators of the synthesizers, and returns whether the argument is
+ * valid.
+ * @typedef {function(*, number): boolean}
+ * @private
+ */
+doodle.moog.TapeRecorder.ArgumentCheck_;
+
+
+/**
+ * @param {number} min The lowest allowed value.
+ * @param {number} max The highest allowed value.
+ * @return {doodle.moog.TapeRecorder.ArgumentCheck_} A check for numbers in the
+ *     range [min, max].
+ * @private
+ */
+doodle.moog.TapeRecorder.isNumberIn_ = function(min, max) {
+  return function(value) {
+    return typeof value == 'number' && isFinite(value) && value >= min &&
+        value <= max;
+  };
+};
+
+
+/**
+ * @param {number} min The lowest allowed value.
+ * @param {number} max The highest allowed value.
+ * @return {doodle.moog.TapeRecorder.ArgumentCheck_} A check for integers in
+ *     the range [min, max].
+ * @private
+ */
+doodle.moog.TapeRecorder.isIntegerIn_ = function(min, max) {
+  var isNumberIn = doodle.moog.TapeRecorder.isNumberIn_(min, max);
+  return function(value, oscillatorCount) {
+    return isNumberIn(value, oscillatorCount) && value % 1 == 0;
+  };
+};
+
+
+/**
+ * @param {!Object} enumObject The enum.
+ * @return {doodle.moog.TapeRecorder.ArgumentCheck_} A check for values of the
+ *     enum.
+ * @private
+ */
+doodle.moog.TapeRecorder.isEnumValue_ = function(enumObject) {
+  return function(value) {
+    return goog.object.contains(enumObject, value);
+  };
+};
+
+
+/**
+ * Checks for a key event's note.
+ * @type {doodle.moog.TapeRecorder.ArgumentCheck_}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.isNote_ =
+    doodle.moog.TapeRecorder.isIntegerIn_(-Infinity, Infinity);
+
+
+/**
+ * Checks for a time in seconds.
+ * @type {doodle.moog.TapeRecorder.ArgumentCheck_}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.isDuration_ =
+    doodle.moog.TapeRecorder.isNumberIn_(0, Infinity);
+
+
+/**
+ * Checks for a level in the range [0, 1].
+ * @type {doodle.moog.TapeRecorder.ArgumentCheck_}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.isLevel_ = doodle.moog.TapeRecorder.isNumberIn_(0, 1);
+
+
+/**
+ * Checks for modulation routes.
+ * @param {*} value The value to check.
+ * @param {number} oscillatorCount How many oscillators the routes may use.
+ * @return {boolean} Whether the value is a valid list of routes.
+ * @private
+ */
+doodle.moog.TapeRecorder.isRoutes_ = function(value, oscillatorCount) {
+  if (!goog.isArray(value)) {
+    return false;
+  }
+  // The matrix knows best which routes are valid.
+  try {
+    new doodle.moog.ModulationMatrix(oscillatorCount).setRoutes(
+        /** @type {!Array.<!doodle.moog.ModulationMatrix.Route>} */ (value));
+  } catch (e) {
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * The arguments each of SYNTHESIZER_ACTIONS_ takes, as checks in argument
+ * order.  The ranges are those of doodle.moog.patch.validate.  An argument
+ * left out is checked as undefined, so only setKeyUp's note is optional.
+ * @type {!Object.<string, !Array.<doodle.moog.TapeRecorder.ArgumentCheck_>>}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.SYNTHESIZER_ARGUMENTS_ = {
+  'setKeyDown': [doodle.moog.TapeRecorder.isNote_],
+  'setKeyUp': [function(value, oscillatorCount) {
+    return !goog.isDef(value) ||
+        doodle.moog.TapeRecorder.isNote_(value, oscillatorCount);
+  }],
+  'setVolume': [doodle.moog.TapeRecorder.isLevel_],
+  'setVoiceMode': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.SynthesizerInterface.VoiceMode)],
+  'setNotePriority': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.SynthesizerInterface.NotePriority)],
+  'setTriggerMode': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.SynthesizerInterface.TriggerMode)],
+  'setVoiceCount': [doodle.moog.TapeRecorder.isIntegerIn_(
+      1, doodle.moog.SynthesizerInterface.MAX_VOICE_COUNT)],
+  'setVoiceStealingPolicy': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.SynthesizerInterface.VoiceStealingPolicy)],
+  'setUnisonCount': [doodle.moog.TapeRecorder.isIntegerIn_(
+      1, doodle.moog.SynthesizerInterface.MAX_UNISON_COUNT)],
+  'setUnisonDetune': [doodle.moog.TapeRecorder.isNumberIn_(
+      0, doodle.moog.SynthesizerInterface.MAX_UNISON_DETUNE)],
+  'setUnisonStereoSpread': [doodle.moog.TapeRecorder.isLevel_],
+  'setModulationRoutes': [doodle.moog.TapeRecorder.isRoutes_],
+  'setModulationAmount': [doodle.moog.TapeRecorder.isLevel_],
+  'setLfoShape': [
+    doodle.moog.TapeRecorder.isEnumValue_(doodle.moog.Lfo.Shape)
+  ],
+  'setLfoRate': [
+    doodle.moog.TapeRecorder.isNumberIn_(0, doodle.moog.Lfo.MAX_RATE)
+  ],
+  'setLfoTempoSync': [
+    doodle.moog.TapeRecorder.isNumberIn_(
+        doodle.moog.Lfo.MIN_TEMPO, doodle.moog.Lfo.MAX_TEMPO),
+    doodle.moog.TapeRecorder.isEnumValue_(doodle.moog.NoteDivision)
+  ],
+  'setLfoDelay': [doodle.moog.TapeRecorder.isDuration_],
+  'setLfoFadeInTime': [doodle.moog.TapeRecorder.isDuration_],
+  'turnOnLfoKeySync': [],
+  'turnOffLfoKeySync': [],
+  'setLpCutoffFrequency': [doodle.moog.TapeRecorder.isNumberIn_(
+      doodle.moog.LowPassFilterInterface.MIN_CUTOFF_FREQUENCY,
+      doodle.moog.LowPassFilterInterface.MAX_CUTOFF_FREQUENCY)],
+  'setLpContour': [doodle.moog.TapeRecorder.isNumberIn_(
+      0, doodle.moog.LowPassFilterInterface.MAX_CONTOUR)],
+  'setLpContourAttackTime': [doodle.moog.TapeRecorder.isDuration_],
+  'setLpContourDecayTime': [doodle.moog.TapeRecorder.isDuration_],
+  'setLpContourSustainLevel': [doodle.moog.TapeRecorder.isLevel_],
+  'setLpContourReleaseTime': [doodle.moog.TapeRecorder.isDuration_],
+  'setLpContourMode': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.EnvelopeGenerator.Mode)],
+  'turnOnLpContourDecaySwitch': [],
+  'turnOffLpContourDecaySwitch': [],
+  'setLpContourCurve': [
+    doodle.moog.TapeRecorder.isEnumValue_(
+        doodle.moog.EnvelopeGenerator.Segment),
+    doodle.moog.TapeRecorder.isEnumValue_(doodle.moog.EnvelopeGenerator.Curve)
+  ],
+  'setLpKeyboardTracking': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.LowPassFilterInterface.KeyboardTracking)],
+  'setLpEmphasis': [doodle.moog.TapeRecorder.isLevel_],
+  'turnOnLpSaturation': [],
+  'turnOffLpSaturation': []
+};
+
+
+/**
+ * The arguments each of OSCILLATOR_ACTIONS_ takes, as checks in argument
+ * order.  The ranges are those of doodle.moog.patch.validate.
+ * @type {!Object.<string, !Array.<doodle.moog.TapeRecorder.ArgumentCheck_>>}
+ * @const
+ * @private
+ */
+doodle.moog.TapeRecorder.OSCILLATOR_ARGUMENTS_ = {
+  'setVolume': [doodle.moog.TapeRecorder.isLevel_],
+  'setWaveForm': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.OscillatorInterface.WaveForm)],
+  'setQuality': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.OscillatorInterface.Quality)],
+  'setPitchBend': [doodle.moog.TapeRecorder.isNumberIn_(-1, 1)],
+  'setRange': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.OscillatorInterface.Range)],
+  'turnOnKeyboardPitchControl': [],
+  'turnOffKeyboardPitchControl': [],
+  'turnOnFrequencyModulation': [],
+  'turnOffFrequencyModulation': [],
+  'setModulatorLevel': [doodle.moog.TapeRecorder.isLevel_],
+  'turnOnGlide': [],
+  'turnOffGlide': [],
+  'setGlideDuration': [doodle.moog.TapeRecorder.isDuration_],
+  'setEnvelopeGeneratorAttackTime': [doodle.moog.TapeRecorder.isDuration_],
+  'setEnvelopeGeneratorDecayTime': [doodle.moog.TapeRecorder.isDuration_],
+  'setEnvelopeGeneratorSustainLevel': [doodle.moog.TapeRecorder.isLevel_],
+  'setEnvelopeGeneratorReleaseTime': [doodle.moog.TapeRecorder.isDuration_],
+  'setEnvelopeGeneratorMode': [doodle.moog.TapeRecorder.isEnumValue_(
+      doodle.moog.EnvelopeGenerator.Mode)],
+  'turnOnEnvelopeGeneratorDecaySwitch': [],
+  'turnOffEnvelopeGeneratorDecaySwitch': [],
+  'setEnvelopeGeneratorCurve': [
+    doodle.moog.TapeRecorder.isEnumValue_(
+        doodle.moog.EnvelopeGenerator.Segment),
+    doodle.moog.TapeRecorder.isEnumValue_(doodle.moog.EnvelopeGenerator.Curve)
+  ]
+};
+
+
+/**
+ * @return {!doodle.moog.TapeRecorder.Track} A track with nothing on it.
+ * @private
+ */
+doodle.moog.TapeRecorder.createEmptyTrack_ = function() {
+  return {patch: null, events: [], length: 0};
+};
+
+
+/** @inheritDoc */
+doodle.moog.TapeRecorder.prototype.disposeInternal = function() {
+  this.stop();
+  this.eventHandler_.dispose();
+  this.timer_.dispose();
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * @return {!doodle.moog.TapeRecorder.State} What the transport is doing.
+ */
+doodle.moog.TapeRecorder.prototype.getState = function() {
+  return this.state_;
+};
+
+
+/**
+ * @return {number} Index of the track being recorded, or -1 when not
+ *     recording.
+ */
+doodle.moog.TapeRecorder.prototype.getRecordingTrack = function() {
+  return this.recordingTrack_;
+};
+
+
+/**
+ * @return {number} Seconds since the transport started, or 0 when stopped.
+ */
+doodle.moog.TapeRecorder.prototype.getPosition = function() {
+  if (this.state_ == doodle.moog.TapeRecorder.State.STOPPED) {
+    return 0;
+  }
+  return this.audioContext_.currentTime - this.startTime_;
+};
+
+
+/**
+ * @param {number} index Index of a track.
+ * @return {number} Length of the track's recording in seconds.  0 if the
+ *     track is empty.
+ */
+doodle.moog.TapeRecorder.prototype.getTrackLength = function(index) {
+  this.checkTrackIndex_(index);
+  return this.tracks_[index].length;
+};
+
+
+/**
+ * Presses a key on the live synthesizer, recording it if a track is
+ * recording.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ */
+doodle.moog.TapeRecorder.prototype.setKeyDown = function(note) {
+  if (this.state_ == doodle.moog.TapeRecorder.State.RECORDING) {
+    goog.array.remove(this.heldNotes_, note);
+    this.heldNotes_.push(note);
+  }
+  this.turnKnob('setKeyDown', [note]);
+};
+
+
+/**
+ * Releases a key on the live synthesizer, recording it if a track is
+ * recording.
+ * @param {number=} opt_note Chromatic index of the released note relative to
+ *     the beginning of the keyboard.  If omitted, every playing note is
+ *     released.
+ */
+doodle.moog.TapeRecorder.prototype.setKeyUp = function(opt_note) {
+  if (goog.isDef(opt_note)) {
+    goog.array.remove(this.heldNotes_, opt_note);
+    this.turnKnob('setKeyUp', [opt_note]);
+  } else {
+    goog.array.clear(this.heldNotes_);
+    this.turnKnob('setKeyUp', []);
+  }
+};
+
+
+/**
+ * Changes a setting of the live synthesizer, recording the change if a track
+ * is recording.
+ * @param {string} action The setting to change: the name of the synthesizer
+ *     or oscillator method that changes it, e.g. 'setLpCutoffFrequency' or
+ *     'setWaveForm'.
+ * @param {!Array} args The arguments of the method.  Must survive
+ *     JSON.stringify and JSON.parse.
+ * @param {number=} opt_oscillator Index of the oscillator whose setting to
+ *     change.  If omitted, the setting is the synthesizer's.
+ */
+doodle.moog.TapeRecorder.prototype.turnKnob = function(
+    action, args, opt_oscillator) {
+  var event = {
+    time: this.getPosition(),
+    action: action,
+    args: args,
+    oscillator: goog.isDef(opt_oscillator) ? opt_oscillator : null
+  };
+  this.checkEvent_(event, 'event');
+  doodle.moog.TapeRecorder.applyEvent_(this.liveSynthesizer_, event);
+  if (this.state_ == doodle.moog.TapeRecorder.State.RECORDING) {
+    this.take_.push(event);
+  }
+};
+
+
+/**
+ * Starts recording a track from the beginning of the tape, erasing what was
+ * on it.  The other tracks play along.  The track keeps the live
+ * synthesizer's current patch.
+ * @param {number} index Index of the track to record.
+ */
+doodle.moog.TapeRecorder.prototype.record = function(index) {
+  this.checkTrackIndex_(index);
+  this.stop();
+  var track = doodle.moog.TapeRecorder.createEmptyTrack_();
+  track.patch = this.liveSynthesizer_.getPatch();
+  this.tracks_[index] = track;
+  this.startTransport_(doodle.moog.TapeRecorder.State.RECORDING, index);
+};
+
+
+/**
+ * Starts recording a track from the beginning of the tape, adding to what is
+ * on it, which plays along with the other tracks.  If the track isn't empty,
+ * the live synthesizer takes on the track's patch so the new events sound
+ * like the old ones.
+ * @param {number} index Index of the track to record.
+ */
+doodle.moog.TapeRecorder.prototype.overdub = function(index) {
+  this.checkTrackIndex_(index);
+  this.stop();
+  var track = this.tracks_[index];
+  if (track.patch) {
+    this.liveSynthesizer_.applyPatch(track.patch);
+  } else {
+    track.patch = this.liveSynthesizer_.getPatch();
+  }
+  this.startTransport_(doodle.moog.TapeRecorder.State.RECORDING, index);
+};
+
+
+/**
+ * Plays every track from the beginning of the tape.  The transport stops by
+ * itself at the end of the longest track.
+ */
+doodle.moog.TapeRecorder.prototype.play = function() {
+  this.stop();
+  this.startTransport_(doodle.moog.TapeRecorder.State.PLAYING, -1);
+};
+
+
+/**
+ * Stops the transport.  If a track was recording, the captured events join
+ * it, any keys still held are released on tape, and the tape is saved.
+ */
+doodle.moog.TapeRecorder.prototype.stop = function() {
+  if (this.state_ == doodle.moog.TapeRecorder.State.STOPPED) {
+    return;
+  }
+  var position = this.getPosition();
+  this.timer_.stop();
+
+  var wasRecording = this.state_ == doodle.moog.TapeRecorder.State.RECORDING;
+  if (wasRecording) {
+    var track = this.tracks_[this.recordingTrack_];
+    goog.array.forEach(this.heldNotes_, function(note) {
+      this.take_.push(
+          {time: position, action: 'setKeyUp', args: [note], oscillator: null});
+    }, this);
+    track.events = goog.array.concat(track.events, this.take_);
+    goog.array.stableSort(track.events, doodle.moog.TapeRecorder.compareTimes_);
+    track.length = Math.max(track.length, position);
+  }
+
+  goog.array.forEach(this.trackSynthesizers_, function(synthesizer) {
+    synthesizer.cancelScheduledKeys();
+  });
+  this.take_ = [];
+  goog.array.clear(this.heldNotes_);
+  this.recordingTrack_ = -1;
+  this.state_ = doodle.moog.TapeRecorder.State.STOPPED;
+  if (wasRecording) {
+    this.save();
+  }
+  this.dispatchEvent(doodle.moog.TapeRecorder.EventType.STATE_CHANGE);
+};
+
+
+/**
+ * Erases a track, stopping the transport first if the track is recording.
+ * The tape is saved.
+ * @param {number} index Index of the track to erase.
+ */
+doodle.moog.TapeRecorder.prototype.eraseTrack = function(index) {
+  this.checkTrackIndex_(index);
+  if (index == this.recordingTrack_) {
+    this.stop();
+  }
+  this.tracks_[index] = doodle.moog.TapeRecorder.createEmptyTrack_();
+  this.playbackIndices_[index] = 0;
+  this.keyIndices_[index] = 0;
+  this.trackSynthesizers_[index].cancelScheduledKeys();
+  this.save();
+};
+
+
+/**
+ * Takes a copy of every track.
+ * @return {!doodle.moog.TapeRecorder.Tape} The tape.
+ */
+doodle.moog.TapeRecorder.prototype.getTape = function() {
+  return {
+    version: doodle.moog.TapeRecorder.TAPE_VERSION_,
+    tracks: /** @type {!Array.<!doodle.moog.TapeRecorder.Track>} */ (
+        goog.object.unsafeClone(this.tracks_))
+  };
+};
+
+
+/**
+ * Replaces every track with those of a tape, stopping the transport first.
+ * Either the whole tape is loaded or, if anything on it is invalid, none of
+ * it is.
+ * @param {*} tape The tape, as returned by getTape or parsed from JSON.
+ */
+doodle.moog.TapeRecorder.prototype.loadTape = function(tape) {
+  if (!goog.isObject(tape) ||
+      tape['version'] !== doodle.moog.TapeRecorder.TAPE_VERSION_) {
+    throw Error('Unsupported tape version: ' +
+        (goog.isObject(tape) ? tape['version'] : tape));
+  }
+  var tracks = tape['tracks'];
+  if (!goog.isArray(tracks) ||
+      tracks.length != doodle.moog.TapeRecorder.TRACK_COUNT) {
+    throw Error('tape.tracks must be an array of ' +
+        doodle.moog.TapeRecorder.TRACK_COUNT + ' tracks.');
+  }
+  var oscillatorCount = this.liveSynthesizer_.oscillators.length;
+  var loadedTracks = goog.array.map(tracks, function(track, i) {
+    var path = 'tape.tracks[' + i + ']';
+    if (!goog.isObject(track) || !goog.isArray(track['events'])) {
+      throw Error(path + '.events must be an array of events.');
+    }
+    var length = track['length'];
+    if (typeof length != 'number' || !isFinite(length) || length < 0) {
+      throw Error(path + '.length must be a time in seconds: ' + length);
+    }
+    var patch = null;
+    if (goog.isDefAndNotNull(track['patch'])) {
+      patch = doodle.moog.patch.migrate(track['patch']);
+      doodle.moog.patch.validate(patch, oscillatorCount);
+    }
+    var events = goog.array.map(track['events'], function(event, j) {
+      this.checkEvent_(event, path + '.events[' + j + ']');
+      if (event['time'] > length) {
+        throw Error(path + '.events[' + j + '] is past the end of the track.');
+      }
+      return {
+        time: event['time'],
+        action: event['action'],
+        args: event['args'],
+        oscillator: event['oscillator']
+      };
+    }, this);
+    if (events.length && !patch) {
+      throw Error(path + ' has events but no patch.');
+    }
+    goog.array.stableSort(events, doodle.moog.TapeRecorder.compareTimes_);
+    return {
+      patch: /** @type {doodle.moog.patch.Patch} */ (patch),
+      events: events,
+      length: length
+    };
+  }, this);
+
+  this.stop();
+  this.tracks_ = loadedTracks;
+};
+
+
+/**
+ * Saves the tape to storage, if the recorder has any.
+ * @return {boolean} Whether the tape was saved.
+ */
+doodle.moog.TapeRecorder.prototype.save = function() {
+  if (!this.mechanism_) {
+    return false;
+  }
+  try {
+    this.mechanism_.set(doodle.moog.TapeRecorder.STORAGE_KEY_,
+        JSON.stringify(this.getTape()));
+  } catch (e) {
+    // Storage may be full or disabled; the tape stays in memory.
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * Loads the tape saved in storage, if the recorder has any.
+ * @return {boolean} Whether a tape was loaded.  A missing or invalid saved
+ *     tape leaves the tracks as they were.
+ */
+doodle.moog.TapeRecorder.prototype.load = function() {
+  if (!this.mechanism_) {
+    return false;
+  }
+  try {
+    var json = this.mechanism_.get(doodle.moog.TapeRecorder.STORAGE_KEY_);
+    if (!json) {
+      return false;
+    }
+    this.loadTape(JSON.parse(json));
+  } catch (e) {
+    // Saved tapes may be from a newer version of the doodle, or damaged.
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * Starts the transport from the beginning of the tape.
+ * @param {!doodle.moog.TapeRecorder.State} state PLAYING or RECORDING.
+ * @param {number} recordingTrack Index of the track to record, or -1.
+ * @private
+ */
+doodle.moog.TapeRecorder.prototype.startTransport_ = function(
+    state, recordingTrack) {
+  goog.array.forEach(this.tracks_, function(track, i) {
+    this.playbackIndices_[i] = 0;
+    this.keyIndices_[i] = 0;
+    if (track.patch) {
+      this.trackSynthesizers_[i].applyPatch(track.patch);
+    }
+  }, this);
+  this.recordingTrack_ = recordingTrack;
+  this.startTime_ = this.audioContext_.currentTime;
+  this.state_ = state;
+  this.timer_.start();
+  this.dispatchEvent(doodle.moog.TapeRecorder.EventType.STATE_CHANGE);
+  this.handleTick_();
+};
+
+
+/**
+ * Schedules the key events falling within the look ahead, plays back the knob
+ * turns that are about to come due, and stops the transport at the end of the
+ * tape unless a track is recording.
+ * @private
+ */
+doodle.moog.TapeRecorder.prototype.handleTick_ = function() {
+  var position = this.getPosition();
+  var keyDeadline = position + doodle.moog.TapeRecorder.LOOK_AHEAD_;
+  // Knob turns go in a tick early, rather than a tick late, so that the notes
+  // they were recorded before are played with them.
+  var knobDeadline = position + doodle.moog.TapeRecorder.TICK_INTERVAL_ / 1000;
+  var isAtEnd = true;
+  goog.array.forEach(this.tracks_, function(track, i) {
+    var events = track.events;
+    var synthesizer = this.trackSynthesizers_[i];
+    var event;
+    while (this.keyIndices_[i] < events.length &&
+        events[this.keyIndices_[i]].time < keyDeadline) {
+      event = events[this.keyIndices_[i]++];
+      if (doodle.moog.TapeRecorder.isKeyEvent_(event)) {
+        doodle.moog.TapeRecorder.applyEvent_(
+            synthesizer, event, this.startTime_ + event.time);
+      }
+    }
+    while (this.playbackIndices_[i] < events.length &&
+        events[this.playbackIndices_[i]].time < knobDeadline) {
+      event = events[this.playbackIndices_[i]++];
+      if (!doodle.moog.TapeRecorder.isKeyEvent_(event)) {
+        doodle.moog.TapeRecorder.applyEvent_(synthesizer, event);
+      }
+    }
+    isAtEnd = isAtEnd && this.keyIndices_[i] == events.length &&
+        this.playbackIndices_[i] == events.length && position >= track.length;
+  }, this);
+
+  if (isAtEnd && this.state_ == doodle.moog.TapeRecorder.State.PLAYING) {
+    this.stop();
+  }
+};
+
+
+/**
+ * Throws an error unless an event is well formed and names a recordable
+ * setting.
+ * @param {*} event The event.
+ * @param {string} path Where the event is, for error messages.
+ * @private
+ */
+doodle.moog.TapeRecorder.prototype.checkEvent_ = function(event, path) {
+  if (!goog.isObject(event)) {
+    throw Error(path + ' must be an object.');
+  }
+  var time = event['time'];
+  if (typeof time != 'number' || !isFinite(time) || time < 0) {
+    throw Error(path + '.time must be a time in seconds: ' + time);
+  }
+  if (!goog.isArray(event['args'])) {
+    throw Error(path + '.args must be an array.');
+  }
+  var oscillator = event['oscillator'];
+  var oscillatorCount = this.liveSynthesizer_.oscillators.length;
+  var actionArguments;
+  if (oscillator === null) {
+    actionArguments = doodle.moog.TapeRecorder.SYNTHESIZER_ARGUMENTS_;
+  } else if (!goog.isNumber(oscillator) || oscillator % 1 != 0 ||
+      oscillator < 0 || oscillator >= oscillatorCount) {
+    throw Error(path + '.oscillator must be null or an oscillator index: ' +
+        oscillator);
+  } else {
+    actionArguments = doodle.moog.TapeRecorder.OSCILLATOR_ARGUMENTS_;
+  }
+  var action = event['action'];
+  if (!goog.object.containsKey(actionArguments, action)) {
+    throw Error(path + '.action is not a recordable setting: ' + action);
+  }
+
+  var args = event['args'];
+  var checks = actionArguments[action];
+  if (args.length > checks.length) {
+    throw Error(path + '.args has too many arguments for ' + action + ': ' +
+        args.length);
+  }
+  goog.array.forEach(checks, function(check, i) {
+    if (!check(args[i], oscillatorCount)) {
+      throw Error(path + '.args[' + i + '] is invalid for ' + action + ': ' +
+          args[i]);
+    }
+  });
+};
+
+
+/**
+ * @param {!doodle.moog.TapeRecorder.Event} event An event.
+ * @return {boolean} Whether the event presses or releases a key.
+ * @private
+ */
+doodle.moog.TapeRecorder.isKeyEvent_ = function(event) {
+  return event.oscillator === null &&
+      (event.action == 'setKeyDown' || event.action == 'setKeyUp');
+};
+
+
+/**
+ * Applies an event to a synthesizer.
+ * @param {!doodle.moog.Synthesizer} synthesizer The synthesizer.
+ * @param {!doodle.moog.TapeRecorder.Event} event The event.
+ * @param {number=} opt_time Audio context time at which to play a key event.
+ *     Defaults to right away.
+ * @private
+ */
+doodle.moog.TapeRecorder.applyEvent_ = function(synthesizer, event, opt_time) {
+  if (event.oscillator === null) {
+    doodle.moog.TapeRecorder.SYNTHESIZER_ACTIONS_[event.action](
+        synthesizer, event.args, opt_time);
+  } else {
+    doodle.moog.TapeRecorder.OSCILLATOR_ACTIONS_[event.action](
+        synthesizer.oscillators[event.oscillator], event.args);
+  }
+};
+
+
+/**
+ * Orders events by time.
+ * @param {!doodle.moog.TapeRecorder.Event} a An event.
+ * @param {!doodle.moog.TapeRecorder.Event} b Another event.
+ * @return {number} Negative if a comes first, positive if b does.
+ * @private
+ */
+doodle.moog.TapeRecorder.compareTimes_ = function(a, b) {
+  return a.time - b.time;
+};
+
+
+/**
+ * @param {number} index A track index.
+ * @private
+ */
+doodle.moog.TapeRecorder.prototype.checkTrackIndex_ = function(index) {
+  if (!(index >= 0 && index < doodle.moog.TapeRecorder.TRACK_COUNT &&
+      index % 1 == 0)) {
+    throw Error('No track ' + index + ' on the tape.');
+  }
+};
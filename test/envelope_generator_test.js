@@ -0,0 +1,69 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for doodle.moog.EnvelopeGenerator.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+require('../closure_loader');
+
+goog.require('doodle.moog.EnvelopeGenerator');
+
+
+var SAMPLE_RATE = 1000;
+
+
+/**
+ * Advances an envelope generator.
+ * @param {!doodle.moog.EnvelopeGenerator} envelope The envelope generator.
+ * @param {number} time How long to advance it by, in seconds.
+ * @return {number} The amplitude coefficient reached.
+ */
+function advance(envelope, time) {
+  var level = envelope.getAmplitudeCoefficient();
+  for (var i = 0; i < time * SAMPLE_RATE; i++) {
+    level = envelope.getNextAmplitudeCoefficient();
+  }
+  return level;
+}
+
+
+test('finishes a release whose time changes with no sustain', function() {
+  var envelope = new doodle.moog.EnvelopeGenerator(1 / SAMPLE_RATE, 0, 0.1, 0);
+  envelope.startAttack();
+  advance(envelope, 0.05);
+  envelope.startRelease();
+  var level = advance(envelope, 0.02);
+  assert.ok(level > 0 && level < 1);
+
+  envelope.setDecayTime(0.2);
+  assert.ok(Math.abs(advance(envelope, 0.1) - level / 2) < 0.01);
+  assert.equal(advance(envelope, 0.101), 0);
+  assert.ok(!envelope.isActive());
+});
+
+
+test('finishes an attack whose time changes', function() {
+  var envelope = new doodle.moog.EnvelopeGenerator(1 / SAMPLE_RATE, 0.1, 0, 1);
+  envelope.startAttack();
+  var level = advance(envelope, 0.05);
+  assert.ok(Math.abs(level - 0.5) < 0.01);
+
+  envelope.setAttackTime(0.2);
+  assert.ok(Math.abs(advance(envelope, 0.1) - 0.75) < 0.01);
+  assert.equal(advance(envelope, 0.101), 1);
+});
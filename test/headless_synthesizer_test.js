@@ -0,0 +1,75 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for doodle.moog.HeadlessSynthesizer.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+require('../closure_loader');
+var testUtil = require('./test_util');
+
+goog.require('doodle.moog.HeadlessSynthesizer');
+
+
+var SAMPLE_RATE = 44100;
+
+
+test('renders notes at the pitch of the oscillator range', function() {
+  var synthesizer =
+      new doodle.moog.HeadlessSynthesizer(testUtil.createPatch(), SAMPLE_RATE);
+  synthesizer.setKeyDown(0, 0);
+  synthesizer.setKeyUp(0, 1);
+  synthesizer.setKeyDown(12, 1);
+  var channels = synthesizer.renderChannels(2);
+
+  // At the 8' range, keyboard note 0 is the F below middle C.
+  assert.ok(Math.abs(testUtil.measureFrequency(
+      channels[0].subarray(0.1 * SAMPLE_RATE, 0.9 * SAMPLE_RATE),
+      SAMPLE_RATE) - 174.61) < 0.05);
+  assert.ok(Math.abs(testUtil.measureFrequency(
+      channels[0].subarray(1.1 * SAMPLE_RATE, 1.9 * SAMPLE_RATE),
+      SAMPLE_RATE) - 349.23) < 0.05);
+});
+
+
+test('follows the envelope times', function() {
+  var patch = testUtil.createPatch();
+  patch.oscillators[0].envelope.attackTime = 0.1;
+  patch.oscillators[0].envelope.releaseTime = 0.2;
+  var samples = doodle.moog.HeadlessSynthesizer.renderKeyEvents(patch, [
+    {time: 0, note: 0, isKeyDown: true},
+    {time: 0.5, note: 0, isKeyDown: false}
+  ], SAMPLE_RATE, 1)[0];
+  assert.equal(samples.length, SAMPLE_RATE);
+
+  // Peaks over a little more than one period of the wave.
+  var getLevel = function(time) {
+    return testUtil.getPeak(samples, SAMPLE_RATE, time - 0.006, time);
+  };
+  var sustainLevel = testUtil.getPeak(samples, SAMPLE_RATE, 0.2, 0.5);
+  assert.ok(sustainLevel > 0.1);
+
+  // The linear attack is halfway up halfway through.
+  var attackLevel = getLevel(0.05) / sustainLevel;
+  assert.ok(attackLevel > 0.4 && attackLevel < 0.55, String(attackLevel));
+  assert.ok(getLevel(0.1) / sustainLevel > 0.9);
+
+  // The linear release is halfway down halfway through, and then silent.
+  var releaseLevel = getLevel(0.6) / sustainLevel;
+  assert.ok(releaseLevel > 0.45 && releaseLevel < 0.6, String(releaseLevel));
+  assert.ok(testUtil.getPeak(samples, SAMPLE_RATE, 0.705, 1) < 1e-4);
+});
@@ -0,0 +1,131 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for doodle.moog.MidiInput, played through a fake
+ * MIDIAccess into a fake synthesizer.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+require('../closure_loader');
+
+goog.require('doodle.moog.MidiInput');
+goog.require('doodle.moog.midi');
+
+
+/**
+ * Builds a fake synthesizer recording the keys played on it.
+ * @return {!Object} The synthesizer.  Its calls are logged to its 'calls'
+ *     array, and its oscillators keep their pitch bends in 'pitchBend'.
+ */
+function createSynthesizer() {
+  var calls = [];
+  var oscillators = [0, 1, 2].map(function() {
+    return {
+      pitchBend: 0,
+      getSettings: function() {
+        return {pitchBend: this.pitchBend};
+      },
+      setPitchBend: function(pitchBend) {
+        this.pitchBend = pitchBend;
+      }
+    };
+  });
+  return {
+    calls: calls,
+    oscillators: oscillators,
+    setKeyDown: function(note) {
+      calls.push(['down', note]);
+    },
+    setKeyUp: function(note) {
+      calls.push(['up', note]);
+    },
+    setModulationAmount: function() {}
+  };
+}
+
+
+/**
+ * Builds a fake MIDIAccess with a single connected input.
+ * @return {!Object} The access.  Send messages through its 'input'.
+ */
+function createMidiAccess() {
+  var input = {
+    id: 'keyboard',
+    name: 'Keyboard',
+    state: 'connected',
+    onmidimessage: null,
+    send: function(data) {
+      this.onmidimessage({data: new Uint8Array(data)});
+    }
+  };
+  return {input: input, inputs: new Map([[input.id, input]])};
+}
+
+
+/**
+ * Plays a fake synthesizer from a fake MIDIAccess.
+ * @return {{synthesizer: !Object, input: !Object}} The synthesizer, and the
+ *     fake input to send messages through.
+ */
+function connect() {
+  var synthesizer = createSynthesizer();
+  var midiAccess = createMidiAccess();
+  new doodle.moog.MidiInput(synthesizer).setMidiAccess(midiAccess);
+  return {synthesizer: synthesizer, input: midiAccess.input};
+}
+
+
+test('presses and releases keys on note on and note off', function() {
+  var connection = connect();
+  var note = doodle.moog.midi.toKeyboardNote(60);
+  connection.input.send([0x90, 60, 100]);
+  connection.input.send([0x80, 60, 64]);
+  assert.deepEqual(connection.synthesizer.calls,
+      [['down', note], ['up', note]]);
+});
+
+
+test('releases keys on note on with zero velocity', function() {
+  var connection = connect();
+  var note = doodle.moog.midi.toKeyboardNote(69);
+  connection.input.send([0x91, 69, 127]);
+  connection.input.send([0x91, 69, 0]);
+  assert.deepEqual(connection.synthesizer.calls,
+      [['down', note], ['up', note]]);
+});
+
+
+test('bends every oscillator with the pitch bend wheel', function() {
+  var connection = connect();
+  var oscillators = connection.synthesizer.oscillators;
+  oscillators[1].pitchBend = 0.25;
+
+  // Fully up is 0x3FFF, sent least significant 7 bits first.
+  connection.input.send([0xE0, 0x7F, 0x7F]);
+  assert.ok(Math.abs(oscillators[0].pitchBend - 1) < 0.001);
+  assert.equal(oscillators[1].pitchBend, 1);
+
+  // Halfway down.
+  connection.input.send([0xE0, 0x00, 0x20]);
+  assert.equal(oscillators[0].pitchBend, -0.5);
+  assert.equal(oscillators[1].pitchBend, -0.25);
+
+  // Back to center restores the knobs.
+  connection.input.send([0xE0, 0x00, 0x40]);
+  assert.equal(oscillators[0].pitchBend, 0);
+  assert.equal(oscillators[1].pitchBend, 0.25);
+});
@@ -0,0 +1,80 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for doodle.moog.midi and the pitches of scores.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+require('../closure_loader');
+var testUtil = require('./test_util');
+
+goog.require('doodle.moog.HeadlessSynthesizer');
+goog.require('doodle.moog.midi');
+goog.require('doodle.moog.score');
+
+
+var SAMPLE_RATE = 44100;
+
+
+/**
+ * Renders a note held for a second and measures its pitch.
+ * @param {number} note The keyboard note.
+ * @return {number} The frequency, in hertz.
+ */
+function measureNote(note) {
+  var samples = doodle.moog.HeadlessSynthesizer.renderKeyEvents(
+      testUtil.createPatch(), [{time: 0, note: note, isKeyDown: true}],
+      SAMPLE_RATE, 1)[0];
+  return testUtil.measureFrequency(
+      samples.subarray(0.1 * SAMPLE_RATE), SAMPLE_RATE);
+}
+
+
+test('converts MIDI notes to keyboard notes and back', function() {
+  assert.equal(doodle.moog.midi.toKeyboardNote(53), 0);
+  assert.equal(doodle.moog.midi.toMidiNote(0), 53);
+  assert.equal(doodle.moog.midi.toMidiNote(
+      doodle.moog.midi.toKeyboardNote(127)), 127);
+  assert.throws(function() {
+    doodle.moog.midi.toMidiNote(-54);
+  });
+});
+
+
+test('plays MIDI notes at their standard pitch', function() {
+  // A4 and middle C.
+  assert.ok(Math.abs(
+      measureNote(doodle.moog.midi.toKeyboardNote(69)) - 440) < 0.1);
+  assert.ok(Math.abs(
+      measureNote(doodle.moog.midi.toKeyboardNote(60)) - 261.63) < 0.1);
+});
+
+
+test('plays score pitches at their standard pitch', function() {
+  var notes = doodle.moog.score.parse('A4 1/2\nC#5 1/2');
+  var synthesizer =
+      new doodle.moog.HeadlessSynthesizer(testUtil.createPatch(), SAMPLE_RATE);
+  doodle.moog.score.play(synthesizer, notes);
+  var samples = synthesizer.renderChannels(2)[0];
+
+  assert.ok(Math.abs(testUtil.measureFrequency(
+      samples.subarray(0.1 * SAMPLE_RATE, 0.9 * SAMPLE_RATE),
+      SAMPLE_RATE) - 440) < 0.1);
+  assert.ok(Math.abs(testUtil.measureFrequency(
+      samples.subarray(1.1 * SAMPLE_RATE, 1.9 * SAMPLE_RATE),
+      SAMPLE_RATE) - 554.37) < 0.1);
+});
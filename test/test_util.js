@@ -0,0 +1,152 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Patches and measurements shared by the tests.
+ */
+
+
+/**
+ * Creates an oscillator's patch settings.
+ * @param {number} volume The oscillator's volume.
+ * @return {!Object} The settings.
+ */
+function createOscillatorSettings(volume) {
+  return {
+    volume: volume,
+    waveForm: 0,  // TRIANGLE
+    quality: 1,
+    range: 8,  // R8
+    pitchBend: 0,
+    isAcceptingKeyboardPitch: true,
+    isFrequencyModulationOn: false,
+    modulatorLevel: 0,
+    isGlideOn: false,
+    glideDuration: 0,
+    envelope: {
+      attackTime: 0,
+      decayTime: 0,
+      sustainLevel: 1,
+      releaseTime: 0,
+      mode: 1,  // ADSR
+      isDecaySwitchOn: true,
+      attackCurve: 0,  // LINEAR
+      decayCurve: 0,
+      releaseCurve: 0
+    }
+  };
+}
+
+
+/**
+ * Creates a patch that plays a single triangle wave at the 8' range through a
+ * wide open filter, with instant envelopes, in MONO mode.
+ * @return {!Object} The patch, as doodle.moog.SynthesizerInterface#getPatch
+ *     returns them.
+ */
+exports.createPatch = function() {
+  return {
+    version: 1,
+    volume: 1,
+    oscillators: [
+      createOscillatorSettings(1),
+      createOscillatorSettings(0),
+      createOscillatorSettings(0)
+    ],
+    filter: {
+      contour: {
+        cutoffFrequency: 24000,
+        contour: 1,
+        attackTime: 0,
+        decayTime: 0,
+        sustainLevel: 1,
+        releaseTime: 0,
+        mode: 1,
+        isDecaySwitchOn: true,
+        keyboardTracking: 0,
+        attackCurve: 0,
+        decayCurve: 0,
+        releaseCurve: 0
+      },
+      emphasis: 0,
+      isSaturationOn: false
+    },
+    voices: {
+      mode: 0,
+      count: 1,
+      stealingPolicy: 0,
+      notePriority: 0,
+      triggerMode: 1,
+      unisonCount: 1,
+      unisonDetune: 0,
+      unisonStereoSpread: 0
+    },
+    modulationRoutes: [],
+    lfo: {
+      shape: 0,
+      rate: 5,
+      isTempoSynced: false,
+      tempo: 120,
+      division: 1,
+      delay: 0,
+      fadeInTime: 0,
+      isKeySyncOn: false
+    }
+  };
+};
+
+
+/**
+ * Measures the frequency of a periodic signal from the times at which it
+ * crosses zero going up, interpolated between samples.
+ * @param {!Float32Array} samples The signal.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @return {number} The frequency, in hertz, or NaN if the signal crosses zero
+ *     fewer than twice.
+ */
+exports.measureFrequency = function(samples, sampleRate) {
+  var firstCrossing = NaN;
+  var lastCrossing = NaN;
+  var crossingCount = 0;
+  for (var i = 1; i < samples.length; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) {
+      var crossing = i - samples[i] / (samples[i] - samples[i - 1]);
+      if (!crossingCount) {
+        firstCrossing = crossing;
+      }
+      lastCrossing = crossing;
+      crossingCount++;
+    }
+  }
+  return crossingCount < 2 ? NaN :
+      (crossingCount - 1) * sampleRate / (lastCrossing - firstCrossing);
+};
+
+
+/**
+ * Gets the largest absolute sample within a stretch of a signal.
+ * @param {!Float32Array} samples The signal.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @param {number} startTime Start of the stretch, in seconds.
+ * @param {number} endTime End of the stretch, in seconds.
+ * @return {number} The peak level.
+ */
+exports.getPeak = function(samples, sampleRate, startTime, endTime) {
+  var peak = 0;
+  var end = Math.min(samples.length, Math.round(endTime * sampleRate));
+  for (var i = Math.round(startTime * sampleRate); i < end; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  return peak;
+};
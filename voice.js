@@ -0,0 +1,611 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A single synthesizer voice: a set of oscillators rendered
+ * through a dedicated low pass filter.
+ */
+goog.provide('doodle.moog.Voice');
+
+goog.require('doodle.moog.CompoundAudioNode');
+goog.require('doodle.moog.LadderFilter');
+goog.require('doodle.moog.Lfo');
+goog.require('doodle.moog.LowPassFilter');
+goog.require('doodle.moog.LowPassFilterInterface');
+goog.require('doodle.moog.ModulationMatrix');
+goog.require('doodle.moog.Oscillator');
+goog.require('doodle.moog.VoiceInterface');
+goog.require('doodle.moog.VoiceProcessor');
+goog.require('doodle.moog.VoiceProcessor.MessageType');
+goog.require('doodle.moog.VoiceRenderer');
+goog.require('doodle.moog.webAudioCompat');
+goog.require('goog.Disposable');
+goog.require('goog.array');
+goog.require('goog.events.EventHandler');
+goog.require('goog.userAgent');
+
+
+
+/**
+ * One voice of a synthesizer.  Each voice owns its own oscillators (and hence
+ * their envelope generators) and its own low pass filter contour, so several
+ * voices can sound different notes at the same time.  A voice can also stack
+ * detuned copies of its oscillators in unison.
+ *
+ * The oscillators are rendered either on the audio thread by an AudioWorklet
+ * processor or, as a fallback, on the main thread by a JavaScript audio node.
+ * @param {!AudioContext} audioContext Audio context in which this voice will
+ *     operate.
+ * @param {!Array.<!doodle.moog.Oscillator>} oscillators The oscillators used
+ *     within this voice.
+ * @param {!doodle.moog.LowPassFilterInterface} lowPassFilter The low pass
+ *     filter used within this voice.
+ * @param {Array.<!doodle.moog.Oscillator>=} opt_panelOscillators Oscillators
+ *     whose settings this voice's oscillators should mirror.  Used by voices
+ *     that are copies of a synthesizer's primary voice so that knob changes on
+ *     the primary voice reach every voice.
+ * @param {boolean=} opt_useAudioWorklet Whether to render on the audio thread.
+ *     The doodle.moog.VoiceProcessor module must already have been added to
+ *     the audio context's worklet.
+ * @constructor
+ * @extends {goog.Disposable}
+ * @implements {doodle.moog.CompoundAudioNode}
+ * @implements {doodle.moog.VoiceInterface}
+ */
+doodle.moog.Voice = function(
+    audioContext, oscillators, lowPassFilter, opt_panelOscillators,
+    opt_useAudioWorklet) {
+  goog.base(this);
+
+  /**
+   * The audio context in which this voice operates.
+   * @type {!AudioContext}
+   * @private
+   */
+  this.audioContext_ = audioContext;
+
+  /**
+   * Oscillators used to generate this voice's sound.  When rendering on the
+   * audio thread, these only hold settings; the processor plays copies of
+   * them.
+   * @type {!Array.<!doodle.moog.Oscillator>}
+   */
+  this.oscillators = oscillators;
+
+  /**
+   * Filter used to cut off high frequencies.
+   * @type {!doodle.moog.LowPassFilterInterface}
+   */
+  this.lowPassFilter = lowPassFilter;
+
+  /**
+   * Oscillators whose settings this voice's oscillators mirror, or null if
+   * this voice's oscillators are controlled directly.
+   * @type {Array.<!doodle.moog.Oscillator>}
+   * @private
+   */
+  this.panelOscillators_ = opt_panelOscillators || null;
+
+  /**
+   * Chromatic index of the note this voice was last asked to play.  Null until
+   * the voice plays its first note.
+   * @type {?number}
+   */
+  this.note = null;
+
+  /**
+   * Sequence number of the key press that last triggered this voice.  Larger
+   * numbers are more recent.
+   * @type {number}
+   */
+  this.triggerIndex = 0;
+
+  /**
+   * Whether the key that triggered this voice is still held down.
+   * @type {boolean}
+   * @private
+   */
+  this.isKeyHeld_ = false;
+
+  /**
+   * Handler for oscillator and filter setting changes that must be forwarded
+   * to the audio thread.
+   * @type {!goog.events.EventHandler}
+   * @private
+   */
+  this.eventHandler_ = new goog.events.EventHandler(this);
+
+  /**
+   * Renders the oscillators on the main thread.  Null when rendering on the
+   * audio thread.
+   * @type {doodle.moog.VoiceRenderer}
+   * @private
+   */
+  this.renderer_ = null;
+
+  /**
+   * Web Audio JavaScript node used by oscillators to generate sound on the main
+   * thread.  Null when rendering on the audio thread.
+   * @type {ScriptProcessorNode}
+   * @private
+   */
+  this.jsAudioNode_ = null;
+
+  /**
+   * AudioWorklet node used by oscillators to generate sound on the audio
+   * thread.  Null when rendering on the main thread.
+   * @type {AudioWorkletNode}
+   * @private
+   */
+  this.workletNode_ = null;
+
+  /**
+   * Scales the filter cutoff modulation output by the AudioWorklet node before
+   * it reaches the filter.  Null when rendering on the main thread or when the
+   * filter can't be modulated.
+   * @type {GainNode}
+   * @private
+   */
+  this.cutoffModulationNode_ = null;
+
+  /**
+   * Whether a panel oscillator's settings have changed since they were last
+   * copied onto this voice's oscillators.  Only used when rendering on the
+   * main thread.
+   * @type {boolean}
+   * @private
+   */
+  this.arePanelSettingsChanged_ = true;
+
+  /**
+   * Whether the processor last reported the voice as sounding.  Only used when
+   * rendering on the audio thread.
+   * @type {boolean}
+   * @private
+   */
+  this.isSounding_ = false;
+
+  /**
+   * The envelope level the processor last reported.  Only used when rendering
+   * on the audio thread.
+   * @type {number}
+   * @private
+   */
+  this.level_ = 0;
+
+  if (opt_useAudioWorklet) {
+    this.initializeWorkletNode_();
+  } else {
+    this.initializeJavaScriptNode_();
+  }
+  this.getSourceNode().connect(this.lowPassFilter.getSourceNode());
+};
+goog.inherits(doodle.moog.Voice, goog.Disposable);
+
+
+/**
+ * How many samples to fill at a time in a JavaScript audio node callback.  A
+ * larger number here will decrease the chance of jitters/gaps at the expense of
+ * control latency.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.Voice.BUFFER_SIZE_ = 1024;
+
+
+/**
+ * Sets up rendering on the main thread.
+ * @private
+ */
+doodle.moog.Voice.prototype.initializeJavaScriptNode_ = function() {
+  this.renderer_ =
+      new doodle.moog.VoiceRenderer(this.audioContext_, this.oscillators);
+  this.renderer_.filterModel = this.lowPassFilter.getLadderModel();
+
+  // Chrome 20+ won't connect a js node with no inputs for some reason.
+  this.jsAudioNode_ = doodle.moog.webAudioCompat.createScriptProcessor(
+      this.audioContext_, doodle.moog.Voice.BUFFER_SIZE_,
+      goog.userAgent.isVersion('20.0') ? 1 : 0, 2);
+  this.jsAudioNode_.onaudioprocess = goog.bind(this.fillAudioBuffer_, this);
+
+  if (this.panelOscillators_) {
+    goog.array.forEach(this.panelOscillators_, function(oscillator) {
+      this.eventHandler_.listen(
+          oscillator, doodle.moog.Oscillator.EventType.SETTINGS_CHANGE,
+          this.handlePanelSettingsChange_);
+    }, this);
+  }
+};
+
+
+/**
+ * Marks the panel oscillators' settings for copying before the next buffer is
+ * rendered.
+ * @private
+ */
+doodle.moog.Voice.prototype.handlePanelSettingsChange_ = function() {
+  this.arePanelSettingsChanged_ = true;
+};
+
+
+/**
+ * Sets up rendering on the audio thread.
+ * @private
+ */
+doodle.moog.Voice.prototype.initializeWorkletNode_ = function() {
+  var settingsSource = this.panelOscillators_ || this.oscillators;
+  var ladderModel = this.lowPassFilter.getLadderModel();
+  var parameterData = {};
+  goog.array.forEach(settingsSource, function(oscillator, i) {
+    var settings = oscillator.getSettings();
+    parameterData[doodle.moog.VoiceProcessor.getVolumeParamName(i)] =
+        settings.volume;
+    parameterData[doodle.moog.VoiceProcessor.getPitchBendParamName(i)] =
+        settings.pitchBend;
+  });
+
+  this.workletNode_ = new AudioWorkletNode(
+      this.audioContext_, doodle.moog.VoiceProcessor.NAME, {
+        numberOfInputs: 0,
+        // Audio, then filter cutoff modulation.
+        numberOfOutputs: 2,
+        outputChannelCount: [2, 1],
+        parameterData: parameterData,
+        processorOptions: {
+          oscillators: goog.array.map(settingsSource, function(oscillator) {
+            return {
+              isModulator: oscillator.isModulator(),
+              settings: oscillator.getSettings()
+            };
+          }),
+          modulationRoutes: doodle.moog.ModulationMatrix.getDefaultRoutes(),
+          lfo: doodle.moog.Lfo.getDefaultSettings(),
+          ladder: ladderModel ? ladderModel.getSettings() : null
+        }
+      });
+  this.workletNode_.port.onmessage =
+      goog.bind(this.handleProcessorMessage_, this);
+
+  var cutoffModulationParam = this.lowPassFilter.getCutoffModulationParam();
+  if (cutoffModulationParam) {
+    this.cutoffModulationNode_ =
+        doodle.moog.webAudioCompat.createGain(this.audioContext_);
+    this.cutoffModulationNode_.gain.value =
+        doodle.moog.LowPassFilter.CUTOFF_MODULATION_RANGE;
+    this.workletNode_.connect(this.cutoffModulationNode_, 1);
+    this.cutoffModulationNode_.connect(cutoffModulationParam);
+  }
+
+  goog.array.forEach(settingsSource, function(oscillator) {
+    this.eventHandler_.listen(
+        oscillator, doodle.moog.Oscillator.EventType.SETTINGS_CHANGE,
+        this.postSettings_);
+  }, this);
+  if (ladderModel) {
+    this.eventHandler_.listen(
+        /** @type {!doodle.moog.LadderFilter} */ (this.lowPassFilter),
+        doodle.moog.LadderFilter.EventType.SETTINGS_CHANGE,
+        this.postLadderSettings_);
+  }
+};
+
+
+/** @inheritDoc */
+doodle.moog.Voice.prototype.disposeInternal = function() {
+  goog.base(this, 'disposeInternal');
+  this.eventHandler_.dispose();
+  if (this.jsAudioNode_) {
+    this.jsAudioNode_.onaudioprocess = null;
+  }
+  if (this.workletNode_) {
+    this.workletNode_.port.onmessage = null;
+    this.workletNode_.port.close();
+  }
+  if (this.cutoffModulationNode_) {
+    this.cutoffModulationNode_.disconnect();
+  }
+  this.getSourceNode().disconnect();
+  this.lowPassFilter.disconnect();
+};
+
+
+/**
+ * Starts playing a note on this voice.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number} triggerIndex Sequence number of the key press.
+ * @param {number=} opt_time Audio context time at which the note starts.
+ *     Defaults to right away.
+ * @override
+ */
+doodle.moog.Voice.prototype.noteOn = function(note, triggerIndex, opt_time) {
+  this.note = note;
+  this.triggerIndex = triggerIndex;
+  this.isKeyHeld_ = true;
+  if (this.renderer_) {
+    this.renderer_.schedule(
+        goog.bind(this.renderer_.noteOn, this.renderer_, note), opt_time);
+  } else {
+    // Assume the voice is sounding until the processor says otherwise, so it
+    // isn't handed out again before the first state report arrives.
+    this.isSounding_ = true;
+    this.postMessage_({
+      type: doodle.moog.VoiceProcessor.MessageType.NOTE_ON,
+      note: note,
+      triggerIndex: triggerIndex,
+      time: opt_time
+    });
+  }
+  // A ladder filter's contour is started by the renderer, on the same sample
+  // as the oscillators' envelopes.
+  if (!this.lowPassFilter.getLadderModel()) {
+    this.lowPassFilter.startAttack(note, opt_time);
+  }
+};
+
+
+/**
+ * Changes the note playing on this voice without retriggering its envelopes.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number=} opt_time Audio context time at which the note changes.
+ *     Defaults to right away.
+ * @override
+ */
+doodle.moog.Voice.prototype.retune = function(note, opt_time) {
+  this.note = note;
+  if (this.renderer_) {
+    this.renderer_.schedule(
+        goog.bind(this.renderer_.retune, this.renderer_, note), opt_time);
+  } else {
+    this.postMessage_({
+      type: doodle.moog.VoiceProcessor.MessageType.RETUNE,
+      note: note,
+      time: opt_time
+    });
+  }
+};
+
+
+/**
+ * Releases the note playing on this voice.
+ * @param {number=} opt_time Audio context time at which the note is released.
+ *     Defaults to right away.
+ * @override
+ */
+doodle.moog.Voice.prototype.noteOff = function(opt_time) {
+  this.isKeyHeld_ = false;
+  if (this.renderer_) {
+    this.renderer_.schedule(
+        goog.bind(this.renderer_.noteOff, this.renderer_), opt_time);
+  } else {
+    this.postMessage_({
+      type: doodle.moog.VoiceProcessor.MessageType.NOTE_OFF,
+      time: opt_time
+    });
+  }
+  if (!this.lowPassFilter.getLadderModel()) {
+    this.lowPassFilter.startRelease(opt_time);
+  }
+};
+
+
+/**
+ * Drops the note events scheduled on this voice for later and releases its
+ * note right away.
+ * @override
+ */
+doodle.moog.Voice.prototype.cancelScheduledNotes = function() {
+  if (this.renderer_) {
+    this.renderer_.cancelScheduledEvents();
+  } else {
+    this.postMessage_({type: doodle.moog.VoiceProcessor.MessageType.CANCEL});
+  }
+  this.noteOff();
+};
+
+
+/**
+ * Stacks copies of this voice's oscillators to be played in unison.  See
+ * doodle.moog.VoiceRenderer#setUnison.
+ * @param {number} count How many copies to play, at least 1.  1 turns unison
+ *     off.
+ * @param {number} detune Distance in cents between the lowest and highest
+ *     copy.
+ * @param {number} stereoSpread How far the outermost copies are panned, in the
+ *     range [0, 1].
+ */
+doodle.moog.Voice.prototype.setUnison = function(count, detune, stereoSpread) {
+  if (this.renderer_) {
+    this.renderer_.setUnison(count, detune, stereoSpread);
+  } else {
+    this.postMessage_({
+      type: doodle.moog.VoiceProcessor.MessageType.UNISON,
+      count: count,
+      detune: detune,
+      stereoSpread: stereoSpread
+    });
+  }
+};
+
+
+/**
+ * Replaces the modulation routes of this voice.  See
+ * doodle.moog.ModulationMatrix#setRoutes.
+ * @param {!Array.<!doodle.moog.ModulationMatrix.Route>} routes The new routes.
+ */
+doodle.moog.Voice.prototype.setModulationRoutes = function(routes) {
+  if (this.renderer_) {
+    this.renderer_.setModulationRoutes(routes);
+  } else {
+    this.postMessage_({
+      type: doodle.moog.VoiceProcessor.MessageType.MODULATION,
+      routes: routes
+    });
+  }
+};
+
+
+/**
+ * Applies settings to this voice's LFO.
+ * @param {!doodle.moog.Lfo.Settings} settings The settings to apply.
+ */
+doodle.moog.Voice.prototype.setLfoSettings = function(settings) {
+  if (this.renderer_) {
+    this.renderer_.lfo.applySettings(settings);
+  } else {
+    this.postMessage_({
+      type: doodle.moog.VoiceProcessor.MessageType.LFO,
+      settings: settings
+    });
+  }
+};
+
+
+/**
+ * @return {boolean} Whether the key that triggered this voice is still held.
+ * @override
+ */
+doodle.moog.Voice.prototype.isKeyHeld = function() {
+  return this.isKeyHeld_;
+};
+
+
+/**
+ * @return {boolean} Whether any of this voice's envelopes are still producing
+ *     sound.
+ * @override
+ */
+doodle.moog.Voice.prototype.isSounding = function() {
+  return this.renderer_ ? this.renderer_.isSounding() : this.isSounding_;
+};
+
+
+/**
+ * Gets how loud this voice currently is, judged by its envelopes.
+ * @return {number} The largest envelope amplitude coefficient among this
+ *     voice's oscillators, in the range [0, 1].
+ * @override
+ */
+doodle.moog.Voice.prototype.getLevel = function() {
+  return this.renderer_ ? this.renderer_.getLevel() : this.level_;
+};
+
+
+/**
+ * Fills the passed audio buffer with tones generated by oscillators.
+ * @param {!AudioProcessingEvent} e The audio process event object.
+ * @private
+ */
+doodle.moog.Voice.prototype.fillAudioBuffer_ = function(e) {
+  if (this.panelOscillators_ && this.arePanelSettingsChanged_) {
+    this.arePanelSettingsChanged_ = false;
+    for (var i = 0; i < this.oscillators.length; i++) {
+      this.oscillators[i].copySettingsFrom(this.panelOscillators_[i]);
+    }
+  }
+
+  var buffer = e.outputBuffer;
+  this.renderer_.render(buffer.getChannelData(0), buffer.getChannelData(1),
+      goog.isNumber(e.playbackTime) ? e.playbackTime :
+      this.audioContext_.currentTime);
+
+  // A JavaScript node has a single output, so cutoff modulation is applied
+  // once per buffer, sampled halfway through it.
+  var cutoffModulation = this.renderer_.cutoffModulation;
+  this.lowPassFilter.setCutoffModulation(cutoffModulation ?
+      cutoffModulation[cutoffModulation.length >> 1] : 0);
+};
+
+
+/**
+ * Sends the current oscillator settings to the audio thread.  Volume and pitch
+ * bend go through AudioParams; everything else goes over the message port.
+ * @private
+ */
+doodle.moog.Voice.prototype.postSettings_ = function() {
+  var now = this.audioContext_.currentTime;
+  var parameters = this.workletNode_.parameters;
+  var settings = goog.array.map(
+      this.panelOscillators_ || this.oscillators, function(oscillator, i) {
+        var oscillatorSettings = oscillator.getSettings();
+        parameters.get(doodle.moog.VoiceProcessor.getVolumeParamName(i)).
+            setValueAtTime(oscillatorSettings.volume, now);
+        parameters.get(doodle.moog.VoiceProcessor.getPitchBendParamName(i)).
+            setValueAtTime(oscillatorSettings.pitchBend, now);
+        return oscillatorSettings;
+      });
+  this.postMessage_({
+    type: doodle.moog.VoiceProcessor.MessageType.SETTINGS,
+    oscillators: settings
+  });
+};
+
+
+/**
+ * Sends the current ladder filter settings to the audio thread.
+ * @private
+ */
+doodle.moog.Voice.prototype.postLadderSettings_ = function() {
+  this.postMessage_({
+    type: doodle.moog.VoiceProcessor.MessageType.LADDER,
+    settings: this.lowPassFilter.getLadderModel().getSettings()
+  });
+};
+
+
+/**
+ * Sends a message to the audio thread processor.
+ * @param {!Object} message The message to send.
+ * @private
+ */
+doodle.moog.Voice.prototype.postMessage_ = function(message) {
+  this.workletNode_.port.postMessage(message);
+};
+
+
+/**
+ * Handles a message from the audio thread processor.
+ * @param {!MessageEvent} e The message event.
+ * @private
+ */
+doodle.moog.Voice.prototype.handleProcessorMessage_ = function(e) {
+  var data = e.data;
+  // Reports about earlier key presses are stale; the voice has since been
+  // retriggered.
+  if (data.type == doodle.moog.VoiceProcessor.MessageType.STATE &&
+      data.triggerIndex == this.triggerIndex) {
+    this.isSounding_ = data.isSounding;
+    this.level_ = data.level;
+  }
+};
+
+
+/** @override */
+doodle.moog.Voice.prototype.getSourceNode = function() {
+  return /** @type {!AudioNode} */ (this.workletNode_ || this.jsAudioNode_);
+};
+
+
+/** @override */
+doodle.moog.Voice.prototype.connect = function(destination) {
+  this.lowPassFilter.connect(destination);
+};
+
+
+/** @override */
+doodle.moog.Voice.prototype.disconnect = function() {
+  this.lowPassFilter.disconnect();
+};
@@ -0,0 +1,100 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Interface for the voices to which key presses are assigned.
+ */
+goog.provide('doodle.moog.VoiceInterface');
+
+
+
+/**
+ * A synthesizer voice, as seen by doodle.moog.KeyAssigner.
+ * @interface
+ */
+doodle.moog.VoiceInterface = function() {};
+
+
+/**
+ * Chromatic index of the note this voice was last asked to play.  Null until
+ * the voice plays its first note.
+ * @type {?number}
+ */
+doodle.moog.VoiceInterface.prototype.note;
+
+
+/**
+ * Sequence number of the key press that last triggered this voice.  Larger
+ * numbers are more recent.
+ * @type {number}
+ */
+doodle.moog.VoiceInterface.prototype.triggerIndex;
+
+
+/**
+ * Starts playing a note on this voice.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number} triggerIndex Sequence number of the key press.
+ * @param {number=} opt_time Time at which the note starts.  Defaults to right
+ *     away.
+ */
+doodle.moog.VoiceInterface.prototype.noteOn = function(
+    note, triggerIndex, opt_time) {};
+
+
+/**
+ * Changes the note playing on this voice without retriggering its envelopes.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ * @param {number=} opt_time Time at which the note changes.  Defaults to right
+ *     away.
+ */
+doodle.moog.VoiceInterface.prototype.retune = function(note, opt_time) {};
+
+
+/**
+ * Releases the note playing on this voice.
+ * @param {number=} opt_time Time at which the note is released.  Defaults to
+ *     right away.
+ */
+doodle.moog.VoiceInterface.prototype.noteOff = function(opt_time) {};
+
+
+/**
+ * Drops the note events scheduled on this voice for later and releases its
+ * note right away.
+ */
+doodle.moog.VoiceInterface.prototype.cancelScheduledNotes = function() {};
+
+
+/**
+ * @return {boolean} Whether the key that triggered this voice is still held.
+ */
+doodle.moog.VoiceInterface.prototype.isKeyHeld = function() {};
+
+
+/**
+ * @return {boolean} Whether any of this voice's envelopes are still producing
+ *     sound.
+ */
+doodle.moog.VoiceInterface.prototype.isSounding = function() {};
+
+
+/**
+ * Gets how loud this voice currently is, judged by its envelopes.
+ * @return {number} The largest envelope amplitude coefficient among this
+ *     voice's oscillators, in the range [0, 1].
+ */
+doodle.moog.VoiceInterface.prototype.getLevel = function() {};
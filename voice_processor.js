@@ -0,0 +1,356 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview AudioWorklet processor that renders a synthesizer voice on the
+ * audio thread.
+ *
+ * This file is loaded on both threads.  On the main thread only its constants
+ * are used.  To run it on the audio thread, compile it (and its dependencies)
+ * into a single script with Closure Compiler and point
+ * doodle.moog.Moog.AUDIO_WORKLET_MODULE_URL at the result.
+ */
+goog.provide('doodle.moog.VoiceProcessor');
+goog.provide('doodle.moog.VoiceProcessor.MessageType');
+
+goog.require('doodle.moog.LadderModel');
+goog.require('doodle.moog.Oscillator');
+goog.require('doodle.moog.OscillatorInterface');
+goog.require('doodle.moog.VoiceRenderer');
+goog.require('goog.array');
+
+
+
+/**
+ * An AudioWorklet processor that renders a single synthesizer voice.  Note
+ * events and switch settings arrive over the message port; oscillator volume
+ * and pitch bend arrive as AudioParams.  The processor reports back how loud
+ * the voice is so the main thread can allocate voices.
+ *
+ * Only the browser constructs this, inside an AudioWorkletGlobalScope.
+ * @param {!Object} options The AudioWorkletNode options.  Their
+ *     processorOptions must be a doodle.moog.VoiceProcessor.Options object.
+ * @constructor
+ * @extends {AudioWorkletProcessor}
+ */
+doodle.moog.VoiceProcessor = function(options) {
+  // AudioWorkletProcessor is a native class that can't be called as a plain
+  // function, so construct through Reflect instead of goog.base.
+  var self = Reflect.construct(
+      AudioWorkletProcessor, [options], doodle.moog.VoiceProcessor);
+  var processorOptions =
+      /** @type {!doodle.moog.VoiceProcessor.Options} */ (
+          options.processorOptions);
+  var context = {sampleRate: sampleRate};
+  if (processorOptions.oscillators.length >
+      doodle.moog.OscillatorInterface.VOICE_OSCILLATOR_COUNT) {
+    throw Error('A voice processor has AudioParams for at most ' +
+        doodle.moog.OscillatorInterface.VOICE_OSCILLATOR_COUNT +
+        ' oscillators.');
+  }
+
+  var oscillators =
+      goog.array.map(processorOptions.oscillators, function(oscillator) {
+        return doodle.moog.Oscillator.fromSettings(
+            context, oscillator.isModulator, oscillator.settings);
+      });
+
+  /**
+   * Renders the oscillators of this voice.
+   * @type {!doodle.moog.VoiceRenderer}
+   * @private
+   */
+  self.renderer_ = new doodle.moog.VoiceRenderer(context, oscillators);
+  self.renderer_.setModulationRoutes(processorOptions.modulationRoutes);
+  self.renderer_.lfo.applySettings(processorOptions.lfo);
+  if (processorOptions.ladder) {
+    self.renderer_.filterModel =
+        new doodle.moog.LadderModel(context, processorOptions.ladder);
+  }
+
+  /**
+   * The AudioParam values most recently applied to each oscillator, as
+   * [volume, pitch bend] pairs.  Used to skip redundant updates.
+   * @type {!Float32Array}
+   * @private
+   */
+  self.appliedParamValues_ =
+      new Float32Array(2 * processorOptions.oscillators.length);
+  for (var i = 0; i < processorOptions.oscillators.length; i++) {
+    self.appliedParamValues_[2 * i] =
+        processorOptions.oscillators[i].settings.volume;
+    self.appliedParamValues_[2 * i + 1] =
+        processorOptions.oscillators[i].settings.pitchBend;
+  }
+
+  /**
+   * Sequence number of the key press that last triggered this voice, echoed in
+   * state reports so the main thread can discard stale ones.
+   * @type {number}
+   * @private
+   */
+  self.triggerIndex_ = 0;
+
+  /**
+   * How many more blocks to render before reporting state to the main thread.
+   * @type {number}
+   * @private
+   */
+  self.blocksUntilReport_ = 0;
+
+  /**
+   * Whether the voice was sounding at the last state report.
+   * @type {boolean}
+   * @private
+   */
+  self.wasSounding_ = false;
+
+  self.port.onmessage = goog.bind(self.handleMessage_, self);
+  return self;
+};
+
+
+/**
+ * Name under which the processor is registered.
+ * @type {string}
+ * @const
+ */
+doodle.moog.VoiceProcessor.NAME = 'doodle-moog-voice';
+
+
+/**
+ * How many render blocks pass between state reports.  8 blocks of 128 samples
+ * matches the granularity of the old JavaScript audio node buffers.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.VoiceProcessor.REPORT_INTERVAL_ = 8;
+
+
+/**
+ * Options the main thread passes to a new processor.  ladder holds the
+ * settings of the voice's ladder filter, or null if the voice isn't filtered
+ * by one.
+ * @typedef {{
+ *   oscillators: !Array.<{
+ *     isModulator: boolean,
+ *     settings: !doodle.moog.Oscillator.Settings
+ *   }>,
+ *   modulationRoutes: !Array.<!doodle.moog.ModulationMatrix.Route>,
+ *   lfo: !doodle.moog.Lfo.Settings,
+ *   ladder: doodle.moog.LadderModel.Settings
+ * }}
+ */
+doodle.moog.VoiceProcessor.Options;
+
+
+/**
+ * Types of messages exchanged with a processor over its message port.
+ * @enum {string}
+ */
+doodle.moog.VoiceProcessor.MessageType = {
+  // Main thread to processor: {note, triggerIndex, time}.  Note events take
+  // effect at the audio context time given, or right away if it's undefined.
+  NOTE_ON: 'noteon',
+  // Main thread to processor: {note, time}.
+  RETUNE: 'retune',
+  // Main thread to processor: {time}.
+  NOTE_OFF: 'noteoff',
+  // Main thread to processor: {}.  Drops the note events scheduled for later.
+  CANCEL: 'cancel',
+  // Main thread to processor: {oscillators: Array.<Oscillator.Settings>}.
+  SETTINGS: 'settings',
+  // Main thread to processor: {count, detune, stereoSpread}.
+  UNISON: 'unison',
+  // Main thread to processor: {routes: Array.<ModulationMatrix.Route>}.
+  MODULATION: 'modulation',
+  // Main thread to processor: {settings: Lfo.Settings}.
+  LFO: 'lfo',
+  // Main thread to processor: {settings: LadderModel.Settings}.
+  LADDER: 'ladder',
+  // Processor to main thread: {triggerIndex, level, isSounding}.
+  STATE: 'state'
+};
+
+
+/**
+ * Gets the name of the AudioParam controlling an oscillator's volume.
+ * @param {number} index Index of the oscillator.
+ * @return {string} The AudioParam name.
+ */
+doodle.moog.VoiceProcessor.getVolumeParamName = function(index) {
+  return 'volume' + index;
+};
+
+
+/**
+ * Gets the name of the AudioParam controlling an oscillator's pitch bend.
+ * @param {number} index Index of the oscillator.
+ * @return {string} The AudioParam name.
+ */
+doodle.moog.VoiceProcessor.getPitchBendParamName = function(index) {
+  return 'pitchBend' + index;
+};
+
+
+/**
+ * The AudioParams of the processor, read by the browser at registration.  One
+ * volume and one pitch bend parameter per oscillator of a voice.
+ * @type {!Array.<!Object>}
+ */
+doodle.moog.VoiceProcessor.parameterDescriptors = goog.array.flatten(
+    goog.array.map(goog.array.range(
+        doodle.moog.OscillatorInterface.VOICE_OSCILLATOR_COUNT), function(i) {
+      return [{
+        name: doodle.moog.VoiceProcessor.getVolumeParamName(i),
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate'
+      }, {
+        name: doodle.moog.VoiceProcessor.getPitchBendParamName(i),
+        defaultValue: 0,
+        minValue: -1,
+        maxValue: 1,
+        automationRate: 'k-rate'
+      }];
+    }));
+
+
+/**
+ * Renders one block of samples.
+ * @param {!Array.<!Array.<!Float32Array>>} inputs Unused; the processor has no
+ *     inputs.
+ * @param {!Array.<!Array.<!Float32Array>>} outputs The output channels to fill:
+ *     stereo audio, then monaural filter cutoff modulation.
+ * @param {!Object.<string, !Float32Array>} parameters Current AudioParam
+ *     values, keyed by name.
+ * @return {boolean} Always true, to keep the processor alive.
+ */
+doodle.moog.VoiceProcessor.prototype.process = function(
+    inputs, outputs, parameters) {
+  var oscillators = this.renderer_.oscillators;
+  for (var i = 0; i < oscillators.length; i++) {
+    var volume =
+        parameters[doodle.moog.VoiceProcessor.getVolumeParamName(i)][0];
+    var pitchBend =
+        parameters[doodle.moog.VoiceProcessor.getPitchBendParamName(i)][0];
+    if (volume != this.appliedParamValues_[2 * i]) {
+      this.appliedParamValues_[2 * i] = volume;
+      oscillators[i].setVolume(volume);
+    }
+    if (pitchBend != this.appliedParamValues_[2 * i + 1]) {
+      this.appliedParamValues_[2 * i + 1] = pitchBend;
+      oscillators[i].setPitchBend(pitchBend);
+    }
+  }
+
+  var output = outputs[0];
+  this.renderer_.render(output[0], output[1] || null, currentTime);
+  // Outputs start out silent, so there's nothing to do if nothing modulates
+  // the filter cutoff.
+  var cutoffModulation = this.renderer_.cutoffModulation;
+  if (cutoffModulation && outputs[1]) {
+    outputs[1][0].set(cutoffModulation);
+  }
+  this.reportState_();
+  return true;
+};
+
+
+/**
+ * Handles a message from the main thread.
+ * @param {!MessageEvent} e The message event.
+ * @private
+ */
+doodle.moog.VoiceProcessor.prototype.handleMessage_ = function(e) {
+  var data = e.data;
+  switch (data.type) {
+    case doodle.moog.VoiceProcessor.MessageType.NOTE_ON:
+      this.renderer_.schedule(goog.bind(function() {
+        this.triggerIndex_ = data.triggerIndex;
+        this.renderer_.noteOn(data.note);
+      }, this), data.time);
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.RETUNE:
+      this.renderer_.schedule(goog.bind(
+          this.renderer_.retune, this.renderer_, data.note), data.time);
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.NOTE_OFF:
+      this.renderer_.schedule(
+          goog.bind(this.renderer_.noteOff, this.renderer_), data.time);
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.CANCEL:
+      this.renderer_.cancelScheduledEvents();
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.SETTINGS:
+      goog.array.forEach(this.renderer_.oscillators, function(oscillator, i) {
+        oscillator.applySettings(data.oscillators[i]);
+      });
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.UNISON:
+      this.renderer_.setUnison(data.count, data.detune, data.stereoSpread);
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.MODULATION:
+      this.renderer_.setModulationRoutes(data.routes);
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.LFO:
+      this.renderer_.lfo.applySettings(data.settings);
+      break;
+    case doodle.moog.VoiceProcessor.MessageType.LADDER:
+      // A voice created without a ladder filter gets one from its first
+      // settings.
+      if (this.renderer_.filterModel) {
+        this.renderer_.filterModel.applySettings(data.settings);
+      } else {
+        this.renderer_.filterModel = new doodle.moog.LadderModel(
+            {sampleRate: sampleRate}, data.settings);
+      }
+      break;
+  }
+};
+
+
+/**
+ * Periodically tells the main thread how loud the voice is.  Nothing is sent
+ * while the voice stays silent.
+ * @private
+ */
+doodle.moog.VoiceProcessor.prototype.reportState_ = function() {
+  if (--this.blocksUntilReport_ > 0) {
+    return;
+  }
+  this.blocksUntilReport_ = doodle.moog.VoiceProcessor.REPORT_INTERVAL_;
+
+  var isSounding = this.renderer_.isSounding();
+  if (isSounding || this.wasSounding_) {
+    this.port.postMessage({
+      type: doodle.moog.VoiceProcessor.MessageType.STATE,
+      triggerIndex: this.triggerIndex_,
+      level: this.renderer_.getLevel(),
+      isSounding: isSounding
+    });
+  }
+  this.wasSounding_ = isSounding;
+};
+
+
+if (typeof registerProcessor == 'function') {
+  Object.setPrototypeOf(
+      doodle.moog.VoiceProcessor.prototype, AudioWorkletProcessor.prototype);
+  Object.setPrototypeOf(doodle.moog.VoiceProcessor, AudioWorkletProcessor);
+  registerProcessor(
+      doodle.moog.VoiceProcessor.NAME, doodle.moog.VoiceProcessor);
+}
@@ -0,0 +1,593 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Renders the oscillators of a single synthesizer voice into
+ * sample buffers.
+ */
+goog.provide('doodle.moog.VoiceRenderer');
+
+goog.require('doodle.moog.FilterModelInterface');
+goog.require('doodle.moog.Lfo');
+goog.require('doodle.moog.ModulationMatrix');
+goog.require('doodle.moog.ModulationMatrix.Destination');
+goog.require('doodle.moog.ModulationMatrix.SourceType');
+goog.require('doodle.moog.OscillatorInterface');
+goog.require('goog.array');
+
+
+
+/**
+ * Renders the oscillators of a single synthesizer voice, including any stacked
+ * unison copies of them, into sample buffers.  Holds no Web Audio nodes, so it
+ * can run on the main thread inside a JavaScript audio node or on the audio
+ * thread inside an AudioWorklet.
+ * @param {{sampleRate: number}} audioContext Audio context to which this
+ *     renderer will be bound.  Only its sample rate is used.
+ * @param {!Array.<!doodle.moog.Oscillator>} oscillators The oscillators to
+ *     render.
+ * @constructor
+ */
+doodle.moog.VoiceRenderer = function(audioContext, oscillators) {
+  /**
+   * Oscillators used to generate this voice's sound.
+   * @type {!Array.<!doodle.moog.Oscillator>}
+   */
+  this.oscillators = oscillators;
+
+  /**
+   * Low frequency oscillator available as a modulation source.  Shared by
+   * every unison layer.
+   * @type {!doodle.moog.Lfo}
+   */
+  this.lfo = new doodle.moog.Lfo(audioContext);
+
+  /**
+   * Sample rate of the audio context, used to place scheduled events.
+   * @type {number}
+   * @private
+   */
+  this.sampleRate_ = audioContext.sampleRate;
+
+  /**
+   * Events waiting for rendering to reach their time, in time order.
+   * @type {!Array.<!doodle.moog.VoiceRenderer.ScheduledEvent_>}
+   * @private
+   */
+  this.scheduledEvents_ = [];
+
+  /**
+   * Chromatic index of the note being rendered.
+   * @type {number}
+   * @private
+   */
+  this.note_ = 0;
+
+  /**
+   * Whether the note being rendered is still held down.
+   * @type {boolean}
+   * @private
+   */
+  this.isKeyHeld_ = false;
+
+  /**
+   * The stacked copies of the oscillators played in unison.  The first layer
+   * always plays this.oscillators; other layers mirror its settings.
+   * @type {!Array.<!doodle.moog.VoiceRenderer.UnisonLayer_>}
+   * @private
+   */
+  this.unisonLayers_ = [{
+    oscillators: oscillators,
+    settingsVersions: [],
+    leftGain: 1,
+    rightGain: 1
+  }];
+
+  /**
+   * Scratch buffer into which each unison layer is rendered before being
+   * panned into the output.  Allocated on first use.
+   * @type {Float32Array}
+   * @private
+   */
+  this.layerSamples_ = null;
+
+  /**
+   * Routes modulation signals between the oscillators and the filter.
+   * @type {!doodle.moog.ModulationMatrix}
+   * @private
+   */
+  this.modulationMatrix_ = new doodle.moog.ModulationMatrix(oscillators.length);
+
+  /**
+   * Copies of the routes in the modulation matrix, kept to avoid copying them
+   * on every render.
+   * @type {!Array.<!doodle.moog.ModulationMatrix.Route>}
+   * @private
+   */
+  this.modulationRoutes_ = [];
+
+  /**
+   * Buffers into which the modulation of each destination is mixed, keyed by
+   * destination and oscillator index.  Allocated on first use.
+   * @type {!Object.<string, !Float32Array>}
+   * @private
+   */
+  this.modulationBuffers_ = {};
+
+  /**
+   * White noise for modulation routes to use.  Null unless a route uses noise.
+   * @type {Float32Array}
+   * @private
+   */
+  this.noiseSignal_ = null;
+
+  /**
+   * The filter cutoff modulation amount of each sample rendered last, or null
+   * if nothing modulates the filter cutoff.
+   * @type {Float32Array}
+   */
+  this.cutoffModulation = null;
+
+  /**
+   * Buffer into which the cutoff modulation of a block is gathered when
+   * scheduled events split it.  Allocated on first use.
+   * @type {Float32Array}
+   * @private
+   */
+  this.blockCutoffModulation_ = null;
+
+  /**
+   * Filter model that filters the rendered samples, or null if the voice is
+   * filtered by Web Audio nodes after rendering.
+   * @type {doodle.moog.FilterModelInterface}
+   */
+  this.filterModel = null;
+
+  this.setModulationRoutes(doodle.moog.ModulationMatrix.getDefaultRoutes());
+};
+
+
+/**
+ * A stacked copy of a voice's oscillators, along with how loudly it feeds each
+ * output channel.  settingsVersions holds the settings version of each of the
+ * voice's oscillators when its settings were last copied onto the layer.
+ * @typedef {{
+ *   oscillators: !Array.<!doodle.moog.Oscillator>,
+ *   settingsVersions: !Array.<number>,
+ *   leftGain: number,
+ *   rightGain: number
+ * }}
+ * @private
+ */
+doodle.moog.VoiceRenderer.UnisonLayer_;
+
+
+/**
+ * A function to call once rendering reaches an audio context time.
+ * @typedef {{
+ *   time: number,
+ *   callback: function()
+ * }}
+ * @private
+ */
+doodle.moog.VoiceRenderer.ScheduledEvent_;
+
+
+/**
+ * Calls a function, typically a note event, once rendering reaches a given
+ * time.  The block that time falls in is split at the matching sample, so the
+ * event lands exactly on time however large the blocks are.
+ * @param {function()} callback The function to call.
+ * @param {number=} opt_time Audio context time at which to call it.  If
+ *     omitted, it is called right away; times already rendered are called at
+ *     the start of the next block.
+ */
+doodle.moog.VoiceRenderer.prototype.schedule = function(callback, opt_time) {
+  if (!goog.isDef(opt_time)) {
+    callback();
+    return;
+  }
+  // Events scheduled for the same time keep the order they were scheduled in.
+  var events = this.scheduledEvents_;
+  var i = events.length;
+  while (i > 0 && events[i - 1].time > opt_time) {
+    i--;
+  }
+  goog.array.insertAt(events, {time: opt_time, callback: callback}, i);
+};
+
+
+/**
+ * Drops every event scheduled for later.
+ */
+doodle.moog.VoiceRenderer.prototype.cancelScheduledEvents = function() {
+  goog.array.clear(this.scheduledEvents_);
+};
+
+
+/**
+ * Starts playing a note, retriggering the envelopes.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ */
+doodle.moog.VoiceRenderer.prototype.noteOn = function(note) {
+  this.note_ = note;
+  this.isKeyHeld_ = true;
+  this.lfo.trigger();
+  this.forEachOscillator_(function(oscillator) {
+    oscillator.setActiveNote(note);
+    oscillator.envelopeGenerator.startAttack();
+  });
+  if (this.filterModel) {
+    this.filterModel.startAttack(note);
+  }
+};
+
+
+/**
+ * Changes the note being played without retriggering the envelopes.
+ * @param {number} note Chromatic index of the note to be played relative to
+ *     the beginning of the keyboard.
+ */
+doodle.moog.VoiceRenderer.prototype.retune = function(note) {
+  this.note_ = note;
+  this.forEachOscillator_(function(oscillator) {
+    oscillator.setActiveNote(note);
+  });
+};
+
+
+/**
+ * Releases the note being played.
+ */
+doodle.moog.VoiceRenderer.prototype.noteOff = function() {
+  this.isKeyHeld_ = false;
+  this.forEachOscillator_(function(oscillator) {
+    oscillator.envelopeGenerator.startRelease();
+  });
+  if (this.filterModel) {
+    this.filterModel.startRelease();
+  }
+};
+
+
+/**
+ * @return {boolean} Whether any of the envelopes are still producing sound,
+ *     or a note event is scheduled for later.
+ */
+doodle.moog.VoiceRenderer.prototype.isSounding = function() {
+  return this.scheduledEvents_.length > 0 ||
+      goog.array.some(this.oscillators, function(oscillator) {
+        return oscillator.envelopeGenerator.isActive();
+      });
+};
+
+
+/**
+ * Gets how loud the voice currently is, judged by its envelopes.
+ * @return {number} The largest envelope amplitude coefficient among the
+ *     oscillators, in the range [0, 1].
+ */
+doodle.moog.VoiceRenderer.prototype.getLevel = function() {
+  var level = 0;
+  goog.array.forEach(this.oscillators, function(oscillator) {
+    level = Math.max(
+        level, oscillator.envelopeGenerator.getAmplitudeCoefficient());
+  });
+  return level;
+};
+
+
+/**
+ * Stacks copies of the oscillators to be played in unison.  Copies are detuned
+ * evenly across the detune spread and panned evenly across the stereo spread.
+ * The output of each copy is scaled down by the number of copies so the stack
+ * never clips.
+ * @param {number} count How many copies to play, at least 1.  1 turns unison
+ *     off.
+ * @param {number} detune Distance in cents between the lowest and highest
+ *     copy.
+ * @param {number} stereoSpread How far the outermost copies are panned, in the
+ *     range [0, 1].  0 keeps every copy centered; 1 pans them hard left/right.
+ */
+doodle.moog.VoiceRenderer.prototype.setUnison = function(
+    count, detune, stereoSpread) {
+  while (this.unisonLayers_.length > count) {
+    this.unisonLayers_.pop();
+  }
+  while (this.unisonLayers_.length < count) {
+    var oscillators = goog.array.map(this.oscillators, function(oscillator, i) {
+      var copy = oscillator.clone();
+      copy.setActiveNote(this.note_);
+      copy.setModulationSource(this.modulationMatrix_.isSource(i));
+      if (this.isKeyHeld_) {
+        copy.envelopeGenerator.startAttack();
+      }
+      return copy;
+    }, this);
+    this.unisonLayers_.push({
+      oscillators: oscillators,
+      settingsVersions: goog.array.map(this.oscillators, function(oscillator) {
+        return oscillator.getSettingsVersion();
+      }),
+      leftGain: 1,
+      rightGain: 1
+    });
+  }
+
+  goog.array.forEach(this.unisonLayers_, function(layer, i) {
+    // Position of this copy within the stack, in the range [-1, 1].
+    var position = count > 1 ? 2 * i / (count - 1) - 1 : 0;
+    goog.array.forEach(layer.oscillators, function(oscillator) {
+      oscillator.setDetune(position * detune / 2);
+    });
+    var pan = position * stereoSpread;
+    layer.leftGain = Math.min(1, 1 - pan);
+    layer.rightGain = Math.min(1, 1 + pan);
+  });
+};
+
+
+/**
+ * Replaces the modulation routes.  See doodle.moog.ModulationMatrix#setRoutes.
+ * @param {!Array.<!doodle.moog.ModulationMatrix.Route>} routes The new routes.
+ */
+doodle.moog.VoiceRenderer.prototype.setModulationRoutes = function(routes) {
+  this.modulationMatrix_.setRoutes(routes);
+  this.modulationRoutes_ = this.modulationMatrix_.getRoutes();
+  goog.array.forEach(this.unisonLayers_, function(layer) {
+    goog.array.forEach(layer.oscillators, function(oscillator, i) {
+      oscillator.setModulationSource(this.modulationMatrix_.isSource(i));
+    }, this);
+  }, this);
+};
+
+
+/**
+ * Renders the next block of samples, calling the scheduled events that fall
+ * within it as their samples are reached.
+ * @param {!Float32Array} right The right (or only) channel to fill.
+ * @param {Float32Array} left The left channel to fill, or null if the output
+ *     is monaural.
+ * @param {number} time Audio context time of the block's first sample.
+ */
+doodle.moog.VoiceRenderer.prototype.render = function(right, left, time) {
+  var length = right.length;
+  var start = 0;
+  var isSplit = false;
+  var isCutoffModulated = false;
+  while (start < length) {
+    var event = this.scheduledEvents_[0];
+    var offset = event ?
+        Math.round((event.time - time) * this.sampleRate_) : length;
+    var end = offset < length ? Math.max(start, offset) : length;
+
+    if (end - start == length) {
+      this.renderSlice_(right, left);
+    } else if (end > start) {
+      // NOTE: Rendering a slice reallocates the scratch buffers sized to the
+      // block, which is fine at the rate note events come in.
+      this.renderSlice_(
+          right.subarray(start, end), left && left.subarray(start, end));
+      if (!this.blockCutoffModulation_ ||
+          this.blockCutoffModulation_.length != length) {
+        this.blockCutoffModulation_ = new Float32Array(length);
+      }
+      if (this.cutoffModulation) {
+        this.blockCutoffModulation_.set(this.cutoffModulation, start);
+        isCutoffModulated = true;
+      } else {
+        for (var i = start; i < end; i++) {
+          this.blockCutoffModulation_[i] = 0;
+        }
+      }
+      isSplit = true;
+    }
+    start = end;
+
+    if (offset < length) {
+      this.scheduledEvents_.shift().callback();
+    }
+  }
+
+  if (isSplit) {
+    this.cutoffModulation =
+        isCutoffModulated ? this.blockCutoffModulation_ : null;
+  }
+};
+
+
+/**
+ * Renders a run of samples without any note events in it.
+ * @param {!Float32Array} right The right (or only) channel to fill.
+ * @param {Float32Array} left The left channel to fill, or null if the output
+ *     is monaural.
+ * @private
+ */
+doodle.moog.VoiceRenderer.prototype.renderSlice_ = function(right, left) {
+  if (!this.layerSamples_ || this.layerSamples_.length != right.length) {
+    this.layerSamples_ = new Float32Array(right.length);
+  }
+  this.fillNoiseSignal_(right.length);
+  this.lfo.fillSignal(right.length);
+
+  var layerCount = this.unisonLayers_.length;
+  for (var i = 0; i < layerCount; i++) {
+    var layer = this.unisonLayers_[i];
+    if (i > 0) {
+      for (var k = 0; k < layer.oscillators.length; k++) {
+        var settingsVersion = this.oscillators[k].getSettingsVersion();
+        if (layer.settingsVersions[k] != settingsVersion) {
+          layer.settingsVersions[k] = settingsVersion;
+          layer.oscillators[k].copySettingsFrom(this.oscillators[k]);
+        }
+      }
+    }
+    this.fillLayerSamples_(layer.oscillators, this.layerSamples_);
+    if (i == 0) {
+      // The voice has a single filter, so only the first layer modulates it.
+      this.cutoffModulation = this.mixModulation_(
+          layer.oscillators,
+          doodle.moog.ModulationMatrix.Destination.FILTER_CUTOFF, 0,
+          right.length);
+    }
+
+    var leftGain = layer.leftGain / layerCount;
+    var rightGain = layer.rightGain / layerCount;
+    for (var j = 0; j < right.length; j++) {
+      var sample = this.layerSamples_[j];
+      right[j] = (i == 0 ? 0 : right[j]) + sample * rightGain;
+      if (left) {
+        left[j] = (i == 0 ? 0 : left[j]) + sample * leftGain;
+      }
+    }
+  }
+
+  if (this.filterModel) {
+    this.filterModel.process(right, left, this.cutoffModulation);
+  }
+};
+
+
+/**
+ * Calls a function for every oscillator in every unison layer.
+ * @param {function(!doodle.moog.Oscillator)} f The function to call.
+ * @private
+ */
+doodle.moog.VoiceRenderer.prototype.forEachOscillator_ = function(f) {
+  goog.array.forEach(this.unisonLayers_, function(layer) {
+    goog.array.forEach(layer.oscillators, f);
+  });
+};
+
+
+/**
+ * Fills the noise signal if any modulation route uses it.
+ * @param {number} length How many samples to fill.
+ * @private
+ */
+doodle.moog.VoiceRenderer.prototype.fillNoiseSignal_ = function(length) {
+  if (!this.modulationMatrix_.usesSourceType(
+          doodle.moog.ModulationMatrix.SourceType.NOISE)) {
+    this.noiseSignal_ = null;
+    return;
+  }
+  if (!this.noiseSignal_ || this.noiseSignal_.length != length) {
+    this.noiseSignal_ = new Float32Array(length);
+  }
+  for (var i = 0; i < length; i++) {
+    this.noiseSignal_[i] = 2 * Math.random() - 1;
+  }
+};
+
+
+/**
+ * Fills a sample buffer with the mixed tone of a set of oscillators.
+ * @param {!Array.<!doodle.moog.Oscillator>} oscillators The oscillators to mix.
+ * @param {!Float32Array} samples The sample buffer to fill.
+ * @private
+ */
+doodle.moog.VoiceRenderer.prototype.fillLayerSamples_ = function(
+    oscillators, samples) {
+  var destinations = doodle.moog.ModulationMatrix.Destination;
+  var fillModes = doodle.moog.OscillatorInterface.FillMode;
+
+  // NOTE: Oscillators are filled in an order where modulation sources come
+  // before the oscillators depending on their control signals.
+  var fillOrder = this.modulationMatrix_.getFillOrder();
+  for (var i = 0; i < fillOrder.length; i++) {
+    var index = fillOrder[i];
+    var fillMode = i == 0 ? fillModes.CLOBBER :
+        i == fillOrder.length - 1 ? fillModes.MIX : fillModes.ADD;
+    oscillators[index].fillSamples(samples, {
+      pitch: this.mixModulation_(
+          oscillators, destinations.PITCH, index, samples.length),
+      volume: this.mixModulation_(
+          oscillators, destinations.VOLUME, index, samples.length),
+      pulseWidth: this.mixModulation_(
+          oscillators, destinations.PULSE_WIDTH, index, samples.length)
+    }, fillMode, oscillators.length);
+  }
+};
+
+
+/**
+ * Mixes the signals of every route to a destination.
+ * @param {!Array.<!doodle.moog.Oscillator>} oscillators The oscillators
+ *     providing the source signals.
+ * @param {doodle.moog.ModulationMatrix.Destination} destination The
+ *     destination to mix signals for.
+ * @param {number} destinationIndex Index of the oscillator to mix signals for.
+ *     Ignored for the filter cutoff.
+ * @param {number} length How many samples to mix.
+ * @return {Float32Array} The mixed modulation amounts, or null if nothing
+ *     modulates the destination.
+ * @private
+ */
+doodle.moog.VoiceRenderer.prototype.mixModulation_ = function(
+    oscillators, destination, destinationIndex, length) {
+  var isOscillatorDestination =
+      doodle.moog.ModulationMatrix.isOscillatorDestination(destination);
+  var modulation = null;
+  for (var i = 0; i < this.modulationRoutes_.length; i++) {
+    var route = this.modulationRoutes_[i];
+    if (route.destination != destination ||
+        isOscillatorDestination && route.destinationIndex != destinationIndex) {
+      continue;
+    }
+    var signal = this.getSourceSignal_(oscillators, route);
+    if (!signal || signal.length != length) {
+      continue;
+    }
+
+    if (!modulation) {
+      var key = destination + ':' + destinationIndex;
+      modulation = this.modulationBuffers_[key];
+      if (!modulation || modulation.length != length) {
+        modulation = this.modulationBuffers_[key] = new Float32Array(length);
+      }
+      for (var j = 0; j < length; j++) {
+        modulation[j] = 0;
+      }
+    }
+    for (j = 0; j < length; j++) {
+      modulation[j] += route.depth * signal[j];
+    }
+  }
+  return modulation;
+};
+
+
+/**
+ * Gets the signal of a route's source.
+ * @param {!Array.<!doodle.moog.Oscillator>} oscillators The oscillators
+ *     providing the source signals.
+ * @param {!doodle.moog.ModulationMatrix.Route} route The route.
+ * @return {Float32Array} The signal, or null if it hasn't been generated yet.
+ * @private
+ */
+doodle.moog.VoiceRenderer.prototype.getSourceSignal_ = function(
+    oscillators, route) {
+  switch (route.source) {
+    case doodle.moog.ModulationMatrix.SourceType.OSCILLATOR:
+      return oscillators[route.sourceIndex].modulatorSignal;
+    case doodle.moog.ModulationMatrix.SourceType.ENVELOPE:
+      return oscillators[route.sourceIndex].envelopeSignal;
+    case doodle.moog.ModulationMatrix.SourceType.NOISE:
+      return this.noiseSignal_;
+    case doodle.moog.ModulationMatrix.SourceType.LFO:
+      return this.lfo.signal;
+  }
+  return null;
+};
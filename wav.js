@@ -0,0 +1,145 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Encoding of rendered audio as WAV files.
+ */
+goog.provide('doodle.moog.wav');
+goog.provide('doodle.moog.wav.SampleFormat');
+
+goog.require('goog.math');
+
+
+/**
+ * How samples are stored in a WAV file.
+ * @enum {number}
+ */
+doodle.moog.wav.SampleFormat = {
+  // 16-bit integer PCM, as on CDs.
+  INT_16: 0,
+  // 24-bit integer PCM.
+  INT_24: 1,
+  // 32-bit floating point.  Keeps samples beyond [-1, 1] rather than clipping
+  // them.
+  FLOAT_32: 2
+};
+
+
+/**
+ * The WAVE_FORMAT_PCM format tag.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.wav.PCM_FORMAT_TAG_ = 1;
+
+
+/**
+ * The WAVE_FORMAT_IEEE_FLOAT format tag.
+ * @type {number}
+ * @const
+ * @private
+ */
+doodle.moog.wav.FLOAT_FORMAT_TAG_ = 3;
+
+
+/**
+ * Encodes audio as a WAV file.
+ * @param {!Array.<!Float32Array>} channels The samples of each channel, all of
+ *     the same length, in the range [-1, 1].  Integer formats clip samples
+ *     outside it.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @param {doodle.moog.wav.SampleFormat} sampleFormat How to store the samples.
+ * @return {!ArrayBuffer} The file.
+ */
+doodle.moog.wav.encode = function(channels, sampleRate, sampleFormat) {
+  if (!channels.length) {
+    throw Error('A WAV file needs at least one channel.');
+  }
+  var isFloat = sampleFormat == doodle.moog.wav.SampleFormat.FLOAT_32;
+  var bytesPerSample =
+      sampleFormat == doodle.moog.wav.SampleFormat.INT_16 ? 2 :
+      sampleFormat == doodle.moog.wav.SampleFormat.INT_24 ? 3 : 4;
+  // Integer formats have one more negative step than positive steps.
+  var scale = Math.pow(2, bytesPerSample * 8 - 1);
+  var frameCount = channels[0].length;
+  var blockAlign = channels.length * bytesPerSample;
+  var dataLength = frameCount * blockAlign;
+  // Formats other than integer PCM need the format chunk's extension size
+  // field and a fact chunk.
+  var formatLength = isFloat ? 18 : 16;
+  var factLength = isFloat ? 12 : 0;
+  var headerLength = 12 + 8 + formatLength + factLength + 8;
+
+  var buffer = new ArrayBuffer(headerLength + dataLength + dataLength % 2);
+  var view = new DataView(buffer);
+  var position = 0;
+  var writeString = function(string) {
+    for (var i = 0; i < string.length; i++) {
+      view.setUint8(position++, string.charCodeAt(i));
+    }
+  };
+  var writeUint32 = function(value) {
+    view.setUint32(position, value, true);
+    position += 4;
+  };
+  var writeUint16 = function(value) {
+    view.setUint16(position, value, true);
+    position += 2;
+  };
+
+  writeString('RIFF');
+  writeUint32(buffer.byteLength - 8);
+  writeString('WAVE');
+
+  writeString('fmt ');
+  writeUint32(formatLength);
+  writeUint16(isFloat ?
+      doodle.moog.wav.FLOAT_FORMAT_TAG_ : doodle.moog.wav.PCM_FORMAT_TAG_);
+  writeUint16(channels.length);
+  writeUint32(sampleRate);
+  writeUint32(sampleRate * blockAlign);
+  writeUint16(blockAlign);
+  writeUint16(bytesPerSample * 8);
+  if (isFloat) {
+    writeUint16(0);
+    writeString('fact');
+    writeUint32(4);
+    writeUint32(frameCount);
+  }
+
+  writeString('data');
+  writeUint32(dataLength);
+  for (var i = 0; i < frameCount; i++) {
+    for (var j = 0; j < channels.length; j++) {
+      var sample = channels[j][i];
+      if (isFloat) {
+        view.setFloat32(position, sample, true);
+      } else {
+        sample = goog.math.clamp(sample, -1, 1);
+        var value =
+            Math.round(sample < 0 ? sample * scale : sample * (scale - 1));
+        if (bytesPerSample == 2) {
+          view.setInt16(position, value, true);
+        } else {
+          view.setUint8(position, value & 0xFF);
+          view.setUint8(position + 1, (value >> 8) & 0xFF);
+          view.setUint8(position + 2, (value >> 16) & 0xFF);
+        }
+      }
+      position += bytesPerSample;
+    }
+  }
+  return buffer;
+};
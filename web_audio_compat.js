@@ -0,0 +1,178 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Compatibility helpers that smooth over the differences between
+ * the standard Web Audio API and the prefixed, older implementation the doodle
+ * was originally written against.
+ */
+goog.provide('doodle.moog.webAudioCompat');
+goog.provide('doodle.moog.webAudioCompat.FilterType');
+
+
+/**
+ * Biquad filter types used by the doodle.  The values are the standard string
+ * types.
+ * @enum {string}
+ */
+doodle.moog.webAudioCompat.FilterType = {
+  LOWPASS: 'lowpass',
+  HIGHPASS: 'highpass'
+};
+
+
+/**
+ * Numeric biquad filter type IDs used by older, prefixed implementations (from
+ * early versions of the Web Audio spec).
+ * @type {!Object.<doodle.moog.webAudioCompat.FilterType, number>}
+ * @const
+ * @private
+ */
+doodle.moog.webAudioCompat.LEGACY_FILTER_TYPE_IDS_ = {
+  'lowpass': 0,
+  'highpass': 1
+};
+
+
+/**
+ * Gets the audio context constructor, preferring the standard AudioContext over
+ * the prefixed webkitAudioContext.
+ * @return {?function(new:AudioContext)} The constructor, or null if Web Audio
+ *     is unavailable.
+ */
+doodle.moog.webAudioCompat.getAudioContextConstructor = function() {
+  var global = goog.global;
+  if (typeof global['AudioContext'] === 'function') {
+    return global['AudioContext'];
+  }
+  if (typeof global['webkitAudioContext'] === 'function') {
+    return global['webkitAudioContext'];
+  }
+  return null;
+};
+
+
+/**
+ * @return {boolean} Whether the browser supports Web Audio.
+ */
+doodle.moog.webAudioCompat.isSupported = function() {
+  return !!doodle.moog.webAudioCompat.getAudioContextConstructor();
+};
+
+
+/**
+ * Creates an audio context.  May throw if the user is missing sound drivers,
+ * etc.
+ * @return {!AudioContext} The new audio context.
+ */
+doodle.moog.webAudioCompat.createAudioContext = function() {
+  var AudioContextConstructor =
+      doodle.moog.webAudioCompat.getAudioContextConstructor();
+  if (!AudioContextConstructor) {
+    throw Error('Web Audio is not supported.');
+  }
+  return new AudioContextConstructor();
+};
+
+
+/**
+ * Creates an offline audio context, which renders as fast as it can into a
+ * buffer instead of playing to the speakers.
+ * @param {number} channelCount How many channels to render.
+ * @param {number} length How many sample frames to render.
+ * @param {number} sampleRate The sample rate, in hertz.
+ * @return {!OfflineAudioContext} The new offline audio context.
+ */
+doodle.moog.webAudioCompat.createOfflineAudioContext = function(
+    channelCount, length, sampleRate) {
+  var global = goog.global;
+  var OfflineAudioContextConstructor = global['OfflineAudioContext'] ||
+      global['webkitOfflineAudioContext'];
+  if (!OfflineAudioContextConstructor) {
+    throw Error('Offline Web Audio is not supported.');
+  }
+  return new OfflineAudioContextConstructor(channelCount, length, sampleRate);
+};
+
+
+/**
+ * Starts rendering an offline audio context.  Older implementations signal
+ * the end of rendering with a complete event rather than a promise.
+ * @param {!OfflineAudioContext} offlineAudioContext The offline audio context.
+ * @return {!Promise.<!AudioBuffer>} The rendered audio.
+ */
+doodle.moog.webAudioCompat.startRendering = function(offlineAudioContext) {
+  return new Promise(function(resolve, reject) {
+    offlineAudioContext.oncomplete = function(e) {
+      resolve(e.renderedBuffer);
+    };
+    var rendering = offlineAudioContext.startRendering();
+    if (rendering) {
+      rendering.then(resolve, reject);
+    }
+  });
+};
+
+
+/**
+ * Creates a gain node.
+ * @param {!AudioContext} audioContext The audio context.
+ * @return {!GainNode} The new gain node.
+ */
+doodle.moog.webAudioCompat.createGain = function(audioContext) {
+  return audioContext.createGain ?
+      audioContext.createGain() : audioContext.createGainNode();
+};
+
+
+/**
+ * Creates a JavaScript processing node.
+ * @param {!AudioContext} audioContext The audio context.
+ * @param {number} bufferSize How many samples to process per callback.
+ * @param {number} numberOfInputChannels How many input channels to create.
+ * @param {number} numberOfOutputChannels How many output channels to create.
+ * @return {!ScriptProcessorNode} The new node.
+ */
+doodle.moog.webAudioCompat.createScriptProcessor = function(
+    audioContext, bufferSize, numberOfInputChannels, numberOfOutputChannels) {
+  return audioContext.createScriptProcessor ?
+      audioContext.createScriptProcessor(
+          bufferSize, numberOfInputChannels, numberOfOutputChannels) :
+      audioContext.createJavaScriptNode(
+          bufferSize, numberOfInputChannels, numberOfOutputChannels);
+};
+
+
+/**
+ * Sets the type of a biquad filter node, using a numeric type ID on older
+ * implementations that expect one.
+ * @param {!BiquadFilterNode} filterNode The filter node.
+ * @param {doodle.moog.webAudioCompat.FilterType} type The filter type.
+ */
+doodle.moog.webAudioCompat.setFilterType = function(filterNode, type) {
+  filterNode.type = typeof filterNode.type == 'number' ?
+      doodle.moog.webAudioCompat.LEGACY_FILTER_TYPE_IDS_[type] : type;
+};
+
+
+/**
+ * Checks whether an audio context is suspended, as browsers do with contexts
+ * created before the user has interacted with the page.  Older implementations
+ * have no suspended state.
+ * @param {!AudioContext} audioContext The audio context.
+ * @return {boolean} Whether the context must be resumed before it plays sound.
+ */
+doodle.moog.webAudioCompat.isSuspended = function(audioContext) {
+  return audioContext.state == 'suspended';
+};
@@ -19,6 +19,8 @@
 goog.provide('doodle.moog.WideBandPassFilter');
 
 goog.require('doodle.moog.CompoundAudioNode');
+goog.require('doodle.moog.webAudioCompat');
+goog.require('doodle.moog.webAudioCompat.FilterType');
 
 
 
@@ -42,8 +44,8 @@ doodle.moog.WideBandPassFilter = function(
    * @private
    */
   this.lowPassFilterNode_ = audioContext.createBiquadFilter();
-  this.lowPassFilterNode_.type =
-      doodle.moog.WideBandPassFilter.LOW_PASS_FILTER_TYPE_ID_;
+  doodle.moog.webAudioCompat.setFilterType(
+      this.lowPassFilterNode_, doodle.moog.webAudioCompat.FilterType.LOWPASS);
   this.lowPassFilterNode_.frequency.value = highCutoffFrequency;
 
   /**
@@ -52,32 +54,14 @@ doodle.moog.WideBandPassFilter = function(
    * @private
    */
   this.highPassFilterNode_ = audioContext.createBiquadFilter();
-  this.highPassFilterNode_.type =
-      doodle.moog.WideBandPassFilter.HIGH_PASS_FILTER_TYPE_ID_;
+  doodle.moog.webAudioCompat.setFilterType(
+      this.highPassFilterNode_, doodle.moog.webAudioCompat.FilterType.HIGHPASS);
   this.highPassFilterNode_.frequency.value = lowCutoffFrequency;
 
   this.lowPassFilterNode_.connect(this.highPassFilterNode_);
 };
 
 
-/**
- * Biquad Filter type ID for a low pass filter (from the Web Audio spec).
- * @type {number}
- * @const
- * @private
- */
-doodle.moog.WideBandPassFilter.LOW_PASS_FILTER_TYPE_ID_ = 0;
-
-
-/**
- * Biquad Filter type ID for a low pass filter (from the Web Audio spec).
- * @type {number}
- * @const
- * @private
- */
-doodle.moog.WideBandPassFilter.HIGH_PASS_FILTER_TYPE_ID_ = 1;
-
-
 /** @inheritDoc */
 doodle.moog.WideBandPassFilter.prototype.getSourceNode = function() {
   return this.lowPassFilterNode_;